@@ -3,6 +3,11 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 require('dotenv').config();
+const { RouteRegistry } = require('./utils/route-registry');
+const { TIERS } = require('./config/tiers');
+const { meterUsage } = require('./middleware/metering.middleware');
+const { webhookService } = require('./services/webhooks/webhook.service');
+const { sourceAlertPayload } = require('./services/webhooks/webhook.events');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,6 +18,9 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Usage metering for authenticated calls (see services/metering.service.js)
+app.use(meterUsage);
+
 // MongoDB Connection
 const connectDB = async () => {
     try {
@@ -31,29 +39,50 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// Webhook deliveries are sent in the background once the database is up
+webhookService.start();
+
+// Forward scraping source health alerts to webhook subscribers
+if (process.env.SCRAPING_ENABLED === 'true') {
+    try {
+        const { getSourceMonitor } = require('./src/services/container');
+        getSourceMonitor().registerAlertCallback(alert => {
+            webhookService.publish('source.health_alert', sourceAlertPayload(alert));
+        });
+        console.log('📡 Source health alerts forwarded to webhooks');
+    } catch (error) {
+        console.warn(`⚠️ Source health alerts unavailable: ${error.message}`);
+    }
+
+    // Work the scrape job queue in this process
+    try {
+        const { getScrapingOrchestrator } = require('./src/services/container');
+        getScrapingOrchestrator().start();
+    } catch (error) {
+        console.warn(`⚠️ Scrape job queue not started: ${error.message}`);
+    }
+}
+
 // ============= NBA API ROUTES =============
-// Import and use Teams API (properly ordered)
-const teamsRoutes = require('./services/sports/NBA/teams/teams.routes');
-app.use('/api/nba/teams', teamsRoutes);
-
-// Other NBA APIs (commented out for now - add one by one after Teams works)
-// const playersRoutes = require('./services/sports/NBA/players/players.routes');
-// const gamesRoutes = require('./services/sports/NBA/games/games.routes');
-// const standingsRoutes = require('./services/sports/NBA/standings/standings.routes');
-// const advancedStatsRoutes = require('./services/sports/NBA/advanced-stats/advanced-stats.routes');
-// const newsRoutes = require('./services/sports/NBA/news/news.routes');
-// const injuriesRoutes = require('./services/sports/NBA/injuries/injuries.routes');
-// const suspensionsRoutes = require('./services/sports/NBA/suspensions/suspensions.routes');
-// const weatherRoutes = require('./services/sports/NBA/weather/weather.routes');
-
-// app.use('/api/nba/players', playersRoutes);
-// app.use('/api/nba/games', gamesRoutes);
-// app.use('/api/nba/standings', standingsRoutes);
-// app.use('/api/nba/advanced-stats', advancedStatsRoutes);
-// app.use('/api/nba/news', newsRoutes);
-// app.use('/api/nba/injuries', injuriesRoutes);
-// app.use('/api/nba/suspensions', suspensionsRoutes);
-// app.use('/api/nba/weather', weatherRoutes);
+// Every services/sports/<league>/<domain>/*.routes.js is mounted at
+// /api/<league>/<domain>; modules with unresolved dependencies are skipped
+const routeRegistry = new RouteRegistry().mountAll(app);
+
+// ============= AUTH ROUTES =============
+app.use('/auth', require('./services/auth-gateway/auth.routes'));
+app.get('/.well-known/jwks.json', require('./services/auth-gateway/auth.controller').getJwks);
+
+// ============= ACCOUNT ROUTES =============
+app.use('/api/account', require('./services/account/account.routes'));
+
+// ============= WEBHOOK ROUTES =============
+app.use('/api/webhooks', require('./services/webhooks/webhook.routes'));
+
+// ============= ADMIN ROUTES =============
+app.use('/api/admin/keys', require('./services/admin/keys/keys.routes'));
+app.use('/api/admin/scrapes', require('./services/admin/scrapes/scrapes.routes'));
+app.use('/api/admin/proxies', require('./services/admin/proxies/proxies.routes'));
+app.use('/api/admin/scrapers', require('./services/admin/scrapers/scrapers.routes'));
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -77,22 +106,13 @@ app.get('/', (req, res) => {
             api_docs: '/api/docs',
             test: '/api/test'
         },
-        apis: [
-            '🏀 Teams API - ✅ ACTIVE',
-            '👨‍💼 Players API - Coming Soon',
-            '🎮 Games API - Coming Soon',
-            '🏆 Standings API - Coming Soon',
-            '📊 Advanced Stats API - Coming Soon',
-            '📰 News API - Coming Soon',
-            '🏥 Injuries API - Coming Soon',
-            '⚖️ Suspensions API - Coming Soon',
-            '🌤️ Weather API - Coming Soon'
-        ],
-        tiers: {
-            free: '100 requests/hour',
-            standard: '500 requests/hour',
-            premium: '2000 requests/hour'
-        }
+        apis: routeRegistry.getMountedRoutes().map(route => `${route.mountPath} - ✅ ACTIVE`),
+        tiers: Object.fromEntries(
+            Object.values(TIERS).map(tier => [
+                tier.name,
+                `${tier.requestsPerHour} requests/hour, ${tier.requestsPerMonth} requests/month`
+            ])
+        )
     });
 });
 
@@ -107,21 +127,26 @@ app.get('/api/test', (req, res) => {
 
 // API Routes info
 app.get('/api', (req, res) => {
+    const mounted = routeRegistry.getMountedRoutes();
+    const skipped = routeRegistry.getSkippedRoutes();
+
     res.json({
         message: 'FireAPI-Hub NBA Data APIs',
-        available_apis: [
-            '/api/nba/teams - NBA Teams API ✅ ACTIVE',
-            '/api/nba/players - Coming Soon',
-            '/api/nba/games - Coming Soon',
-            '/api/nba/standings - Coming Soon',
-            '/api/nba/advanced-stats - Coming Soon',
-            '/api/nba/news - Coming Soon',
-            '/api/nba/injuries - Coming Soon',
-            '/api/nba/suspensions - Coming Soon',
-            '/api/nba/weather - Coming Soon'
-        ],
-        status: 'Teams API is now ACTIVE! 🏀',
-        note: 'More APIs coming online soon!'
+        available_apis: mounted.map(route => ({
+            path: route.mountPath,
+            status: 'active',
+            endpoints: route.endpoints.map(endpoint => ({
+                endpoint: `${endpoint.method} ${endpoint.path}`,
+                tier: endpoint.tier || 'public',
+                scope: endpoint.scope
+            }))
+        })),
+        unavailable_apis: skipped.map(route => ({
+            path: route.mountPath,
+            status: 'unavailable',
+            reason: route.reason
+        })),
+        status: `${mounted.length} of ${mounted.length + skipped.length} APIs active`
     });
 });
 
@@ -146,8 +171,7 @@ app.use('*', (req, res) => {
             '/health',
             '/api',
             '/api/test',
-            '/api/nba/teams',
-            '/api/nba/teams/health'
+            ...routeRegistry.getAvailableRoutes()
         ]
     });
 });
@@ -155,6 +179,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received, shutting down gracefully');
+    webhookService.stop();
     mongoose.connection.close(() => {
         console.log('📦 MongoDB connection closed');
         process.exit(0);
@@ -165,7 +190,9 @@ process.on('SIGTERM', () => {
 app.listen(PORT, () => {
     console.log(`🚀 FireAPI-Hub server running on port ${PORT}`);
     console.log(`🏥 Health check: http://localhost:${PORT}/health`);
-    console.log(`🏀 Teams API: http://localhost:${PORT}/api/nba/teams`);
+    routeRegistry.getMountedRoutes().forEach(route => {
+        console.log(`🏀 ${route.domain} API: http://localhost:${PORT}${route.mountPath}`);
+    });
     console.log(`📊 API docs: http://localhost:${PORT}/api`);
 });
 
@@ -0,0 +1,16 @@
+// =============================================================================
+// AUTH POLICY
+// =============================================================================
+// Token settings from protocols/auth-policies: RS256, 24 hour access tokens,
+// 7 day refresh tokens, issuer fireapi-hub, audience fire-ecosystem.
+// =============================================================================
+
+const AUTH_POLICY = {
+    algorithm: 'RS256',
+    issuer: 'fireapi-hub',
+    audience: 'fire-ecosystem',
+    accessTokenTtlSeconds: 24 * 60 * 60,
+    refreshTokenTtlSeconds: 7 * 24 * 60 * 60
+};
+
+module.exports = { AUTH_POLICY };
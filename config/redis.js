@@ -0,0 +1,51 @@
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+let client = null;
+
+// Shared Redis client, created on first use when REDIS_URL is configured.
+// Returns null when Redis is not configured so callers can fall back to memory.
+const getRedisClient = () => {
+    if (!process.env.REDIS_URL) {
+        return null;
+    }
+
+    if (!client) {
+        const Redis = require('ioredis');
+
+        client = new Redis(process.env.REDIS_URL, {
+            maxRetriesPerRequest: 2,
+            enableOfflineQueue: false
+        });
+
+        client.on('connect', () => logger.info('🟢 Redis connection established'));
+        client.on('error', (error) => logger.error(`🔴 Redis connection error: ${error.message}`));
+    }
+
+    return client;
+};
+
+const disconnect = async () => {
+    if (client) {
+        await client.quit();
+        client = null;
+    }
+};
+
+module.exports = {
+    getRedisClient,
+    disconnect
+};
@@ -0,0 +1,45 @@
+// =============================================================================
+// API KEY TIERS
+// =============================================================================
+// Single source of truth for what each subscription tier is allowed to do.
+// Rate limits are per caller (API key, user or IP) over a rolling hour;
+// monthly quotas are per authenticated caller and reset on the 1st (UTC).
+// =============================================================================
+
+const TIERS = {
+    free: {
+        name: 'free',
+        level: 0,
+        requestsPerHour: 100,
+        requestsPerMonth: 25000
+    },
+    standard: {
+        name: 'standard',
+        level: 1,
+        requestsPerHour: 500,
+        requestsPerMonth: 150000
+    },
+    premium: {
+        name: 'premium',
+        level: 2,
+        requestsPerHour: 2000,
+        requestsPerMonth: 1000000
+    }
+};
+
+const DEFAULT_TIER = 'free';
+
+// Resolve a tier name (case-insensitive) to its definition, falling back to free
+const getTier = (name) => {
+    const key = typeof name === 'string' ? name.toLowerCase() : DEFAULT_TIER;
+    return TIERS[key] || TIERS[DEFAULT_TIER];
+};
+
+const isValidTier = (name) => typeof name === 'string' && Object.prototype.hasOwnProperty.call(TIERS, name.toLowerCase());
+
+module.exports = {
+    TIERS,
+    DEFAULT_TIER,
+    getTier,
+    isValidTier
+};
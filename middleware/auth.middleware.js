@@ -1,6 +1,8 @@
-const jwt = require('jsonwebtoken');
-const rateLimit = require('express-rate-limit');
 const winston = require('winston');
+const { rateLimiter } = require('./rateLimiter.middleware');
+const { APIError, AuthenticationError } = require('./error-handler.middleware');
+const { apiKeyService, hasScope } = require('../services/apiKey.service');
+const { tokenService } = require('../services/auth-gateway/token.service');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -15,7 +17,7 @@ const logger = winston.createLogger({
 });
 
 // API Key validation middleware
-const validateApiKey = (req, res, next) => {
+const validateApiKey = async (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || req.query.api_key;
     
     if (!apiKey) {
@@ -32,34 +34,42 @@ const validateApiKey = (req, res, next) => {
         });
     }
 
-    // Validate API key format (basic validation)
-    if (apiKey.length < 32) {
-        logger.warn('Invalid API key format', {
+    try {
+        // Resolve the key against the registry into a full principal
+        const principal = await apiKeyService.authenticate(apiKey);
+
+        req.apiKey = principal;
+        req.principal = principal;
+
+        // Log successful API key validation
+        logger.info('API key validated', {
             ip: req.ip,
             endpoint: req.path,
-            apiKey: apiKey.substring(0, 8) + '...',
+            apiKey: principal.prefix,
+            tier: principal.tier,
             timestamp: new Date().toISOString()
         });
-        
-        return res.status(401).json({
-            error: 'Invalid API key',
-            message: 'API key format is invalid',
-            code: 'INVALID_API_KEY_FORMAT'
-        });
-    }
 
-    // Store API key in request for logging
-    req.apiKey = apiKey;
-    
-    // Log successful API key validation
-    logger.info('API key validated', {
-        ip: req.ip,
-        endpoint: req.path,
-        apiKey: apiKey.substring(0, 8) + '...',
-        timestamp: new Date().toISOString()
-    });
+        next();
+    } catch (error) {
+        if (!(error instanceof APIError)) {
+            return next(error);
+        }
 
-    next();
+        logger.warn('API key rejected', {
+            ip: req.ip,
+            endpoint: req.path,
+            apiKey: String(apiKey).substring(0, 8) + '...',
+            reason: error.code,
+            timestamp: new Date().toISOString()
+        });
+
+        return res.status(error.statusCode).json({
+            error: error.statusCode === 401 ? 'Invalid API key' : 'API key validation unavailable',
+            message: error.message,
+            code: error.code
+        });
+    }
 };
 
 // JWT token validation middleware
@@ -81,11 +91,20 @@ const validateJWT = (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // RS256 tokens issued by the auth gateway (see config/auth.js)
+        const decoded = tokenService.verifyAccessToken(token);
         req.user = decoded;
+        req.principal = {
+            type: 'jwt',
+            id: decoded.id || decoded.sub,
+            email: decoded.email,
+            tier: decoded.tier || 'free',
+            scopes: decoded.scopes || [],
+            roles: decoded.roles || (decoded.role ? [decoded.role] : [])
+        };
         
         logger.info('JWT token validated', {
-            userId: decoded.id,
+            userId: req.principal.id,
             userEmail: decoded.email,
             ip: req.ip,
             endpoint: req.path,
@@ -94,6 +113,10 @@ const validateJWT = (req, res, next) => {
         
         next();
     } catch (error) {
+        if (!(error instanceof AuthenticationError)) {
+            return next(error);
+        }
+
         logger.error('JWT validation failed', {
             error: error.message,
             ip: req.ip,
@@ -104,13 +127,24 @@ const validateJWT = (req, res, next) => {
         return res.status(403).json({
             error: 'Invalid token',
             message: 'JWT token is invalid or expired',
-            code: 'INVALID_JWT_TOKEN'
+            code: error.code
         });
     }
 };
 
+// Whether the request carries an API key or a JWT
+const hasCredentials = (req) => Boolean(
+    req.headers['x-api-key'] || req.query.api_key ||
+    req.headers.authorization?.split(' ')[1] || req.headers['x-access-token']
+);
+
 // Flexible authentication middleware (API key OR JWT)
 const authenticate = (req, res, next) => {
+    // Already authenticated earlier in the chain (e.g. by a tier gate)
+    if (req.principal) {
+        return next();
+    }
+
     const apiKey = req.headers['x-api-key'] || req.query.api_key;
     const token = req.headers.authorization?.split(' ')[1] || req.headers['x-access-token'];
     
@@ -135,58 +169,56 @@ const authenticate = (req, res, next) => {
     }
 };
 
-// Premium tier rate limiting
-const premiumRateLimit = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 1000, // 1000 requests per 15 minutes for premium
-    message: {
-        error: 'Rate limit exceeded',
-        message: 'Premium tier: 1000 requests per 15 minutes exceeded',
-        code: 'PREMIUM_RATE_LIMIT'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+// Scope check for the authenticated principal (e.g. requireScope('nba:games:read'))
+const requireScope = (scope) => (req, res, next) => {
+    if (hasScope(req.principal, scope)) {
+        return next();
+    }
 
-// Standard tier rate limiting
-const standardRateLimit = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // 100 requests per 15 minutes for standard
-    message: {
-        error: 'Rate limit exceeded',
-        message: 'Standard tier: 100 requests per 15 minutes exceeded',
-        code: 'STANDARD_RATE_LIMIT'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+    logger.warn('Insufficient scope', {
+        ip: req.ip,
+        endpoint: req.path,
+        requiredScope: scope,
+        timestamp: new Date().toISOString()
+    });
 
-// Free tier rate limiting
-const freeRateLimit = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 10, // 10 requests per hour for free tier
-    message: {
-        error: 'Rate limit exceeded',
-        message: 'Free tier: 10 requests per hour exceeded. Upgrade for more requests.',
-        code: 'FREE_RATE_LIMIT'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+    return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This endpoint requires the '${scope}' scope`,
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+    });
+};
 
-// Tier-based rate limiting middleware
-const tierRateLimit = (tier = 'free') => {
-    switch (tier.toLowerCase()) {
-        case 'premium':
-            return premiumRateLimit;
-        case 'standard':
-            return standardRateLimit;
-        case 'free':
-        default:
-            return freeRateLimit;
+// Role check for JWT callers (e.g. requireRole('admin'))
+const requireRole = (role) => (req, res, next) => {
+    const roles = (req.principal && req.principal.roles) || [];
+
+    if (roles.includes(role)) {
+        return next();
     }
+
+    logger.warn('Insufficient role', {
+        ip: req.ip,
+        endpoint: req.path,
+        requiredRole: role,
+        userId: req.principal && req.principal.id,
+        timestamp: new Date().toISOString()
+    });
+
+    return res.status(403).json({
+        error: 'Forbidden',
+        message: `This endpoint requires the '${role}' role`,
+        code: 'INSUFFICIENT_ROLE',
+        requiredRole: role
+    });
 };
 
+// Tier-based rate limiting middleware
+// Kept for existing routes: limits now come from the caller's tier, so the
+// requested tier no longer selects a different limiter.
+const tierRateLimit = (tier = 'free') => rateLimiter;
+
 // Request logging middleware
 const logRequest = (req, res, next) => {
     const startTime = Date.now();
@@ -218,11 +250,11 @@ const logRequest = (req, res, next) => {
 
 module.exports = {
     authenticate,
+    hasCredentials,
     validateApiKey,
     validateJWT,
+    requireScope,
+    requireRole,
     tierRateLimit,
-    premiumRateLimit,
-    standardRateLimit,
-    freeRateLimit,
     logRequest
 };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { createRouteTable } = require('../utils/route-matcher');
+
+// =============================================================================
+// CONDITIONAL REQUESTS
+// =============================================================================
+// Adds validators and freshness to JSON GET responses so polling clients can
+// revalidate instead of downloading the full payload:
+//   ETag           strong, SHA-256 of the body (the top-level `timestamp`
+//                  field is left out so unchanged data keeps its tag)
+//   Last-Modified  newest `lastUpdated` / `dataQuality.freshness` in the body,
+//                  or `res.locals.lastModified` when a handler sets it
+//   Cache-Control  max-age from the router's cache policy, else no-cache
+// Express answers If-None-Match / If-Modified-Since with 304 from these
+// headers (req.fresh), so handlers need no changes.
+//
+// The route registry mounts conditionalGet in front of every NBA router;
+// routers declare max-ages with applyCachePolicy.
+// =============================================================================
+
+// How deep to look for freshness fields in a payload
+const MAX_SCAN_DEPTH = 5;
+
+const hashBody = (body) => {
+    const hashed = body && typeof body === 'object' && !Array.isArray(body) && 'timestamp' in body
+        ? { ...body, timestamp: undefined }
+        : body;
+
+    return `"${crypto.createHash('sha256').update(JSON.stringify(hashed) || '').digest('base64url')}"`;
+};
+
+const toTime = (value) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+};
+
+// Newest lastUpdated / dataQuality.freshness anywhere in the payload
+const findLastModified = (value, depth = 0) => {
+    if (!value || typeof value !== 'object' || depth > MAX_SCAN_DEPTH) {
+        return null;
+    }
+
+    const candidates = Array.isArray(value)
+        ? value.map(item => findLastModified(item, depth + 1))
+        : [
+            toTime(value.lastUpdated),
+            toTime(value.dataQuality && value.dataQuality.freshness),
+            ...Object.entries(value)
+                .filter(([key, child]) => key !== 'dataQuality' && !(child instanceof Date))
+                .map(([, child]) => findLastModified(child, depth + 1))
+        ];
+
+    const latest = Math.max(0, ...candidates.filter(Boolean));
+    return latest || null;
+};
+
+const conditionalGet = (cachePolicy = null) => {
+    const policyTable = cachePolicy ? createRouteTable(cachePolicy) : null;
+
+    return (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return next();
+        }
+
+        const json = res.json;
+
+        res.json = function(body) {
+            if (res.statusCode !== 200) {
+                return json.call(this, body);
+            }
+
+            res.set('ETag', hashBody(body));
+
+            const lastModified = toTime(res.locals.lastModified) || findLastModified(body);
+            if (lastModified && !res.get('Last-Modified')) {
+                res.set('Last-Modified', new Date(Math.min(lastModified, Date.now())).toUTCString());
+            }
+
+            if (!res.get('Cache-Control')) {
+                const entry = policyTable && req.route && policyTable.lookup(req.method, req.route.path);
+
+                if (entry) {
+                    // Authenticated responses differ per caller; keep them out of shared caches
+                    const scope = req.principal ? 'private' : 'public';
+                    res.set('Cache-Control', `${scope}, max-age=${entry.value}`);
+                } else {
+                    res.set('Cache-Control', 'no-cache');
+                }
+            }
+
+            res.vary('Authorization');
+            res.vary('X-API-Key');
+
+            return json.call(this, body);
+        };
+
+        next();
+    };
+};
+
+// Declare Cache-Control max-age (seconds) per endpoint, e.g.
+//   applyCachePolicy(router, { 'GET /today': cacheTimeout.todaysGames })
+const applyCachePolicy = (router, cachePolicy) => {
+    for (const [signature, maxAge] of Object.entries(cachePolicy)) {
+        if (!Number.isInteger(maxAge) || maxAge < 0) {
+            throw new Error(`Invalid max-age for '${signature}': ${maxAge}`);
+        }
+    }
+
+    router.cachePolicy = cachePolicy;
+    return router;
+};
+
+module.exports = {
+    conditionalGet,
+    applyCachePolicy,
+    hashBody,
+    findLastModified
+};
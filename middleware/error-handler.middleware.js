@@ -56,8 +56,8 @@ class RateLimitError extends APIError {
 }
 
 class AuthenticationError extends APIError {
-    constructor(message = 'Authentication failed') {
-        super(message, 401, 'AUTHENTICATION_ERROR');
+    constructor(message = 'Authentication failed', code = 'AUTHENTICATION_ERROR') {
+        super(message, 401, code);
         this.name = 'AuthenticationError';
     }
 }
@@ -70,6 +70,18 @@ class ExternalAPIError extends APIError {
     }
 }
 
+// Credentials must never reach the error log
+const SENSITIVE_FIELDS = ['password', 'refreshToken', 'token', 'authorization', 'x-api-key', 'x-access-token'];
+
+const redact = (values) => {
+    if (!values || typeof values !== 'object') return values;
+
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key,
+        SENSITIVE_FIELDS.includes(key) ? '[REDACTED]' : value
+    ]));
+};
+
 // Error handler middleware
 const errorHandler = (error, req, res, next) => {
     // Default error values
@@ -89,8 +101,8 @@ const errorHandler = (error, req, res, next) => {
         request: {
             method: req.method,
             url: req.url,
-            headers: req.headers,
-            body: req.body,
+            headers: redact(req.headers),
+            body: redact(req.body),
             params: req.params,
             query: req.query,
             ip: req.ip,
@@ -0,0 +1,72 @@
+const { meteringService } = require('../services/metering.service');
+const { resolveCallerKey } = require('./rateLimiter.middleware');
+
+// =============================================================================
+// METERING MIDDLEWARE
+// =============================================================================
+// Mounted once ahead of the API routers. Authentication happens inside the
+// routers, so whether a call is metered is decided when the response
+// finishes: only calls with a principal are recorded, and calls the rate
+// limiter rejected are not. The rate limiter charges the monthly quota for
+// exactly these calls.
+// =============================================================================
+
+// Route template of the handled request, e.g. "GET /api/nba/games/:gameId"
+const resolveEndpoint = (req) => {
+    if (!req.route) {
+        return 'unmatched';
+    }
+
+    const routePath = req.route.path === '/' ? '' : req.route.path;
+    return `${req.method} ${`${req.baseUrl}${routePath}` || '/'}`;
+};
+
+const meterUsage = (req, res, next) => {
+    const startTime = process.hrtime.bigint();
+    let bytes = 0;
+
+    // Count what is actually written, including streamed responses
+    const write = res.write;
+    const end = res.end;
+
+    const count = (chunk, encoding) => {
+        if (chunk) {
+            bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+        }
+    };
+
+    res.write = function(chunk, encoding, ...rest) {
+        count(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+
+    res.end = function(chunk, encoding, ...rest) {
+        if (typeof chunk !== 'function') {
+            count(chunk, encoding);
+        }
+        return end.call(this, chunk, encoding, ...rest);
+    };
+
+    res.on('finish', () => {
+        const principal = req.principal;
+        if (!principal || (req.rateLimit && req.rateLimit.rejected)) {
+            return;
+        }
+
+        meteringService.record({
+            subject: resolveCallerKey(req),
+            keyId: principal.type === 'api_key' ? principal.keyId : null,
+            endpoint: resolveEndpoint(req),
+            statusCode: res.statusCode,
+            latencyMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+            bytes
+        });
+    });
+
+    next();
+};
+
+module.exports = {
+    meterUsage,
+    resolveEndpoint
+};
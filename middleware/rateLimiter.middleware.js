@@ -0,0 +1,236 @@
+const winston = require('winston');
+const { getTier } = require('../config/tiers');
+const { getRedisClient } = require('../config/redis');
+const { MemoryRateLimitStore } = require('../services/stores/memory-rate-limit.store');
+const { RedisRateLimitStore } = require('../services/stores/redis-rate-limit.store');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// TIERED RATE LIMITER
+// =============================================================================
+// One limiter for every route. The limit comes from the caller's tier
+// (free 100/h, standard 500/h, premium 2000/h), not from the route it is
+// attached to. Authenticated callers also draw on a monthly quota for their
+// tier. A call reserves its unit of quota before it runs, so concurrent
+// calls cannot overshoot the limit; the unit is given back when the call is
+// rejected or the client goes away before the response finishes, so the
+// quota counts the same calls the metering middleware records. Counters
+// live in Redis when REDIS_URL is set so limits hold across replicas,
+// otherwise in process memory.
+// =============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Current calendar month (UTC) and the moment the quota resets
+const quotaPeriod = (now = new Date()) => ({
+    period: now.toISOString().slice(0, 7),
+    resetTime: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+});
+
+const quotaKey = (callerKey, period) => `quota:${period}:${callerKey}`;
+
+// Pick the shared store for this process
+const createDefaultStore = () => {
+    const client = getRedisClient();
+    return client ? new RedisRateLimitStore(client) : new MemoryRateLimitStore();
+};
+
+// Tier of the authenticated principal; anonymous callers get the free tier
+const resolveTier = (req) => getTier(req.principal && req.principal.tier);
+
+// Stable counter key per caller
+const resolveCallerKey = (req) => {
+    const principal = req.principal;
+
+    if (principal && principal.type === 'api_key') {
+        return `key:${principal.keyId}`;
+    }
+
+    if (principal && principal.id) {
+        return `user:${principal.id}`;
+    }
+
+    return `ip:${req.ip}`;
+};
+
+const createRateLimiter = (options = {}) => {
+    const store = options.store || createDefaultStore();
+    const windowMs = options.windowMs || HOUR_MS;
+
+    const limiter = async (req, res, next) => {
+        // Already limited earlier in the chain (e.g. by a tier gate)
+        if (req.rateLimit) {
+            return next();
+        }
+
+        const tier = resolveTier(req);
+        const limit = tier.requestsPerHour;
+        let result;
+
+        req.rateLimit = { tier: tier.name, rejected: false };
+
+        try {
+            result = await store.increment(resolveCallerKey(req), windowMs);
+        } catch (error) {
+            // Fail open: a store outage must not take the API down with it
+            logger.error('Rate limit store unavailable', {
+                error: error.message,
+                endpoint: req.path,
+                timestamp: new Date().toISOString()
+            });
+            return next();
+        }
+
+        const remaining = Math.max(0, limit - result.count);
+        const resetSeconds = Math.ceil(result.resetTime / 1000);
+
+        res.set({
+            'X-RateLimit-Limit': String(limit),
+            'X-RateLimit-Remaining': String(remaining),
+            'X-RateLimit-Reset': String(resetSeconds),
+            'X-RateLimit-Tier': tier.name
+        });
+
+        if (result.count > limit) {
+            const retryAfter = Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000));
+            req.rateLimit.rejected = true;
+
+            logger.warn('Rate limit exceeded', {
+                ip: req.ip,
+                endpoint: req.path,
+                tier: tier.name,
+                limit,
+                timestamp: new Date().toISOString()
+            });
+
+            res.set('Retry-After', String(retryAfter));
+
+            return res.status(429).json({
+                error: 'Rate limit exceeded',
+                message: `${tier.name} tier: ${limit} requests per hour exceeded`,
+                code: 'RATE_LIMIT_EXCEEDED',
+                tier: tier.name,
+                limit,
+                retryAfter
+            });
+        }
+
+        // Anonymous callers only have the hourly limit
+        if (!req.principal) {
+            return next();
+        }
+
+        const { period, resetTime } = quotaPeriod();
+        const quotaLimit = tier.requestsPerMonth;
+        const key = quotaKey(resolveCallerKey(req), period);
+        let used;
+
+        try {
+            used = (await store.increment(key, resetTime - Date.now())).count;
+        } catch (error) {
+            logger.error('Quota store unavailable', {
+                error: error.message,
+                endpoint: req.path,
+                timestamp: new Date().toISOString()
+            });
+            return next();
+        }
+
+        const refund = () => store.decrement(key).catch(error => {
+            logger.error('Failed to refund quota', {
+                error: error.message,
+                caller: resolveCallerKey(req),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        res.set({
+            'X-Quota-Remaining': String(Math.max(0, quotaLimit - used)),
+            'X-Quota-Reset': String(Math.ceil(resetTime / 1000))
+        });
+
+        if (used > quotaLimit) {
+            const retryAfter = Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+            req.rateLimit.rejected = true;
+            refund();
+
+            logger.warn('Monthly quota exceeded', {
+                ip: req.ip,
+                endpoint: req.path,
+                caller: resolveCallerKey(req),
+                tier: tier.name,
+                quota: quotaLimit,
+                timestamp: new Date().toISOString()
+            });
+
+            res.set('Retry-After', String(retryAfter));
+
+            return res.status(429).json({
+                error: 'Quota exceeded',
+                message: `${tier.name} tier: ${quotaLimit} requests per month exceeded`,
+                code: 'QUOTA_EXCEEDED',
+                tier: tier.name,
+                quota: quotaLimit,
+                resetsAt: new Date(resetTime).toISOString(),
+                retryAfter
+            });
+        }
+
+        // A call the client abandons is not metered, so it is not charged
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                refund();
+            }
+        });
+
+        next();
+    };
+
+    // Current month's quota for the caller, without consuming any of it
+    limiter.getQuota = async (req) => {
+        const tier = resolveTier(req);
+        const { period, resetTime } = quotaPeriod();
+        const counter = await store.get(quotaKey(resolveCallerKey(req), period));
+        const used = counter ? counter.count : 0;
+
+        return {
+            tier: tier.name,
+            period,
+            limit: tier.requestsPerMonth,
+            used,
+            remaining: Math.max(0, tier.requestsPerMonth - used),
+            resetsAt: new Date(resetTime).toISOString()
+        };
+    };
+
+    limiter.store = store;
+
+    // Routes label themselves free/standard/premium for readability; the
+    // label does not change the limit, the caller's tier does.
+    limiter.free = limiter;
+    limiter.standard = limiter;
+    limiter.premium = limiter;
+
+    return limiter;
+};
+
+// Shared instance used by every route module
+const rateLimiter = createRateLimiter();
+
+module.exports = {
+    rateLimiter,
+    createRateLimiter,
+    resolveTier,
+    resolveCallerKey
+};
@@ -0,0 +1,135 @@
+const winston = require('winston');
+const { TIERS, getTier, isValidTier, DEFAULT_TIER } = require('../config/tiers');
+const { createRouteTable } = require('../utils/route-matcher');
+const { authenticate, hasCredentials, requireScope } = require('./auth.middleware');
+const { rateLimiter } = require('./rateLimiter.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// TIER GATING
+// =============================================================================
+// Enforces the FREE / STANDARD / PREMIUM labels on endpoints. Use
+// requireTier('premium') on a single route, or applyTierMap(router, map) to
+// declare the minimum tier for every endpoint of a router in one place. The
+// route registry puts tierGate in front of every router it mounts, with the
+// router's tier map and a `<league>:<domain>` scope, so every mounted router
+// is rate limited and draws on the monthly quota.
+// =============================================================================
+
+// Scope needed for a request, e.g. nba:games:read or nba:games:write
+const scopeFor = (scope, method) => {
+    const access = ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase()) ? 'read' : 'write';
+    return `${scope}:${access}`;
+};
+
+// Require the authenticated principal to be on `tier` or above
+const requireTier = (tier) => {
+    if (!isValidTier(tier)) {
+        throw new Error(`Unknown tier: ${tier}`);
+    }
+
+    const required = getTier(tier);
+
+    return (req, res, next) => {
+        if (!req.principal) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: `This endpoint requires the ${required.name} tier`,
+                code: 'NO_AUTHENTICATION',
+                requiredTier: required.name
+            });
+        }
+
+        const current = getTier(req.principal.tier);
+
+        if (current.level >= required.level) {
+            return next();
+        }
+
+        logger.warn('Tier too low for endpoint', {
+            ip: req.ip,
+            endpoint: req.originalUrl,
+            principal: req.principal.prefix || req.principal.id,
+            currentTier: current.name,
+            requiredTier: required.name,
+            timestamp: new Date().toISOString()
+        });
+
+        return res.status(403).json({
+            error: 'Upgrade required',
+            message: `This endpoint requires the ${required.name} tier; your credentials are on the ${current.name} tier`,
+            code: 'TIER_UPGRADE_REQUIRED',
+            currentTier: current.name,
+            requiredTier: required.name,
+            upgrade: {
+                tier: required.name,
+                requestsPerHour: required.requestsPerHour,
+                hint: `Upgrade to the ${required.name} tier to unlock this endpoint`
+            }
+        });
+    };
+};
+
+// Gate for a { 'GET /path': 'tier' } map; endpoints missing from the map
+// are free. Paid endpoints are authenticated here so the tier is known
+// before the route handlers run; free ones are authenticated when the
+// request carries credentials. With `scope`, authenticated callers also
+// need its read (GET) or write scope. Admitted calls then go through the
+// shared rate limiter (hourly limit and monthly quota of the caller's tier).
+const tierGate = (tierMap = {}, { scope = null } = {}) => {
+    const table = createRouteTable(tierMap);
+    const gates = Object.fromEntries(Object.keys(TIERS).map(name => [name, requireTier(name)]));
+
+    return (req, res, next) => {
+        const entry = table.match(req.method, req.path);
+        const required = getTier(entry ? entry.value : DEFAULT_TIER);
+        req.requiredTier = required.name;
+
+        const limit = () => rateLimiter(req, res, next);
+
+        const checkScope = () => {
+            if (!scope || !req.principal) {
+                return limit();
+            }
+            requireScope(scopeFor(scope, req.method))(req, res, limit);
+        };
+
+        if (required.name === DEFAULT_TIER) {
+            return hasCredentials(req) ? authenticate(req, res, checkScope) : limit();
+        }
+
+        authenticate(req, res, () => gates[required.name](req, res, checkScope));
+    };
+};
+
+// Declare the minimum tier of a router's endpoints. The route registry reads
+// router.tierMap and gates the router with it when mounting.
+const applyTierMap = (router, tierMap) => {
+    Object.entries(tierMap).forEach(([signature, tier]) => {
+        if (!isValidTier(tier)) {
+            throw new Error(`Unknown tier '${tier}' for ${signature}`);
+        }
+    });
+
+    router.tierMap = tierMap;
+
+    return router;
+};
+
+module.exports = {
+    scopeFor,
+    requireTier,
+    tierGate,
+    applyTierMap
+};
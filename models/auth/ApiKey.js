@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { TIERS, DEFAULT_TIER } = require('../../config/tiers');
+
+// =============================================================================
+// API KEY MONGODB MODEL
+// =============================================================================
+// Registry of issued API keys. Only a SHA-256 hash of each key is stored;
+// the public prefix (e.g. `fah_3f9a1c07b2de`) is kept in clear for lookup.
+// =============================================================================
+
+// Key owner schema
+const OwnerSchema = new mongoose.Schema({
+    id: { type: String, required: true },
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    organization: { type: String, trim: true }
+}, { _id: false });
+
+// Main ApiKey schema
+const ApiKeySchema = new mongoose.Schema({
+    prefix: { type: String, required: true, unique: true, index: true },
+    keyHash: { type: String, required: true, select: false },
+    name: { type: String, trim: true, default: 'default' },
+    owner: { type: OwnerSchema, required: true },
+    tier: { type: String, enum: Object.keys(TIERS), default: DEFAULT_TIER },
+    scopes: [{ type: String, trim: true }],
+
+    // Lifecycle
+    expiresAt: { type: Date, default: null },
+    revoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+    lastUsedAt: { type: Date, default: null },
+
+    // Rotation chain
+    rotatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null },
+    rotatedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null }
+}, {
+    timestamps: true
+});
+
+ApiKeySchema.index({ 'owner.id': 1 });
+
+// Instance methods
+ApiKeySchema.methods.isExpired = function(now = new Date()) {
+    return !!this.expiresAt && this.expiresAt <= now;
+};
+
+ApiKeySchema.methods.isActive = function(now = new Date()) {
+    return !this.revoked && !this.isExpired(now);
+};
+
+ApiKeySchema.methods.getStatus = function(now = new Date()) {
+    if (this.revoked) return 'revoked';
+    if (this.isExpired(now)) return 'expired';
+    if (this.rotatedTo) return 'rotating';
+    return 'active';
+};
+
+// Static methods
+ApiKeySchema.statics.findByPrefix = function(prefix) {
+    return this.findOne({ prefix }).select('+keyHash');
+};
+
+ApiKeySchema.statics.findByOwner = function(ownerId) {
+    return this.find({ 'owner.id': ownerId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// =============================================================================
+// REFRESH TOKEN MONGODB MODEL
+// =============================================================================
+// Issued refresh tokens, by SHA-256 hash. A token is spent once (usedAt) and
+// removed by MongoDB when it expires.
+// =============================================================================
+
+const RefreshTokenSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    familyId: { type: String, required: true },
+    userId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// =============================================================================
+// REFRESH TOKEN FAMILY MONGODB MODEL
+// =============================================================================
+// One login session: the chain of refresh tokens rotated from it. Revoking
+// the family ends the session. It expires with its newest token.
+// =============================================================================
+
+const RefreshTokenFamilySchema = new mongoose.Schema({
+    familyId: { type: String, required: true, unique: true },
+    userId: { type: String, required: true, index: true },
+    revoked: { type: Boolean, default: false },
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+RefreshTokenFamilySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshTokenFamily', RefreshTokenFamilySchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// =============================================================================
+// USAGE BUCKET MONGODB MODEL
+// =============================================================================
+// Metered traffic per caller, endpoint and time bucket. Each request is added
+// to one hourly and one daily bucket; documents are upserted with $inc.
+// =============================================================================
+
+const UsageBucketSchema = new mongoose.Schema({
+    // Caller the traffic is billed to: "key:<keyId>" or "user:<userId>"
+    subject: { type: String, required: true },
+    keyId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null },
+    granularity: { type: String, enum: ['hour', 'day'], required: true },
+    bucket: { type: Date, required: true }, // start of the hour/day (UTC)
+    endpoint: { type: String, required: true }, // e.g. "GET /api/nba/games/:gameId"
+
+    requests: { type: Number, default: 0 },
+    status: {
+        '2xx': { type: Number, default: 0 },
+        '3xx': { type: Number, default: 0 },
+        '4xx': { type: Number, default: 0 },
+        '5xx': { type: Number, default: 0 }
+    },
+    latencyMsTotal: { type: Number, default: 0 },
+    latencyMsMax: { type: Number, default: 0 },
+    bytes: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+UsageBucketSchema.index({ subject: 1, granularity: 1, bucket: 1, endpoint: 1 }, { unique: true });
+
+// Hourly buckets are only needed for recent history
+UsageBucketSchema.index({ createdAt: 1 }, {
+    expireAfterSeconds: 90 * 24 * 60 * 60,
+    partialFilterExpression: { granularity: 'hour' }
+});
+
+module.exports = mongoose.model('UsageBucket', UsageBucketSchema);
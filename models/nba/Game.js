@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const cacheInvalidation = require('../plugins/cacheInvalidation');
+const statusTransition = require('../plugins/statusTransition');
+const { tagsForGame } = require('../../services/sports/NBA/cache-tags');
+const { webhookService } = require('../../services/webhooks/webhook.service');
+const { gameFinalPayload } = require('../../services/webhooks/webhook.events');
 
 // Weather conditions schema
 const WeatherSchema = new mongoose.Schema({
@@ -117,6 +122,20 @@ const OddsSchema = new mongoose.Schema({
     lastUpdated: { type: Date, default: Date.now }
 });
 
+// Play-by-play event; `sequence` increases monotonically within a game
+const PlaySchema = new mongoose.Schema({
+    sequence: { type: Number, required: true },
+    quarter: { type: Number, required: true },
+    clock: { type: String },
+    teamId: { type: String },
+    playerId: { type: String },
+    type: { type: String }, // e.g. 'shot', 'free_throw', 'foul', 'turnover', 'timeout'
+    description: { type: String },
+    homeScore: { type: Number },
+    awayScore: { type: Number },
+    occurredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 // Live scores schema
 const LiveScoreSchema = new mongoose.Schema({
     quarter: { type: Number, default: 1 },
@@ -129,6 +148,8 @@ const LiveScoreSchema = new mongoose.Schema({
         awayScore: Number
     }],
     gameStatus: { type: String, enum: ['scheduled', 'live', 'halftime', 'final'], default: 'scheduled' },
+    // Latest plays only; writers keep this trimmed
+    recentPlays: [PlaySchema],
     lastUpdated: { type: Date, default: Date.now }
 });
 
@@ -254,5 +275,20 @@ GameSchema.methods.updateDataQuality = function() {
     this.dataQuality.freshness = new Date();
 };
 
+// Purge cached scores, box scores and game lists on every write
+GameSchema.plugin(cacheInvalidation, {
+    tagsFor: tagsForGame,
+    fields: 'gameId season homeTeam.teamId homeTeam.abbreviation awayTeam.teamId awayTeam.abbreviation'
+});
+
+// Push game.final to webhook subscribers when a game ends
+GameSchema.plugin(statusTransition, {
+    path: 'liveScore.gameStatus',
+    to: 'final',
+    onTransition: (game) => webhookService.publish('game.final', gameFinalPayload(game)),
+    fields: 'gameId season gameType date homeTeam.teamId homeTeam.name homeTeam.abbreviation ' +
+        'awayTeam.teamId awayTeam.name awayTeam.abbreviation liveScore'
+});
+
 module.exports = mongoose.model('Game', GameSchema);
 
@@ -0,0 +1,73 @@
+const { invalidateTags } = require('../../services/cache.service');
+
+// =============================================================================
+// CACHE INVALIDATION PLUGIN
+// =============================================================================
+// Purges tagged cache entries whenever documents of a model change.
+//
+//   schema.plugin(cacheInvalidation, {
+//       tagsFor: (doc) => [...],         // tags a changed document invalidates
+//       fields: 'gameId season homeTeam' // fields tagsFor needs
+//   });
+//
+// Document writes (save, deleteOne, findOneAnd*) use the document itself.
+// Query writes (updateOne, updateMany, deleteOne, deleteMany) look up the
+// matching documents before the write, since the result carries no document.
+// Invalidation failures are logged by the cache service and never fail the
+// write.
+// =============================================================================
+
+const QUERY_WRITES = ['updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'replaceOne'];
+const DOCUMENT_RETURNING_WRITES = ['findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace'];
+
+// Upper bound on documents inspected for a single query write
+const MAX_AFFECTED_DOCUMENTS = 1000;
+
+const cacheInvalidation = (schema, { tagsFor, fields = null }) => {
+    const purge = (docs) => {
+        const tags = [].concat(docs).filter(Boolean).flatMap(doc => tagsFor(doc));
+        return tags.length > 0 ? invalidateTags(tags) : Promise.resolve(0);
+    };
+
+    schema.post('save', function(doc) {
+        return purge(doc);
+    });
+
+    schema.post('insertMany', function(docs) {
+        return purge(docs);
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, function(doc) {
+        return purge(doc);
+    });
+
+    // findOneAnd* return the document before (or after, with `new`) the write;
+    // the lookup fields are stable so either version yields the same tags
+    DOCUMENT_RETURNING_WRITES.forEach(operation => {
+        schema.post(operation, function(doc) {
+            return purge(doc);
+        });
+    });
+
+    QUERY_WRITES.forEach(operation => {
+        schema.pre(operation, { document: false, query: true }, async function() {
+            const query = this.model.find(this.getFilter()).limit(MAX_AFFECTED_DOCUMENTS).lean();
+            this._cacheAffected = await (fields ? query.select(fields) : query);
+        });
+
+        schema.post(operation, { document: false, query: true }, function(result) {
+            const affected = this._cacheAffected || [];
+
+            // An upsert that inserted has no prior document; build one from
+            // the filter and the update instead
+            if (affected.length === 0 && result && result.upsertedCount) {
+                const update = this.getUpdate() || {};
+                affected.push({ ...this.getFilter(), ...(update.$set || update) });
+            }
+
+            return purge(affected);
+        });
+    });
+};
+
+module.exports = cacheInvalidation;
@@ -0,0 +1,74 @@
+// =============================================================================
+// MEMBER STATUS CHANGE PLUGIN
+// =============================================================================
+// Calls `onChange(doc, member, previous)` for each element of an array field
+// whose status changes, e.g. a roster player being ruled out:
+//
+//   schema.plugin(memberStatusChange, {
+//       array: 'roster',
+//       key: 'playerId',           // identifies an element across writes
+//       path: 'status',            // element field that is compared
+//       onChange: (team, player, previousStatus) => ...,
+//       fields: 'teamId roster'    // fields onChange needs, incl. the array
+//   });
+//
+// save() compares against the statuses the document was loaded with. Query
+// updates (updateOne, updateMany, findOneAndUpdate) that touch the array read
+// the matching documents before the write and re-read them afterwards.
+// Elements that are added or removed are not status changes.
+// =============================================================================
+
+const { updateTouches } = require('./updatePaths');
+
+const QUERY_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// Upper bound on documents inspected for a single query update
+const MAX_AFFECTED_DOCUMENTS = 1000;
+
+const memberStatusChange = (schema, { array, key, path, onChange, fields = null }) => {
+    // element key -> status
+    const statusesOf = (doc) => new Map((doc[array] || []).map(member => [String(member[key]), member[path]]));
+
+    const notify = (doc, previous) => Promise.all((doc[array] || [])
+        .filter(member => previous.has(String(member[key])))
+        .filter(member => previous.get(String(member[key])) !== member[path])
+        .map(member => onChange(doc, member, previous.get(String(member[key])))));
+
+    schema.post('init', function() {
+        this.$locals.memberStatuses = statusesOf(this);
+    });
+
+    schema.post('save', function(doc) {
+        const previous = doc.$locals.memberStatuses;
+        doc.$locals.memberStatuses = statusesOf(doc);
+
+        // New documents have nothing to compare against
+        return previous ? notify(doc, previous) : undefined;
+    });
+
+    QUERY_UPDATES.forEach(operation => {
+        schema.pre(operation, { document: false, query: true }, async function() {
+            if (!updateTouches(this.getUpdate(), array)) return;
+
+            const docs = await this.model
+                .find(this.getFilter())
+                .select(`${array}.${key} ${array}.${path}`)
+                .limit(MAX_AFFECTED_DOCUMENTS)
+                .lean();
+
+            this._memberStatuses = new Map(docs.map(doc => [String(doc._id), statusesOf(doc)]));
+        });
+
+        schema.post(operation, { document: false, query: true }, async function() {
+            const before = this._memberStatuses;
+            if (!before || before.size === 0) return;
+
+            const query = this.model.find({ _id: { $in: [...before.keys()] } }).lean();
+            const docs = await (fields ? query.select(fields) : query);
+
+            return Promise.all(docs.map(doc => notify(doc, before.get(String(doc._id)))));
+        });
+    });
+};
+
+module.exports = memberStatusChange;
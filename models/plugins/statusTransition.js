@@ -0,0 +1,65 @@
+// =============================================================================
+// STATUS TRANSITION PLUGIN
+// =============================================================================
+// Calls `onTransition(doc)` once for each document whose field changes to a
+// given value, e.g. a game going final:
+//
+//   schema.plugin(statusTransition, {
+//       path: 'liveScore.gameStatus',
+//       to: 'final',
+//       onTransition: (game) => ...,
+//       fields: 'gameId liveScore'   // fields onTransition needs
+//   });
+//
+// save() compares against the loaded document. Query updates (updateOne,
+// updateMany, findOneAndUpdate) that set the field note which matching
+// documents were not yet at the value before the write and re-read those
+// that are afterwards; updates leaving the field alone cost no extra reads.
+// Documents created already at the value are not transitions.
+// =============================================================================
+
+const { updateTouches } = require('./updatePaths');
+
+const QUERY_UPDATES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// Upper bound on documents inspected for a single query update
+const MAX_AFFECTED_DOCUMENTS = 1000;
+
+const statusTransition = (schema, { path, to, onTransition, fields = null }) => {
+    const notify = (docs) => Promise.all(docs.map(doc => onTransition(doc)));
+
+    schema.pre('save', function() {
+        this.$locals.statusTransitioned = !this.isNew && this.isModified(path) && this.get(path) === to;
+    });
+
+    schema.post('save', function(doc) {
+        if (!doc.$locals.statusTransitioned) return;
+
+        doc.$locals.statusTransitioned = false;
+        return notify([doc]);
+    });
+
+    QUERY_UPDATES.forEach(operation => {
+        schema.pre(operation, { document: false, query: true }, async function() {
+            if (!updateTouches(this.getUpdate(), path)) return;
+
+            const candidates = await this.model
+                .find({ $and: [this.getFilter(), { [path]: { $ne: to } }] })
+                .select('_id')
+                .limit(MAX_AFFECTED_DOCUMENTS)
+                .lean();
+
+            this._transitionCandidates = candidates.map(doc => doc._id);
+        });
+
+        schema.post(operation, { document: false, query: true }, async function() {
+            const ids = this._transitionCandidates || [];
+            if (ids.length === 0) return;
+
+            const query = this.model.find({ _id: { $in: ids }, [path]: to }).lean();
+            return notify(await (fields ? query.select(fields) : query));
+        });
+    });
+};
+
+module.exports = statusTransition;
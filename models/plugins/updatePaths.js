@@ -0,0 +1,15 @@
+// =============================================================================
+// UPDATE PATHS
+// =============================================================================
+// Helpers for query middleware that only needs to run when an update can
+// change a particular field.
+// =============================================================================
+
+// Whether `update` may write `path`: directly, through a parent (setting
+// `liveScore` replaces `liveScore.gameStatus`) or through a child. Pipeline
+// updates are opaque, so they always may.
+const updateTouches = (update, path) => Array.isArray(update) || Object.entries(update || {}).some(([field, value]) =>
+    (field.startsWith('$') ? Object.keys(value || {}) : [field])
+        .some(name => name === path || path.startsWith(`${name}.`) || name.startsWith(`${path}.`)));
+
+module.exports = { updateTouches };
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// =============================================================================
+// WEBHOOK DELIVERY MONGODB MODEL
+// =============================================================================
+// One event sent to one subscription, with every attempt made. Deliveries
+// move pending -> delivering -> succeeded, or back to pending with a later
+// nextAttemptAt after a failure, until they run out of attempts and become
+// dead (the dead-letter list). The log is kept for 30 days.
+// =============================================================================
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'dead'];
+
+const AttemptSchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: 0 },
+    error: { type: String, default: null }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+    owner: { type: String, required: true },
+
+    // The event; eventId is shared by every delivery of the same event
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    attemptLog: [AttemptSchema],
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    deadAt: { type: Date, default: null },
+
+    // Set when an operator or owner asked for it to be sent again
+    redeliveredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null }
+}, {
+    timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+WebhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
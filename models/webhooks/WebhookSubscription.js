@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENT_TYPES } = require('../../services/webhooks/webhook.events');
+
+// =============================================================================
+// WEBHOOK SUBSCRIPTION MONGODB MODEL
+// =============================================================================
+// A partner endpoint and the events it receives. The signing secret is kept
+// in clear because every delivery is signed with it; it is never selected
+// unless asked for.
+// =============================================================================
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+    // Principal id of the API key owner or JWT user that registered it
+    owner: { type: String, required: true },
+    url: { type: String, required: true, trim: true },
+    events: [{ type: String, enum: WEBHOOK_EVENT_TYPES }],
+    description: { type: String, trim: true, default: '' },
+    secret: { type: String, required: true, select: false },
+
+    active: { type: Boolean, default: true },
+    disabledReason: { type: String, default: null },
+
+    // Delivery health
+    consecutiveFailures: { type: Number, default: 0 },
+    lastDeliveryAt: { type: Date, default: null },
+    lastSuccessAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+WebhookSubscriptionSchema.index({ owner: 1 });
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,43 @@
+const { meteringService } = require('../metering.service');
+const { rateLimiter, resolveCallerKey } = require('../../middleware/rateLimiter.middleware');
+
+// =============================================================================
+// ACCOUNT CONTROLLER
+// =============================================================================
+// Self-service views for the authenticated caller (API key or JWT user).
+// =============================================================================
+
+class AccountController {
+    /**
+     * Monthly quota and metered usage of the caller
+     * @route GET /api/account/usage
+     * @query granularity (hour|day), from, to
+     */
+    getUsage = async (req, res, next) => {
+        try {
+            const { granularity, from, to } = req.query;
+            const [quota, usage] = await Promise.all([
+                rateLimiter.getQuota(req),
+                meteringService.getUsage(resolveCallerKey(req), { granularity, from, to })
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    caller: {
+                        type: req.principal.type,
+                        id: req.principal.id,
+                        keyPrefix: req.principal.prefix
+                    },
+                    quota,
+                    usage
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new AccountController();
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const accountController = require('./account.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { rateLimiter } = require('../../middleware/rateLimiter.middleware');
+const { errorHandler } = require('../../middleware/error-handler.middleware');
+
+// =============================================================================
+// ACCOUNT ROUTES
+// =============================================================================
+// Customers see their own consumption; every endpoint requires an API key
+// or JWT and counts against the caller's limits like any other call.
+// =============================================================================
+
+router.use(authenticate, rateLimiter);
+
+router.get('/usage', accountController.getUsage);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
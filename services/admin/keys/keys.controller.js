@@ -0,0 +1,241 @@
+const winston = require('winston');
+const { apiKeyService } = require('../../apiKey.service');
+const { meteringService } = require('../../metering.service');
+const { ValidationError } = require('../../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// ADMIN API KEYS CONTROLLER
+// =============================================================================
+// Issue, rotate, revoke and re-tier API keys, and report per-key usage.
+// The plaintext key is only ever returned by create and rotate.
+// =============================================================================
+
+const KEY_STATUSES = ['active', 'rotating', 'expired', 'revoked'];
+
+class KeysController {
+    /**
+     * List API keys
+     * @route GET /api/admin/keys
+     * @query ownerId, tier, status
+     */
+    listKeys = async (req, res, next) => {
+        try {
+            const { ownerId, tier, status } = req.query;
+
+            if (status && !KEY_STATUSES.includes(status)) {
+                throw new ValidationError(`status must be one of: ${KEY_STATUSES.join(', ')}`, 'status');
+            }
+
+            const records = await apiKeyService.listKeys({ ownerId, tier, status });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    keys: records.map(record => apiKeyService.toAdminView(record)),
+                    total: records.length
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Issue a new API key
+     * @route POST /api/admin/keys
+     * @body owner {id, name, email, organization}, tier, scopes, expiresAt, name
+     */
+    createKey = async (req, res, next) => {
+        try {
+            const { owner, tier, scopes, expiresAt, name } = req.body || {};
+
+            if (!owner || !owner.id) {
+                throw new ValidationError('owner.id is required', 'owner.id');
+            }
+            if (scopes !== undefined && !Array.isArray(scopes)) {
+                throw new ValidationError('scopes must be an array', 'scopes');
+            }
+            if (expiresAt !== undefined && isNaN(new Date(expiresAt))) {
+                throw new ValidationError('expiresAt must be a date', 'expiresAt');
+            }
+
+            const { apiKey, record } = await apiKeyService.createKey({
+                owner,
+                tier,
+                scopes,
+                expiresAt: expiresAt ? new Date(expiresAt) : null,
+                name
+            });
+
+            logger.info('API key issued', {
+                keyId: record._id.toString(),
+                prefix: record.prefix,
+                ownerId: owner.id,
+                tier: record.tier,
+                issuedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    apiKey,
+                    key: apiKeyService.toAdminView(record)
+                },
+                message: 'Store this key now; it cannot be retrieved again',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Get a single API key
+     * @route GET /api/admin/keys/:keyId
+     */
+    getKey = async (req, res, next) => {
+        try {
+            const record = await apiKeyService.getKey(req.params.keyId);
+
+            res.status(200).json({
+                success: true,
+                data: { key: apiKeyService.toAdminView(record) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Rotate a key; the old key keeps working for the grace window
+     * @route POST /api/admin/keys/:keyId/rotate
+     * @body graceHours (default 24, max 168)
+     */
+    rotateKey = async (req, res, next) => {
+        try {
+            const { graceHours } = req.body || {};
+            const { apiKey, record, previous } = await apiKeyService.rotateKey(req.params.keyId, { graceHours });
+
+            logger.info('API key rotated', {
+                keyId: previous._id.toString(),
+                newKeyId: record._id.toString(),
+                graceEndsAt: previous.expiresAt,
+                rotatedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    apiKey,
+                    key: apiKeyService.toAdminView(record),
+                    previous: apiKeyService.toAdminView(previous)
+                },
+                message: `Previous key remains valid until ${previous.expiresAt.toISOString()}`,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Revoke a key immediately
+     * @route POST /api/admin/keys/:keyId/revoke
+     * @body reason
+     */
+    revokeKey = async (req, res, next) => {
+        try {
+            const { reason } = req.body || {};
+            const record = await apiKeyService.revokeKey(req.params.keyId, reason || null);
+
+            logger.info('API key revoked', {
+                keyId: record._id.toString(),
+                reason: record.revokedReason,
+                revokedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { key: apiKeyService.toAdminView(record) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Change the tier of a key
+     * @route PATCH /api/admin/keys/:keyId/tier
+     * @body tier
+     */
+    changeTier = async (req, res, next) => {
+        try {
+            const { tier } = req.body || {};
+
+            if (!tier) {
+                throw new ValidationError('tier is required', 'tier');
+            }
+
+            const record = await apiKeyService.changeTier(req.params.keyId, tier);
+
+            logger.info('API key tier changed', {
+                keyId: record._id.toString(),
+                tier: record.tier,
+                changedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { key: apiKeyService.toAdminView(record) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Metered usage for a key by time bucket and by endpoint
+     * @route GET /api/admin/keys/:keyId/usage
+     * @query granularity (hour|day, default day), from, to
+     */
+    getUsage = async (req, res, next) => {
+        try {
+            const record = await apiKeyService.getKey(req.params.keyId);
+            const { granularity, from, to } = req.query;
+            const usage = await meteringService.getUsage(`key:${record._id}`, { granularity, from, to });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    key: apiKeyService.toAdminView(record),
+                    usage
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new KeysController();
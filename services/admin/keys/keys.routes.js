@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const keysController = require('./keys.controller');
+const { validateJWT, requireRole } = require('../../../middleware/auth.middleware');
+const { errorHandler } = require('../../../middleware/error-handler.middleware');
+
+// =============================================================================
+// ADMIN API KEYS ROUTES
+// =============================================================================
+// Key management for operators. Every endpoint requires a JWT carrying the
+// `admin` role.
+// =============================================================================
+
+router.use(validateJWT, requireRole('admin'));
+
+router.get('/', keysController.listKeys);
+router.post('/', keysController.createKey);
+router.get('/:keyId', keysController.getKey);
+router.post('/:keyId/rotate', keysController.rotateKey);
+router.post('/:keyId/revoke', keysController.revokeKey);
+router.patch('/:keyId/tier', keysController.changeTier);
+router.get('/:keyId/usage', keysController.getUsage);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
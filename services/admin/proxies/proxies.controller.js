@@ -0,0 +1,181 @@
+const winston = require('winston');
+const { getProxyManager } = require('../../../src/services/container');
+const {
+    APIError,
+    ValidationError,
+    NotFoundError
+} = require('../../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// ADMIN PROXIES CONTROLLER
+// =============================================================================
+// Health of the scraper proxy pool, on-demand health checks, and manual
+// quarantine. A quarantined proxy stays out of rotation until re-enabled,
+// whatever its health; re-enabling also closes its circuit breaker.
+// Proxy ids contain "://", so URL-encode them in the path.
+// The pool only runs where SCRAPING_ENABLED=true; elsewhere the status
+// reports `enabled: false` and the actions answer 503, so neither loads the
+// inventory or starts its health checks.
+// =============================================================================
+
+const MAX_REASON_LENGTH = 200;
+
+const scrapingEnabled = () => process.env.SCRAPING_ENABLED === 'true';
+
+const requireProxyManager = () => {
+    if (!scrapingEnabled()) {
+        throw new APIError('Scraping is not enabled on this instance', 503, 'SCRAPING_DISABLED');
+    }
+    return getProxyManager();
+};
+
+class ProxiesController {
+    /**
+     * Pool summary and per-proxy health, best first
+     * @route GET /api/admin/proxies
+     */
+    getPool = async (req, res, next) => {
+        try {
+            if (!scrapingEnabled()) {
+                return res.status(200).json({
+                    success: true,
+                    data: { enabled: false, pool: null, proxies: [] },
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const proxyManager = getProxyManager();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    enabled: true,
+                    pool: proxyManager.getStatus(),
+                    proxies: proxyManager.getProxyHealth()
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Probe every proxy now instead of waiting for the next scheduled check.
+     * Proxies cooling down or quarantined are skipped.
+     * @route POST /api/admin/proxies/health-check
+     */
+    runHealthCheck = async (req, res, next) => {
+        try {
+            const proxyManager = requireProxyManager();
+            const results = await proxyManager.performHealthCheck();
+
+            logger.info('Proxy health check forced', {
+                checked: results.length,
+                healthy: results.filter(result => result.healthy).length,
+                requestedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    results,
+                    proxies: proxyManager.getProxyHealth()
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Take a proxy out of rotation
+     * @route POST /api/admin/proxies/:proxyId/quarantine
+     * @body reason (optional, max 200 characters)
+     */
+    quarantineProxy = async (req, res, next) => {
+        try {
+            const { reason = null } = req.body || {};
+
+            if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+                throw new ValidationError(`reason must be a string of at most ${MAX_REASON_LENGTH} characters`, 'reason');
+            }
+
+            const proxyManager = requireProxyManager();
+            const existing = proxyManager.getProxy(req.params.proxyId);
+
+            if (!existing) {
+                throw new NotFoundError('Proxy');
+            }
+            if (existing.type === 'direct') {
+                throw new APIError('The direct connection cannot be quarantined', 409, 'PROXY_CONFLICT');
+            }
+
+            const proxy = proxyManager.quarantineProxy(existing.id, { reason, by: req.principal.id });
+
+            logger.info('Proxy quarantined', {
+                proxyId: proxy.id,
+                reason,
+                quarantinedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { proxy: this.proxyView(proxyManager, proxy.id) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Put a quarantined or tripped proxy back in rotation
+     * @route POST /api/admin/proxies/:proxyId/enable
+     */
+    enableProxy = async (req, res, next) => {
+        try {
+            const proxyManager = requireProxyManager();
+            const proxy = proxyManager.enableProxy(req.params.proxyId);
+
+            if (!proxy) {
+                throw new NotFoundError('Proxy');
+            }
+
+            logger.info('Proxy re-enabled', {
+                proxyId: proxy.id,
+                enabledBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { proxy: this.proxyView(proxyManager, proxy.id) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    proxyView(proxyManager, proxyId) {
+        return proxyManager.getProxyHealth().find(proxy => proxy.id === proxyId);
+    }
+}
+
+module.exports = new ProxiesController();
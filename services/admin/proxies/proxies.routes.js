@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const proxiesController = require('./proxies.controller');
+const { validateJWT, requireRole } = require('../../../middleware/auth.middleware');
+const { errorHandler } = require('../../../middleware/error-handler.middleware');
+
+// =============================================================================
+// ADMIN PROXIES ROUTES
+// =============================================================================
+// Inspect the scraper proxy pool, force a health check, and quarantine or
+// re-enable proxies. Every endpoint requires a JWT carrying the `admin` role.
+// =============================================================================
+
+router.use(validateJWT, requireRole('admin'));
+
+router.get('/', proxiesController.getPool);
+router.post('/health-check', proxiesController.runHealthCheck);
+router.post('/:proxyId/quarantine', proxiesController.quarantineProxy);
+router.post('/:proxyId/enable', proxiesController.enableProxy);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const winston = require('winston');
+const {
+    getScrapingOrchestrator,
+    getScrapeJobQueue,
+    getCrawlPolicy,
+    getSchemaDriftDetector
+} = require('../../../src/services/container');
+const {
+    APIError,
+    ValidationError
+} = require('../../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// ADMIN SCRAPERS CONTROLLER
+// =============================================================================
+// Status of the scraping orchestrator on this instance, with pause/resume for
+// the scheduled (cron) scrapes and drain/start for the job queue. Draining
+// stops this worker claiming jobs and waits for running scrapes; queued jobs
+// stay queued. The orchestrator only runs where SCRAPING_ENABLED=true, so
+// the actions answer 503 elsewhere and the status reports `enabled: false`
+// without starting the queue, crawl policy or drift detector.
+// =============================================================================
+
+const DEFAULT_DRAIN_TIMEOUT_SECONDS = 30;
+const MAX_DRAIN_TIMEOUT_SECONDS = 300;
+const MAX_REASON_LENGTH = 200;
+
+const scrapingEnabled = () => process.env.SCRAPING_ENABLED === 'true';
+
+const requireOrchestrator = () => {
+    if (!scrapingEnabled()) {
+        throw new APIError('Scraping is not enabled on this instance', 503, 'SCRAPING_DISABLED');
+    }
+    return getScrapingOrchestrator();
+};
+
+class ScrapersController {
+    /**
+     * Orchestrator, queue, crawl policy and selector health
+     * @route GET /api/admin/scrapers
+     */
+    getStatus = async (req, res, next) => {
+        try {
+            if (!scrapingEnabled()) {
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        enabled: false,
+                        orchestrator: null,
+                        activeScrapes: [],
+                        queue: null,
+                        crawlPolicy: null,
+                        selectorHealth: null
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const orchestrator = getScrapingOrchestrator();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    enabled: true,
+                    orchestrator: orchestrator.getStatus(),
+                    activeScrapes: orchestrator.getActiveScrapes(),
+                    queue: await getScrapeJobQueue().stats(),
+                    crawlPolicy: getCrawlPolicy().getStatus(),
+                    selectorHealth: getSchemaDriftDetector().getReport()
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Skip scheduled scrapes until resumed; requested scrapes still run
+     * @route POST /api/admin/scrapers/schedule/pause
+     * @body reason (optional, max 200 characters)
+     */
+    pauseSchedule = async (req, res, next) => {
+        try {
+            const { reason = null } = req.body || {};
+
+            if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+                throw new ValidationError(`reason must be a string of at most ${MAX_REASON_LENGTH} characters`, 'reason');
+            }
+
+            const orchestrator = requireOrchestrator();
+            orchestrator.pauseScheduledScraping({ reason, by: req.principal.id });
+
+            logger.info('Scheduled scraping paused', {
+                reason,
+                pausedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { scheduled: orchestrator.getStatus().scheduled },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * @route POST /api/admin/scrapers/schedule/resume
+     */
+    resumeSchedule = async (req, res, next) => {
+        try {
+            const orchestrator = requireOrchestrator();
+            orchestrator.resumeScheduledScraping();
+
+            logger.info('Scheduled scraping resumed', {
+                resumedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { scheduled: orchestrator.getStatus().scheduled },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Stop claiming jobs and wait for the active scrapes to finish
+     * @route POST /api/admin/scrapers/queue/drain
+     * @body timeoutSeconds (default 30, max 300)
+     */
+    drainQueue = async (req, res, next) => {
+        try {
+            const { timeoutSeconds = DEFAULT_DRAIN_TIMEOUT_SECONDS } = req.body || {};
+
+            if (typeof timeoutSeconds !== 'number' || timeoutSeconds < 0 || timeoutSeconds > MAX_DRAIN_TIMEOUT_SECONDS) {
+                throw new ValidationError(`timeoutSeconds must be between 0 and ${MAX_DRAIN_TIMEOUT_SECONDS}`, 'timeoutSeconds');
+            }
+
+            const orchestrator = requireOrchestrator();
+            const { drained, remaining } = await orchestrator.drain({ timeoutMs: timeoutSeconds * 1000 });
+
+            logger.info('Scrape queue drained', {
+                drained,
+                remaining: remaining.length,
+                drainedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    drained,
+                    remaining,
+                    queueRunning: orchestrator.jobQueue.running
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Start claiming jobs again after a drain
+     * @route POST /api/admin/scrapers/queue/start
+     */
+    startQueue = async (req, res, next) => {
+        try {
+            const orchestrator = requireOrchestrator();
+            orchestrator.start();
+
+            logger.info('Scrape queue started', {
+                startedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { queueRunning: orchestrator.jobQueue.running },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new ScrapersController();
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const scrapersController = require('./scrapers.controller');
+const { validateJWT, requireRole } = require('../../../middleware/auth.middleware');
+const { errorHandler } = require('../../../middleware/error-handler.middleware');
+
+// =============================================================================
+// ADMIN SCRAPERS ROUTES
+// =============================================================================
+// Scraping status, pause/resume of scheduled scrapes, and drain/start of
+// this instance's job queue. Every endpoint requires a JWT carrying the
+// `admin` role.
+// =============================================================================
+
+router.use(validateJWT, requireRole('admin'));
+
+router.get('/', scrapersController.getStatus);
+router.post('/schedule/pause', scrapersController.pauseSchedule);
+router.post('/schedule/resume', scrapersController.resumeSchedule);
+router.post('/queue/drain', scrapersController.drainQueue);
+router.post('/queue/start', scrapersController.startQueue);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const winston = require('winston');
+const { getScrapeJobQueue } = require('../../../src/services/container');
+const { ScrapeJobConflictError } = require('../../../src/services/scraping/ScrapeJobQueue');
+const ScrapeJob = require('../../../src/models/ScrapeJob');
+const {
+    APIError,
+    ValidationError,
+    NotFoundError
+} = require('../../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// ADMIN SCRAPE JOBS CONTROLLER
+// =============================================================================
+// Read-only views of the scrape job queue, plus requeue for jobs that failed,
+// died or need running again. Requeueing never runs a job twice at once: a
+// queued or running job, or one whose idempotency key already has a pending
+// job, is a conflict.
+// =============================================================================
+
+const MAX_LIST_LIMIT = 200;
+const MAX_REQUEUE_DELAY_SECONDS = 24 * 60 * 60;
+
+class ScrapesController {
+    /**
+     * List scrape jobs, most recently updated first
+     * @route GET /api/admin/scrapes
+     * @query status, source, dataType, limit (default 50, max 200)
+     */
+    listJobs = async (req, res, next) => {
+        try {
+            const { status, source, dataType } = req.query;
+            const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+            if (status && !ScrapeJob.STATUSES.includes(status)) {
+                throw new ValidationError(`status must be one of: ${ScrapeJob.STATUSES.join(', ')}`, 'status');
+            }
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+                throw new ValidationError(`limit must be between 1 and ${MAX_LIST_LIMIT}`, 'limit');
+            }
+
+            const queue = getScrapeJobQueue();
+            const [jobs, stats] = await Promise.all([
+                queue.list({ status, source, dataType, limit }),
+                queue.stats()
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    jobs: jobs.map(job => queue.toView(job)),
+                    total: jobs.length,
+                    counts: stats.byStatus
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Job counts by status and running jobs by source
+     * @route GET /api/admin/scrapes/stats
+     */
+    getStats = async (req, res, next) => {
+        try {
+            const stats = await getScrapeJobQueue().stats();
+
+            res.status(200).json({
+                success: true,
+                data: stats,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Get a single scrape job
+     * @route GET /api/admin/scrapes/:jobId
+     */
+    getJob = async (req, res, next) => {
+        try {
+            const queue = getScrapeJobQueue();
+            const job = await queue.get(req.params.jobId);
+
+            if (!job) {
+                throw new NotFoundError('Scrape job');
+            }
+
+            res.status(200).json({
+                success: true,
+                data: { job: queue.toView(job) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Put a failed, dead or succeeded job back in the queue
+     * @route POST /api/admin/scrapes/:jobId/requeue
+     * @body resetAttempts (default true), delaySeconds (default 0, max 86400)
+     */
+    requeueJob = async (req, res, next) => {
+        try {
+            const { resetAttempts = true, delaySeconds = 0 } = req.body || {};
+
+            if (typeof resetAttempts !== 'boolean') {
+                throw new ValidationError('resetAttempts must be a boolean', 'resetAttempts');
+            }
+            if (typeof delaySeconds !== 'number' || delaySeconds < 0 || delaySeconds > MAX_REQUEUE_DELAY_SECONDS) {
+                throw new ValidationError(`delaySeconds must be between 0 and ${MAX_REQUEUE_DELAY_SECONDS}`, 'delaySeconds');
+            }
+
+            const queue = getScrapeJobQueue();
+            let job;
+            try {
+                job = await queue.requeue(req.params.jobId, {
+                    resetAttempts,
+                    delayMs: delaySeconds * 1000
+                });
+            } catch (error) {
+                if (error instanceof ScrapeJobConflictError) {
+                    throw new APIError(error.message, 409, 'JOB_CONFLICT');
+                }
+                throw error;
+            }
+
+            if (!job) {
+                throw new NotFoundError('Scrape job');
+            }
+
+            logger.info('Scrape job requeued', {
+                jobId: job.id,
+                resetAttempts,
+                runAt: job.runAt,
+                requeuedBy: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { job: queue.toView(job) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new ScrapesController();
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const scrapesController = require('./scrapes.controller');
+const { validateJWT, requireRole } = require('../../../middleware/auth.middleware');
+const { errorHandler } = require('../../../middleware/error-handler.middleware');
+
+// =============================================================================
+// ADMIN SCRAPE JOBS ROUTES
+// =============================================================================
+// Inspect the scrape job queue and requeue failed or dead jobs. Every
+// endpoint requires a JWT carrying the `admin` role.
+// =============================================================================
+
+router.use(validateJWT, requireRole('admin'));
+
+router.get('/', scrapesController.listJobs);
+router.get('/stats', scrapesController.getStats);
+router.get('/:jobId', scrapesController.getJob);
+router.post('/:jobId/requeue', scrapesController.requeueJob);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/auth/ApiKey');
+const { getTier, isValidTier, DEFAULT_TIER } = require('../config/tiers');
+const { AuthenticationError, ValidationError, NotFoundError, ExternalAPIError } = require('../middleware/error-handler.middleware');
+
+// =============================================================================
+// API KEY SERVICE
+// =============================================================================
+// Issues, verifies and describes API keys. A key looks like
+//   fah_<12 hex prefix>_<43 char secret>
+// The prefix locates the record; the full key is compared against its hash.
+// =============================================================================
+
+const KEY_NAMESPACE = 'fah';
+const KEY_PATTERN = /^fah_([0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+// How often lastUsedAt is written for a busy key
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+// Rotation overlap: how long the previous key keeps working
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// `nba:*` grants every nba scope, `*` grants everything
+const scopeMatches = (granted, required) => {
+    if (granted === '*' || granted === required) return true;
+    if (granted.endsWith(':*')) {
+        return required.startsWith(granted.slice(0, -1));
+    }
+    return false;
+};
+
+// Scopes narrow a credential; one issued without scopes is not restricted
+const hasScope = (principal, scope) => {
+    if (!principal) return false;
+
+    const scopes = principal.scopes || [];
+    return scopes.length === 0 || scopes.some(granted => scopeMatches(granted, scope));
+};
+
+class ApiKeyService {
+    constructor(model = ApiKey) {
+        this.model = model;
+    }
+
+    // Generate a new random key with its lookup prefix and hash
+    generateKey() {
+        const prefix = `${KEY_NAMESPACE}_${crypto.randomBytes(6).toString('hex')}`;
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const apiKey = `${prefix}_${secret}`;
+
+        return { apiKey, prefix, keyHash: hashKey(apiKey) };
+    }
+
+    // Issue a key. The plaintext key is only ever returned here.
+    async createKey({ owner, tier = DEFAULT_TIER, scopes = [], expiresAt = null, name } = {}) {
+        this.ensureAvailable();
+
+        if (!owner || !owner.id) {
+            throw new ValidationError('Key owner id is required', 'owner.id');
+        }
+        if (!isValidTier(tier)) {
+            throw new ValidationError(`Unknown tier: ${tier}`, 'tier');
+        }
+
+        const { apiKey, prefix, keyHash } = this.generateKey();
+
+        const record = await this.model.create({
+            prefix,
+            keyHash,
+            name,
+            owner,
+            tier: tier.toLowerCase(),
+            scopes,
+            expiresAt
+        });
+
+        return { apiKey, record };
+    }
+
+    // Resolve a presented key into a principal or throw AuthenticationError
+    async authenticate(apiKey) {
+        const match = typeof apiKey === 'string' ? apiKey.match(KEY_PATTERN) : null;
+        if (!match) {
+            throw new AuthenticationError('API key format is invalid', 'INVALID_API_KEY_FORMAT');
+        }
+
+        this.ensureAvailable();
+
+        const record = await this.model.findByPrefix(`${KEY_NAMESPACE}_${match[1]}`);
+        const presented = Buffer.from(hashKey(apiKey), 'hex');
+
+        if (!record || !crypto.timingSafeEqual(presented, Buffer.from(record.keyHash, 'hex'))) {
+            throw new AuthenticationError('API key is not recognised', 'INVALID_API_KEY');
+        }
+        if (record.revoked) {
+            throw new AuthenticationError('API key has been revoked', 'API_KEY_REVOKED');
+        }
+        if (record.isExpired()) {
+            throw new AuthenticationError('API key has expired', 'API_KEY_EXPIRED');
+        }
+
+        this.touch(record);
+
+        return this.toPrincipal(record);
+    }
+
+    // The request-scoped identity attached as req.apiKey / req.principal
+    toPrincipal(record) {
+        return {
+            type: 'api_key',
+            id: record.owner.id,
+            keyId: record._id.toString(),
+            prefix: record.prefix,
+            name: record.name,
+            owner: {
+                id: record.owner.id,
+                name: record.owner.name,
+                email: record.owner.email,
+                organization: record.owner.organization
+            },
+            tier: getTier(record.tier).name,
+            scopes: record.scopes || [],
+            expiresAt: record.expiresAt
+        };
+    }
+
+    // Best-effort lastUsedAt bookkeeping; never blocks or fails the request
+    touch(record) {
+        const now = Date.now();
+        if (record.lastUsedAt && now - record.lastUsedAt.getTime() < LAST_USED_WRITE_INTERVAL) {
+            return;
+        }
+
+        this.model.updateOne({ _id: record._id }, { $set: { lastUsedAt: new Date(now) } })
+            .catch(() => {});
+    }
+
+    // =========================================================================
+    // KEY MANAGEMENT
+    // =========================================================================
+
+    async listKeys({ ownerId, tier, status } = {}) {
+        this.ensureAvailable();
+
+        const filters = {};
+        if (ownerId) filters['owner.id'] = ownerId;
+        if (tier) filters.tier = tier.toLowerCase();
+
+        const records = await this.model.find(filters).sort({ createdAt: -1 });
+
+        return status
+            ? records.filter(record => record.getStatus() === status)
+            : records;
+    }
+
+    async getKey(keyId) {
+        this.ensureAvailable();
+
+        const record = mongoose.isValidObjectId(keyId) ? await this.model.findById(keyId) : null;
+        if (!record) {
+            throw new NotFoundError(`API key ${keyId}`);
+        }
+
+        return record;
+    }
+
+    // Issue a replacement key; the old one keeps working for the grace window
+    async rotateKey(keyId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}) {
+        const hours = Number(graceHours);
+        if (!Number.isFinite(hours) || hours < 0 || hours > MAX_ROTATION_GRACE_HOURS) {
+            throw new ValidationError(`graceHours must be between 0 and ${MAX_ROTATION_GRACE_HOURS}`, 'graceHours');
+        }
+
+        const previous = await this.getKey(keyId);
+        if (previous.getStatus() !== 'active') {
+            throw new ValidationError(`Cannot rotate a key that is ${previous.getStatus()}`, 'keyId');
+        }
+
+        const { apiKey, record } = await this.createKey({
+            owner: previous.toObject().owner,
+            tier: previous.tier,
+            scopes: previous.scopes,
+            expiresAt: previous.expiresAt,
+            name: previous.name
+        });
+
+        const graceEndsAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+        record.rotatedFrom = previous._id;
+        await record.save();
+
+        previous.rotatedTo = record._id;
+        if (!previous.expiresAt || previous.expiresAt > graceEndsAt) {
+            previous.expiresAt = graceEndsAt;
+        }
+        await previous.save();
+
+        return { apiKey, record, previous };
+    }
+
+    async revokeKey(keyId, reason = null) {
+        const record = await this.getKey(keyId);
+
+        if (!record.revoked) {
+            record.revoked = true;
+            record.revokedAt = new Date();
+            record.revokedReason = reason;
+            await record.save();
+        }
+
+        return record;
+    }
+
+    async changeTier(keyId, tier) {
+        if (!isValidTier(tier)) {
+            throw new ValidationError(`Unknown tier: ${tier}`, 'tier');
+        }
+
+        const record = await this.getKey(keyId);
+        record.tier = tier.toLowerCase();
+        await record.save();
+
+        return record;
+    }
+
+    // Admin-facing representation; never includes the hash
+    toAdminView(record) {
+        return {
+            id: record._id.toString(),
+            prefix: record.prefix,
+            name: record.name,
+            owner: record.owner,
+            tier: record.tier,
+            scopes: record.scopes,
+            status: record.getStatus(),
+            expiresAt: record.expiresAt,
+            revokedAt: record.revokedAt,
+            revokedReason: record.revokedReason,
+            rotatedFrom: record.rotatedFrom,
+            rotatedTo: record.rotatedTo,
+            lastUsedAt: record.lastUsedAt,
+            createdAt: record.createdAt
+        };
+    }
+
+    // Without a database there is no registry to check keys against
+    ensureAvailable() {
+        if (mongoose.connection.readyState !== 1) {
+            throw new ExternalAPIError('API key registry', 'Database unavailable');
+        }
+    }
+}
+
+const apiKeyService = new ApiKeyService();
+
+module.exports = {
+    ApiKeyService,
+    apiKeyService,
+    hashKey,
+    hasScope,
+    scopeMatches
+};
@@ -0,0 +1,130 @@
+const winston = require('winston');
+const { authService } = require('./auth.service');
+const { tokenService } = require('./token.service');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// AUTH GATEWAY CONTROLLER
+// =============================================================================
+
+class AuthController {
+    /**
+     * Exchange credentials for an access and refresh token
+     * @route POST /auth/login
+     * @body email, password
+     */
+    login = async (req, res, next) => {
+        try {
+            const { email, password } = req.body || {};
+            const tokens = await authService.login(email, password);
+
+            logger.info('User logged in', {
+                userId: tokens.user.id,
+                ip: req.ip,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: tokens,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_CREDENTIALS') {
+                logger.warn('Failed login attempt', {
+                    ip: req.ip,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            next(error);
+        }
+    };
+
+    /**
+     * Rotate a refresh token
+     * @route POST /auth/refresh
+     * @body refreshToken
+     */
+    refresh = async (req, res, next) => {
+        try {
+            const tokens = await authService.refresh((req.body || {}).refreshToken);
+
+            res.status(200).json({
+                success: true,
+                data: tokens,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Check an access token and return its claims
+     * @route POST /auth/validate
+     * @body token (or Authorization: Bearer <token>)
+     */
+    validate = async (req, res, next) => {
+        try {
+            const token = (req.body || {}).token || req.headers.authorization?.split(' ')[1];
+            const claims = authService.validate(token);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    valid: true,
+                    claims
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Revoke the session of a refresh token, or all sessions of its user
+     * @route POST /auth/logout
+     * @body refreshToken, allSessions
+     */
+    logout = async (req, res, next) => {
+        try {
+            const { refreshToken, allSessions } = req.body || {};
+            const revoked = await authService.logout(refreshToken, { allSessions: allSessions === true });
+
+            res.status(200).json({
+                success: true,
+                data: { revokedSessions: revoked },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Public signing keys
+     * @route GET /.well-known/jwks.json
+     */
+    getJwks = (req, res, next) => {
+        try {
+            res.set('Cache-Control', 'public, max-age=3600');
+            res.status(200).json(tokenService.getJwks());
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new AuthController();
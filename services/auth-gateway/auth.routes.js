@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('./auth.controller');
+const { rateLimiter } = require('../../middleware/rateLimiter.middleware');
+const { errorHandler } = require('../../middleware/error-handler.middleware');
+
+// =============================================================================
+// AUTH GATEWAY ROUTES
+// =============================================================================
+// Token issuance per protocols/auth-policies. Anonymous callers share the
+// free tier rate limit, which also throttles password guessing.
+// =============================================================================
+
+router.post('/login', rateLimiter, authController.login);
+router.post('/refresh', rateLimiter, authController.refresh);
+router.post('/validate', rateLimiter, authController.validate);
+router.post('/logout', rateLimiter, authController.logout);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const { AUTH_POLICY } = require('../../config/auth');
+const { AuthenticationError, ValidationError } = require('../../middleware/error-handler.middleware');
+const { tokenService } = require('./token.service');
+const { RefreshTokenService } = require('./refresh-token.service');
+const { LocalUserStore } = require('./user.store');
+
+// =============================================================================
+// AUTH GATEWAY SERVICE
+// =============================================================================
+// Login, refresh, validation and logout on top of the token service, the
+// refresh token families and a user store (local users by default).
+// =============================================================================
+
+class AuthService {
+    constructor(options = {}) {
+        this.users = options.users || LocalUserStore.fromEnv();
+        this.tokens = options.tokens || tokenService;
+        this.refreshTokens = options.refreshTokens || new RefreshTokenService();
+    }
+
+    async login(email, password) {
+        if (!email || !password) {
+            throw new ValidationError('email and password are required', !email ? 'email' : 'password');
+        }
+
+        const user = await this.users.verifyCredentials(email, password);
+        if (!user) {
+            throw new AuthenticationError('Invalid email or password', 'INVALID_CREDENTIALS');
+        }
+
+        return this.issueTokens(user, await this.refreshTokens.issue(user.id));
+    }
+
+    // Rotate the refresh token and mint an access token with current claims
+    async refresh(refreshToken) {
+        if (!refreshToken) {
+            throw new ValidationError('refreshToken is required', 'refreshToken');
+        }
+
+        const rotated = await this.refreshTokens.rotate(refreshToken);
+        const user = await this.users.findById(rotated.userId);
+
+        if (!user) {
+            await this.refreshTokens.revoke(rotated.refreshToken);
+            throw new AuthenticationError('User no longer exists', 'USER_NOT_FOUND');
+        }
+
+        return this.issueTokens(user, rotated.refreshToken);
+    }
+
+    validate(accessToken) {
+        if (!accessToken) {
+            throw new ValidationError('token is required', 'token');
+        }
+
+        return this.tokens.verifyAccessToken(accessToken);
+    }
+
+    async logout(refreshToken, { allSessions = false } = {}) {
+        if (!refreshToken) {
+            throw new ValidationError('refreshToken is required', 'refreshToken');
+        }
+
+        return this.refreshTokens.revoke(refreshToken, { allSessions });
+    }
+
+    issueTokens(user, refreshToken) {
+        return {
+            tokenType: 'Bearer',
+            accessToken: this.tokens.signAccessToken(user),
+            expiresIn: AUTH_POLICY.accessTokenTtlSeconds,
+            refreshToken,
+            refreshExpiresIn: AUTH_POLICY.refreshTokenTtlSeconds,
+            user
+        };
+    }
+}
+
+const authService = new AuthService();
+
+module.exports = {
+    AuthService,
+    authService
+};
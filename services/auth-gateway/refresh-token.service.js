@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const { AUTH_POLICY } = require('../../config/auth');
+const { AuthenticationError } = require('../../middleware/error-handler.middleware');
+const { getRedisClient } = require('../../config/redis');
+const { MemoryRefreshTokenStore } = require('../stores/memory-refresh-token.store');
+const { RedisRefreshTokenStore } = require('../stores/redis-refresh-token.store');
+const { MongoRefreshTokenStore } = require('../stores/mongo-refresh-token.store');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// REFRESH TOKEN SERVICE
+// =============================================================================
+// Opaque refresh tokens that rotate on every use. Each login starts a family;
+// refreshing spends the presented token and issues the next one in the same
+// family. Presenting a spent token again means it leaked, so the whole family
+// is revoked and the user has to log in again. Sessions are kept in Redis
+// when REDIS_URL is set, else in MongoDB when MONGODB_URI is set, so they
+// survive restarts and span replicas; otherwise in process memory.
+// =============================================================================
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Pick the shared store for this process
+const createDefaultStore = () => {
+    const client = getRedisClient();
+
+    if (client) {
+        return new RedisRefreshTokenStore(client);
+    }
+    if (process.env.MONGODB_URI) {
+        return new MongoRefreshTokenStore();
+    }
+
+    logger.warn('Refresh tokens are kept in process memory; set REDIS_URL or MONGODB_URI to share sessions between replicas');
+    return new MemoryRefreshTokenStore();
+};
+
+class RefreshTokenService {
+    constructor(options = {}) {
+        this.store = options.store || createDefaultStore();
+        this.ttlSeconds = options.ttlSeconds || AUTH_POLICY.refreshTokenTtlSeconds;
+    }
+
+    // Start a new family for a fresh login
+    async issue(userId) {
+        const familyId = crypto.randomUUID();
+        await this.store.createFamily(familyId, userId);
+
+        return this.issueInFamily(familyId, userId);
+    }
+
+    async issueInFamily(familyId, userId) {
+        const refreshToken = `frt_${crypto.randomBytes(32).toString('base64url')}`;
+
+        await this.store.saveToken(hashToken(refreshToken), {
+            familyId,
+            userId,
+            expiresAt: new Date(Date.now() + this.ttlSeconds * 1000)
+        });
+
+        return refreshToken;
+    }
+
+    // Look up a presented token and make sure its family is still valid
+    async resolve(refreshToken) {
+        const record = typeof refreshToken === 'string'
+            ? await this.store.getToken(hashToken(refreshToken))
+            : null;
+
+        if (!record) {
+            throw new AuthenticationError('Refresh token is invalid', 'INVALID_REFRESH_TOKEN');
+        }
+
+        const family = await this.store.getFamily(record.familyId);
+        if (!family || family.revoked) {
+            throw new AuthenticationError('Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED');
+        }
+
+        if (record.expiresAt <= new Date()) {
+            throw new AuthenticationError('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED');
+        }
+
+        return record;
+    }
+
+    // Spend a refresh token and return its successor
+    async rotate(refreshToken) {
+        const record = await this.resolve(refreshToken);
+
+        if (!(await this.store.markUsed(hashToken(refreshToken)))) {
+            await this.store.revokeFamily(record.familyId);
+
+            logger.warn('Refresh token reuse detected, session family revoked', {
+                userId: record.userId,
+                familyId: record.familyId,
+                timestamp: new Date().toISOString()
+            });
+
+            throw new AuthenticationError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+        }
+
+        return {
+            userId: record.userId,
+            refreshToken: await this.issueInFamily(record.familyId, record.userId)
+        };
+    }
+
+    // End the session the token belongs to, or every session of its user
+    async revoke(refreshToken, { allSessions = false } = {}) {
+        const record = await this.resolve(refreshToken);
+
+        if (allSessions) {
+            return this.store.revokeUser(record.userId);
+        }
+
+        await this.store.revokeFamily(record.familyId);
+        return 1;
+    }
+}
+
+module.exports = {
+    RefreshTokenService,
+    hashToken
+};
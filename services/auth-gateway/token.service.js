@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const { AUTH_POLICY } = require('../../config/auth');
+const { APIError, AuthenticationError } = require('../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// TOKEN SERVICE
+// =============================================================================
+// Signs and verifies RS256 access tokens and publishes the public key as a
+// JWKS. Keys come from JWT_PRIVATE_KEY / JWT_PUBLIC_KEY (PEM, `\n` escapes
+// allowed). A service holding only the public key can verify but not sign.
+// Outside production an ephemeral key pair is generated when none is set.
+// =============================================================================
+
+// Env vars usually carry PEMs on one line
+const readPem = (value) => (value ? value.replace(/\\n/g, '\n') : null);
+
+// RFC 7638 thumbprint of an RSA public key, used as the key id
+const thumbprint = (jwk) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+    .digest('base64url');
+
+class TokenService {
+    constructor(options = {}) {
+        this.policy = { ...AUTH_POLICY, ...options.policy };
+        this.privateKeyPem = options.privateKey !== undefined ? options.privateKey : readPem(process.env.JWT_PRIVATE_KEY);
+        this.publicKeyPem = options.publicKey !== undefined ? options.publicKey : readPem(process.env.JWT_PUBLIC_KEY);
+        this.keys = null;
+    }
+
+    // Resolve the key pair on first use so the app boots without keys
+    getKeys() {
+        if (this.keys) {
+            return this.keys;
+        }
+
+        let privateKey = this.privateKeyPem ? crypto.createPrivateKey(this.privateKeyPem) : null;
+        let publicKey = this.publicKeyPem
+            ? crypto.createPublicKey(this.publicKeyPem)
+            : (privateKey ? crypto.createPublicKey(privateKey) : null);
+
+        if (!publicKey) {
+            if (process.env.NODE_ENV === 'production') {
+                throw new APIError('JWT signing keys are not configured', 500, 'AUTH_NOT_CONFIGURED');
+            }
+
+            logger.warn('JWT_PRIVATE_KEY not set, generating an ephemeral RS256 key pair; tokens will not survive a restart');
+            ({ privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+        }
+
+        const jwk = publicKey.export({ format: 'jwk' });
+
+        this.keys = {
+            privateKey,
+            publicKey,
+            kid: thumbprint(jwk),
+            jwk
+        };
+
+        return this.keys;
+    }
+
+    // Access token for a user record ({ id, email, roles, tier, scopes })
+    signAccessToken(user) {
+        const { privateKey, kid } = this.getKeys();
+
+        if (!privateKey) {
+            throw new APIError('This instance can verify tokens but not issue them', 500, 'AUTH_NOT_CONFIGURED');
+        }
+
+        return jwt.sign({
+            email: user.email,
+            roles: user.roles || [],
+            tier: user.tier,
+            scopes: user.scopes || []
+        }, privateKey, {
+            algorithm: this.policy.algorithm,
+            keyid: kid,
+            subject: String(user.id),
+            issuer: this.policy.issuer,
+            audience: this.policy.audience,
+            expiresIn: this.policy.accessTokenTtlSeconds,
+            jwtid: crypto.randomUUID()
+        });
+    }
+
+    // Verify signature, algorithm, issuer, audience and expiry
+    verifyAccessToken(token) {
+        const { publicKey } = this.getKeys();
+
+        try {
+            return jwt.verify(token, publicKey, {
+                algorithms: [this.policy.algorithm],
+                issuer: this.policy.issuer,
+                audience: this.policy.audience
+            });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new AuthenticationError('Access token has expired', 'TOKEN_EXPIRED');
+            }
+            throw new AuthenticationError(`Access token is invalid: ${error.message}`, 'INVALID_JWT_TOKEN');
+        }
+    }
+
+    getJwks() {
+        const { jwk, kid } = this.getKeys();
+
+        return {
+            keys: [{
+                ...jwk,
+                kid,
+                use: 'sig',
+                alg: this.policy.algorithm
+            }]
+        };
+    }
+}
+
+const tokenService = new TokenService();
+
+module.exports = {
+    TokenService,
+    tokenService
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// LOCAL USER STORE
+// =============================================================================
+// In-memory users for the auth gateway, so login works without an external
+// identity service. Seeded from AUTH_LOCAL_USERS, a JSON array of
+//   { id, email, password | passwordHash, roles, tier, scopes }
+// where passwordHash is `scrypt$<salt hex>$<hash hex>` (see hashPassword).
+// =============================================================================
+
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_HASH_PATTERN = /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/;
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+    const [scheme, salt, hash] = String(passwordHash).split('$');
+
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Used when the email is unknown so both paths cost one scrypt
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+class LocalUserStore {
+    constructor(users = []) {
+        this.users = new Map();
+        users.forEach(user => this.addUser(user));
+    }
+
+    static fromEnv(value = process.env.AUTH_LOCAL_USERS) {
+        if (!value) {
+            return new LocalUserStore();
+        }
+
+        let users;
+
+        try {
+            users = JSON.parse(value);
+        } catch (error) {
+            logger.error('AUTH_LOCAL_USERS is not valid JSON, starting with no local users', {
+                error: error.message
+            });
+            return new LocalUserStore();
+        }
+
+        if (!Array.isArray(users)) {
+            logger.error('AUTH_LOCAL_USERS must be a JSON array of users, starting with no local users');
+            return new LocalUserStore();
+        }
+
+        // A bad entry is skipped; the other users still load
+        const store = new LocalUserStore();
+
+        users.forEach((user, index) => {
+            try {
+                store.addUser(user);
+            } catch (error) {
+                logger.error('Skipping invalid user in AUTH_LOCAL_USERS', {
+                    index,
+                    error: error.message
+                });
+            }
+        });
+
+        return store;
+    }
+
+    addUser(entry) {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error('Local users must be objects');
+        }
+
+        const { id, email, password, passwordHash, roles = [], tier = 'free', scopes = [] } = entry;
+
+        if (!id || typeof email !== 'string' || !email || (!password && !passwordHash)) {
+            throw new Error('Local users need an id, email and password or passwordHash');
+        }
+        if (passwordHash && !PASSWORD_HASH_PATTERN.test(passwordHash)) {
+            throw new Error(`passwordHash of local user ${id} is not a scrypt hash from hashPassword`);
+        }
+
+        const user = {
+            id: String(id),
+            email: email.toLowerCase(),
+            passwordHash: passwordHash || hashPassword(password),
+            roles,
+            tier,
+            scopes
+        };
+
+        this.users.set(user.id, user);
+        return this.toPublicUser(user);
+    }
+
+    async findById(id) {
+        const user = this.users.get(String(id));
+        return user ? this.toPublicUser(user) : null;
+    }
+
+    // Returns the user for a valid email/password pair, otherwise null
+    async verifyCredentials(email, password) {
+        const normalized = typeof email === 'string' ? email.toLowerCase() : '';
+        const user = [...this.users.values()].find(candidate => candidate.email === normalized);
+
+        if (!verifyPassword(String(password), user ? user.passwordHash : DUMMY_HASH) || !user) {
+            return null;
+        }
+
+        return this.toPublicUser(user);
+    }
+
+    toPublicUser({ passwordHash, ...user }) {
+        return user;
+    }
+}
+
+module.exports = {
+    LocalUserStore,
+    hashPassword,
+    verifyPassword
+};
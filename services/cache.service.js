@@ -0,0 +1,239 @@
+const winston = require('winston');
+const { getRedisClient } = require('../config/redis');
+const { MemoryCacheStore } = require('./stores/memory-cache.store');
+const { RedisCacheStore } = require('./stores/redis-cache.store');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// CACHE SERVICE
+// =============================================================================
+// Response cache shared by the NBA controllers. Entries live in Redis when
+// REDIS_URL is set, otherwise in a process-local LRU. TTLs are in seconds to
+// match each controller's `cacheTimeout` map.
+//
+// Entries stay in the store for `ttl + staleTtl` seconds. `get` only returns
+// fresh values; `wrap` also serves stale ones while a single background
+// refresh runs, and concurrent misses on a key share one fetch.
+// A cache outage never fails a request: store errors are logged and treated
+// as misses.
+//
+// Entries can be tagged (e.g. `team:lal`, `game:0022400001`, `season:2024-25`)
+// either explicitly or through the instance's `tagResolver(key)`. Tags are
+// global across namespaces; `invalidateTags` removes every entry carrying one.
+// The purge time is kept in the store, so a fetch that started before it, on
+// any replica, does not write its outdated result back.
+// =============================================================================
+
+const DEFAULT_TTL = 300;
+
+let defaultStore = null;
+
+// One backend per process so every controller sees the same entries
+const getDefaultStore = () => {
+    if (!defaultStore) {
+        const client = getRedisClient();
+        defaultStore = client
+            ? new RedisCacheStore(client)
+            : new MemoryCacheStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || undefined });
+    }
+
+    return defaultStore;
+};
+
+// Fetches in flight per store, shared across CacheService instances
+const inflightByStore = new WeakMap();
+
+// How long a purge is remembered; longer than any fetch should take
+const INVALIDATION_MEMORY_MS = 5 * 60 * 1000;
+
+const normalizeTags = (tags) => [...new Set([].concat(tags || [])
+    .filter(tag => tag !== null && tag !== undefined && tag !== '')
+    .map(tag => String(tag).toLowerCase()))];
+
+// Remove every entry carrying any of the tags from a store
+const invalidateTags = async (tags, store = getDefaultStore()) => {
+    const list = normalizeTags(tags);
+    if (list.length === 0) return 0;
+
+    try {
+        await store.markInvalidated(list, Date.now(), INVALIDATION_MEMORY_MS);
+        return await store.invalidateTags(list);
+    } catch (error) {
+        logger.error('Cache tag invalidation failed', {
+            tags: list,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+        return 0;
+    }
+};
+
+class CacheService {
+    constructor(options = {}) {
+        this.store = options.store || getDefaultStore();
+        this.namespace = options.namespace ? `${options.namespace}:` : '';
+        this.defaultTtl = options.defaultTtl || DEFAULT_TTL;
+        this.tagResolver = options.tagResolver || null;
+
+        // How long past its TTL an entry may still be served by wrap();
+        // defaults to the entry's own TTL
+        this.staleTtl = options.staleTtl;
+
+        if (!inflightByStore.has(this.store)) {
+            inflightByStore.set(this.store, new Map());
+        }
+        this.inflight = inflightByStore.get(this.store);
+    }
+
+    // Fresh value for a key, or null
+    async get(key) {
+        const entry = await this.read(key);
+        return entry && !this.isStale(entry) ? entry.value : null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttl - seconds
+     * @param {Object} options - { staleTtl, tags, startedAt }
+     */
+    async set(key, value, ttl = this.defaultTtl, options = {}) {
+        const staleTtl = options.staleTtl !== undefined ? options.staleTtl : (this.staleTtl !== undefined ? this.staleTtl : ttl);
+        const tags = normalizeTags(options.tags || (this.tagResolver ? this.tagResolver(key) : []));
+        const now = Date.now();
+
+        const entry = {
+            value,
+            storedAt: now,
+            freshUntil: now + ttl * 1000
+        };
+
+        try {
+            // Skip results computed before one of their tags was purged
+            if (options.startedAt && tags.length > 0 && await this.store.lastInvalidated(tags) >= options.startedAt) {
+                return value;
+            }
+
+            await this.store.set(this.namespace + key, entry, (ttl + staleTtl) * 1000);
+            if (tags.length > 0) {
+                await this.store.tag(this.namespace + key, tags, (ttl + staleTtl) * 1000);
+            }
+        } catch (error) {
+            this.logStoreError('set', key, error);
+        }
+
+        return value;
+    }
+
+    async del(keys) {
+        const list = [].concat(keys).map(key => this.namespace + key);
+
+        try {
+            return await this.store.del(list);
+        } catch (error) {
+            this.logStoreError('del', [].concat(keys).join(','), error);
+            return 0;
+        }
+    }
+
+    async invalidateTags(tags) {
+        return invalidateTags(tags, this.store);
+    }
+
+    /**
+     * Read-through cache with stale-while-revalidate
+     * @param {string} key
+     * @param {Function} fetcher - async () => value; null/undefined is not cached
+     * @param {number|Object} options - TTL in seconds, or { ttl, staleTtl, tags };
+     *        `ttl` may also be a function of the fetched value
+     */
+    async wrap(key, fetcher, options = {}) {
+        const settings = typeof options === 'number' ? { ttl: options } : options;
+        const entry = await this.read(key);
+
+        if (entry && !this.isStale(entry)) {
+            return entry.value;
+        }
+
+        if (entry) {
+            // Serve the stale value; one refresh runs in the background
+            this.refresh(key, fetcher, settings).catch(error => {
+                logger.warn('Background cache refresh failed', {
+                    key: this.namespace + key,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            });
+            return entry.value;
+        }
+
+        return this.refresh(key, fetcher, settings);
+    }
+
+    // Run the fetcher once per key, however many callers are waiting on it
+    refresh(key, fetcher, { ttl = this.defaultTtl, staleTtl, tags } = {}) {
+        const inflightKey = this.namespace + key;
+        const pending = this.inflight.get(inflightKey);
+
+        if (pending) {
+            return pending;
+        }
+
+        const promise = (async () => {
+            const startedAt = Date.now();
+
+            try {
+                const value = await fetcher();
+                if (value !== null && value !== undefined) {
+                    const seconds = typeof ttl === 'function' ? ttl(value) : ttl;
+                    await this.set(key, value, seconds, { staleTtl, tags, startedAt });
+                }
+                return value;
+            } finally {
+                this.inflight.delete(inflightKey);
+            }
+        })();
+
+        this.inflight.set(inflightKey, promise);
+        return promise;
+    }
+
+    async read(key) {
+        try {
+            return await this.store.get(this.namespace + key);
+        } catch (error) {
+            this.logStoreError('get', key, error);
+            return null;
+        }
+    }
+
+    isStale(entry) {
+        return entry.freshUntil <= Date.now();
+    }
+
+    logStoreError(operation, key, error) {
+        logger.error('Cache store error', {
+            operation,
+            key: this.namespace + key,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    CacheService,
+    getDefaultStore,
+    invalidateTags
+};
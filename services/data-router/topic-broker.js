@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const { getRedisClient } = require('../../config/redis');
+const { ValidationError } = require('../../middleware/error-handler.middleware');
+const { MemoryTopicStore } = require('../stores/memory-topic.store');
+const { RedisTopicStore } = require('../stores/redis-topic.store');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// TOPIC BROKER
+// =============================================================================
+// Pub/Sub half of the data router. Publishers push to dot-separated topics
+// (`nba.game.0022400001.score`, `weather.venue.crypto-com-arena`) and
+// subscribers receive every message whose topic matches their pattern:
+//   *   exactly one segment      nba.game.*.score
+//   #   any remaining segments   nba.#   (last segment only)
+// A subscription can narrow its stream with a filter (a function, or an
+// object of field -> value | [values] checked against message.data, dot
+// paths allowed) and ask for the last N messages of every matching topic
+// before live delivery starts.
+//
+// Messages travel through the store: in process by default, over Redis
+// Pub/Sub when REDIS_URL is set so every replica's subscribers see them.
+// =============================================================================
+
+const SEGMENT_PATTERN = /^[a-z0-9_-]+$/;
+
+// Most topics a wildcard replay will read history from
+const MAX_REPLAY_TOPICS = 100;
+
+// Validate a topic (publishing) or pattern (subscribing)
+const parseTopic = (topic, { allowWildcards = false } = {}) => {
+    const segments = typeof topic === 'string' ? topic.split('.') : [];
+
+    const valid = segments.length > 0 && segments.every((segment, index) => {
+        if (allowWildcards && segment === '*') return true;
+        if (allowWildcards && segment === '#') return index === segments.length - 1;
+        return SEGMENT_PATTERN.test(segment);
+    });
+
+    if (!valid) {
+        throw new ValidationError(
+            allowWildcards
+                ? `Invalid topic pattern '${topic}': use lower-case dot-separated segments, '*' or a trailing '#'`
+                : `Invalid topic '${topic}': use lower-case dot-separated segments`,
+            'topic'
+        );
+    }
+
+    return segments;
+};
+
+const isPattern = (pattern) => pattern.split('.').some(segment => segment === '*' || segment === '#');
+
+const matchTopic = (pattern, topic) => {
+    const expected = pattern.split('.');
+    const actual = topic.split('.');
+
+    for (let index = 0; index < expected.length; index++) {
+        if (expected[index] === '#') return true;
+        if (index >= actual.length) return false;
+        if (expected[index] !== '*' && expected[index] !== actual[index]) return false;
+    }
+
+    return expected.length === actual.length;
+};
+
+const readPath = (value, path) => path.split('.')
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+
+// Turn a declarative filter into a predicate over messages
+const compileFilter = (filter) => {
+    if (!filter) return () => true;
+    if (typeof filter === 'function') return filter;
+
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new ValidationError('Filter must be an object of field conditions', 'filter');
+    }
+
+    const conditions = Object.entries(filter).map(([path, expected]) => {
+        const allowed = [].concat(expected).map(String);
+        return (message) => {
+            const actual = readPath(message.data, path);
+            return [].concat(actual).some(value => value !== undefined && allowed.includes(String(value)));
+        };
+    });
+
+    return (message) => conditions.every(condition => condition(message));
+};
+
+// URL-ish names ("Crypto.com Arena") as topic segments ("crypto-com-arena")
+const toSegment = (value) => String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+    if (!defaultStore) {
+        const client = getRedisClient();
+        defaultStore = client ? new RedisTopicStore(client) : new MemoryTopicStore();
+    }
+
+    return defaultStore;
+};
+
+class TopicBroker {
+    constructor(options = {}) {
+        this.store = options.store || getDefaultStore();
+        this.historySize = options.historySize || Number(process.env.TOPIC_HISTORY_SIZE) || 50;
+        this.subscriptions = new Map(); // id -> subscription
+        this.listening = null;
+    }
+
+    // Subscribe to the store once, on first use
+    listen() {
+        if (!this.listening) {
+            this.listening = this.store.onMessage(message => this.dispatch(message));
+        }
+        return this.listening;
+    }
+
+    /**
+     * @param {string} topic - concrete topic, no wildcards
+     * @param {*} data - JSON-serialisable payload
+     * @param {Object} options - { source }
+     */
+    async publish(topic, data, options = {}) {
+        parseTopic(topic);
+        await this.listen();
+
+        const message = {
+            id: crypto.randomUUID(),
+            topic,
+            data,
+            source: options.source || null,
+            publishedAt: new Date().toISOString()
+        };
+
+        await this.store.publish(message, this.historySize);
+        return message;
+    }
+
+    /**
+     * @param {string} pattern - topic, optionally with * / # wildcards
+     * @param {Function} listener - (message, { replayed }) => void
+     * @param {Object} options - { filter, replay, onReady } replay = messages
+     *   per topic; onReady runs once registered, before any replayed message
+     * @returns {Promise<{ id, pattern, unsubscribe }>}
+     */
+    async subscribe(pattern, listener, options = {}) {
+        parseTopic(pattern, { allowWildcards: true });
+        await this.listen();
+
+        const subscription = {
+            id: crypto.randomUUID(),
+            pattern,
+            listener,
+            accepts: compileFilter(options.filter),
+            // Live messages wait here until the replay has been delivered
+            pending: options.replay > 0 ? [] : null,
+            // Replayed ids, so a copy still in flight in the store is not
+            // delivered again once it arrives live
+            replayedIds: new Set()
+        };
+        this.subscriptions.set(subscription.id, subscription);
+
+        if (options.onReady) options.onReady(subscription.id);
+
+        if (subscription.pending) {
+            let replayed = [];
+
+            try {
+                replayed = (await this.history(pattern, options.replay)).filter(subscription.accepts);
+            } catch (error) {
+                logger.error('Topic replay failed', {
+                    pattern,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            replayed.forEach(message => subscription.replayedIds.add(message.id));
+            const queued = subscription.pending.filter(message => !subscription.replayedIds.delete(message.id));
+            subscription.pending = null;
+
+            if (this.subscriptions.has(subscription.id)) {
+                replayed.forEach(message => listener(message, { replayed: true }));
+                queued.forEach(message => listener(message, { replayed: false }));
+            }
+        }
+
+        return {
+            id: subscription.id,
+            pattern,
+            unsubscribe: () => this.unsubscribe(subscription.id)
+        };
+    }
+
+    unsubscribe(id) {
+        return this.subscriptions.delete(id);
+    }
+
+    // Last `limit` messages of every topic matching the pattern, oldest first
+    async history(pattern, limit) {
+        const topics = isPattern(pattern)
+            ? (await this.store.topics()).filter(topic => matchTopic(pattern, topic)).slice(0, MAX_REPLAY_TOPICS)
+            : [pattern];
+
+        const histories = await Promise.all(topics.map(topic => this.store.history(topic, limit)));
+
+        return histories.flat().sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+    }
+
+    dispatch(message) {
+        for (const subscription of this.subscriptions.values()) {
+            if (!matchTopic(subscription.pattern, message.topic)) continue;
+
+            try {
+                if (!subscription.accepts(message)) continue;
+                if (subscription.replayedIds.delete(message.id)) continue;
+
+                if (subscription.pending) {
+                    subscription.pending.push(message);
+                } else {
+                    subscription.listener(message, { replayed: false });
+                }
+            } catch (error) {
+                logger.error('Topic subscriber failed', {
+                    pattern: subscription.pattern,
+                    topic: message.topic,
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            subscriptions: this.subscriptions.size,
+            historySize: this.historySize
+        };
+    }
+
+    async close() {
+        this.subscriptions.clear();
+        await this.store.close();
+    }
+}
+
+module.exports = {
+    TopicBroker,
+    getDefaultStore,
+    matchTopic,
+    compileFilter,
+    parseTopic,
+    toSegment
+};
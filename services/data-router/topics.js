@@ -0,0 +1,72 @@
+const { toSegment } = require('./topic-broker');
+
+// =============================================================================
+// DATA TOPICS
+// =============================================================================
+// Topic names for data collected by the CentralDataOrchestrator:
+//   <league>.game.<gameId>         sports data collected for a game
+//   <league>.game.<gameId>.score   live or final score for a game
+//   <league>.injuries.<team>       injury report for a team
+//   <league>.data                  other sports data
+//   weather.venue.<name>           conditions at a venue
+//   news.<topic>                   news intelligence
+//   intelligence.cross-domain      cross-domain correlations
+// <league> is the request's `league` (e.g. nba), else its `sport`.
+// =============================================================================
+
+const gameTopic = (league, gameId) => `${toSegment(league)}.game.${toSegment(gameId)}`;
+const gameScoreTopic = (league, gameId) => `${gameTopic(league, gameId)}.score`;
+const injuriesTopic = (league, team) => `${toSegment(league)}.injuries.${toSegment(team)}`;
+const venueWeatherTopic = (venue) => `weather.venue.${toSegment(venue)}`;
+
+// `teams` arrives as a list or a comma-separated string
+const teamList = (teams) => (Array.isArray(teams) ? teams : String(teams || '').split(','))
+    .map(team => String(team).trim())
+    .filter(Boolean);
+
+// collectSportsData results carry { sport, league, gameId, teams, factors };
+// scrape results for a game may also carry its score
+const sportsTopics = (result) => {
+    const league = result.league || result.sport || 'sports';
+    const topics = [];
+
+    if (result.gameId) {
+        topics.push(gameTopic(league, result.gameId));
+
+        if (result.score || result.homeScore !== undefined) {
+            topics.push(gameScoreTopic(league, result.gameId));
+        }
+    }
+
+    if (result.factors && result.factors.injuries) {
+        teamList(result.teams).forEach(team => topics.push(injuriesTopic(league, team)));
+    }
+
+    return topics.length > 0 ? topics : [`${toSegment(league)}.data`];
+};
+
+// Every topic a `dataCollected` event should be published to
+const topicsForCollected = ({ dataType, result }) => {
+    if (!result) return [];
+
+    switch (dataType) {
+        case 'sports_data':
+            return sportsTopics(result);
+        case 'weather_data':
+            return result.location ? [venueWeatherTopic(result.location)] : ['weather.data'];
+        case 'news_intelligence':
+            return [].concat(result.topics || []).map(topic => `news.${toSegment(topic)}`);
+        case 'cross_domain':
+            return ['intelligence.cross-domain'];
+        default:
+            return [`data.${toSegment(dataType)}`];
+    }
+};
+
+module.exports = {
+    gameTopic,
+    gameScoreTopic,
+    injuriesTopic,
+    venueWeatherTopic,
+    topicsForCollected
+};
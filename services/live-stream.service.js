@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Game = require('../models/nba/Game');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// LIVE STREAM SERVICE
+// =============================================================================
+// Turns Game.liveScore writes into push events for SSE clients. While anyone
+// is subscribed, the watched games are polled and each new state is diffed
+// against the previous one:
+//   score   home/away score changed
+//   period  quarter or gameStatus changed (incl. halftime and final)
+//   play    a new entry in liveScore.recentPlays
+// Channels are `game:<gameId>` and `live` (every game in progress). Each
+// channel keeps a ring buffer so a reconnecting client can resume from its
+// Last-Event-ID; if the gap is no longer buffered it gets a fresh snapshot.
+// Event ids are per process, so resume assumes sticky sessions.
+// =============================================================================
+
+const LIVE_STATUSES = ['live', 'halftime'];
+const LIVE_CHANNEL = 'live';
+
+const gameChannel = (gameId) => `game:${gameId}`;
+
+// The part of a game document the stream cares about
+const toState = (game) => {
+    const live = game.liveScore || {};
+    const plays = (live.recentPlays || []).slice().sort((a, b) => a.sequence - b.sequence);
+
+    return {
+        gameId: game.gameId,
+        homeTeam: game.homeTeam && { teamId: game.homeTeam.teamId, abbreviation: game.homeTeam.abbreviation },
+        awayTeam: game.awayTeam && { teamId: game.awayTeam.teamId, abbreviation: game.awayTeam.abbreviation },
+        quarter: live.quarter || 1,
+        timeRemaining: live.timeRemaining || null,
+        homeScore: live.homeScore || 0,
+        awayScore: live.awayScore || 0,
+        quarterScores: live.quarterScores || [],
+        gameStatus: live.gameStatus || 'scheduled',
+        recentPlays: plays,
+        lastPlaySequence: plays.length > 0 ? plays[plays.length - 1].sequence : 0,
+        lastUpdated: live.lastUpdated || null
+    };
+};
+
+// Events that take a game from `previous` to `next`
+const diffStates = (previous, next) => {
+    const events = [];
+    const scoreLine = {
+        gameId: next.gameId,
+        homeScore: next.homeScore,
+        awayScore: next.awayScore,
+        quarter: next.quarter,
+        timeRemaining: next.timeRemaining
+    };
+
+    if (!previous || previous.quarter !== next.quarter || previous.gameStatus !== next.gameStatus) {
+        events.push({
+            event: 'period',
+            data: {
+                ...scoreLine,
+                previousQuarter: previous ? previous.quarter : null,
+                gameStatus: next.gameStatus,
+                previousStatus: previous ? previous.gameStatus : null,
+                quarterScores: next.quarterScores
+            }
+        });
+    }
+
+    if (previous && (previous.homeScore !== next.homeScore || previous.awayScore !== next.awayScore)) {
+        events.push({ event: 'score', data: scoreLine });
+    }
+
+    const lastSeen = previous ? previous.lastPlaySequence : next.lastPlaySequence;
+    next.recentPlays
+        .filter(play => play.sequence > lastSeen)
+        .forEach(play => events.push({ event: 'play', data: { gameId: next.gameId, ...play } }));
+
+    return events;
+};
+
+class LiveStreamService {
+    constructor(model = Game, options = {}) {
+        this.model = model;
+        this.pollIntervalMs = options.pollIntervalMs || Number(process.env.LIVE_STREAM_POLL_MS) || 3000;
+        this.bufferSize = options.bufferSize || 500;
+
+        this.sequence = 0;
+        this.listeners = new Map(); // channel -> Set of listeners
+        this.buffers = new Map(); // channel -> recent events
+        this.states = new Map(); // gameId -> last seen state
+        this.pollTimer = null;
+        this.polling = null;
+        this.sessionStart = 0;
+        this.hasBaseline = false;
+    }
+
+    /**
+     * Subscribe to a channel. Replays buffered events after `lastEventId`
+     * or, without one (or when it is too old), sends a snapshot first.
+     * @returns {Function} unsubscribe
+     */
+    async subscribe(channel, listener, { lastEventId = null } = {}) {
+        // Join before waiting on the snapshot poll, so another client leaving
+        // meanwhile cannot drop the channel or stop polling; events published
+        // until the snapshot is sent are held back and delivered after it
+        let held = [];
+        const deliver = (message) => (held ? held.push(message) : listener(message));
+
+        if (!this.listeners.has(channel)) {
+            this.listeners.set(channel, new Set());
+        }
+        this.listeners.get(channel).add(deliver);
+        this.start();
+
+        const replay = lastEventId !== null ? this.replay(channel, lastEventId) : null;
+        let sentUpTo = lastEventId;
+
+        if (replay) {
+            replay.forEach(listener);
+        } else {
+            // Let a poll already in flight finish, then poll again so the new
+            // channel is included; anything published meanwhile is part of
+            // the snapshot
+            await this.polling;
+            await this.poll();
+            sentUpTo = this.sequence;
+            listener({ id: sentUpTo, event: 'snapshot', data: this.snapshot(channel) });
+        }
+
+        const pending = held;
+        held = null;
+        pending.filter(message => message.id > sentUpTo).forEach(listener);
+
+        return () => this.unsubscribe(channel, deliver);
+    }
+
+    unsubscribe(channel, listener) {
+        const listeners = this.listeners.get(channel);
+        if (!listeners) return;
+
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            this.listeners.delete(channel);
+        }
+
+        if (this.listeners.size === 0) {
+            this.stop();
+        }
+    }
+
+    // Buffered events after lastEventId, or null when some may be missing
+    replay(channel, lastEventId) {
+        // From an earlier polling session, another process or the future
+        if (lastEventId < this.sessionStart || lastEventId > this.sequence) {
+            return null;
+        }
+
+        const buffer = this.buffers.get(channel) || { events: [], droppedUpTo: 0 };
+        if (lastEventId < buffer.droppedUpTo) {
+            return null;
+        }
+
+        return buffer.events.filter(event => event.id > lastEventId);
+    }
+
+    snapshot(channel) {
+        const games = channel === LIVE_CHANNEL
+            ? [...this.states.values()].filter(state => LIVE_STATUSES.includes(state.gameStatus))
+            : [this.states.get(channel.slice('game:'.length))].filter(Boolean);
+
+        return {
+            games: games.map(({ recentPlays, lastPlaySequence, ...state }) => ({ ...state, recentPlays })),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Nothing is observed between sessions, so ids from an earlier session
+    // can never be resumed; the bump keeps them below sessionStart
+    start() {
+        if (this.pollTimer) return;
+
+        this.sessionStart = ++this.sequence;
+        this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.states.clear();
+        this.buffers.clear();
+        this.hasBaseline = false;
+    }
+
+    // One poll at a time; callers arriving mid-poll wait for the same one
+    poll() {
+        if (!this.polling) {
+            this.polling = this.runPoll().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async runPoll() {
+        if (mongoose.connection.readyState !== 1) {
+            return;
+        }
+
+        const gameIds = [...this.listeners.keys()]
+            .filter(channel => channel.startsWith('game:'))
+            .map(channel => channel.slice('game:'.length));
+        const watchLive = this.listeners.has(LIVE_CHANNEL);
+
+        // Keep following games the live channel already knows, so their
+        // final period transition is still delivered
+        const trackedLive = watchLive
+            ? [...this.states.values()].filter(state => LIVE_STATUSES.includes(state.gameStatus)).map(state => state.gameId)
+            : [];
+
+        const filters = [{ gameId: { $in: [...gameIds, ...trackedLive] } }];
+        if (watchLive) {
+            filters.push({ 'liveScore.gameStatus': { $in: LIVE_STATUSES } });
+        }
+
+        let games;
+        try {
+            games = await this.model.find({ $or: filters })
+                .select('gameId homeTeam.teamId homeTeam.abbreviation awayTeam.teamId awayTeam.abbreviation liveScore')
+                .lean();
+        } catch (error) {
+            logger.error('Live stream poll failed', {
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const seen = new Set();
+
+        for (const game of games) {
+            const next = toState(game);
+            const previous = this.states.get(game.gameId);
+            seen.add(game.gameId);
+            this.states.set(game.gameId, next);
+
+            // The first poll of a session is the baseline snapshots are
+            // built from; games appearing later are announced
+            if (!previous && !this.hasBaseline) continue;
+
+            const wasLive = Boolean(previous) && LIVE_STATUSES.includes(previous.gameStatus);
+            const isLive = LIVE_STATUSES.includes(next.gameStatus);
+            const channels = [gameChannel(game.gameId)];
+            if (wasLive || isLive) channels.push(LIVE_CHANNEL);
+
+            diffStates(previous, next).forEach(event => this.publish(channels, event));
+        }
+
+        // Forget games nobody watches any more
+        for (const gameId of this.states.keys()) {
+            if (!seen.has(gameId)) this.states.delete(gameId);
+        }
+
+        this.hasBaseline = true;
+    }
+
+    publish(channels, { event, data }) {
+        const message = { id: ++this.sequence, event, data };
+
+        for (const channel of channels) {
+            const buffer = this.buffers.get(channel) || { events: [], droppedUpTo: 0 };
+            buffer.events.push(message);
+            if (buffer.events.length > this.bufferSize) {
+                buffer.droppedUpTo = buffer.events.shift().id;
+            }
+            this.buffers.set(channel, buffer);
+
+            (this.listeners.get(channel) || []).forEach(listener => listener(message));
+        }
+    }
+}
+
+const liveStreamService = new LiveStreamService();
+
+module.exports = {
+    LiveStreamService,
+    liveStreamService,
+    gameChannel,
+    LIVE_CHANNEL,
+    diffStates,
+    toState
+};
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const UsageBucket = require('../models/auth/UsageBucket');
+const { ValidationError, ExternalAPIError } = require('../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// METERING SERVICE
+// =============================================================================
+// Records every authenticated call (caller, endpoint, status, latency and
+// response bytes) into hourly and daily buckets. Calls are aggregated in
+// memory and written with one bulk upsert per flush interval, so metering
+// adds no database round trip to the request path.
+// =============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const GRANULARITIES = {
+    hour: { ms: HOUR_MS, defaultRange: DAY_MS, maxRange: 31 * DAY_MS },
+    day: { ms: DAY_MS, defaultRange: 30 * DAY_MS, maxRange: 366 * DAY_MS }
+};
+
+const bucketStart = (date, granularity) => {
+    const size = GRANULARITIES[granularity].ms;
+    return new Date(Math.floor(date.getTime() / size) * size);
+};
+
+const statusClass = (statusCode) => `${Math.min(5, Math.max(2, Math.floor(statusCode / 100)))}xx`;
+
+class MeteringService {
+    constructor(model = UsageBucket, options = {}) {
+        this.model = model;
+        this.flushIntervalMs = options.flushIntervalMs || 10 * 1000;
+        this.maxPending = options.maxPending || 10000;
+        this.pending = new Map();
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+        this.flushTimer.unref();
+    }
+
+    // Add one call to its hourly and daily buckets
+    record({ subject, keyId = null, endpoint, statusCode, latencyMs = 0, bytes = 0, at = new Date() }) {
+        for (const granularity of Object.keys(GRANULARITIES)) {
+            const bucket = bucketStart(at, granularity);
+            const id = `${subject}|${granularity}|${bucket.getTime()}|${endpoint}`;
+            let entry = this.pending.get(id);
+
+            if (!entry) {
+                if (this.pending.size >= this.maxPending) {
+                    this.flush();
+                }
+
+                entry = {
+                    filter: { subject, granularity, bucket, endpoint },
+                    keyId,
+                    inc: { requests: 0, 'status.2xx': 0, 'status.3xx': 0, 'status.4xx': 0, 'status.5xx': 0, latencyMsTotal: 0, bytes: 0 },
+                    latencyMsMax: 0
+                };
+                this.pending.set(id, entry);
+            }
+
+            entry.inc.requests++;
+            entry.inc[`status.${statusClass(statusCode)}`]++;
+            entry.inc.latencyMsTotal += latencyMs;
+            entry.inc.bytes += bytes;
+            entry.latencyMsMax = Math.max(entry.latencyMsMax, latencyMs);
+        }
+    }
+
+    // Write pending buckets; without a database the batch is dropped
+    async flush() {
+        if (this.pending.size === 0) {
+            return;
+        }
+
+        const batch = [...this.pending.values()];
+        this.pending.clear();
+
+        if (mongoose.connection.readyState !== 1) {
+            return;
+        }
+
+        try {
+            await this.model.bulkWrite(batch.map(entry => ({
+                updateOne: {
+                    filter: entry.filter,
+                    update: {
+                        $inc: entry.inc,
+                        $max: { latencyMsMax: entry.latencyMsMax },
+                        $setOnInsert: { keyId: entry.keyId }
+                    },
+                    upsert: true
+                }
+            })), { ordered: false });
+        } catch (error) {
+            logger.error('Failed to write usage buckets', {
+                error: error.message,
+                buckets: batch.length,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+
+    // Usage for one caller between two dates, by bucket and by endpoint
+    async getUsage(subject, { from, to, granularity = 'day' } = {}) {
+        const config = GRANULARITIES[granularity];
+        if (!config) {
+            throw new ValidationError(`granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}`, 'granularity');
+        }
+
+        const toDate = to ? new Date(to) : new Date();
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - config.defaultRange);
+
+        if (isNaN(fromDate) || isNaN(toDate)) {
+            throw new ValidationError('from and to must be ISO dates', isNaN(fromDate) ? 'from' : 'to');
+        }
+        if (fromDate > toDate) {
+            throw new ValidationError('from must be on or before to', 'from');
+        }
+        if (toDate - fromDate > config.maxRange) {
+            throw new ValidationError(`Range is limited to ${config.maxRange / DAY_MS} days for ${granularity} granularity`, 'from');
+        }
+
+        if (mongoose.connection.readyState !== 1) {
+            throw new ExternalAPIError('Usage metering', 'Database unavailable');
+        }
+
+        const match = {
+            subject,
+            granularity,
+            bucket: { $gte: bucketStart(fromDate, granularity), $lte: toDate }
+        };
+
+        const totals = {
+            requests: { $sum: '$requests' },
+            status2xx: { $sum: '$status.2xx' },
+            status3xx: { $sum: '$status.3xx' },
+            status4xx: { $sum: '$status.4xx' },
+            status5xx: { $sum: '$status.5xx' },
+            latencyMsTotal: { $sum: '$latencyMsTotal' },
+            latencyMsMax: { $max: '$latencyMsMax' },
+            bytes: { $sum: '$bytes' }
+        };
+
+        const [byBucket, byEndpoint] = await Promise.all([
+            this.model.aggregate([
+                { $match: match },
+                { $group: { _id: '$bucket', ...totals } },
+                { $sort: { _id: 1 } }
+            ]),
+            this.model.aggregate([
+                { $match: match },
+                { $group: { _id: '$endpoint', ...totals } },
+                { $sort: { requests: -1 } }
+            ])
+        ]);
+
+        const summarize = ({ _id, ...row }) => ({
+            requests: row.requests,
+            status: { '2xx': row.status2xx, '3xx': row.status3xx, '4xx': row.status4xx, '5xx': row.status5xx },
+            avgLatencyMs: row.requests ? Math.round(row.latencyMsTotal / row.requests) : 0,
+            maxLatencyMs: row.latencyMsMax,
+            bytes: row.bytes
+        });
+
+        const total = byBucket.reduce((sum, row) => {
+            Object.keys(totals).forEach(field => {
+                sum[field] = field === 'latencyMsMax' ? Math.max(sum[field], row[field]) : sum[field] + row[field];
+            });
+            return sum;
+        }, Object.fromEntries(Object.keys(totals).map(field => [field, 0])));
+
+        return {
+            subject,
+            granularity,
+            period: { from: fromDate.toISOString(), to: toDate.toISOString() },
+            total: summarize(total),
+            byBucket: byBucket.map(row => ({ bucket: row._id, ...summarize(row) })),
+            byEndpoint: byEndpoint.map(row => ({ endpoint: row._id, ...summarize(row) }))
+        };
+    }
+
+    close() {
+        clearInterval(this.flushTimer);
+        return this.flush();
+    }
+}
+
+const meteringService = new MeteringService();
+
+module.exports = {
+    MeteringService,
+    meteringService
+};
@@ -5,6 +5,7 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // =============================================================================
 // NBA ADVANCED STATS API ROUTES
@@ -25,6 +26,31 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /team-ratings': 'free',
+    'GET /league-leaders': 'free',
+    'GET /team/:teamId/efficiency': 'free',
+    'GET /pace': 'free',
+    'GET /player/:playerId/efficiency': 'standard',
+    'GET /four-factors': 'standard',
+    'GET /shot-quality': 'standard',
+    'GET /defensive-impact': 'standard',
+    'GET /clutch-performance': 'standard',
+    'GET /usage-rates': 'standard',
+    'GET /player-impact': 'premium',
+    'GET /lineup-analytics': 'premium',
+    'GET /matchup-analysis': 'premium',
+    'GET /predictive-metrics': 'premium',
+    'GET /win-probability': 'premium',
+    'GET /similarity-scores': 'premium',
+    'GET /value-metrics': 'premium'
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
@@ -0,0 +1,93 @@
+// =============================================================================
+// NBA CACHE TAGS
+// =============================================================================
+// Maps the cache keys the NBA controllers build to the entities they depend
+// on, so a write to a Team or Game can purge every affected entry:
+//   team:<teamId|abbreviation>  game:<gameId>  season:<season>
+//   list:teams  list:games  list:standings
+// Segments like 'all' or 'current' are wildcards and produce no tag.
+// =============================================================================
+
+const WILDCARDS = new Set(['all', 'both', 'current', 'none', 'now', 'start', 'season', 'week']);
+
+const teamTag = (teamId) => `team:${teamId}`;
+const gameTag = (gameId) => `game:${gameId}`;
+const seasonTag = (season) => `season:${season}`;
+
+const LIST_TAGS = {
+    teams: 'list:teams',
+    games: 'list:games',
+    standings: 'list:standings'
+};
+
+// Tag only concrete values
+const tagIf = (value, build) => (value && !WILDCARDS.has(value) ? [build(value)] : []);
+
+// Keys built by TeamsController, e.g. `roster:LAL:2024-25:all:active`
+const teamsKeyTags = (key) => {
+    const [type, teamId, second] = key.split(':');
+
+    switch (type) {
+        case 'teams':
+            return [LIST_TAGS.teams];
+        case 'compare':
+            return teamId.split(',').map(teamTag);
+        case 'standings':
+            return [teamTag(teamId), LIST_TAGS.standings, ...tagIf(second, seasonTag)];
+        case 'roster':
+        case 'stats':
+            return [teamTag(teamId), ...tagIf(second, seasonTag)];
+        case 'schedule':
+            return [teamTag(teamId), LIST_TAGS.games];
+        default:
+            return [teamTag(teamId)];
+    }
+};
+
+// Keys built by GamesController, e.g. `boxscore:0022400001:traditional`
+const gamesKeyTags = (key) => {
+    const [type, first, second] = key.split(':');
+
+    switch (type) {
+        case 'games':
+            return [LIST_TAGS.games, ...tagIf(second, teamTag)];
+        case 'historical':
+            return [LIST_TAGS.games, ...tagIf(first, seasonTag), ...tagIf(second, teamTag)];
+        case 'schedule':
+        case 'todays-games':
+        case 'live-games':
+            return [LIST_TAGS.games];
+        default:
+            return [gameTag(first)];
+    }
+};
+
+// What a Team write invalidates
+const tagsForTeam = (team) => [
+    teamTag(team.teamId),
+    ...(team.abbreviation ? [teamTag(team.abbreviation)] : []),
+    LIST_TAGS.teams,
+    LIST_TAGS.standings
+];
+
+// What a Game write invalidates: the game, both teams, its season and lists
+const tagsForGame = (game) => [
+    gameTag(game.gameId),
+    ...[game.homeTeam, game.awayTeam]
+        .filter(Boolean)
+        .flatMap(team => [teamTag(team.teamId), ...(team.abbreviation ? [teamTag(team.abbreviation)] : [])]),
+    ...(game.season ? [seasonTag(game.season)] : []),
+    LIST_TAGS.games,
+    LIST_TAGS.standings
+];
+
+module.exports = {
+    teamTag,
+    gameTag,
+    seasonTag,
+    LIST_TAGS,
+    teamsKeyTags,
+    gamesKeyTags,
+    tagsForTeam,
+    tagsForGame
+};
@@ -0,0 +1,25 @@
+// =============================================================================
+// NBA GAMES CACHE TIMEOUTS
+// =============================================================================
+// Seconds each resource stays fresh. Used by the controller for its response
+// cache and by the routes for the Cache-Control max-age sent to clients.
+// =============================================================================
+
+const cacheTimeout = {
+    games: 300, // 5 minutes
+    todaysGames: 60, // 1 minute (live updates)
+    gameDetails: 180, // 3 minutes
+    scores: 30, // 30 seconds (live scores)
+    schedule: 1800, // 30 minutes
+    boxScore: 120, // 2 minutes
+    stats: 180, // 3 minutes
+    timeline: 60, // 1 minute
+    historical: 3600, // 1 hour
+    playByPlay: 30, // 30 seconds
+    liveTracking: 15, // 15 seconds
+    predictions: 300, // 5 minutes
+    momentum: 60, // 1 minute
+    clutch: 300 // 5 minutes
+};
+
+module.exports = { cacheTimeout };
@@ -4,8 +4,12 @@ const { logger } = require('../../../../utils/logger');
 const { NBADataService } = require('../../../../services/nbaData.service');
 const { LiveDataService } = require('../../../../services/liveData.service');
 const { CacheService } = require('../../../../services/cache.service');
+const { gamesKeyTags } = require('../cache-tags');
+const { cacheTimeout } = require('./games.cache');
 const { AnalyticsService } = require('../../../../services/analytics.service');
 const { PredictionService } = require('../../../../services/prediction.service');
+const { liveStreamService, gameChannel, LIVE_CHANNEL } = require('../../../../services/live-stream.service');
+const { openEventStream, readLastEventId } = require('../../../../utils/sse');
 const { ValidationError, NotFoundError } = require('../../../../utils/errors');
 
 // =============================================================================
@@ -20,25 +24,10 @@ class GamesController {
     constructor() {
         this.nbaService = new NBADataService();
         this.liveService = new LiveDataService();
-        this.cache = new CacheService();
+        this.cache = new CacheService({ namespace: 'games', tagResolver: gamesKeyTags });
         this.analytics = new AnalyticsService();
         this.predictions = new PredictionService();
-        this.cacheTimeout = {
-            games: 300, // 5 minutes
-            todaysGames: 60, // 1 minute (live updates)
-            gameDetails: 180, // 3 minutes
-            scores: 30, // 30 seconds (live scores)
-            schedule: 1800, // 30 minutes
-            boxScore: 120, // 2 minutes
-            stats: 180, // 3 minutes
-            timeline: 60, // 1 minute
-            historical: 3600, // 1 hour
-            playByPlay: 30, // 30 seconds
-            liveTracking: 15, // 15 seconds
-            predictions: 300, // 5 minutes
-            momentum: 60, // 1 minute
-            clutch: 300 // 5 minutes
-        };
+        this.cacheTimeout = cacheTimeout;
     }
 
     // =========================================================================
@@ -55,9 +44,7 @@ class GamesController {
             const { date, team, status, limit = 20 } = req.query;
             const cacheKey = `games:${date || 'all'}:${team || 'all'}:${status || 'all'}:${limit}`;
 
-            let result = await this.cache.get(cacheKey);
-            
-            if (!result) {
+            const result = await this.cache.wrap(cacheKey, async () => {
                 const filters = {};
                 
                 if (date) {
@@ -86,7 +73,7 @@ class GamesController {
                     .limit(parseInt(limit))
                     .sort({ gameDate: -1 });
 
-                result = {
+                return {
                     games,
                     meta: {
                         count: games.length,
@@ -94,9 +81,7 @@ class GamesController {
                         lastUpdated: new Date()
                     }
                 };
-
-                await this.cache.set(cacheKey, result, this.cacheTimeout.games);
-            }
+            }, this.cacheTimeout.games);
 
             logger.info(`Games retrieved successfully`, {
                 userId: req.user.id,
@@ -123,9 +108,7 @@ class GamesController {
             const today = new Date().toISOString().split('T')[0];
             const cacheKey = `todays-games:${today}:${status || 'all'}:${scores}`;
 
-            let result = await this.cache.get(cacheKey);
-            
-            if (!result) {
+            const result = await this.cache.wrap(cacheKey, async () => {
                 const todayStart = new Date(today);
                 const todayEnd = new Date(todayStart);
                 todayEnd.setDate(todayEnd.getDate() + 1);
@@ -150,7 +133,7 @@ class GamesController {
                     .select(selectFields)
                     .sort({ gameDate: 1 });
 
-                result = {
+                return {
                     games,
                     meta: {
                         date: today,
@@ -160,9 +143,7 @@ class GamesController {
                         scheduledGames: games.filter(g => g.status === 'scheduled').length
                     }
                 };
-
-                await this.cache.set(cacheKey, result, this.cacheTimeout.todaysGames);
-            }
+            }, this.cacheTimeout.todaysGames);
 
             logger.info(`Today's games retrieved successfully`, {
                 userId: req.user.id,
@@ -190,9 +171,7 @@ class GamesController {
             const includeFields = include ? include.split(',') : [];
             const cacheKey = `game:${gameId}:${include || 'basic'}`;
 
-            let game = await this.cache.get(cacheKey);
-
-            if (!game) {
+            const game = await this.cache.wrap(cacheKey, async () => {
                 let query = Game.findOne({ gameId });
 
                 // Add additional fields based on include parameter
@@ -206,13 +185,11 @@ class GamesController {
                     query = query.select('+officials');
                 }
 
-                game = await query;
-
-                if (!game) {
-                    throw new NotFoundError(`Game with ID ${gameId} not found`);
-                }
+                return query;
+            }, this.cacheTimeout.gameDetails);
 
-                await this.cache.set(cacheKey, game, this.cacheTimeout.gameDetails);
+            if (!game) {
+                throw new NotFoundError(`Game with ID ${gameId} not found`);
             }
 
             logger.info(`Game retrieved successfully`, {
@@ -239,9 +216,7 @@ class GamesController {
             const { gameId } = req.params;
             const cacheKey = `score:${gameId}`;
 
-            let scoreData = await this.cache.get(cacheKey);
-
-            if (!scoreData) {
+            const scoreData = await this.cache.wrap(cacheKey, async () => {
                 const game = await Game.findOne({ gameId })
                     .select('gameId status score period timeRemaining homeTeam awayTeam');
 
@@ -252,18 +227,17 @@ class GamesController {
                 // Get live score updates if game is live
                 if (game.status === 'live') {
                     const liveScore = await this.liveService.getLiveScore(gameId);
-                    scoreData = {
+                    return {
                         ...game.toObject(),
                         liveUpdates: liveScore
                     };
-                } else {
-                    scoreData = game.toObject();
                 }
 
+                return game.toObject();
+            }, {
                 // Cache for shorter time if game is live
-                const cacheTime = game.status === 'live' ? this.cacheTimeout.scores : this.cacheTimeout.games;
-                await this.cache.set(cacheKey, scoreData, cacheTime);
-            }
+                ttl: score => score.status === 'live' ? this.cacheTimeout.scores : this.cacheTimeout.games
+            });
 
             logger.info(`Game score retrieved successfully`, {
                 userId: req.user.id,
@@ -296,9 +270,7 @@ class GamesController {
             const { from, to, team } = req.query;
             const cacheKey = `schedule:${from || 'current'}:${to || 'week'}:${team || 'all'}`;
 
-            let schedule = await this.cache.get(cacheKey);
-
-            if (!schedule) {
+            const schedule = await this.cache.wrap(cacheKey, async () => {
                 const filters = {};
 
                 if (from || to) {
@@ -327,7 +299,7 @@ class GamesController {
                     .select('gameId gameDate homeTeam awayTeam status venue')
                     .sort({ gameDate: 1 });
 
-                schedule = {
+                return {
                     games,
                     meta: {
                         dateRange: { from, to },
@@ -335,9 +307,7 @@ class GamesController {
                         totalGames: games.length
                     }
                 };
-
-                await this.cache.set(cacheKey, schedule, this.cacheTimeout.schedule);
-            }
+            }, this.cacheTimeout.schedule);
 
             logger.info(`Games schedule retrieved successfully`, {
                 userId: req.user.id,
@@ -368,9 +338,7 @@ class GamesController {
             const { format = 'detailed' } = req.query;
             const cacheKey = `boxscore:${gameId}:${format}`;
 
-            let boxScore = await this.cache.get(cacheKey);
-
-            if (!boxScore) {
+            const boxScore = await this.cache.wrap(cacheKey, async () => {
                 const game = await Game.findOne({ gameId })
                     .select('gameId homeTeam awayTeam score teamStats playerStats');
 
@@ -378,10 +346,8 @@ class GamesController {
                     throw new NotFoundError(`Game with ID ${gameId} not found`);
                 }
 
-                boxScore = await this.nbaService.getGameBoxScore(gameId, { format });
-
-                await this.cache.set(cacheKey, boxScore, this.cacheTimeout.boxScore);
-            }
+                return this.nbaService.getGameBoxScore(gameId, { format });
+            }, this.cacheTimeout.boxScore);
 
             logger.info(`Box score retrieved successfully`, {
                 userId: req.user.id,
@@ -415,16 +381,10 @@ class GamesController {
             const { team, period } = req.query;
             const cacheKey = `team-stats:${gameId}:${team || 'both'}:${period || 'game'}`;
 
-            let teamStats = await this.cache.get(cacheKey);
-
-            if (!teamStats) {
-                teamStats = await this.nbaService.getGameTeamStats(gameId, {
-                    team,
-                    period
-                });
-
-                await this.cache.set(cacheKey, teamStats, this.cacheTimeout.stats);
-            }
+            const teamStats = await this.cache.wrap(cacheKey, () => this.nbaService.getGameTeamStats(gameId, {
+                team,
+                period
+            }), this.cacheTimeout.stats);
 
             logger.info(`Team stats retrieved successfully`, {
                 userId: req.user.id,
@@ -459,17 +419,11 @@ class GamesController {
             const { team, position, starter } = req.query;
             const cacheKey = `player-stats:${gameId}:${team || 'both'}:${position || 'all'}:${starter || 'all'}`;
 
-            let playerStats = await this.cache.get(cacheKey);
-
-            if (!playerStats) {
-                playerStats = await this.nbaService.getGamePlayerStats(gameId, {
-                    team,
-                    position,
-                    starter: starter === 'true'
-                });
-
-                await this.cache.set(cacheKey, playerStats, this.cacheTimeout.stats);
-            }
+            const playerStats = await this.cache.wrap(cacheKey, () => this.nbaService.getGamePlayerStats(gameId, {
+                team,
+                position,
+                starter: starter === 'true'
+            }), this.cacheTimeout.stats);
 
             logger.info(`Player stats retrieved successfully`, {
                 userId: req.user.id,
@@ -503,16 +457,10 @@ class GamesController {
             const { period, eventType } = req.query;
             const cacheKey = `timeline:${gameId}:${period || 'all'}:${eventType || 'all'}`;
 
-            let timeline = await this.cache.get(cacheKey);
-
-            if (!timeline) {
-                timeline = await this.nbaService.getGameTimeline(gameId, {
-                    period,
-                    eventType
-                });
-
-                await this.cache.set(cacheKey, timeline, this.cacheTimeout.timeline);
-            }
+            const timeline = await this.cache.wrap(cacheKey, () => this.nbaService.getGameTimeline(gameId, {
+                period,
+                eventType
+            }), this.cacheTimeout.timeline);
 
             logger.info(`Game timeline retrieved successfully`, {
                 userId: req.user.id,
@@ -545,9 +493,7 @@ class GamesController {
             const { season, team, opponent, limit = 50 } = req.query;
             const cacheKey = `historical:${season || 'all'}:${team || 'all'}:${opponent || 'all'}:${limit}`;
 
-            let historicalGames = await this.cache.get(cacheKey);
-
-            if (!historicalGames) {
+            const historicalGames = await this.cache.wrap(cacheKey, async () => {
                 const filters = { status: 'finished' };
 
                 if (season) {
@@ -586,7 +532,7 @@ class GamesController {
                     .limit(parseInt(limit))
                     .sort({ gameDate: -1 });
 
-                historicalGames = {
+                return {
                     games,
                     meta: {
                         filters: { season, team, opponent },
@@ -594,9 +540,7 @@ class GamesController {
                         limit: parseInt(limit)
                     }
                 };
-
-                await this.cache.set(cacheKey, historicalGames, this.cacheTimeout.historical);
-            }
+            }, this.cacheTimeout.historical);
 
             logger.info(`Historical games retrieved successfully`, {
                 userId: req.user.id,
@@ -627,17 +571,11 @@ class GamesController {
             const { period, team, video = false } = req.query;
             const cacheKey = `play-by-play:${gameId}:${period || 'all'}:${team || 'all'}:${video}`;
 
-            let playByPlay = await this.cache.get(cacheKey);
-
-            if (!playByPlay) {
-                playByPlay = await this.nbaService.getPlayByPlay(gameId, {
-                    period,
-                    team,
-                    includeVideo: video === 'true'
-                });
-
-                await this.cache.set(cacheKey, playByPlay, this.cacheTimeout.playByPlay);
-            }
+            const playByPlay = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayByPlay(gameId, {
+                period,
+                team,
+                includeVideo: video === 'true'
+            }), this.cacheTimeout.playByPlay);
 
             logger.info(`Play-by-play retrieved successfully`, {
                 userId: req.user.id,
@@ -671,16 +609,10 @@ class GamesController {
             const { positions = true, ball = true } = req.query;
             const cacheKey = `live-tracking:${gameId}:${positions}:${ball}`;
 
-            let liveTracking = await this.cache.get(cacheKey);
-
-            if (!liveTracking) {
-                liveTracking = await this.liveService.getLiveTracking(gameId, {
-                    includePositions: positions === 'true',
-                    includeBall: ball === 'true'
-                });
-
-                await this.cache.set(cacheKey, liveTracking, this.cacheTimeout.liveTracking);
-            }
+            const liveTracking = await this.cache.wrap(cacheKey, () => this.liveService.getLiveTracking(gameId, {
+                includePositions: positions === 'true',
+                includeBall: ball === 'true'
+            }), this.cacheTimeout.liveTracking);
 
             logger.info(`Live tracking retrieved successfully`, {
                 userId: req.user.id,
@@ -714,16 +646,10 @@ class GamesController {
             const { metrics, team } = req.query;
             const cacheKey = `advanced-stats:${gameId}:${metrics || 'all'}:${team || 'both'}`;
 
-            let advancedStats = await this.cache.get(cacheKey);
-
-            if (!advancedStats) {
-                advancedStats = await this.analytics.getGameAdvancedStats(gameId, {
-                    metrics: metrics ? metrics.split(',') : null,
-                    team
-                });
-
-                await this.cache.set(cacheKey, advancedStats, this.cacheTimeout.stats);
-            }
+            const advancedStats = await this.cache.wrap(cacheKey, () => this.analytics.getGameAdvancedStats(gameId, {
+                metrics: metrics ? metrics.split(',') : null,
+                team
+            }), this.cacheTimeout.stats);
 
             logger.info(`Advanced stats retrieved successfully`, {
                 userId: req.user.id,
@@ -757,16 +683,10 @@ class GamesController {
             const { model = 'advanced', live = false } = req.query;
             const cacheKey = `predictions:${gameId}:${model}:${live}`;
 
-            let predictions = await this.cache.get(cacheKey);
-
-            if (!predictions) {
-                predictions = await this.predictions.getGamePredictions(gameId, {
-                    model,
-                    includeLive: live === 'true'
-                });
-
-                await this.cache.set(cacheKey, predictions, this.cacheTimeout.predictions);
-            }
+            const predictions = await this.cache.wrap(cacheKey, () => this.predictions.getGamePredictions(gameId, {
+                model,
+                includeLive: live === 'true'
+            }), this.cacheTimeout.predictions);
 
             logger.info(`Game predictions retrieved successfully`, {
                 userId: req.user.id,
@@ -802,16 +722,10 @@ class GamesController {
             const { period, metric = 'overall' } = req.query;
             const cacheKey = `momentum:${gameId}:${period || 'all'}:${metric}`;
 
-            let momentum = await this.cache.get(cacheKey);
-
-            if (!momentum) {
-                momentum = await this.analytics.getGameMomentum(gameId, {
-                    period,
-                    metric
-                });
-
-                await this.cache.set(cacheKey, momentum, this.cacheTimeout.momentum);
-            }
+            const momentum = await this.cache.wrap(cacheKey, () => this.analytics.getGameMomentum(gameId, {
+                period,
+                metric
+            }), this.cacheTimeout.momentum);
 
             logger.info(`Game momentum retrieved successfully`, {
                 userId: req.user.id,
@@ -844,14 +758,13 @@ class GamesController {
             const { detailed = false, tracking = false } = req.query;
             const cacheKey = `live-games:${detailed}:${tracking}`;
 
-            let liveGames = await this.cache.get(cacheKey);
-
-            if (!liveGames) {
+            const liveGames = await this.cache.wrap(cacheKey, async () => {
                 const games = await Game.find({ status: 'live' })
                     .select('gameId homeTeam awayTeam score period timeRemaining');
+                let listed = games;
 
                 if (detailed === 'true' || tracking === 'true') {
-                    const detailedGames = await Promise.all(
+                    listed = await Promise.all(
                         games.map(async (game) => {
                             const gameData = { ...game.toObject() };
                             
@@ -866,20 +779,18 @@ class GamesController {
                             return gameData;
                         })
                     );
-                    liveGames = { games: detailedGames };
-                } else {
-                    liveGames = { games };
                 }
 
-                liveGames.meta = {
-                    count: games.length,
-                    detailed: detailed === 'true',
-                    tracking: tracking === 'true',
-                    lastUpdated: new Date()
+                return {
+                    games: listed,
+                    meta: {
+                        count: games.length,
+                        detailed: detailed === 'true',
+                        tracking: tracking === 'true',
+                        lastUpdated: new Date()
+                    }
                 };
-
-                await this.cache.set(cacheKey, liveGames, this.cacheTimeout.todaysGames);
-            }
+            }, this.cacheTimeout.todaysGames);
 
             logger.info(`Live games retrieved successfully`, {
                 userId: req.user.id,
@@ -907,16 +818,10 @@ class GamesController {
             const { definition = 'last5min', team } = req.query;
             const cacheKey = `clutch-stats:${gameId}:${definition}:${team || 'both'}`;
 
-            let clutchStats = await this.cache.get(cacheKey);
-
-            if (!clutchStats) {
-                clutchStats = await this.analytics.getClutchStats(gameId, {
-                    definition,
-                    team
-                });
-
-                await this.cache.set(cacheKey, clutchStats, this.cacheTimeout.clutch);
-            }
+            const clutchStats = await this.cache.wrap(cacheKey, () => this.analytics.getClutchStats(gameId, {
+                definition,
+                team
+            }), this.cacheTimeout.clutch);
 
             logger.info(`Clutch stats retrieved successfully`, {
                 userId: req.user.id,
@@ -939,6 +844,70 @@ class GamesController {
             next(error);
         }
     };
+
+    // =========================================================================
+    // STREAMING ENDPOINTS (Server-Sent Events)
+    // =========================================================================
+
+    /**
+     * Stream score, period and play-by-play changes for one game
+     * @route GET /api/nba/games/:gameId/stream
+     * @access PREMIUM TIER
+     */
+    streamGame = async (req, res, next) => {
+        return this.openLiveStream(req, res, next, gameChannel(req.params.gameId));
+    };
+
+    /**
+     * Stream changes for every game in progress
+     * @route GET /api/nba/games/live/stream
+     * @access PREMIUM TIER
+     */
+    streamLiveGames = async (req, res, next) => {
+        return this.openLiveStream(req, res, next, LIVE_CHANNEL);
+    };
+
+    openLiveStream = async (req, res, next, channel) => {
+        try {
+            let unsubscribe = null;
+
+            const stream = openEventStream(req, res, {
+                onClose: () => {
+                    if (unsubscribe) unsubscribe();
+
+                    logger.info('Live stream closed', {
+                        userId: req.user && req.user.id,
+                        channel
+                    });
+                }
+            });
+
+            unsubscribe = await liveStreamService.subscribe(
+                channel,
+                (event) => stream.send(event),
+                { lastEventId: readLastEventId(req) }
+            );
+
+            // Client left while the snapshot was being prepared
+            if (stream.closed) {
+                unsubscribe();
+                return;
+            }
+
+            logger.info('Live stream opened', {
+                userId: req.user && req.user.id,
+                channel,
+                lastEventId: readLastEventId(req)
+            });
+
+        } catch (error) {
+            logger.error('Error opening live stream:', error);
+            if (res.headersSent) {
+                return res.end();
+            }
+            next(error);
+        }
+    };
 }
 
 module.exports = new GamesController();
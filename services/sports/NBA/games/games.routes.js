@@ -5,6 +5,9 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
+const { applyCachePolicy } = require('../../../../middleware/conditional.middleware');
+const { cacheTimeout } = require('./games.cache');
 
 // =============================================================================
 // NBA GAMES API ROUTES
@@ -25,6 +28,58 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /today': 'free',
+    'GET /:gameId/score': 'free',
+    'GET /schedule': 'free',
+    'GET /:gameId/boxscore': 'standard',
+    'GET /:gameId/team-stats': 'standard',
+    'GET /:gameId/player-stats': 'standard',
+    'GET /:gameId/timeline': 'standard',
+    'GET /historical': 'standard',
+    'GET /:gameId/play-by-play': 'premium',
+    'GET /:gameId/live-tracking': 'premium',
+    'GET /:gameId/advanced-stats': 'premium',
+    'GET /:gameId/predictions': 'premium',
+    'GET /:gameId/momentum': 'premium',
+    'GET /live': 'premium',
+    'GET /:gameId/clutch-stats': 'premium',
+    'GET /live/stream': 'premium',
+    'GET /:gameId/stream': 'premium',
+    'GET /:gameId': 'free'
+});
+
+// =============================================================================
+// CACHE POLICY
+// =============================================================================
+// Cache-Control max-age per endpoint, from the controller's cache timeouts.
+// =============================================================================
+applyCachePolicy(router, {
+    'GET /': cacheTimeout.games,
+    'GET /today': cacheTimeout.todaysGames,
+    'GET /:gameId/score': cacheTimeout.scores,
+    'GET /schedule': cacheTimeout.schedule,
+    'GET /:gameId/boxscore': cacheTimeout.boxScore,
+    'GET /:gameId/team-stats': cacheTimeout.stats,
+    'GET /:gameId/player-stats': cacheTimeout.stats,
+    'GET /:gameId/timeline': cacheTimeout.timeline,
+    'GET /historical': cacheTimeout.historical,
+    'GET /:gameId/play-by-play': cacheTimeout.playByPlay,
+    'GET /:gameId/live-tracking': cacheTimeout.liveTracking,
+    'GET /:gameId/advanced-stats': cacheTimeout.stats,
+    'GET /:gameId/predictions': cacheTimeout.predictions,
+    'GET /:gameId/momentum': cacheTimeout.momentum,
+    'GET /live': cacheTimeout.todaysGames,
+    'GET /:gameId/clutch-stats': cacheTimeout.clutch,
+    'GET /:gameId': cacheTimeout.gameDetails
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
@@ -71,25 +126,6 @@ router.get('/today',
     gamesController.getTodaysGames
 );
 
-/**
- * GET /api/nba/games/:gameId
- * Get specific game information
- * Tier: FREE
- * Rate limit: 100/hour
- * @param {string} gameId - NBA game ID
- * @query {string} include - Additional data (stats, lineups, officials)
- */
-router.get('/:gameId', 
-    authenticate,
-    rateLimiter.free,
-    [
-        param('gameId').notEmpty().withMessage('Game ID is required'),
-        query('include').optional().isString().withMessage('Include must be comma-separated string')
-    ],
-    validateRequest,
-    gamesController.getGameById
-);
-
 /**
  * GET /api/nba/games/:gameId/score
  * Get live game score and basic stats
@@ -369,6 +405,36 @@ router.get('/live',
     gamesController.getLiveGames
 );
 
+/**
+ * GET /api/nba/games/live/stream
+ * Server-Sent Events for every game in progress (score, period, play)
+ * Tier: PREMIUM
+ * Declared before /:gameId/stream so "live" is not taken for a game ID
+ * @header {string} Last-Event-ID - Resume after this event
+ */
+router.get('/live/stream',
+    authenticate,
+    rateLimiter.premium,
+    gamesController.streamLiveGames
+);
+
+/**
+ * GET /api/nba/games/:gameId/stream
+ * Server-Sent Events for one game (score, period, play)
+ * Tier: PREMIUM
+ * @param {string} gameId - NBA game ID
+ * @header {string} Last-Event-ID - Resume after this event
+ */
+router.get('/:gameId/stream',
+    authenticate,
+    rateLimiter.premium,
+    [
+        param('gameId').notEmpty().withMessage('Game ID is required')
+    ],
+    validateRequest,
+    gamesController.streamGame
+);
+
 /**
  * GET /api/nba/games/:gameId/clutch-stats
  * Get clutch time statistics
@@ -390,6 +456,33 @@ router.get('/:gameId/clutch-stats',
     gamesController.getClutchStats
 );
 
+// =============================================================================
+// GAME BY ID
+// =============================================================================
+// Declared after the static paths (/schedule, /historical, /live) so
+// Express does not take them for a gameId; tier and cache maps follow
+// the same order.
+// =============================================================================
+
+/**
+ * GET /api/nba/games/:gameId
+ * Get specific game information
+ * Tier: FREE
+ * Rate limit: 100/hour
+ * @param {string} gameId - NBA game ID
+ * @query {string} include - Additional data (stats, lineups, officials)
+ */
+router.get('/:gameId', 
+    authenticate,
+    rateLimiter.free,
+    [
+        param('gameId').notEmpty().withMessage('Game ID is required'),
+        query('include').optional().isString().withMessage('Include must be comma-separated string')
+    ],
+    validateRequest,
+    gamesController.getGameById
+);
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -5,6 +5,7 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // =============================================================================
 // NBA INJURY REPORTS API ROUTES - FINAL API (11/11)
@@ -26,6 +27,32 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /team/:teamId': 'free',
+    'GET /player/:playerId': 'free',
+    'GET /daily-report': 'free',
+    'GET /by-position': 'free',
+    'GET /historical': 'standard',
+    'GET /return-timeline': 'standard',
+    'GET /impact-analysis': 'standard',
+    'GET /by-type': 'standard',
+    'GET /recovery-tracking': 'standard',
+    'GET /statistics': 'standard',
+    'GET /risk-assessment': 'premium',
+    'GET /predictive-analytics': 'premium',
+    'GET /load-management': 'premium',
+    'GET /rehabilitation-plans': 'premium',
+    'GET /prevention-insights': 'premium',
+    'GET /medical-alerts': 'premium',
+    'GET /comparative-analysis': 'premium'
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
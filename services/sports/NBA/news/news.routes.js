@@ -5,6 +5,7 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // =============================================================================
 // NBA NEWS API ROUTES
@@ -25,6 +26,32 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /team/:teamId': 'free',
+    'GET /headlines': 'free',
+    'GET /article/:articleId': 'free',
+    'GET /categories': 'free',
+    'GET /player/:playerId': 'standard',
+    'GET /search': 'standard',
+    'GET /trades': 'standard',
+    'GET /injuries': 'standard',
+    'GET /trending': 'standard',
+    'GET /sources': 'standard',
+    'GET /breaking': 'premium',
+    'GET /sentiment': 'premium',
+    'GET /insider': 'premium',
+    'GET /social-buzz': 'premium',
+    'GET /predictions': 'premium',
+    'GET /analytics': 'premium',
+    'GET /personalized': 'premium'
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
@@ -0,0 +1,22 @@
+// =============================================================================
+// NBA PLAYERS CACHE TIMEOUTS
+// =============================================================================
+// Seconds each resource stays fresh. Used by the controller for its response
+// cache and by the routes for the Cache-Control max-age sent to clients.
+// =============================================================================
+
+const cacheTimeout = {
+    players: 1800, // 30 minutes
+    currentStats: 600, // 10 minutes
+    careerStats: 3600, // 1 hour
+    gameLogs: 300, // 5 minutes
+    splits: 900, // 15 minutes
+    awards: 7200, // 2 hours
+    analytics: 300, // 5 minutes
+    projections: 1800, // 30 minutes
+    injuries: 3600, // 1 hour
+    shotCharts: 900, // 15 minutes
+    rookies: 1800 // 30 minutes
+};
+
+module.exports = { cacheTimeout };
@@ -3,6 +3,7 @@ const { ApiResponse } = require('../../../../utils/apiResponse');
 const { logger } = require('../../../../utils/logger');
 const { NBADataService } = require('../../../../services/nbaData.service');
 const { CacheService } = require('../../../../services/cache.service');
+const { cacheTimeout } = require('./players.cache');
 const { AnalyticsService } = require('../../../../services/analytics.service');
 const { ValidationError, NotFoundError } = require('../../../../utils/errors');
 
@@ -17,21 +18,9 @@ const { ValidationError, NotFoundError } = require('../../../../utils/errors');
 class PlayersController {
     constructor() {
         this.nbaService = new NBADataService();
-        this.cache = new CacheService();
+        this.cache = new CacheService({ namespace: 'players' });
         this.analytics = new AnalyticsService();
-        this.cacheTimeout = {
-            players: 1800, // 30 minutes
-            currentStats: 600, // 10 minutes
-            careerStats: 3600, // 1 hour
-            gameLogs: 300, // 5 minutes
-            splits: 900, // 15 minutes
-            awards: 7200, // 2 hours
-            analytics: 300, // 5 minutes
-            projections: 1800, // 30 minutes
-            injuries: 3600, // 1 hour
-            shotCharts: 900, // 15 minutes
-            rookies: 1800 // 30 minutes
-        };
+        this.cacheTimeout = cacheTimeout;
     }
 
     // =========================================================================
@@ -48,9 +37,7 @@ class PlayersController {
             const { team, position, status, limit = 50, page = 1 } = req.query;
             const cacheKey = `players:all:${team || 'all'}:${position || 'all'}:${status || 'all'}:${limit}:${page}`;
 
-            let result = await this.cache.get(cacheKey);
-            
-            if (!result) {
+            const result = await this.cache.wrap(cacheKey, async () => {
                 const filters = {
                     ...(team && { currentTeam: team.toUpperCase() }),
                     ...(position && { position }),
@@ -69,7 +56,7 @@ class PlayersController {
                     Player.countDocuments(filters)
                 ]);
 
-                result = {
+                return {
                     players,
                     pagination: {
                         page: parseInt(page),
@@ -78,9 +65,7 @@ class PlayersController {
                         pages: Math.ceil(totalCount / parseInt(limit))
                     }
                 };
-
-                await this.cache.set(cacheKey, result, this.cacheTimeout.players);
-            }
+            }, this.cacheTimeout.players);
 
             logger.info(`Players retrieved successfully`, {
                 userId: req.user.id,
@@ -109,9 +94,7 @@ class PlayersController {
             const includeFields = include ? include.split(',') : [];
             const cacheKey = `player:${playerId}:${include || 'basic'}`;
 
-            let player = await this.cache.get(cacheKey);
-
-            if (!player) {
+            const player = await this.cache.wrap(cacheKey, async () => {
                 let query = Player.findOne({ playerId });
 
                 // Add additional fields based on include parameter
@@ -125,13 +108,11 @@ class PlayersController {
                     query = query.select('+socialMedia');
                 }
 
-                player = await query;
-
-                if (!player) {
-                    throw new NotFoundError(`Player with ID ${playerId} not found`);
-                }
+                return query;
+            }, this.cacheTimeout.players);
 
-                await this.cache.set(cacheKey, player, this.cacheTimeout.players);
+            if (!player) {
+                throw new NotFoundError(`Player with ID ${playerId} not found`);
             }
 
             logger.info(`Player retrieved successfully`, {
@@ -159,16 +140,10 @@ class PlayersController {
             const { type = 'regular' } = req.query;
             const cacheKey = `current-stats:${playerId}:${type}`;
 
-            let stats = await this.cache.get(cacheKey);
-
-            if (!stats) {
-                stats = await this.nbaService.getPlayerCurrentStats(playerId, {
-                    type,
-                    season: '2024-25'
-                });
-
-                await this.cache.set(cacheKey, stats, this.cacheTimeout.currentStats);
-            }
+            const stats = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerCurrentStats(playerId, {
+                type,
+                season: '2024-25'
+            }), this.cacheTimeout.currentStats);
 
             logger.info(`Player current stats retrieved successfully`, {
                 userId: req.user.id,
@@ -203,9 +178,7 @@ class PlayersController {
             const { q, filters, limit = 20 } = req.query;
             const cacheKey = `search:${q}:${filters || 'none'}:${limit}`;
 
-            let results = await this.cache.get(cacheKey);
-
-            if (!results) {
+            const results = await this.cache.wrap(cacheKey, async () => {
                 // Text search on name fields
                 let query = {
                     $or: [
@@ -227,14 +200,12 @@ class PlayersController {
                     .limit(parseInt(limit))
                     .sort({ score: { $meta: 'textScore' }, lastName: 1 });
 
-                results = {
+                return {
                     query: q,
                     players,
                     count: players.length
                 };
-
-                await this.cache.set(cacheKey, results, this.cacheTimeout.players);
-            }
+            }, this.cacheTimeout.players);
 
             logger.info(`Player search completed`, {
                 userId: req.user.id,
@@ -265,16 +236,10 @@ class PlayersController {
             const { type = 'both', pergame = true } = req.query;
             const cacheKey = `career-stats:${playerId}:${type}:${pergame}`;
 
-            let careerStats = await this.cache.get(cacheKey);
-
-            if (!careerStats) {
-                careerStats = await this.nbaService.getPlayerCareerStats(playerId, {
-                    type,
-                    pergame: pergame === 'true'
-                });
-
-                await this.cache.set(cacheKey, careerStats, this.cacheTimeout.careerStats);
-            }
+            const careerStats = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerCareerStats(playerId, {
+                type,
+                pergame: pergame === 'true'
+            }), this.cacheTimeout.careerStats);
 
             logger.info(`Player career stats retrieved successfully`, {
                 userId: req.user.id,
@@ -309,18 +274,12 @@ class PlayersController {
             const { season = '2024-25', from, to, limit = 20 } = req.query;
             const cacheKey = `game-logs:${playerId}:${season}:${from || 'start'}:${to || 'current'}:${limit}`;
 
-            let gameLogs = await this.cache.get(cacheKey);
-
-            if (!gameLogs) {
-                gameLogs = await this.nbaService.getPlayerGameLogs(playerId, {
-                    season,
-                    from,
-                    to,
-                    limit: parseInt(limit)
-                });
-
-                await this.cache.set(cacheKey, gameLogs, this.cacheTimeout.gameLogs);
-            }
+            const gameLogs = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerGameLogs(playerId, {
+                season,
+                from,
+                to,
+                limit: parseInt(limit)
+            }), this.cacheTimeout.gameLogs);
 
             logger.info(`Player game logs retrieved successfully`, {
                 userId: req.user.id,
@@ -355,16 +314,10 @@ class PlayersController {
             const { type = 'home-away', season = '2024-25' } = req.query;
             const cacheKey = `splits:${playerId}:${type}:${season}`;
 
-            let splits = await this.cache.get(cacheKey);
-
-            if (!splits) {
-                splits = await this.nbaService.getPlayerSplits(playerId, {
-                    type,
-                    season
-                });
-
-                await this.cache.set(cacheKey, splits, this.cacheTimeout.splits);
-            }
+            const splits = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerSplits(playerId, {
+                type,
+                season
+            }), this.cacheTimeout.splits);
 
             logger.info(`Player splits retrieved successfully`, {
                 userId: req.user.id,
@@ -398,9 +351,7 @@ class PlayersController {
             const { type } = req.query;
             const cacheKey = `awards:${playerId}:${type || 'all'}`;
 
-            let awards = await this.cache.get(cacheKey);
-
-            if (!awards) {
+            const awards = await this.cache.wrap(cacheKey, async () => {
                 const player = await Player.findOne({ playerId })
                     .select('awards achievements accolades');
 
@@ -408,21 +359,21 @@ class PlayersController {
                     throw new NotFoundError(`Player with ID ${playerId} not found`);
                 }
 
-                awards = {
-                    awards: player.awards || [],
-                    achievements: player.achievements || [],
-                    accolades: player.accolades || []
-                };
+                let playerAwards = player.awards || [];
 
                 // Filter by type if specified
                 if (type) {
-                    awards.awards = awards.awards.filter(award => 
+                    playerAwards = playerAwards.filter(award => 
                         award.type.toLowerCase().includes(type.toLowerCase())
                     );
                 }
 
-                await this.cache.set(cacheKey, awards, this.cacheTimeout.awards);
-            }
+                return {
+                    awards: playerAwards,
+                    achievements: player.achievements || [],
+                    accolades: player.accolades || []
+                };
+            }, this.cacheTimeout.awards);
 
             logger.info(`Player awards retrieved successfully`, {
                 userId: req.user.id,
@@ -460,17 +411,11 @@ class PlayersController {
             const { metrics, period = 'season', context } = req.query;
             const cacheKey = `analytics:${playerId}:${metrics || 'all'}:${period}:${context || 'general'}`;
 
-            let analytics = await this.cache.get(cacheKey);
-
-            if (!analytics) {
-                analytics = await this.analytics.getPlayerAdvancedMetrics(playerId, {
-                    metrics: metrics ? metrics.split(',') : null,
-                    period,
-                    context
-                });
-
-                await this.cache.set(cacheKey, analytics, this.cacheTimeout.analytics);
-            }
+            const analytics = await this.cache.wrap(cacheKey, () => this.analytics.getPlayerAdvancedMetrics(playerId, {
+                metrics: metrics ? metrics.split(',') : null,
+                period,
+                context
+            }), this.cacheTimeout.analytics);
 
             logger.info(`Player advanced analytics retrieved successfully`, {
                 userId: req.user.id,
@@ -505,16 +450,10 @@ class PlayersController {
             const { type = 'season', games } = req.query;
             const cacheKey = `projections:${playerId}:${type}:${games || 'season'}`;
 
-            let projections = await this.cache.get(cacheKey);
-
-            if (!projections) {
-                projections = await this.analytics.generatePlayerProjections(playerId, {
-                    type,
-                    games: games ? parseInt(games) : null
-                });
-
-                await this.cache.set(cacheKey, projections, this.cacheTimeout.projections);
-            }
+            const projections = await this.cache.wrap(cacheKey, () => this.analytics.generatePlayerProjections(playerId, {
+                type,
+                games: games ? parseInt(games) : null
+            }), this.cacheTimeout.projections);
 
             logger.info(`Player projections retrieved successfully`, {
                 userId: req.user.id,
@@ -549,16 +488,10 @@ class PlayersController {
             const { years = 5, type } = req.query;
             const cacheKey = `injuries:${playerId}:${years}:${type || 'all'}`;
 
-            let injuryHistory = await this.cache.get(cacheKey);
-
-            if (!injuryHistory) {
-                injuryHistory = await this.nbaService.getPlayerInjuryHistory(playerId, {
-                    years: parseInt(years),
-                    type
-                });
-
-                await this.cache.set(cacheKey, injuryHistory, this.cacheTimeout.injuries);
-            }
+            const injuryHistory = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerInjuryHistory(playerId, {
+                years: parseInt(years),
+                type
+            }), this.cacheTimeout.injuries);
 
             logger.info(`Player injury history retrieved successfully`, {
                 userId: req.user.id,
@@ -593,17 +526,11 @@ class PlayersController {
             const playerIds = players.split(',');
             const cacheKey = `compare:${players}:${metrics || 'basic'}:${season}:${context}`;
 
-            let comparison = await this.cache.get(cacheKey);
-
-            if (!comparison) {
-                comparison = await this.analytics.comparePlayers(playerIds, {
-                    metrics: metrics ? metrics.split(',') : null,
-                    season,
-                    context
-                });
-
-                await this.cache.set(cacheKey, comparison, this.cacheTimeout.analytics);
-            }
+            const comparison = await this.cache.wrap(cacheKey, () => this.analytics.comparePlayers(playerIds, {
+                metrics: metrics ? metrics.split(',') : null,
+                season,
+                context
+            }), this.cacheTimeout.analytics);
 
             logger.info(`Player comparison retrieved successfully`, {
                 userId: req.user.id,
@@ -638,17 +565,11 @@ class PlayersController {
             const { season = '2024-25', type = 'season', zone = 'all' } = req.query;
             const cacheKey = `shot-charts:${playerId}:${season}:${type}:${zone}`;
 
-            let shotCharts = await this.cache.get(cacheKey);
-
-            if (!shotCharts) {
-                shotCharts = await this.nbaService.getPlayerShotCharts(playerId, {
-                    season,
-                    type,
-                    zone
-                });
-
-                await this.cache.set(cacheKey, shotCharts, this.cacheTimeout.shotCharts);
-            }
+            const shotCharts = await this.cache.wrap(cacheKey, () => this.nbaService.getPlayerShotCharts(playerId, {
+                season,
+                type,
+                zone
+            }), this.cacheTimeout.shotCharts);
 
             logger.info(`Player shot charts retrieved successfully`, {
                 userId: req.user.id,
@@ -683,17 +604,11 @@ class PlayersController {
             const { season = '2024-25', sort = 'points', limit = 50 } = req.query;
             const cacheKey = `rookies:${season}:${sort}:${limit}`;
 
-            let rookieStats = await this.cache.get(cacheKey);
-
-            if (!rookieStats) {
-                rookieStats = await this.nbaService.getRookieStats({
-                    season,
-                    sort,
-                    limit: parseInt(limit)
-                });
-
-                await this.cache.set(cacheKey, rookieStats, this.cacheTimeout.rookies);
-            }
+            const rookieStats = await this.cache.wrap(cacheKey, () => this.nbaService.getRookieStats({
+                season,
+                sort,
+                limit: parseInt(limit)
+            }), this.cacheTimeout.rookies);
 
             logger.info(`Rookie stats retrieved successfully`, {
                 userId: req.user.id,
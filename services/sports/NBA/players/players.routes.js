@@ -5,6 +5,9 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
+const { applyCachePolicy } = require('../../../../middleware/conditional.middleware');
+const { cacheTimeout } = require('./players.cache');
 
 // =============================================================================
 // NBA PLAYERS API ROUTES
@@ -25,6 +28,50 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /:playerId/current-stats': 'free',
+    'GET /search': 'free',
+    'GET /:playerId/career-stats': 'standard',
+    'GET /:playerId/game-logs': 'standard',
+    'GET /:playerId/splits': 'standard',
+    'GET /:playerId/awards': 'standard',
+    'GET /:playerId/advanced-analytics': 'premium',
+    'GET /:playerId/projections': 'premium',
+    'GET /:playerId/injury-history': 'premium',
+    'GET /compare': 'premium',
+    'GET /:playerId/shot-charts': 'premium',
+    'GET /rookies': 'premium',
+    'GET /:playerId': 'free'
+});
+
+// =============================================================================
+// CACHE POLICY
+// =============================================================================
+// Cache-Control max-age per endpoint, from the controller's cache timeouts.
+// =============================================================================
+applyCachePolicy(router, {
+    'GET /': cacheTimeout.players,
+    'GET /:playerId/current-stats': cacheTimeout.currentStats,
+    'GET /search': cacheTimeout.players,
+    'GET /:playerId/career-stats': cacheTimeout.careerStats,
+    'GET /:playerId/game-logs': cacheTimeout.gameLogs,
+    'GET /:playerId/splits': cacheTimeout.splits,
+    'GET /:playerId/awards': cacheTimeout.awards,
+    'GET /:playerId/advanced-analytics': cacheTimeout.analytics,
+    'GET /:playerId/projections': cacheTimeout.projections,
+    'GET /:playerId/injury-history': cacheTimeout.injuries,
+    'GET /compare': cacheTimeout.analytics,
+    'GET /:playerId/shot-charts': cacheTimeout.shotCharts,
+    'GET /rookies': cacheTimeout.rookies,
+    'GET /:playerId': cacheTimeout.players
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
@@ -54,25 +101,6 @@ router.get('/',
     playersController.getAllPlayers
 );
 
-/**
- * GET /api/nba/players/:playerId
- * Get specific player information
- * Tier: FREE
- * Rate limit: 100/hour
- * @param {string} playerId - NBA player ID
- * @query {string} include - Additional data (stats, bio, social)
- */
-router.get('/:playerId', 
-    authenticate,
-    rateLimiter.free,
-    [
-        param('playerId').notEmpty().withMessage('Player ID is required'),
-        query('include').optional().isString().withMessage('Include must be comma-separated string')
-    ],
-    validateRequest,
-    playersController.getPlayerById
-);
-
 /**
  * GET /api/nba/players/:playerId/current-stats
  * Get player's current season statistics
@@ -347,6 +375,33 @@ router.get('/rookies',
     playersController.getRookieStats
 );
 
+// =============================================================================
+// PLAYER BY ID
+// =============================================================================
+// Declared after the static paths (/search, /compare, /rookies) so
+// Express does not take them for a playerId; tier and cache maps follow
+// the same order.
+// =============================================================================
+
+/**
+ * GET /api/nba/players/:playerId
+ * Get specific player information
+ * Tier: FREE
+ * Rate limit: 100/hour
+ * @param {string} playerId - NBA player ID
+ * @query {string} include - Additional data (stats, bio, social)
+ */
+router.get('/:playerId', 
+    authenticate,
+    rateLimiter.free,
+    [
+        param('playerId').notEmpty().withMessage('Player ID is required'),
+        query('include').optional().isString().withMessage('Include must be comma-separated string')
+    ],
+    validateRequest,
+    playersController.getPlayerById
+);
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
@@ -5,6 +5,7 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // =============================================================================
 // NBA STANDINGS API ROUTES
@@ -25,6 +26,30 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /conference/:conference': 'free',
+    'GET /division/:division': 'free',
+    'GET /team/:teamId': 'free',
+    'GET /playoff-picture': 'free',
+    'GET /historical': 'standard',
+    'GET /trends': 'standard',
+    'GET /playoff-race': 'standard',
+    'GET /head-to-head': 'standard',
+    'GET /streaks': 'standard',
+    'GET /projections': 'premium',
+    'GET /scenarios': 'premium',
+    'GET /power-rankings': 'premium',
+    'GET /tiebreakers': 'premium',
+    'GET /draft-lottery': 'premium',
+    'GET /strength-of-schedule': 'premium'
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
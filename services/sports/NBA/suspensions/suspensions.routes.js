@@ -5,6 +5,7 @@ const { authenticate } = require('../../../../middleware/auth.middleware');
 const { rateLimiter } = require('../../../../middleware/rateLimiter.middleware');
 const { validateRequest } = require('../../../../middleware/validation.middleware');
 const { body, param, query } = require('express-validator');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // =============================================================================
 // NBA SUSPENSION API ROUTES - BONUS API (12/12)
@@ -26,6 +27,33 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /player/:playerId': 'free',
+    'GET /team/:teamId': 'free',
+    'GET /recent': 'free',
+    'GET /summary': 'free',
+    'GET /historical': 'standard',
+    'GET /appeals': 'standard',
+    'GET /repeat-offenders': 'standard',
+    'GET /team-impact': 'standard',
+    'GET /by-violation': 'standard',
+    'GET /reinstatement': 'standard',
+    'GET /risk-assessment': 'premium',
+    'GET /predictive-analytics': 'premium',
+    'GET /compliance-dashboard': 'premium',
+    'GET /legal-precedents': 'premium',
+    'GET /fantasy-impact': 'premium',
+    'GET /betting-implications': 'premium',
+    'GET /media-sentiment': 'premium',
+    'GET /alerts-config': 'premium'
+});
+
 // =============================================================================
 // FREE TIER ENDPOINTS (100 requests/hour)
 // =============================================================================
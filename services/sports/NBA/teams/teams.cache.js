@@ -0,0 +1,19 @@
+// =============================================================================
+// NBA TEAMS CACHE TIMEOUTS
+// =============================================================================
+// Seconds each resource stays fresh. Used by the controller for its response
+// cache and by the routes for the Cache-Control max-age sent to clients.
+// =============================================================================
+
+const cacheTimeout = {
+    teams: 3600, // 1 hour
+    roster: 1800, // 30 minutes
+    stats: 900, // 15 minutes
+    schedule: 300, // 5 minutes
+    standings: 600, // 10 minutes
+    analytics: 300, // 5 minutes
+    injuries: 180, // 3 minutes
+    trades: 1800 // 30 minutes
+};
+
+module.exports = { cacheTimeout };
@@ -3,6 +3,8 @@ const { ApiResponse } = require('../../../../utils/apiResponse');
 const { logger } = require('../../../../utils/logger');
 const { NBADataService } = require('../../../../services/nbaData.service');
 const { CacheService } = require('../../../../services/cache.service');
+const { teamsKeyTags } = require('../cache-tags');
+const { cacheTimeout } = require('./teams.cache');
 const { ValidationError, NotFoundError } = require('../../../../utils/errors');
 
 // =============================================================================
@@ -16,17 +18,8 @@ const { ValidationError, NotFoundError } = require('../../../../utils/errors');
 class TeamsController {
     constructor() {
         this.nbaService = new NBADataService();
-        this.cache = new CacheService();
-        this.cacheTimeout = {
-            teams: 3600, // 1 hour
-            roster: 1800, // 30 minutes
-            stats: 900, // 15 minutes
-            schedule: 300, // 5 minutes
-            standings: 600, // 10 minutes
-            analytics: 300, // 5 minutes
-            injuries: 180, // 3 minutes
-            trades: 1800 // 30 minutes
-        };
+        this.cache = new CacheService({ namespace: 'teams', tagResolver: teamsKeyTags });
+        this.cacheTimeout = cacheTimeout;
     }
 
     // =========================================================================
@@ -43,20 +36,11 @@ class TeamsController {
             const { conference, division, active } = req.query;
             const cacheKey = `teams:all:${conference || 'all'}:${division || 'all'}:${active || 'all'}`;
 
-            // Check cache first
-            let teams = await this.cache.get(cacheKey);
-            
-            if (!teams) {
-                // Get from database/external API
-                teams = await this.nbaService.getAllTeams({
-                    conference,
-                    division,
-                    active: active !== 'false'
-                });
-
-                // Cache the results
-                await this.cache.set(cacheKey, teams, this.cacheTimeout.teams);
-            }
+            const teams = await this.cache.wrap(cacheKey, () => this.nbaService.getAllTeams({
+                conference,
+                division,
+                active: active !== 'false'
+            }), this.cacheTimeout.teams);
 
             logger.info(`Teams retrieved successfully`, {
                 userId: req.user.id,
@@ -90,18 +74,12 @@ class TeamsController {
             const { include } = req.query;
             const cacheKey = `team:${teamId}:${include || 'basic'}`;
 
-            let team = await this.cache.get(cacheKey);
+            const team = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamById(teamId, {
+                include: include ? include.split(',') : []
+            }), this.cacheTimeout.teams);
 
             if (!team) {
-                team = await this.nbaService.getTeamById(teamId, {
-                    include: include ? include.split(',') : []
-                });
-
-                if (!team) {
-                    throw new NotFoundError(`Team with ID ${teamId} not found`);
-                }
-
-                await this.cache.set(cacheKey, team, this.cacheTimeout.teams);
+                throw new NotFoundError(`Team with ID ${teamId} not found`);
             }
 
             logger.info(`Team retrieved successfully`, {
@@ -129,17 +107,11 @@ class TeamsController {
             const { season, position, status } = req.query;
             const cacheKey = `roster:${teamId}:${season || 'current'}:${position || 'all'}:${status || 'active'}`;
 
-            let roster = await this.cache.get(cacheKey);
-
-            if (!roster) {
-                roster = await this.nbaService.getTeamRoster(teamId, {
-                    season,
-                    position,
-                    status
-                });
-
-                await this.cache.set(cacheKey, roster, this.cacheTimeout.roster);
-            }
+            const roster = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamRoster(teamId, {
+                season,
+                position,
+                status
+            }), this.cacheTimeout.roster);
 
             logger.info(`Team roster retrieved successfully`, {
                 userId: req.user.id,
@@ -178,17 +150,11 @@ class TeamsController {
             const { season, type, split } = req.query;
             const cacheKey = `stats:${teamId}:${season || 'current'}:${type || 'regular'}:${split || 'total'}`;
 
-            let stats = await this.cache.get(cacheKey);
-
-            if (!stats) {
-                stats = await this.nbaService.getTeamStats(teamId, {
-                    season,
-                    type, // regular, playoffs, preseason
-                    split // home, away, total
-                });
-
-                await this.cache.set(cacheKey, stats, this.cacheTimeout.stats);
-            }
+            const stats = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamStats(teamId, {
+                season,
+                type, // regular, playoffs, preseason
+                split // home, away, total
+            }), this.cacheTimeout.stats);
 
             logger.info(`Team stats retrieved successfully`, {
                 userId: req.user.id,
@@ -225,18 +191,12 @@ class TeamsController {
             const { from, to, status, limit = 50 } = req.query;
             const cacheKey = `schedule:${teamId}:${from || 'now'}:${to || 'season'}:${status || 'all'}:${limit}`;
 
-            let schedule = await this.cache.get(cacheKey);
-
-            if (!schedule) {
-                schedule = await this.nbaService.getTeamSchedule(teamId, {
-                    from,
-                    to,
-                    status,
-                    limit: parseInt(limit)
-                });
-
-                await this.cache.set(cacheKey, schedule, this.cacheTimeout.schedule);
-            }
+            const schedule = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamSchedule(teamId, {
+                from,
+                to,
+                status,
+                limit: parseInt(limit)
+            }), this.cacheTimeout.schedule);
 
             logger.info(`Team schedule retrieved successfully`, {
                 userId: req.user.id,
@@ -271,16 +231,10 @@ class TeamsController {
             const { season, type } = req.query;
             const cacheKey = `standings:${teamId}:${season || 'current'}:${type || 'regular'}`;
 
-            let standings = await this.cache.get(cacheKey);
-
-            if (!standings) {
-                standings = await this.nbaService.getTeamStandings(teamId, {
-                    season,
-                    type
-                });
-
-                await this.cache.set(cacheKey, standings, this.cacheTimeout.standings);
-            }
+            const standings = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamStandings(teamId, {
+                season,
+                type
+            }), this.cacheTimeout.standings);
 
             logger.info(`Team standings retrieved successfully`, {
                 userId: req.user.id,
@@ -319,16 +273,10 @@ class TeamsController {
             const { metrics, period = 'season' } = req.query;
             const cacheKey = `analytics:${teamId}:${metrics || 'all'}:${period}`;
 
-            let analytics = await this.cache.get(cacheKey);
-
-            if (!analytics) {
-                analytics = await this.nbaService.getTeamAnalytics(teamId, {
-                    metrics: metrics ? metrics.split(',') : null,
-                    period
-                });
-
-                await this.cache.set(cacheKey, analytics, this.cacheTimeout.analytics);
-            }
+            const analytics = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamAnalytics(teamId, {
+                metrics: metrics ? metrics.split(',') : null,
+                period
+            }), this.cacheTimeout.analytics);
 
             logger.info(`Team analytics retrieved successfully`, {
                 userId: req.user.id,
@@ -362,16 +310,10 @@ class TeamsController {
             const { status, severity } = req.query;
             const cacheKey = `injuries:${teamId}:${status || 'all'}:${severity || 'all'}`;
 
-            let injuries = await this.cache.get(cacheKey);
-
-            if (!injuries) {
-                injuries = await this.nbaService.getTeamInjuries(teamId, {
-                    status,
-                    severity
-                });
-
-                await this.cache.set(cacheKey, injuries, this.cacheTimeout.injuries);
-            }
+            const injuries = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamInjuries(teamId, {
+                status,
+                severity
+            }), this.cacheTimeout.injuries);
 
             logger.info(`Team injuries retrieved successfully`, {
                 userId: req.user.id,
@@ -405,16 +347,10 @@ class TeamsController {
             const { type = 'all', limit = 20 } = req.query;
             const cacheKey = `trades:${teamId}:${type}:${limit}`;
 
-            let trades = await this.cache.get(cacheKey);
-
-            if (!trades) {
-                trades = await this.nbaService.getTeamTrades(teamId, {
-                    type,
-                    limit: parseInt(limit)
-                });
-
-                await this.cache.set(cacheKey, trades, this.cacheTimeout.trades);
-            }
+            const trades = await this.cache.wrap(cacheKey, () => this.nbaService.getTeamTrades(teamId, {
+                type,
+                limit: parseInt(limit)
+            }), this.cacheTimeout.trades);
 
             logger.info(`Team trades retrieved successfully`, {
                 userId: req.user.id,
@@ -449,16 +385,10 @@ class TeamsController {
             const teamIds = teams.split(',');
             const cacheKey = `compare:${teams}:${metrics || 'basic'}:${season || 'current'}`;
 
-            let comparison = await this.cache.get(cacheKey);
-
-            if (!comparison) {
-                comparison = await this.nbaService.compareTeams(teamIds, {
-                    metrics: metrics ? metrics.split(',') : null,
-                    season
-                });
-
-                await this.cache.set(cacheKey, comparison, this.cacheTimeout.stats);
-            }
+            const comparison = await this.cache.wrap(cacheKey, () => this.nbaService.compareTeams(teamIds, {
+                metrics: metrics ? metrics.split(',') : null,
+                season
+            }), this.cacheTimeout.stats);
 
             logger.info(`Team comparison retrieved successfully`, {
                 userId: req.user.id,
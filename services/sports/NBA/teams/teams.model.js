@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const cacheInvalidation = require('../../../../models/plugins/cacheInvalidation');
+const memberStatusChange = require('../../../../models/plugins/memberStatusChange');
+const { webhookService } = require('../../../../services/webhooks/webhook.service');
+const { rosterStatusEvents } = require('../../../../services/webhooks/webhook.events');
+const { tagsForTeam } = require('../cache-tags');
 
 // =============================================================================
 // NBA TEAMS MONGODB MODEL
@@ -483,6 +488,23 @@ TeamSchema.post('save', function(doc) {
     console.log(`Team ${doc.fullName} (${doc.abbreviation}) updated at ${doc.lastUpdated}`);
 });
 
+// Purge cached rosters, stats and team lists on every write
+TeamSchema.plugin(cacheInvalidation, {
+    tagsFor: tagsForTeam,
+    fields: 'teamId abbreviation'
+});
+
+// Push injury and suspension changes on the roster to webhook subscribers
+TeamSchema.plugin(memberStatusChange, {
+    array: 'roster',
+    key: 'playerId',
+    path: 'status',
+    onChange: (team, player, previousStatus) => Promise.all(
+        rosterStatusEvents(team, player, previousStatus).map(([type, payload]) => webhookService.publish(type, payload))
+    ),
+    fields: 'teamId roster'
+});
+
 // =============================================================================
 // MODEL EXPORT
 // =============================================================================
@@ -1,8 +1,11 @@
 const express = require('express');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
+const { applyCachePolicy } = require('../../../../middleware/conditional.middleware');
+const { cacheTimeout } = require('./teams.cache');
 const router = express.Router();
 
-// Simplified Teams API (no auth/validation for now)
-// We'll add advanced features later
+// Simplified Teams API (no validation for now)
+// Free endpoints are public; paid endpoints are gated by the tier map below
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -14,6 +17,30 @@ router.get('/health', (req, res) => {
     });
 });
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint.
+// =============================================================================
+applyTierMap(router, {
+    'GET /': 'free',
+    'GET /:teamId': 'free',
+    'GET /:teamId/roster': 'free',
+    'GET /:teamId/stats': 'standard'
+});
+
+// =============================================================================
+// CACHE POLICY
+// =============================================================================
+// Cache-Control max-age per endpoint, from the controller's cache timeouts.
+// =============================================================================
+applyCachePolicy(router, {
+    'GET /': cacheTimeout.teams,
+    'GET /:teamId': cacheTimeout.teams,
+    'GET /:teamId/roster': cacheTimeout.roster,
+    'GET /:teamId/stats': cacheTimeout.stats
+});
+
 // Get all teams
 router.get('/', (req, res) => {
     res.status(200).json({
@@ -3,11 +3,27 @@ const router = express.Router();
 const weatherController = require('./weather.controller');
 const { authenticate, tierRateLimit, logRequest } = require('../../../../middleware/auth.middleware');
 const { asyncHandler } = require('../../../../middleware/error-handler.middleware');
+const { applyTierMap } = require('../../../../middleware/tier.middleware');
 
 // Apply authentication and logging to all routes
 router.use(authenticate);
 router.use(logRequest);
 
+// =============================================================================
+// TIER MAP
+// =============================================================================
+// Minimum subscription tier per endpoint (enforced after authentication above).
+// =============================================================================
+applyTierMap(router, {
+    'GET /game/:gameId': 'standard',
+    'GET /venue/:venue': 'standard',
+    'GET /forecast': 'premium',
+    'GET /venues': 'free',
+    'GET /impact/:gameId': 'premium',
+    'GET /historical/:venue': 'premium',
+    'GET /alerts': 'standard'
+});
+
 /**
  * @route   GET /api/sports/nba/weather/game/:gameId
  * @desc    Get weather data for specific NBA game
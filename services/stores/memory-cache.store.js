@@ -0,0 +1,138 @@
+// =============================================================================
+// IN-MEMORY CACHE STORE
+// =============================================================================
+// Bounded LRU kept in process memory. A Map preserves insertion order, so
+// re-inserting on read keeps the least recently used entry first in line
+// for eviction. Values are stored by reference, not copied.
+//
+// Store interface (shared with RedisCacheStore):
+//   get(key)              -> Promise<entry|null>
+//   set(key, entry, ttlMs) -> Promise<void>
+//   del(keys)             -> Promise<number>   keys removed
+//   tag(key, tags, ttlMs) -> Promise<void>     index key under each tag
+//   invalidateTags(tags)  -> Promise<number>   delete every tagged key
+//   markInvalidated(tags, at, ttlMs) -> Promise<void>  remember purge time
+//   lastInvalidated(tags) -> Promise<number>   latest purge time, 0 if none
+//   clear()               -> Promise<void>
+// =============================================================================
+
+class MemoryCacheStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 5000;
+        this.entries = new Map();
+        this.tags = new Map(); // tag -> Set of keys
+        this.keyTags = new Map(); // key -> tags, to unindex evicted keys
+        this.invalidations = new Map(); // tag -> { at, expiresAt }
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+
+        if (!item) {
+            return null;
+        }
+
+        if (item.expiresAt <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, item);
+
+        return item.entry;
+    }
+
+    async set(key, entry, ttlMs) {
+        this.entries.delete(key);
+        this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async del(keys) {
+        let removed = 0;
+
+        for (const key of [].concat(keys)) {
+            if (this.remove(key)) removed++;
+        }
+
+        return removed;
+    }
+
+    async tag(key, tags) {
+        if (!this.entries.has(key)) return;
+
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) {
+                this.tags.set(tag, new Set());
+            }
+            this.tags.get(tag).add(key);
+        }
+
+        this.keyTags.set(key, [...new Set([...(this.keyTags.get(key) || []), ...tags])]);
+    }
+
+    async invalidateTags(tags) {
+        const keys = new Set();
+
+        for (const tag of [].concat(tags)) {
+            (this.tags.get(tag) || []).forEach(key => keys.add(key));
+        }
+
+        return this.del([...keys]);
+    }
+
+    async markInvalidated(tags, at, ttlMs) {
+        const now = Date.now();
+
+        for (const [tag, mark] of this.invalidations) {
+            if (mark.expiresAt <= now) this.invalidations.delete(tag);
+        }
+        for (const tag of [].concat(tags)) {
+            this.invalidations.set(tag, { at, expiresAt: now + ttlMs });
+        }
+    }
+
+    async lastInvalidated(tags) {
+        const now = Date.now();
+
+        return [].concat(tags).reduce((latest, tag) => {
+            const mark = this.invalidations.get(tag);
+            return mark && mark.expiresAt > now ? Math.max(latest, mark.at) : latest;
+        }, 0);
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.tags.clear();
+        this.keyTags.clear();
+        this.invalidations.clear();
+    }
+
+    remove(key) {
+        const existed = this.entries.delete(key);
+
+        for (const tag of this.keyTags.get(key) || []) {
+            const keys = this.tags.get(tag);
+            if (!keys) continue;
+
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.tags.delete(tag);
+            }
+        }
+        this.keyTags.delete(key);
+
+        return existed;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = { MemoryCacheStore };
@@ -0,0 +1,75 @@
+// =============================================================================
+// IN-MEMORY RATE LIMIT STORE
+// =============================================================================
+// Fixed-window counters kept in process memory. Suitable for a single
+// instance or local development; counts are not shared between replicas.
+//
+// Store interface (shared with RedisRateLimitStore):
+//   increment(key, windowMs) -> Promise<{ count, resetTime }>
+//   decrement(key)           -> Promise<void>  (never below zero, keeps the window)
+//   get(key)                 -> Promise<{ count, resetTime } | null>
+//   reset(key)               -> Promise<void>
+// =============================================================================
+
+class MemoryRateLimitStore {
+    constructor(options = {}) {
+        this.counters = new Map();
+        this.cleanupInterval = options.cleanupInterval || 60 * 1000;
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetTime <= now) {
+            counter = { count: 0, resetTime: now + windowMs };
+            this.counters.set(key, counter);
+        }
+
+        counter.count++;
+
+        return { count: counter.count, resetTime: counter.resetTime };
+    }
+
+    async decrement(key) {
+        const counter = this.counters.get(key);
+
+        if (counter && counter.resetTime > Date.now() && counter.count > 0) {
+            counter.count--;
+        }
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+
+        if (!counter || counter.resetTime <= Date.now()) {
+            return null;
+        }
+
+        return { count: counter.count, resetTime: counter.resetTime };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    // Drop expired windows so idle callers don't accumulate
+    cleanup() {
+        const now = Date.now();
+
+        for (const [key, counter] of this.counters) {
+            if (counter.resetTime <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+module.exports = { MemoryRateLimitStore };
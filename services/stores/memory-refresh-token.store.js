@@ -0,0 +1,102 @@
+// =============================================================================
+// IN-MEMORY REFRESH TOKEN STORE
+// =============================================================================
+// Refresh tokens (by hash) and the rotation families they belong to, kept in
+// process memory. Sessions do not survive a restart or span replicas.
+//
+// Used when neither REDIS_URL nor MONGODB_URI is set.
+//
+// Store interface (shared with RedisRefreshTokenStore and
+// MongoRefreshTokenStore):
+//   saveToken(tokenHash, { familyId, userId, expiresAt }) -> Promise<void>
+//   getToken(tokenHash)     -> Promise<record|null>
+//   markUsed(tokenHash)     -> Promise<boolean>  false if already used
+//   createFamily(familyId, userId) -> Promise<void>
+//   getFamily(familyId)     -> Promise<family|null>
+//   revokeFamily(familyId)  -> Promise<void>
+//   revokeUser(userId)      -> Promise<number>   families revoked
+// =============================================================================
+
+class MemoryRefreshTokenStore {
+    constructor(options = {}) {
+        this.tokens = new Map();
+        this.families = new Map();
+        this.cleanupInterval = options.cleanupInterval || 10 * 60 * 1000;
+
+        this.cleanupTimer = setInterval(() => this.cleanup(), this.cleanupInterval);
+        this.cleanupTimer.unref();
+    }
+
+    async saveToken(tokenHash, { familyId, userId, expiresAt }) {
+        this.tokens.set(tokenHash, { familyId, userId, expiresAt, usedAt: null });
+    }
+
+    async getToken(tokenHash) {
+        return this.tokens.get(tokenHash) || null;
+    }
+
+    async markUsed(tokenHash) {
+        const token = this.tokens.get(tokenHash);
+
+        if (!token || token.usedAt) {
+            return false;
+        }
+
+        token.usedAt = new Date();
+        return true;
+    }
+
+    async createFamily(familyId, userId) {
+        this.families.set(familyId, { familyId, userId, revoked: false, createdAt: new Date() });
+    }
+
+    async getFamily(familyId) {
+        return this.families.get(familyId) || null;
+    }
+
+    async revokeFamily(familyId) {
+        const family = this.families.get(familyId);
+        if (family) {
+            family.revoked = true;
+        }
+    }
+
+    async revokeUser(userId) {
+        let revoked = 0;
+
+        for (const family of this.families.values()) {
+            if (family.userId === userId && !family.revoked) {
+                family.revoked = true;
+                revoked++;
+            }
+        }
+
+        return revoked;
+    }
+
+    // Drop expired tokens and families with no tokens left
+    cleanup() {
+        const now = new Date();
+        const liveFamilies = new Set();
+
+        for (const [tokenHash, token] of this.tokens) {
+            if (token.expiresAt <= now) {
+                this.tokens.delete(tokenHash);
+            } else {
+                liveFamilies.add(token.familyId);
+            }
+        }
+
+        for (const familyId of this.families.keys()) {
+            if (!liveFamilies.has(familyId)) {
+                this.families.delete(familyId);
+            }
+        }
+    }
+
+    close() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+module.exports = { MemoryRefreshTokenStore };
@@ -0,0 +1,75 @@
+// =============================================================================
+// IN-MEMORY TOPIC STORE
+// =============================================================================
+// Pub/sub backend for a single process: messages are handed to this
+// process's subscribers and the last `historySize` per topic are kept for
+// replay. Topics idle for longer than historyTtlMs are forgotten.
+//
+// Store interface (shared with RedisTopicStore):
+//   publish(message, historySize) -> Promise<void>    deliver + remember
+//   onMessage(handler)            -> Promise<void>    handler(message) for every publish
+//   history(topic, limit)         -> Promise<message[]> oldest first
+//   topics()                      -> Promise<string[]> topics with history
+//   close()                       -> Promise<void>
+// =============================================================================
+
+class MemoryTopicStore {
+    constructor(options = {}) {
+        this.historyTtlMs = options.historyTtlMs || 24 * 60 * 60 * 1000;
+        this.maxTopics = options.maxTopics || 10000;
+        this.histories = new Map(); // topic -> { messages, touchedAt }
+        this.handlers = new Set();
+    }
+
+    async publish(message, historySize) {
+        const history = this.histories.get(message.topic) || { messages: [] };
+        history.messages.push(message);
+        if (history.messages.length > historySize) {
+            history.messages.splice(0, history.messages.length - historySize);
+        }
+        history.touchedAt = Date.now();
+
+        // Re-insert so the least recently published topic is evicted first
+        this.histories.delete(message.topic);
+        this.histories.set(message.topic, history);
+        this.evict();
+
+        // Delivered asynchronously, like a Redis round trip
+        setImmediate(() => this.handlers.forEach(handler => handler(message)));
+    }
+
+    async onMessage(handler) {
+        this.handlers.add(handler);
+    }
+
+    async history(topic, limit) {
+        const history = this.histories.get(topic);
+        if (!history || this.isExpired(history)) return [];
+
+        return history.messages.slice(-limit);
+    }
+
+    async topics() {
+        return [...this.histories.entries()]
+            .filter(([, history]) => !this.isExpired(history))
+            .map(([topic]) => topic);
+    }
+
+    isExpired(history) {
+        return Date.now() - history.touchedAt > this.historyTtlMs;
+    }
+
+    evict() {
+        for (const [topic, history] of this.histories) {
+            if (this.histories.size <= this.maxTopics && !this.isExpired(history)) break;
+            this.histories.delete(topic);
+        }
+    }
+
+    async close() {
+        this.handlers.clear();
+        this.histories.clear();
+    }
+}
+
+module.exports = { MemoryTopicStore };
@@ -0,0 +1,82 @@
+const RefreshToken = require('../../models/auth/RefreshToken');
+const RefreshTokenFamily = require('../../models/auth/RefreshTokenFamily');
+
+// =============================================================================
+// MONGODB REFRESH TOKEN STORE
+// =============================================================================
+// Refresh tokens and their rotation families kept in MongoDB, so sessions
+// survive restarts and span replicas. TTL indexes remove tokens once they
+// expire and families once their newest token has.
+// Same interface as MemoryRefreshTokenStore.
+// =============================================================================
+
+class MongoRefreshTokenStore {
+    constructor(options = {}) {
+        this.tokens = options.tokenModel || RefreshToken;
+        this.families = options.familyModel || RefreshTokenFamily;
+    }
+
+    async saveToken(tokenHash, { familyId, userId, expiresAt }) {
+        await this.tokens.create({ tokenHash, familyId, userId, expiresAt });
+        await this.families.updateOne({ familyId }, { $max: { expiresAt } });
+    }
+
+    async getToken(tokenHash) {
+        const token = await this.tokens.findOne({ tokenHash }).lean();
+
+        if (!token) {
+            return null;
+        }
+
+        return {
+            familyId: token.familyId,
+            userId: token.userId,
+            expiresAt: token.expiresAt,
+            usedAt: token.usedAt
+        };
+    }
+
+    // Only the first use matches the filter
+    async markUsed(tokenHash) {
+        const result = await this.tokens.updateOne(
+            { tokenHash, usedAt: null },
+            { $set: { usedAt: new Date() } }
+        );
+
+        return result.modifiedCount === 1;
+    }
+
+    async createFamily(familyId, userId) {
+        await this.families.create({ familyId, userId });
+    }
+
+    async getFamily(familyId) {
+        const family = await this.families.findOne({ familyId }).lean();
+
+        if (!family) {
+            return null;
+        }
+
+        return {
+            familyId: family.familyId,
+            userId: family.userId,
+            revoked: family.revoked,
+            createdAt: family.createdAt
+        };
+    }
+
+    async revokeFamily(familyId) {
+        await this.families.updateOne({ familyId }, { $set: { revoked: true } });
+    }
+
+    async revokeUser(userId) {
+        const result = await this.families.updateMany(
+            { userId, revoked: false },
+            { $set: { revoked: true } }
+        );
+
+        return result.modifiedCount;
+    }
+}
+
+module.exports = { MongoRefreshTokenStore };
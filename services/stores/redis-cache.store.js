@@ -0,0 +1,107 @@
+// =============================================================================
+// REDIS CACHE STORE
+// =============================================================================
+// Cache entries as JSON strings with a millisecond TTL, shared by every
+// replica. Eviction is left to Redis (configure maxmemory-policy allkeys-lru).
+// Values must be JSON-serialisable; Dates come back as ISO strings.
+// Each tag is a Redis set of keys that lives at least as long as its
+// longest-lived member. The last purge time of each tag is kept for a while
+// so every replica can drop results fetched before it.
+// =============================================================================
+
+// SADD the key and extend the tag's TTL, never shorten it
+const TAG_SCRIPT = `
+redis.call('SADD', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < tonumber(ARGV[2]) then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+class RedisCacheStore {
+    constructor(client, options = {}) {
+        if (!client) {
+            throw new Error('RedisCacheStore requires a Redis client');
+        }
+
+        this.client = client;
+        this.prefix = options.prefix || 'fireapi:cache:';
+        this.tagPrefix = options.tagPrefix || 'fireapi:cache-tag:';
+        this.invalidatedPrefix = options.invalidatedPrefix || 'fireapi:cache-invalidated:';
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.prefix + key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, entry, ttlMs) {
+        await this.client.set(this.prefix + key, JSON.stringify(entry), 'PX', Math.max(1, Math.ceil(ttlMs)));
+    }
+
+    async del(keys) {
+        const list = [].concat(keys);
+        if (list.length === 0) return 0;
+
+        return this.client.del(...list.map(key => this.prefix + key));
+    }
+
+    async tag(key, tags, ttlMs) {
+        await Promise.all(tags.map(tag => this.client.eval(
+            TAG_SCRIPT,
+            1,
+            this.tagPrefix + tag,
+            key,
+            Math.max(1, Math.ceil(ttlMs))
+        )));
+    }
+
+    async invalidateTags(tags) {
+        const tagKeys = [].concat(tags).map(tag => this.tagPrefix + tag);
+        if (tagKeys.length === 0) return 0;
+
+        const keys = await this.client.sunion(...tagKeys);
+        const [removed] = await Promise.all([
+            this.del(keys),
+            this.client.del(...tagKeys)
+        ]);
+
+        return removed;
+    }
+
+    async markInvalidated(tags, at, ttlMs) {
+        const pipeline = this.client.multi();
+
+        [].concat(tags).forEach(tag => {
+            pipeline.set(this.invalidatedPrefix + tag, String(at), 'PX', Math.max(1, Math.ceil(ttlMs)));
+        });
+
+        await pipeline.exec();
+    }
+
+    async lastInvalidated(tags) {
+        const list = [].concat(tags);
+        if (list.length === 0) return 0;
+
+        const values = await this.client.mget(...list.map(tag => this.invalidatedPrefix + tag));
+        return values.reduce((latest, value) => (value === null ? latest : Math.max(latest, Number(value))), 0);
+    }
+
+    // Removes this store's keys only, never the whole database
+    async clear() {
+        for (const prefix of [this.prefix, this.tagPrefix, this.invalidatedPrefix]) {
+            let cursor = '0';
+
+            do {
+                const [next, keys] = await this.client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+                cursor = next;
+                if (keys.length > 0) {
+                    await this.client.del(...keys);
+                }
+            } while (cursor !== '0');
+        }
+    }
+}
+
+module.exports = { RedisCacheStore };
@@ -0,0 +1,80 @@
+// =============================================================================
+// REDIS RATE LIMIT STORE
+// =============================================================================
+// Fixed-window counters kept in Redis so every replica behind the load
+// balancer shares the same limits. Works with any client exposing an
+// ioredis-style `eval(script, numKeys, ...args)` and `multi()` API.
+// =============================================================================
+
+// INCR and PEXPIRE run atomically so a window is never left without a TTL
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+// Give back one count without creating a window or going below zero
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 and tonumber(redis.call('GET', KEYS[1])) > 0 then
+    return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+class RedisRateLimitStore {
+    constructor(client, options = {}) {
+        if (!client) {
+            throw new Error('RedisRateLimitStore requires a Redis client');
+        }
+
+        this.client = client;
+        this.prefix = options.prefix || 'fireapi:ratelimit:';
+    }
+
+    async increment(key, windowMs) {
+        const [count, ttl] = await this.client.eval(
+            INCREMENT_SCRIPT,
+            1,
+            this.prefix + key,
+            windowMs
+        );
+
+        return {
+            count: Number(count),
+            resetTime: Date.now() + Number(ttl)
+        };
+    }
+
+    async decrement(key) {
+        await this.client.eval(DECREMENT_SCRIPT, 1, this.prefix + key);
+    }
+
+    async get(key) {
+        const [[, count], [, ttl]] = await this.client.multi()
+            .get(this.prefix + key)
+            .pttl(this.prefix + key)
+            .exec();
+
+        if (count === null || Number(ttl) < 0) {
+            return null;
+        }
+
+        return {
+            count: Number(count),
+            resetTime: Date.now() + Number(ttl)
+        };
+    }
+
+    async reset(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+module.exports = { RedisRateLimitStore };
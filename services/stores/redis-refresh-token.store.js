@@ -0,0 +1,120 @@
+// =============================================================================
+// REDIS REFRESH TOKEN STORE
+// =============================================================================
+// Refresh tokens and their rotation families kept in Redis, so sessions
+// survive restarts and a token issued by one replica can be rotated on
+// another. Tokens and families are hashes that expire with their last token;
+// a set per user lists its families for "log out everywhere".
+// Same interface as MemoryRefreshTokenStore.
+// =============================================================================
+
+// Only the first use of a token succeeds, and only while the token exists
+const MARK_USED_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+    return 0
+end
+return redis.call('HSETNX', KEYS[1], 'usedAt', ARGV[1])
+`;
+
+// Revoke a family unless it is gone or already revoked
+const REVOKE_FAMILY_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 or redis.call('HGET', KEYS[1], 'revoked') == '1' then
+    return 0
+end
+redis.call('HSET', KEYS[1], 'revoked', '1')
+return 1
+`;
+
+class RedisRefreshTokenStore {
+    constructor(client, options = {}) {
+        if (!client) {
+            throw new Error('RedisRefreshTokenStore requires a Redis client');
+        }
+
+        this.client = client;
+        this.prefix = options.prefix || 'fireapi:refresh:';
+    }
+
+    tokenKey(tokenHash) {
+        return `${this.prefix}token:${tokenHash}`;
+    }
+
+    familyKey(familyId) {
+        return `${this.prefix}family:${familyId}`;
+    }
+
+    userKey(userId) {
+        return `${this.prefix}user:${userId}`;
+    }
+
+    async saveToken(tokenHash, { familyId, userId, expiresAt }) {
+        const expiresAtMs = expiresAt.getTime();
+
+        // The family and the user's index live as long as their newest token
+        await this.client.multi()
+            .hset(this.tokenKey(tokenHash), { familyId, userId, expiresAt: expiresAtMs })
+            .pexpireat(this.tokenKey(tokenHash), expiresAtMs)
+            .pexpireat(this.familyKey(familyId), expiresAtMs)
+            .pexpireat(this.userKey(userId), expiresAtMs)
+            .exec();
+    }
+
+    async getToken(tokenHash) {
+        const token = await this.client.hgetall(this.tokenKey(tokenHash));
+
+        if (!token || !token.familyId) {
+            return null;
+        }
+
+        return {
+            familyId: token.familyId,
+            userId: token.userId,
+            expiresAt: new Date(Number(token.expiresAt)),
+            usedAt: token.usedAt ? new Date(Number(token.usedAt)) : null
+        };
+    }
+
+    async markUsed(tokenHash) {
+        const marked = await this.client.eval(MARK_USED_SCRIPT, 1, this.tokenKey(tokenHash), Date.now());
+        return Number(marked) === 1;
+    }
+
+    async createFamily(familyId, userId) {
+        await this.client.multi()
+            .hset(this.familyKey(familyId), { familyId, userId, revoked: '0', createdAt: Date.now() })
+            .sadd(this.userKey(userId), familyId)
+            .exec();
+    }
+
+    async getFamily(familyId) {
+        const family = await this.client.hgetall(this.familyKey(familyId));
+
+        if (!family || !family.familyId) {
+            return null;
+        }
+
+        return {
+            familyId: family.familyId,
+            userId: family.userId,
+            revoked: family.revoked === '1',
+            createdAt: new Date(Number(family.createdAt))
+        };
+    }
+
+    async revokeFamily(familyId) {
+        await this.client.eval(REVOKE_FAMILY_SCRIPT, 1, this.familyKey(familyId));
+    }
+
+    async revokeUser(userId) {
+        const familyIds = await this.client.smembers(this.userKey(userId));
+        let revoked = 0;
+
+        for (const familyId of familyIds) {
+            revoked += Number(await this.client.eval(REVOKE_FAMILY_SCRIPT, 1, this.familyKey(familyId)));
+        }
+
+        return revoked;
+    }
+}
+
+module.exports = { RedisRefreshTokenStore };
@@ -0,0 +1,77 @@
+// =============================================================================
+// REDIS TOPIC STORE
+// =============================================================================
+// Pub/sub backend shared by every replica. Messages go out on one Redis
+// channel that every broker subscribes to, so each process fans out to its
+// own subscribers. History is a capped list per topic, and a sorted set
+// indexes topics by last publish time so wildcard replays can find them.
+// Any Redis-protocol server works (Redis, KeyDB, Dragonfly).
+// =============================================================================
+
+class RedisTopicStore {
+    constructor(client, options = {}) {
+        if (!client) {
+            throw new Error('RedisTopicStore requires a Redis client');
+        }
+
+        this.client = client;
+        this.channel = options.channel || 'fireapi:topics:messages';
+        this.historyPrefix = options.historyPrefix || 'fireapi:topic-history:';
+        this.indexKey = options.indexKey || 'fireapi:topics:index';
+        this.historyTtlMs = options.historyTtlMs || 24 * 60 * 60 * 1000;
+        this.subscriber = null;
+        this.handlers = new Set();
+    }
+
+    async publish(message, historySize) {
+        const payload = JSON.stringify(message);
+        const historyKey = this.historyPrefix + message.topic;
+        const now = Date.now();
+
+        await this.client.multi()
+            .rpush(historyKey, payload)
+            .ltrim(historyKey, -historySize, -1)
+            .pexpire(historyKey, this.historyTtlMs)
+            .zadd(this.indexKey, now, message.topic)
+            .zremrangebyscore(this.indexKey, '-inf', now - this.historyTtlMs)
+            .publish(this.channel, payload)
+            .exec();
+    }
+
+    async onMessage(handler) {
+        this.handlers.add(handler);
+
+        if (!this.subscriber) {
+            // A subscribed connection cannot run other commands, so use a
+            // dedicated one that queues the SUBSCRIBE until it is connected
+            this.subscriber = this.client.duplicate({ enableOfflineQueue: true, maxRetriesPerRequest: null });
+            this.subscriber.on('message', (channel, payload) => {
+                if (channel !== this.channel) return;
+
+                const message = JSON.parse(payload);
+                this.handlers.forEach(listener => listener(message));
+            });
+            await this.subscriber.subscribe(this.channel);
+        }
+    }
+
+    async history(topic, limit) {
+        const raw = await this.client.lrange(this.historyPrefix + topic, -limit, -1);
+        return raw.map(payload => JSON.parse(payload));
+    }
+
+    async topics() {
+        return this.client.zrangebyscore(this.indexKey, Date.now() - this.historyTtlMs, '+inf');
+    }
+
+    async close() {
+        this.handlers.clear();
+
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+        }
+    }
+}
+
+module.exports = { RedisTopicStore };
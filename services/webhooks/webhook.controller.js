@@ -0,0 +1,301 @@
+const winston = require('winston');
+const { webhookService } = require('./webhook.service');
+const { WEBHOOK_EVENTS } = require('./webhook.events');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// WEBHOOKS CONTROLLER
+// =============================================================================
+// Self-service webhook management. Every subscription belongs to the caller
+// (API key owner or JWT user) and is only visible to them. The signing secret
+// is returned on create and on rotate-secret, never again.
+// =============================================================================
+
+class WebhooksController {
+    /**
+     * Event types that can be subscribed to
+     * @route GET /api/webhooks/events
+     */
+    listEvents = async (req, res, next) => {
+        try {
+            res.status(200).json({
+                success: true,
+                data: {
+                    events: Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }))
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * List the caller's subscriptions
+     * @route GET /api/webhooks
+     */
+    listSubscriptions = async (req, res, next) => {
+        try {
+            const subscriptions = await webhookService.listSubscriptions(req.principal.id);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    subscriptions: subscriptions.map(subscription => webhookService.toView(subscription)),
+                    total: subscriptions.length
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Register an endpoint
+     * @route POST /api/webhooks
+     * @body url, events [], description
+     */
+    createSubscription = async (req, res, next) => {
+        try {
+            const { url, events, description } = req.body || {};
+            const { subscription, secret } = await webhookService.createSubscription(req.principal.id, {
+                url,
+                events,
+                description
+            });
+
+            res.status(201).json({
+                success: true,
+                data: {
+                    secret,
+                    subscription: webhookService.toView(subscription)
+                },
+                message: 'Store this signing secret now; it cannot be retrieved again',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * @route GET /api/webhooks/:subscriptionId
+     */
+    getSubscription = async (req, res, next) => {
+        try {
+            const subscription = await webhookService.getSubscription(req.principal.id, req.params.subscriptionId);
+
+            res.status(200).json({
+                success: true,
+                data: { subscription: webhookService.toView(subscription) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Change the URL, events or description, or enable/disable
+     * @route PATCH /api/webhooks/:subscriptionId
+     * @body url, events [], description, active
+     */
+    updateSubscription = async (req, res, next) => {
+        try {
+            const { url, events, description, active } = req.body || {};
+            const subscription = await webhookService.updateSubscription(req.principal.id, req.params.subscriptionId, {
+                url,
+                events,
+                description,
+                active
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { subscription: webhookService.toView(subscription) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Remove a subscription; queued deliveries are dropped
+     * @route DELETE /api/webhooks/:subscriptionId
+     */
+    deleteSubscription = async (req, res, next) => {
+        try {
+            const subscription = await webhookService.deleteSubscription(req.principal.id, req.params.subscriptionId);
+
+            logger.info('Webhook subscription deleted', {
+                subscriptionId: subscription._id.toString(),
+                owner: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { subscription: webhookService.toView(subscription) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Replace the signing secret; the old one stops working immediately
+     * @route POST /api/webhooks/:subscriptionId/rotate-secret
+     */
+    rotateSecret = async (req, res, next) => {
+        try {
+            const { subscription, secret } = await webhookService.rotateSecret(req.principal.id, req.params.subscriptionId);
+
+            logger.info('Webhook secret rotated', {
+                subscriptionId: subscription._id.toString(),
+                owner: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    secret,
+                    subscription: webhookService.toView(subscription)
+                },
+                message: 'Store this signing secret now; it cannot be retrieved again',
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Queue a webhook.test delivery
+     * @route POST /api/webhooks/:subscriptionId/test
+     */
+    sendTest = async (req, res, next) => {
+        try {
+            const delivery = await webhookService.sendTest(req.principal.id, req.params.subscriptionId);
+
+            res.status(202).json({
+                success: true,
+                data: { delivery: webhookService.toDeliveryView(delivery) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Delivery log of one subscription, newest first
+     * @route GET /api/webhooks/:subscriptionId/deliveries
+     * @query status (pending|delivering|succeeded|dead), limit (max 200), before (ISO date)
+     */
+    listDeliveries = async (req, res, next) => {
+        try {
+            const { status, limit, before } = req.query;
+            const deliveries = await webhookService.listDeliveries(req.principal.id, req.params.subscriptionId, {
+                status,
+                limit: limit !== undefined ? limit : 50,
+                before
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    deliveries: deliveries.map(delivery => webhookService.toDeliveryView(delivery)),
+                    total: deliveries.length
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Dead-lettered deliveries across the caller's subscriptions
+     * @route GET /api/webhooks/dead-letters
+     * @query limit (max 200), before (ISO date)
+     */
+    listDeadLetters = async (req, res, next) => {
+        try {
+            const { limit, before } = req.query;
+            const deliveries = await webhookService.listDeadLetters(req.principal.id, {
+                limit: limit !== undefined ? limit : 50,
+                before
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    deliveries: deliveries.map(delivery => webhookService.toDeliveryView(delivery)),
+                    total: deliveries.length
+                },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * @route GET /api/webhooks/deliveries/:deliveryId
+     */
+    getDelivery = async (req, res, next) => {
+        try {
+            const delivery = await webhookService.getDelivery(req.principal.id, req.params.deliveryId);
+
+            res.status(200).json({
+                success: true,
+                data: { delivery: webhookService.toDeliveryView(delivery) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    /**
+     * Send a finished (succeeded or dead) delivery again
+     * @route POST /api/webhooks/deliveries/:deliveryId/redeliver
+     */
+    redeliver = async (req, res, next) => {
+        try {
+            const delivery = await webhookService.redeliver(req.principal.id, req.params.deliveryId);
+
+            logger.info('Webhook delivery requeued', {
+                deliveryId: req.params.deliveryId,
+                newDeliveryId: delivery._id.toString(),
+                owner: req.principal.id,
+                timestamp: new Date().toISOString()
+            });
+
+            res.status(202).json({
+                success: true,
+                data: { delivery: webhookService.toDeliveryView(delivery) },
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = new WebhooksController();
@@ -0,0 +1,111 @@
+// =============================================================================
+// WEBHOOK EVENTS
+// =============================================================================
+// Event types partners can subscribe to, and the payload each one carries.
+// Producers call webhookService.publish(type, payload) with a payload built
+// here so every delivery of a type has the same shape.
+// =============================================================================
+
+const WEBHOOK_EVENTS = {
+    'game.final': 'A game reached its final score',
+    'injury.status_changed': "A player's injury status changed",
+    'suspension.issued': 'A player or coach was suspended',
+    'source.health_alert': 'A data source crossed a health threshold'
+};
+
+const WEBHOOK_EVENT_TYPES = Object.keys(WEBHOOK_EVENTS);
+
+// Sent by the test endpoint only; nobody subscribes to it
+const TEST_EVENT = 'webhook.test';
+
+const teamSummary = (team = {}, score) => ({
+    teamId: team.teamId,
+    name: team.name,
+    abbreviation: team.abbreviation,
+    score
+});
+
+const gameFinalPayload = (game) => {
+    const live = game.liveScore || {};
+
+    return {
+        gameId: game.gameId,
+        season: game.season,
+        gameType: game.gameType,
+        date: game.date,
+        homeTeam: teamSummary(game.homeTeam, live.homeScore),
+        awayTeam: teamSummary(game.awayTeam, live.awayScore),
+        quarterScores: live.quarterScores || [],
+        finalizedAt: live.lastUpdated || new Date()
+    };
+};
+
+const injuryStatusPayload = ({ playerId, playerName, teamId, previousStatus, status, injury, expectedReturn }) => ({
+    playerId,
+    playerName,
+    teamId,
+    previousStatus: previousStatus || null,
+    status,
+    injury: injury || null,
+    expectedReturn: expectedReturn || null
+});
+
+const suspensionPayload = ({ personId, personName, role = 'player', teamId, games, reason, effectiveFrom }) => ({
+    personId,
+    personName,
+    role,
+    teamId,
+    games: games || null,
+    reason: reason || null,
+    effectiveFrom: effectiveFrom || null
+});
+
+// Events for a team roster player whose status changed, as [type, payload]
+const rosterStatusEvents = (team, player, previousStatus) => {
+    const playerName = [player.firstName, player.lastName].filter(Boolean).join(' ');
+    const events = [];
+
+    if (player.status === 'injured' || previousStatus === 'injured') {
+        const injury = player.injury || {};
+        events.push(['injury.status_changed', injuryStatusPayload({
+            playerId: player.playerId,
+            playerName,
+            teamId: team.teamId,
+            previousStatus,
+            status: player.status,
+            injury: injury.description || injury.type,
+            expectedReturn: injury.expectedReturn
+        })]);
+    }
+
+    if (player.status === 'suspended') {
+        events.push(['suspension.issued', suspensionPayload({
+            personId: player.playerId,
+            personName: playerName,
+            teamId: team.teamId
+        })]);
+    }
+
+    return events;
+};
+
+// SourceMonitor alerts: { type, severity, message, sourceId, value, threshold }
+const sourceAlertPayload = (alert) => ({
+    sourceId: alert.sourceId,
+    alertType: alert.type,
+    severity: alert.severity,
+    message: alert.message,
+    value: alert.value,
+    threshold: alert.threshold
+});
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_EVENT_TYPES,
+    TEST_EVENT,
+    gameFinalPayload,
+    injuryStatusPayload,
+    suspensionPayload,
+    rosterStatusEvents,
+    sourceAlertPayload
+};
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('./webhook.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+const { rateLimiter } = require('../../middleware/rateLimiter.middleware');
+const { errorHandler } = require('../../middleware/error-handler.middleware');
+
+// =============================================================================
+// WEBHOOK ROUTES
+// =============================================================================
+// Partners register URLs for pushed events and inspect what was sent.
+// Every endpoint requires an API key or JWT; subscriptions are scoped to the
+// caller.
+// =============================================================================
+
+router.use(authenticate, rateLimiter);
+
+router.get('/events', webhooksController.listEvents);
+router.get('/dead-letters', webhooksController.listDeadLetters);
+router.get('/deliveries/:deliveryId', webhooksController.getDelivery);
+router.post('/deliveries/:deliveryId/redeliver', webhooksController.redeliver);
+
+router.get('/', webhooksController.listSubscriptions);
+router.post('/', webhooksController.createSubscription);
+router.get('/:subscriptionId', webhooksController.getSubscription);
+router.patch('/:subscriptionId', webhooksController.updateSubscription);
+router.delete('/:subscriptionId', webhooksController.deleteSubscription);
+router.post('/:subscriptionId/rotate-secret', webhooksController.rotateSecret);
+router.post('/:subscriptionId/test', webhooksController.sendTest);
+router.get('/:subscriptionId/deliveries', webhooksController.listDeliveries);
+
+// Error handling middleware
+router.use(errorHandler);
+
+module.exports = router;
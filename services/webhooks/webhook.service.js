@@ -0,0 +1,731 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const WebhookSubscription = require('../../models/webhooks/WebhookSubscription');
+const WebhookDelivery = require('../../models/webhooks/WebhookDelivery');
+const { WEBHOOK_EVENT_TYPES, TEST_EVENT } = require('./webhook.events');
+const { ValidationError, NotFoundError, ExternalAPIError } = require('../../middleware/error-handler.middleware');
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    transports: [
+        new winston.transports.Console()
+    ]
+});
+
+// =============================================================================
+// WEBHOOK SERVICE
+// =============================================================================
+// Outbound event pushes to partner URLs.
+//
+// publish() writes one delivery per matching subscription; a dispatcher loop
+// claims due deliveries and POSTs them:
+//   { "id": "<eventId>", "type": "game.final", "createdAt": "...", "data": {...} }
+// with headers
+//   X-FireAPI-Event       event type
+//   X-FireAPI-Delivery    delivery id (changes on redelivery)
+//   X-FireAPI-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Any 2xx is success. Failures are retried with exponential backoff
+// (30s, 1m, 2m, ... capped at 6h, with jitter); after maxAttempts the
+// delivery is dead and stays in the dead-letter list until redelivered.
+// A subscription whose deliveries fail maxConsecutiveFailures times in a row
+// is disabled (emits 'subscriptionDisabled') until its owner re-enables it.
+// Deliveries are claimed atomically, so several replicas can dispatch.
+// The endpoint's host is resolved and checked before every attempt, and the
+// request connects to the address that was checked, so a name re-pointed at
+// a private address in between (DNS rebinding) is never reached.
+// =============================================================================
+
+const SIGNATURE_HEADER = 'X-FireAPI-Signature';
+const SECRET_PREFIX = 'whsec_';
+const MAX_EVENTS_PER_SUBSCRIPTION = 20;
+const MAX_ATTEMPT_LOG = 20;
+
+const generateSecret = () => SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+// Signature over the exact body sent, bound to a timestamp
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+};
+
+const isPrivateAddress = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+        return true;
+    }
+
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168);
+    }
+
+    if (net.isIPv6(host)) {
+        // IPv4-mapped addresses, dotted (::ffff:10.0.0.1) or hex (::ffff:a00:1)
+        const dotted = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (dotted) return isPrivateAddress(dotted[1]);
+
+        const hex = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (hex) {
+            const [high, low] = hex.slice(1).map(group => parseInt(group, 16));
+            return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+
+        return host === '::1' || host === '::' || host.startsWith('fc') || host.startsWith('fd') || host.startsWith('fe80');
+    }
+
+    return false;
+};
+
+// A connection lookup that answers with an address resolved earlier
+const pinnedLookup = (address, family) => (hostname, options, callback) => {
+    if (options.all) {
+        callback(null, [{ address, family }]);
+    } else {
+        callback(null, address, family);
+    }
+};
+
+// POST with node's http client, which accepts a custom `lookup`. Resolves to
+// { status } once the response starts; the body is discarded.
+const sendRequest = (url, { method, headers, body, signal, lookup }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+        method,
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal,
+        lookup
+    }, (response) => {
+        response.resume();
+        resolve({ status: response.statusCode });
+    });
+
+    request.on('error', reject);
+    request.end(body);
+});
+
+class WebhookService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.subscriptionModel = options.subscriptionModel || WebhookSubscription;
+        this.deliveryModel = options.deliveryModel || WebhookDelivery;
+        this.pollIntervalMs = options.pollIntervalMs || Number(process.env.WEBHOOK_POLL_MS) || 5000;
+        this.maxAttempts = options.maxAttempts || Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+        this.maxConsecutiveFailures = options.maxConsecutiveFailures ||
+            Number(process.env.WEBHOOK_MAX_CONSECUTIVE_FAILURES) || 50;
+        this.baseBackoffMs = options.baseBackoffMs || 30 * 1000;
+        this.maxBackoffMs = options.maxBackoffMs || 6 * 60 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || 10 * 1000;
+        this.concurrency = options.concurrency || 5;
+        this.transport = options.transport || sendRequest;
+        this.lookup = options.lookup || dns.promises.lookup;
+        this.allowPrivateUrls = options.allowPrivateUrls !== undefined
+            ? options.allowPrivateUrls
+            : process.env.NODE_ENV !== 'production';
+
+        this.timer = null;
+        this.running = null;
+    }
+
+    // =========================================================================
+    // SUBSCRIPTIONS
+    // =========================================================================
+
+    // Register an endpoint. The signing secret is only ever returned here
+    // and by rotateSecret.
+    async createSubscription(owner, { url, events, description } = {}) {
+        this.ensureAvailable();
+
+        const secret = generateSecret();
+        const subscription = await this.subscriptionModel.create({
+            owner,
+            url: await this.validateUrl(url),
+            events: this.validateEvents(events),
+            description,
+            secret
+        });
+
+        logger.info('Webhook subscription created', {
+            subscriptionId: subscription._id.toString(),
+            owner,
+            events: subscription.events,
+            timestamp: new Date().toISOString()
+        });
+
+        return { subscription, secret };
+    }
+
+    async listSubscriptions(owner) {
+        this.ensureAvailable();
+        return this.subscriptionModel.find({ owner }).sort({ createdAt: -1 });
+    }
+
+    async getSubscription(owner, subscriptionId) {
+        this.ensureAvailable();
+
+        const subscription = mongoose.isValidObjectId(subscriptionId)
+            ? await this.subscriptionModel.findOne({ _id: subscriptionId, owner })
+            : null;
+
+        if (!subscription) {
+            throw new NotFoundError(`Webhook subscription ${subscriptionId}`);
+        }
+
+        return subscription;
+    }
+
+    async updateSubscription(owner, subscriptionId, { url, events, description, active } = {}) {
+        const subscription = await this.getSubscription(owner, subscriptionId);
+
+        if (url !== undefined) subscription.url = await this.validateUrl(url);
+        if (events !== undefined) subscription.events = this.validateEvents(events);
+        if (description !== undefined) subscription.description = description;
+
+        if (active !== undefined) {
+            if (typeof active !== 'boolean') {
+                throw new ValidationError('active must be a boolean', 'active');
+            }
+            subscription.active = active;
+            subscription.disabledReason = active ? null : 'Disabled by owner';
+            if (active) subscription.consecutiveFailures = 0;
+        }
+
+        return subscription.save();
+    }
+
+    async rotateSecret(owner, subscriptionId) {
+        const subscription = await this.getSubscription(owner, subscriptionId);
+        const secret = generateSecret();
+
+        await this.subscriptionModel.updateOne({ _id: subscription._id }, { $set: { secret } });
+        return { subscription, secret };
+    }
+
+    // Removes the subscription; its delivery log expires on its own
+    async deleteSubscription(owner, subscriptionId) {
+        const subscription = await this.getSubscription(owner, subscriptionId);
+
+        await Promise.all([
+            subscription.deleteOne(),
+            this.deliveryModel.updateMany(
+                { subscription: subscription._id, status: { $in: ['pending', 'delivering'] } },
+                { $set: { status: 'dead', deadAt: new Date(), lockedUntil: null } }
+            )
+        ]);
+
+        return subscription;
+    }
+
+    async validateUrl(url) {
+        let parsed;
+
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new ValidationError('url must be an absolute URL', 'url');
+        }
+
+        const production = process.env.NODE_ENV === 'production';
+        if (parsed.protocol !== 'https:' && (production || parsed.protocol !== 'http:')) {
+            throw new ValidationError(production ? 'url must use https' : 'url must use http or https', 'url');
+        }
+
+        if (parsed.username || parsed.password) {
+            throw new ValidationError('url must not contain credentials', 'url');
+        }
+
+        const { problem } = await this.resolvePublicHost(parsed.hostname);
+        if (problem) {
+            throw new ValidationError(`url ${problem}`, 'url');
+        }
+
+        return parsed.toString();
+    }
+
+    // Resolve the host and check every address it resolves to, so a public
+    // name pointing at a private address is refused too. Returns { problem }
+    // describing what is wrong, or the checked { address, family } to connect
+    // to; no address when private URLs are allowed or the host is an IP.
+    async resolvePublicHost(hostname) {
+        if (this.allowPrivateUrls) return { problem: null, address: null };
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        if (isPrivateAddress(host)) return { problem: 'must point to a public host' };
+        if (net.isIP(host)) return { problem: null, address: null };
+
+        let addresses;
+        try {
+            addresses = await this.lookup(host, { all: true, verbatim: true });
+        } catch (error) {
+            return { problem: `host ${host} could not be resolved` };
+        }
+
+        if (addresses.length === 0) {
+            return { problem: `host ${host} could not be resolved` };
+        }
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return { problem: `host ${host} resolves to a private address (${blocked.address})` };
+        }
+
+        return { problem: null, address: addresses[0].address, family: addresses[0].family };
+    }
+
+    validateEvents(events) {
+        const list = [...new Set([].concat(events || []))];
+
+        if (list.length === 0) {
+            throw new ValidationError(`events must list at least one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`, 'events');
+        }
+        if (list.length > MAX_EVENTS_PER_SUBSCRIPTION) {
+            throw new ValidationError(`At most ${MAX_EVENTS_PER_SUBSCRIPTION} events per subscription`, 'events');
+        }
+
+        const unknown = list.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown event type(s): ${unknown.join(', ')}`, 'events');
+        }
+
+        return list;
+    }
+
+    // =========================================================================
+    // EVENTS
+    // =========================================================================
+
+    /**
+     * Queue an event for every active subscription to its type. Never throws:
+     * producers are model hooks and monitors that must not fail on webhooks.
+     * @returns {Promise<number>} deliveries queued
+     */
+    async publish(eventType, payload) {
+        if (!WEBHOOK_EVENT_TYPES.includes(eventType)) {
+            logger.error('Unknown webhook event type', { eventType, timestamp: new Date().toISOString() });
+            return 0;
+        }
+
+        if (mongoose.connection.readyState !== 1) {
+            logger.warn('Webhook event dropped: database unavailable', { eventType, timestamp: new Date().toISOString() });
+            return 0;
+        }
+
+        try {
+            const subscriptions = await this.subscriptionModel
+                .find({ active: true, events: eventType })
+                .select('_id owner')
+                .lean();
+
+            if (subscriptions.length === 0) return 0;
+
+            const eventId = `evt_${crypto.randomUUID()}`;
+            await this.deliveryModel.insertMany(subscriptions.map(subscription => ({
+                subscription: subscription._id,
+                owner: subscription.owner,
+                eventId,
+                eventType,
+                payload
+            })));
+
+            logger.info('Webhook event queued', {
+                eventId,
+                eventType,
+                deliveries: subscriptions.length,
+                timestamp: new Date().toISOString()
+            });
+
+            this.kick();
+            return subscriptions.length;
+        } catch (error) {
+            logger.error('Failed to queue webhook event', {
+                eventType,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return 0;
+        }
+    }
+
+    // Queue a webhook.test delivery to one subscription
+    async sendTest(owner, subscriptionId) {
+        const subscription = await this.getSubscription(owner, subscriptionId);
+
+        const delivery = await this.deliveryModel.create({
+            subscription: subscription._id,
+            owner,
+            eventId: `evt_${crypto.randomUUID()}`,
+            eventType: TEST_EVENT,
+            payload: { message: 'Test delivery from FireAPI-Hub', subscriptionId: subscription._id.toString() }
+        });
+
+        this.kick();
+        return delivery;
+    }
+
+    // =========================================================================
+    // DELIVERY LOG
+    // =========================================================================
+
+    async listDeliveries(owner, subscriptionId, { status, limit = 50, before } = {}) {
+        const subscription = await this.getSubscription(owner, subscriptionId);
+        return this.findDeliveries({ subscription: subscription._id }, { status, limit, before });
+    }
+
+    // Dead deliveries across all of the owner's subscriptions
+    async listDeadLetters(owner, { limit = 50, before } = {}) {
+        this.ensureAvailable();
+        return this.findDeliveries({ owner }, { status: 'dead', limit, before });
+    }
+
+    async findDeliveries(filter, { status, limit = 50, before } = {}) {
+        const query = { ...filter };
+        const size = Number(limit);
+
+        if (status) {
+            if (!this.deliveryModel.STATUSES.includes(status)) {
+                throw new ValidationError(`status must be one of: ${this.deliveryModel.STATUSES.join(', ')}`, 'status');
+            }
+            query.status = status;
+        }
+
+        if (!Number.isInteger(size) || size < 1 || size > 200) {
+            throw new ValidationError('limit must be between 1 and 200', 'limit');
+        }
+
+        if (before) {
+            const date = new Date(before);
+            if (isNaN(date)) {
+                throw new ValidationError('before must be an ISO date', 'before');
+            }
+            query.createdAt = { $lt: date };
+        }
+
+        return this.deliveryModel.find(query).sort({ createdAt: -1 }).limit(size);
+    }
+
+    async getDelivery(owner, deliveryId) {
+        this.ensureAvailable();
+
+        const delivery = mongoose.isValidObjectId(deliveryId)
+            ? await this.deliveryModel.findOne({ _id: deliveryId, owner })
+            : null;
+
+        if (!delivery) {
+            throw new NotFoundError(`Webhook delivery ${deliveryId}`);
+        }
+
+        return delivery;
+    }
+
+    // Send a delivery's event again as a new delivery with a fresh attempt budget
+    async redeliver(owner, deliveryId) {
+        const original = await this.getDelivery(owner, deliveryId);
+
+        if (['pending', 'delivering'].includes(original.status)) {
+            throw new ValidationError(`Delivery ${deliveryId} is still ${original.status}`, 'deliveryId');
+        }
+
+        const subscription = await this.getSubscription(owner, original.subscription);
+        if (!subscription.active) {
+            throw new ValidationError('Subscription is disabled; enable it before redelivering', 'deliveryId');
+        }
+
+        const delivery = await this.deliveryModel.create({
+            subscription: original.subscription,
+            owner,
+            eventId: original.eventId,
+            eventType: original.eventType,
+            payload: original.payload,
+            redeliveredFrom: original._id
+        });
+
+        this.kick();
+        return delivery;
+    }
+
+    // =========================================================================
+    // DISPATCHER
+    // =========================================================================
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        return this.running || Promise.resolve();
+    }
+
+    // Run a dispatch pass unless one is already going
+    kick() {
+        if (!this.timer || this.running || mongoose.connection.readyState !== 1) {
+            return this.running;
+        }
+
+        this.running = this.dispatchDue()
+            .catch(error => {
+                logger.error('Webhook dispatch failed', {
+                    error: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            })
+            .finally(() => {
+                this.running = null;
+            });
+
+        return this.running;
+    }
+
+    // Claim and send due deliveries until none are left
+    async dispatchDue() {
+        let batch;
+
+        do {
+            batch = [];
+            for (let i = 0; i < this.concurrency; i++) {
+                const delivery = await this.claimNext();
+                if (!delivery) break;
+                batch.push(delivery);
+            }
+
+            await Promise.all(batch.map(delivery => this.attempt(delivery)));
+        } while (batch.length === this.concurrency && this.timer);
+    }
+
+    // Lock one due delivery; a lock left by a crashed process expires
+    claimNext() {
+        const now = new Date();
+
+        return this.deliveryModel.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'delivering', lockedUntil: { $lte: now } }
+                ]
+            },
+            { $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + this.timeoutMs * 3) } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+    }
+
+    async attempt(delivery) {
+        const subscription = await this.subscriptionModel.findById(delivery.subscription).select('+secret');
+
+        if (!subscription || !subscription.active) {
+            return this.finish(delivery, {
+                status: 'dead',
+                attempt: { at: new Date(), error: subscription ? 'Subscription disabled' : 'Subscription deleted' }
+            });
+        }
+
+        const body = JSON.stringify({
+            id: delivery.eventId,
+            type: delivery.eventType,
+            createdAt: delivery.createdAt,
+            data: delivery.payload
+        });
+
+        const startedAt = Date.now();
+        const attempt = { at: new Date(startedAt), statusCode: null, durationMs: 0, error: null };
+
+        try {
+            // The name may point somewhere else since the subscription was
+            // made; connect to the address checked now, not a fresh lookup
+            const { problem, address, family } = await this.resolvePublicHost(new URL(subscription.url).hostname);
+            if (problem) {
+                throw new Error(`Delivery refused: ${problem}`);
+            }
+
+            const response = await this.transport(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'FireAPI-Hub-Webhooks/1.0',
+                    'X-FireAPI-Event': delivery.eventType,
+                    'X-FireAPI-Delivery': delivery._id.toString(),
+                    [SIGNATURE_HEADER]: signPayload(subscription.secret, body)
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs),
+                lookup: address ? pinnedLookup(address, family) : undefined
+            });
+
+            attempt.statusCode = response.status;
+            if (response.body && response.body.cancel) {
+                response.body.cancel().catch(() => {});
+            }
+
+            if (response.status < 200 || response.status >= 300) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            // Aborts carry the timeout as their `cause`; fetch-style
+            // transports report network failures the same way
+            const timedOut = error.name === 'TimeoutError' || (error.cause && error.cause.name === 'TimeoutError');
+            attempt.error = timedOut
+                ? `Timed out after ${this.timeoutMs}ms`
+                : (error.cause && error.cause.message) || error.message;
+        }
+
+        attempt.durationMs = Date.now() - startedAt;
+
+        if (!attempt.error) {
+            await this.subscriptionModel.updateOne(
+                { _id: subscription._id },
+                { $set: { consecutiveFailures: 0, lastDeliveryAt: attempt.at, lastSuccessAt: attempt.at } }
+            );
+            return this.finish(delivery, { status: 'succeeded', attempt });
+        }
+
+        const failing = await this.subscriptionModel.findOneAndUpdate(
+            { _id: subscription._id },
+            { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: attempt.at } },
+            { new: true }
+        );
+
+        if (failing && failing.consecutiveFailures >= this.maxConsecutiveFailures) {
+            await this.disableFailing(failing, attempt.error);
+        }
+
+        const attempts = delivery.attempts + 1;
+        if (attempts >= this.maxAttempts) {
+            logger.warn('Webhook delivery dead-lettered', {
+                deliveryId: delivery._id.toString(),
+                subscriptionId: subscription._id.toString(),
+                eventType: delivery.eventType,
+                attempts,
+                error: attempt.error,
+                timestamp: new Date().toISOString()
+            });
+            return this.finish(delivery, { status: 'dead', attempt });
+        }
+
+        return this.finish(delivery, {
+            status: 'pending',
+            attempt,
+            nextAttemptAt: new Date(Date.now() + this.backoff(attempts))
+        });
+    }
+
+    // Turn off a subscription that keeps failing. Only the replica whose
+    // update disables it reports it.
+    async disableFailing(subscription, lastError) {
+        const disabledReason = `Disabled after ${subscription.consecutiveFailures} consecutive failed deliveries (last: ${lastError})`;
+        const result = await this.subscriptionModel.updateOne(
+            { _id: subscription._id, active: true },
+            { $set: { active: false, disabledReason } }
+        );
+
+        if (result.modifiedCount !== 1) return;
+
+        logger.warn('Webhook subscription disabled after repeated failures', {
+            subscriptionId: subscription._id.toString(),
+            owner: subscription.owner,
+            url: subscription.url,
+            consecutiveFailures: subscription.consecutiveFailures,
+            lastError,
+            timestamp: new Date().toISOString()
+        });
+
+        this.emit('subscriptionDisabled', {
+            subscriptionId: subscription._id.toString(),
+            owner: subscription.owner,
+            url: subscription.url,
+            reason: disabledReason
+        });
+    }
+
+    // Delay before the next try after `attempts` failures, ±20% jitter
+    backoff(attempts) {
+        const delay = Math.min(this.maxBackoffMs, this.baseBackoffMs * 2 ** (attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    finish(delivery, { status, attempt, nextAttemptAt = null }) {
+        const set = { status, lockedUntil: null };
+        if (status === 'succeeded') set.deliveredAt = attempt.at;
+        if (status === 'dead') set.deadAt = attempt.at;
+        if (nextAttemptAt) set.nextAttemptAt = nextAttemptAt;
+
+        return this.deliveryModel.updateOne({ _id: delivery._id }, {
+            $set: set,
+            $inc: { attempts: 1 },
+            $push: { attemptLog: { $each: [attempt], $slice: -MAX_ATTEMPT_LOG } }
+        });
+    }
+
+    // =========================================================================
+    // VIEWS
+    // =========================================================================
+
+    toView(subscription) {
+        return {
+            id: subscription._id.toString(),
+            url: subscription.url,
+            events: subscription.events,
+            description: subscription.description,
+            active: subscription.active,
+            disabledReason: subscription.disabledReason,
+            consecutiveFailures: subscription.consecutiveFailures,
+            lastDeliveryAt: subscription.lastDeliveryAt,
+            lastSuccessAt: subscription.lastSuccessAt,
+            createdAt: subscription.createdAt,
+            updatedAt: subscription.updatedAt
+        };
+    }
+
+    toDeliveryView(delivery) {
+        return {
+            id: delivery._id.toString(),
+            subscriptionId: delivery.subscription.toString(),
+            eventId: delivery.eventId,
+            eventType: delivery.eventType,
+            status: delivery.status,
+            attempts: delivery.attempts,
+            nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+            deliveredAt: delivery.deliveredAt,
+            deadAt: delivery.deadAt,
+            redeliveredFrom: delivery.redeliveredFrom ? delivery.redeliveredFrom.toString() : null,
+            attemptLog: delivery.attemptLog,
+            payload: delivery.payload,
+            createdAt: delivery.createdAt
+        };
+    }
+
+    ensureAvailable() {
+        if (mongoose.connection.readyState !== 1) {
+            throw new ExternalAPIError('Webhooks', 'Database unavailable');
+        }
+    }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = {
+    WebhookService,
+    webhookService,
+    signPayload,
+    isPrivateAddress,
+    SIGNATURE_HEADER
+};
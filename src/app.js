@@ -3,8 +3,25 @@ const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
 require("dotenv").config();
+const { CentralDataOrchestrator } = require("./services/central/CentralDataOrchestrator");
+const { SpokeGateway } = require("./services/central/SpokeGateway");
+const { SPOKES } = require("./config/spokes");
+const { TopicBroker } = require("../services/data-router/topic-broker");
+const { topicsForCollected } = require("../services/data-router/topics");
 
 const app = express();
+const orchestrator = new CentralDataOrchestrator();
+const topicBroker = new TopicBroker();
+const spokeGateway = new SpokeGateway(orchestrator, { broker: topicBroker });
+
+// Fan collected data out to topic subscribers
+orchestrator.on("dataCollected", (collected) => {
+  topicsForCollected(collected).forEach((topic) => {
+    topicBroker
+      .publish(topic, collected.result, { source: collected.dataType })
+      .catch((error) => console.error(`❌ Failed to publish ${topic}: ${error.message}`));
+  });
+});
 
 // Middleware
 app.use(helmet());
@@ -44,47 +61,23 @@ app.get("/api/v1/health", (req, res) => {
 });
 
 app.get("/api/v1/services", (req, res) => {
+  const services = Object.entries(SPOKES).map(([spokeId, spoke]) => {
+    const connection = orchestrator.spokeConnections.get(spokeId);
+
+    return {
+      name: spoke.name,
+      status: connection ? "connected" : "pending",
+      url: process.env[spoke.urlEnv] || "not-configured",
+      description: spoke.description,
+      capabilities: connection ? connection.capabilities : [],
+      lastActivity: connection ? connection.lastActivity : null
+    };
+  });
+
   res.json({
-    services: [
-      {
-        name: "FireBet",
-        status: "pending",
-        url: process.env.FIREBET_SERVICE_URL || "not-configured",
-        description: "Sports Betting Platform"
-      },
-      {
-        name: "FireOdds", 
-        status: "pending",
-        url: process.env.FIREODDS_SERVICE_URL || "not-configured",
-        description: "Independent Odds Collection"
-      },
-      {
-        name: "FireCRM",
-        status: "pending", 
-        url: process.env.FIRECRM_SERVICE_URL || "not-configured",
-        description: "Customer Relationship Management"
-      },
-      {
-        name: "FireFleet",
-        status: "pending",
-        url: process.env.FIREFLEET_SERVICE_URL || "not-configured", 
-        description: "Fleet Management System"
-      },
-      {
-        name: "FireContractorPro",
-        status: "pending",
-        url: process.env.FIRECONTRACTORPRO_SERVICE_URL || "not-configured",
-        description: "Construction Management Platform"
-      },
-      {
-        name: "FireRealty",
-        status: "pending",
-        url: process.env.FIREREALTY_SERVICE_URL || "not-configured",
-        description: "Real Estate Solutions"
-      }
-    ],
-    total: 6,
-    active: 0,
+    services,
+    total: services.length,
+    active: services.filter(service => service.status === "connected").length,
     timestamp: new Date().toISOString()
   });
 });
@@ -105,7 +98,8 @@ app.get("/api/v1/metrics", (req, res) => {
         "/health", 
         "/api/v1/health",
         "/api/v1/services",
-        "/api/v1/metrics"
+        "/api/v1/metrics",
+        spokeGateway.path
       ]
     },
     database: {
@@ -122,9 +116,12 @@ app.get("/api/v1/metrics", (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`FireAPI Central Hub running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  console.log(`Spoke gateway: ws://localhost:${PORT}${spokeGateway.path}`);
 });
 
+spokeGateway.attach(server);
+
 module.exports = app;
@@ -0,0 +1,47 @@
+// How the scrapers behave towards the sites they fetch from. robots.txt is
+// read for the `userAgent` token; per-host entries can override it:
+//
+//   access: "robots" (default) follow robots.txt
+//           "allow"            skip robots.txt (we have permission)
+//           "deny"             never fetch from this host
+//   minDelayMs                 floor under the host's Crawl-delay
+//
+// Hosts match with or without a leading "www.". CRAWL_ALLOWLIST and
+// CRAWL_DENYLIST (comma separated hosts) add allow/deny entries on top.
+const CRAWL_POLICY = {
+  userAgent: process.env.CRAWL_USER_AGENT || "FireAPIBot",
+  defaultDelayMs: 1500,
+  robotsTtlMs: 24 * 60 * 60 * 1000,
+  // A robots.txt that could not be fetched is retried sooner than one that was
+  robotsRetryMs: 10 * 60 * 1000,
+  hosts: {
+    "espn.com": { minDelayMs: 2000 },
+    "weather.com": { minDelayMs: 1000 },
+    "sportsreference.com": { minDelayMs: 3000 },
+    "sports-reference.com": { minDelayMs: 3000 },
+  },
+};
+
+const hostList = (value) =>
+  (value || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+// Host overrides from the config with the env lists applied
+const loadHostOverrides = () => {
+  const hosts = Object.fromEntries(
+    Object.entries(CRAWL_POLICY.hosts).map(([host, entry]) => [host, { ...entry }])
+  );
+
+  hostList(process.env.CRAWL_ALLOWLIST).forEach((host) => {
+    hosts[host] = { ...hosts[host], access: "allow" };
+  });
+  hostList(process.env.CRAWL_DENYLIST).forEach((host) => {
+    hosts[host] = { ...hosts[host], access: "deny" };
+  });
+
+  return hosts;
+};
+
+module.exports = { CRAWL_POLICY, loadHostOverrides };
@@ -0,0 +1,54 @@
+// Outbound HTTP defaults shared by every scraper request (see
+// src/services/infrastructure/HttpClient.js).
+
+// Browser user agents sent with scraper requests, one picked per request
+const USER_AGENTS = [
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
+  "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+];
+
+const DEFAULT_HEADERS = {
+  Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.5",
+  "Accept-Encoding": "gzip, deflate",
+  Connection: "keep-alive",
+  "Upgrade-Insecure-Requests": "1",
+};
+
+// Named retry policies. Attempts include the first one; the wait before
+// attempt n+1 is baseMs * 2^(n-1) (exponential) or baseMs * n (linear),
+// capped at maxMs. A Retry-After header can lengthen the wait.
+const RETRY_POLICIES = {
+  none: { attempts: 1 },
+  standard: { attempts: 3, backoff: "exponential", baseMs: 1000, maxMs: 10000 },
+  // Each attempt goes out through the next proxy, so waiting long buys little
+  rotate: { attempts: 3, backoff: "linear", baseMs: 1000, maxMs: 5000 },
+};
+
+// Responses worth another attempt; other 4xx fail straight away
+const RETRY_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Token bucket per host: `perSecond` refill rate, up to `burst` at once.
+// Hosts match with or without "www." and cover their subdomains.
+const RATE_LIMITS = {
+  default: { perSecond: 2, burst: 5 },
+  hosts: {
+    "espn.com": { perSecond: 1, burst: 3 },
+    "sports-reference.com": { perSecond: 0.3, burst: 1 },
+    "weather.com": { perSecond: 1, burst: 3 },
+  },
+};
+
+const randomUserAgent = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+
+module.exports = {
+  USER_AGENTS,
+  DEFAULT_HEADERS,
+  RETRY_POLICIES,
+  RETRY_STATUSES,
+  RATE_LIMITS,
+  randomUserAgent,
+};
@@ -0,0 +1,18 @@
+// Which proxy pools may carry requests to a host. A pool is a proxy's type
+// ("direct" or "proxy"), one of its tag values ("eu", "acme") or a
+// "key:value" tag ("tier:free"); tags come from the proxy inventory.
+//
+//   pools    only proxies in one of these pools
+//   exclude  never proxies in these pools
+//
+// Hosts match with or without "www." and cover their subdomains; hosts with
+// no rule may use any proxy.
+const PROXY_RULES = {
+  // Weather APIs key on our account, not our IP
+  "weather.com": { pools: ["direct"] },
+  "openweathermap.org": { pools: ["direct"] },
+  // Free-tier proxies are shared with everyone else's scrapers
+  "espn.com": { exclude: ["tier:free"] },
+};
+
+module.exports = { PROXY_RULES };
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+// CSS selectors for each scraped source, one JSON file per source in
+// ./selectors/<source>.json:
+//
+//   { "source": "espn.com", "current": "2",
+//     "versions": { "1": { "updatedAt", "selectors" }, "2": { ... } } }
+//
+// When a site changes its markup, add a new version and point `current` at
+// it; older versions stay loadable for comparing against stored pages.
+const SELECTORS_DIR = path.join(__dirname, "selectors");
+
+const selectorFile = (source) => path.join(SELECTORS_DIR, `${source}.json`);
+
+// Sources with a selector file
+const listSelectorSources = () =>
+  fs
+    .readdirSync(SELECTORS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+
+// { source, version, updatedAt, selectors } for the current or a given version
+const loadSelectors = (source, version = null) => {
+  const file = selectorFile(source);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No selector config for ${source}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const selected = version || config.current;
+  const entry = config.versions && config.versions[selected];
+  if (!entry) {
+    throw new Error(`Selector config for ${source} has no version ${selected}`);
+  }
+
+  return {
+    source,
+    version: String(selected),
+    updatedAt: entry.updatedAt || null,
+    selectors: entry.selectors || {},
+  };
+};
+
+module.exports = { loadSelectors, listSelectorSources, SELECTORS_DIR };
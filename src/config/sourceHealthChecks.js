@@ -0,0 +1,53 @@
+// How SourceMonitor probes each monitored source (keyed by source id). A
+// check passes when the response status is expected and the body assertions
+// hold:
+//
+//   url             page or endpoint to request
+//   method          default "GET"
+//   expectedStatus  a status or list of statuses, default 200
+//   bodyIncludes    text the body must contain
+//   jsonPath        dotted path into a JSON body ("main.temp", "items.0.id")
+//                   that must resolve
+//   jsonEquals      value expected at jsonPath
+//   timeoutMs       default: the source's timeout
+//   viaProxy        send through the proxy pool
+//
+// Sources without a check (or with null) are not probed.
+// SOURCE_HEALTH_CHECK_ORIGIN (e.g. http://127.0.0.1:4010) sends every check
+// to that origin instead, with the same path, for a local stub server.
+const SOURCE_HEALTH_CHECKS = {
+  espn: {
+    url: "https://www.espn.com/nba/",
+    bodyIncludes: "ESPN",
+  },
+  sportsreference: {
+    url: "https://www.sports-reference.com/",
+    bodyIncludes: "Sports Reference",
+  },
+  nba_official: {
+    url: "https://www.nba.com/schedule",
+    bodyIncludes: "NBA",
+  },
+  fifa_official: {
+    url: "https://www.fifa.com/en",
+    bodyIncludes: "FIFA",
+  },
+  weather_com: {
+    url: "https://weather.com/",
+    bodyIncludes: "weather",
+  },
+  // Needs an API key; unchecked without one
+  openweather: process.env.OPENWEATHER_API_KEY
+    ? {
+        url: `https://api.openweathermap.org/data/2.5/weather?q=London&appid=${process.env.OPENWEATHER_API_KEY}`,
+        jsonPath: "main.temp",
+      }
+    : null,
+  sports_news: {
+    url: "https://news.google.com/rss/search?q=NBA",
+    bodyIncludes: "<rss",
+  },
+  // venue_data aggregates several sites and has no single page to check
+};
+
+module.exports = { SOURCE_HEALTH_CHECKS };
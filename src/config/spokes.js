@@ -0,0 +1,53 @@
+// Fire ecosystem spokes that may connect to the hub.
+// `secretEnv` names the variable holding the spoke's own signing secret;
+// SPOKE_AUTH_SECRET is used for spokes that do not have one.
+const SPOKES = {
+  firebet: {
+    name: "FireBet",
+    description: "Sports Betting Platform",
+    urlEnv: "FIREBET_SERVICE_URL",
+    secretEnv: "FIREBET_SPOKE_SECRET",
+  },
+  fireodds: {
+    name: "FireOdds",
+    description: "Independent Odds Collection",
+    urlEnv: "FIREODDS_SERVICE_URL",
+    secretEnv: "FIREODDS_SPOKE_SECRET",
+  },
+  firecrm: {
+    name: "FireCRM",
+    description: "Customer Relationship Management",
+    urlEnv: "FIRECRM_SERVICE_URL",
+    secretEnv: "FIRECRM_SPOKE_SECRET",
+  },
+  firefleet: {
+    name: "FireFleet",
+    description: "Fleet Management System",
+    urlEnv: "FIREFLEET_SERVICE_URL",
+    secretEnv: "FIREFLEET_SPOKE_SECRET",
+  },
+  firecontractorpro: {
+    name: "FireContractorPro",
+    description: "Construction Management Platform",
+    urlEnv: "FIRECONTRACTORPRO_SERVICE_URL",
+    secretEnv: "FIRECONTRACTORPRO_SPOKE_SECRET",
+  },
+  firerealty: {
+    name: "FireRealty",
+    description: "Real Estate Solutions",
+    urlEnv: "FIREREALTY_SERVICE_URL",
+    secretEnv: "FIREREALTY_SPOKE_SECRET",
+  },
+};
+
+const getSpoke = (spokeId) => SPOKES[String(spokeId || "").toLowerCase()] || null;
+
+// Signing secret for a spoke, or null when none is configured
+const getSpokeSecret = (spokeId) => {
+  const spoke = getSpoke(spokeId);
+  if (!spoke) return null;
+
+  return process.env[spoke.secretEnv] || process.env.SPOKE_AUTH_SECRET || null;
+};
+
+module.exports = { SPOKES, getSpoke, getSpokeSecret };
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A scrape waiting for, holding or done with a worker slot.
+//
+//   queued    waiting for runAt (new, or delayed by a source rate limit)
+//   running   claimed by a worker until lockedUntil
+//   failed    last attempt threw; retried at runAt
+//   succeeded finished
+//   dead      out of attempts; only an operator requeue revives it
+//
+// activeKey holds the idempotency key while the job is queued, running or
+// failed and is cleared when it settles, so a unique index on it merges
+// duplicate requests without blocking later scrapes of the same data.
+const JOB_STATUSES = ["queued", "running", "failed", "succeeded", "dead"];
+
+const ScrapeJobSchema = new mongoose.Schema(
+  {
+    dataType: { type: String, required: true },
+    source: { type: String, required: true },
+    parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    priority: { type: Number, default: 2 }, // high 3, normal 2, low 1
+
+    idempotencyKey: { type: String, required: true },
+    activeKey: { type: String, default: undefined },
+    requestIds: [{ type: String }],
+
+    status: { type: String, enum: JOB_STATUSES, default: "queued" },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    rateLimitedCount: { type: Number, default: 0 },
+    runAt: { type: Date, default: Date.now },
+
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    durationMs: { type: Number, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+ScrapeJobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+ScrapeJobSchema.index({ status: 1, priority: -1, runAt: 1 });
+ScrapeJobSchema.index({ source: 1, status: 1 });
+
+// Settled jobs are kept for a week for inspection
+ScrapeJobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: "succeeded" } }
+);
+
+ScrapeJobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model("ScrapeJob", ScrapeJobSchema);
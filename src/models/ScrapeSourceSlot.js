@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// One of a source's concurrency slots, leased to a running scrape job.
+//
+// _id is "<source>:<n>" for n below the source's cap, so taking a free slot
+// is a single upsert that the unique _id makes atomic across workers. A
+// lease ends when its job settles or, if the worker died, at lockedUntil
+// (the job's own lock), after which the slot can be taken again.
+const ScrapeSourceSlotSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    source: { type: String, required: true },
+    jobId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ScrapeSourceSlotSchema.index({ jobId: 1 });
+
+module.exports = mongoose.model("ScrapeSourceSlot", ScrapeSourceSlotSchema);
@@ -31,6 +31,7 @@ class CentralDataOrchestrator extends EventEmitter {
     this.on("dataRequest", this.handleDataRequest.bind(this));
     this.on("scrapeComplete", this.handleScrapeComplete.bind(this));
     this.on("spokeConnect", this.handleSpokeConnection.bind(this));
+    this.on("spokeDisconnect", this.handleSpokeDisconnection.bind(this));
 
     logger.info("✅ Central Data Orchestrator initialized");
   }
@@ -40,6 +41,7 @@ class CentralDataOrchestrator extends EventEmitter {
     const { spokeId, dataType, parameters, requestId } = request;
 
     logger.info(`📥 Data request from spoke: ${spokeId}, type: ${dataType}`);
+    this.touchSpoke(spokeId);
 
     try {
       // Check if data exists in cache
@@ -59,6 +61,7 @@ class CentralDataOrchestrator extends EventEmitter {
 
       // Cache the result
       this.cacheData(cacheKey, collectionResult);
+      this.emit("dataCollected", { dataType, result: collectionResult });
 
       // Send to requesting spoke
       return this.sendDataToSpoke(spokeId, requestId, collectionResult);
@@ -88,13 +91,16 @@ class CentralDataOrchestrator extends EventEmitter {
 
   // Sports data collection
   async collectSportsData(parameters) {
-    const { sport, teams, timeframe, predictionFactors } = parameters;
+    const { sport, league, gameId, teams, timeframe, predictionFactors } = parameters;
 
     logger.info(`⚽ Collecting sports data: ${sport} - ${teams}`);
 
-    // This will connect to our scraping services
+    // This will connect to our scraping services. `league` and `gameId`,
+    // when the request names them, pick the topics the result is published to
     const sportsData = {
       sport,
+      ...(league && { league }),
+      ...(gameId && { gameId }),
       teams,
       timeframe,
       collectedAt: new Date(),
@@ -260,10 +266,23 @@ class CentralDataOrchestrator extends EventEmitter {
     logger.info(`🔌 Spoke connected: ${spokeId} (${spokeType})`);
   }
 
+  handleSpokeDisconnection({ spokeId, reason }) {
+    if (!this.spokeConnections.delete(spokeId)) return;
+
+    logger.info(`🔌 Spoke disconnected: ${spokeId} (${reason || "unknown"})`);
+  }
+
+  touchSpoke(spokeId) {
+    const connection = this.spokeConnections.get(spokeId);
+    if (connection) {
+      connection.lastActivity = new Date();
+    }
+  }
+
   sendDataToSpoke(spokeId, requestId, data) {
     logger.info(`📤 Sending data to spoke: ${spokeId}`);
 
-    // This will integrate with our communication service
+    // SpokeGateway forwards this to the spoke's WebSocket
     const response = {
       requestId,
       spokeId,
@@ -0,0 +1,434 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { WebSocketServer } = require("ws");
+const winston = require("winston");
+const { getSpoke, getSpokeSecret } = require("../../config/spokes");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/spoke-gateway.log" }),
+  ],
+});
+
+// WebSocket transport between Fire spokes and the CentralDataOrchestrator.
+//
+// Every frame is a JSON object with a `type`. A spoke opens the socket,
+// receives a one-time nonce and must authenticate first:
+//   ← { type: "challenge", nonce }
+//   → { type: "auth", spokeId, timestamp, signature, spokeType, capabilities }
+//     signature = hex HMAC-SHA256(secret, `${spokeId}:${timestamp}:${nonce}`)
+//   ← { type: "authenticated", spokeId, heartbeatMs }
+// after which it can ask for data:
+//   → { type: "dataRequest", requestId, dataType, parameters }
+//   ← { type: "dataResponse", requestId, data, timestamp, status }
+//   ← { type: "errorResponse", requestId, error, code, timestamp, status }
+// and, when a TopicBroker is attached, follow topics:
+//   → { type: "subscribe", subscriptionId, topic, filter, replay }
+//   ← { type: "subscribed", subscriptionId, topic }
+//   ← { type: "message", subscriptionId, topic, id, data, publishedAt, replayed }
+//   → { type: "unsubscribe", subscriptionId }
+//   ← { type: "unsubscribed", subscriptionId }
+// The hub pings every heartbeatMs; a spoke that misses a pong is dropped and
+// removed from the orchestrator's spokeConnections.
+//
+// The nonce is only valid on the socket it was sent on, so a captured auth
+// frame cannot be replayed on another connection.
+
+const CLOSE_CODES = {
+  AUTH_FAILED: 4001,
+  AUTH_TIMEOUT: 4008,
+  REPLACED: 4009,
+  SHUTDOWN: 1001,
+};
+
+// How far a spoke's clock may drift from ours when signing
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const MAX_SUBSCRIPTIONS_PER_SPOKE = 100;
+const MAX_REPLAY = 100;
+
+const signSpokeAuth = (secret, spokeId, timestamp, nonce) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${spokeId}:${timestamp}:${nonce}`)
+    .digest("hex");
+
+class SpokeGateway extends EventEmitter {
+  constructor(orchestrator, options = {}) {
+    super();
+    this.orchestrator = orchestrator;
+    this.path = options.path || "/spokes";
+    this.heartbeatMs =
+      options.heartbeatMs || Number(process.env.SPOKE_HEARTBEAT_MS) || 30000;
+    this.authTimeoutMs = options.authTimeoutMs || 10000;
+    this.maxPayload = options.maxPayload || 1024 * 1024;
+    this.broker = options.broker || null;
+
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this.sockets = new Map(); // spokeId -> authenticated socket
+
+    this.onDataResponse = (response) => this.deliver("dataResponse", response);
+    this.onErrorResponse = (response) => this.deliver("errorResponse", response);
+  }
+
+  // Accept spoke connections on an existing HTTP server
+  attach(server) {
+    this.wss = new WebSocketServer({
+      server,
+      path: this.path,
+      maxPayload: this.maxPayload,
+    });
+
+    this.wss.on("connection", (socket, req) => this.handleConnection(socket, req));
+    this.wss.on("error", (error) => {
+      logger.error(`❌ Spoke gateway error: ${error.message}`);
+    });
+
+    this.orchestrator.on("dataResponse", this.onDataResponse);
+    this.orchestrator.on("errorResponse", this.onErrorResponse);
+
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), this.heartbeatMs);
+    this.heartbeatTimer.unref();
+
+    logger.info(`🛰️ Spoke gateway listening on ${this.path}`);
+    return this;
+  }
+
+  handleConnection(socket, req) {
+    socket.isAlive = true;
+    socket.spokeId = null;
+    socket.subscriptions = new Map(); // subscriptionId -> broker subscription
+    socket.remoteAddress = req.socket.remoteAddress;
+    socket.nonce = crypto.randomBytes(16).toString("hex");
+
+    socket.authTimer = setTimeout(() => {
+      if (!socket.spokeId) {
+        this.reject(socket, CLOSE_CODES.AUTH_TIMEOUT, "Authentication timed out");
+      }
+    }, this.authTimeoutMs);
+
+    socket.on("pong", () => {
+      socket.isAlive = true;
+      if (socket.spokeId) this.orchestrator.touchSpoke(socket.spokeId);
+    });
+
+    socket.on("message", (raw) => this.handleMessage(socket, raw));
+
+    socket.on("close", (code) => {
+      clearTimeout(socket.authTimer);
+      this.release(socket, `closed (${code})`);
+    });
+
+    socket.on("error", (error) => {
+      logger.warn(`⚠️ Spoke socket error (${socket.spokeId || socket.remoteAddress}): ${error.message}`);
+    });
+
+    this.send(socket, { type: "challenge", nonce: socket.nonce });
+  }
+
+  handleMessage(socket, raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message !== "object" || typeof message.type !== "string") {
+      if (!socket.spokeId) {
+        return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Expected an auth message");
+      }
+      return this.send(socket, {
+        type: "errorResponse",
+        requestId: null,
+        error: "Frames must be JSON objects with a type",
+        code: "INVALID_MESSAGE",
+        timestamp: new Date(),
+        status: "error",
+      });
+    }
+
+    if (!socket.spokeId) {
+      if (message.type !== "auth") {
+        return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Expected an auth message");
+      }
+      return this.authenticate(socket, message);
+    }
+
+    switch (message.type) {
+      case "dataRequest":
+        return this.handleDataRequest(socket, message);
+      case "subscribe":
+        return this.handleSubscribe(socket, message);
+      case "unsubscribe":
+        return this.handleUnsubscribe(socket, message);
+      default:
+        return this.send(socket, {
+          type: "errorResponse",
+          requestId: message.requestId || null,
+          error: `Unsupported message type: ${message.type}`,
+          code: "UNSUPPORTED_MESSAGE",
+          timestamp: new Date(),
+          status: "error",
+        });
+    }
+  }
+
+  authenticate(socket, message) {
+    const { spokeId, timestamp, signature, spokeType, capabilities = [] } = message;
+    const spoke = getSpoke(spokeId);
+    const secret = getSpokeSecret(spokeId);
+
+    if (!spoke || !secret) {
+      return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Unknown spoke");
+    }
+
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+      return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Stale or missing timestamp");
+    }
+
+    // The nonce is spent by the first auth attempt, valid or not
+    const { nonce } = socket;
+    socket.nonce = null;
+    if (!nonce) {
+      return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Challenge already used");
+    }
+
+    const expected = Buffer.from(signSpokeAuth(secret, spokeId, timestamp, nonce));
+    const provided = Buffer.from(String(signature || ""));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Invalid signature");
+    }
+
+    if (!Array.isArray(capabilities) || !capabilities.every((item) => typeof item === "string")) {
+      return this.reject(socket, CLOSE_CODES.AUTH_FAILED, "Capabilities must be a list of strings");
+    }
+
+    const id = spokeId.toLowerCase();
+    clearTimeout(socket.authTimer);
+
+    // One socket per spoke; a reconnect takes over from the old one
+    const previous = this.sockets.get(id);
+    if (previous) {
+      this.sockets.delete(id);
+      previous.close(CLOSE_CODES.REPLACED, "Replaced by a new connection");
+    }
+
+    socket.spokeId = id;
+    this.sockets.set(id, socket);
+
+    this.orchestrator.emit("spokeConnect", {
+      spokeId: id,
+      spokeType: spokeType || spoke.name,
+      capabilities,
+    });
+
+    this.send(socket, {
+      type: "authenticated",
+      spokeId: id,
+      heartbeatMs: this.heartbeatMs,
+    });
+    this.emit("spokeAuthenticated", { spokeId: id, capabilities });
+  }
+
+  handleDataRequest(socket, message) {
+    const { requestId, dataType, parameters = {} } = message;
+
+    if (!requestId || typeof dataType !== "string") {
+      return this.send(socket, {
+        type: "errorResponse",
+        requestId: requestId || null,
+        error: "dataRequest needs a requestId and a dataType",
+        code: "INVALID_REQUEST",
+        timestamp: new Date(),
+        status: "error",
+      });
+    }
+
+    this.orchestrator.emit("dataRequest", {
+      spokeId: socket.spokeId,
+      dataType,
+      parameters,
+      requestId,
+    });
+  }
+
+  async handleSubscribe(socket, message) {
+    const { subscriptionId, topic, filter, replay = 0 } = message;
+    const fail = (error, code) =>
+      this.send(socket, {
+        type: "errorResponse",
+        requestId: subscriptionId || null,
+        error,
+        code,
+        timestamp: new Date(),
+        status: "error",
+      });
+
+    if (!this.broker) {
+      return fail("Topic subscriptions are not available", "SUBSCRIPTIONS_DISABLED");
+    }
+
+    if (!subscriptionId || typeof subscriptionId !== "string") {
+      return fail("subscribe needs a subscriptionId", "INVALID_SUBSCRIPTION");
+    }
+
+    if (socket.subscriptions.has(subscriptionId)) {
+      return fail(`Subscription already exists: ${subscriptionId}`, "DUPLICATE_SUBSCRIPTION");
+    }
+
+    if (socket.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_SPOKE) {
+      return fail(`At most ${MAX_SUBSCRIPTIONS_PER_SPOKE} subscriptions per spoke`, "TOO_MANY_SUBSCRIPTIONS");
+    }
+
+    if (filter !== undefined && (filter === null || typeof filter !== "object" || Array.isArray(filter))) {
+      return fail("filter must be an object of field conditions", "INVALID_SUBSCRIPTION");
+    }
+
+    // Reserve the id while the replay is read
+    socket.subscriptions.set(subscriptionId, null);
+
+    let subscription;
+    try {
+      subscription = await this.broker.subscribe(
+        topic,
+        (published, { replayed }) =>
+          this.send(socket, {
+            type: "message",
+            subscriptionId,
+            topic: published.topic,
+            id: published.id,
+            data: published.data,
+            publishedAt: published.publishedAt,
+            replayed,
+          }),
+        {
+          filter,
+          replay: Math.min(Math.max(0, Number(replay) || 0), MAX_REPLAY),
+          onReady: () =>
+            this.send(socket, { type: "subscribed", subscriptionId, topic }),
+        }
+      );
+    } catch (error) {
+      socket.subscriptions.delete(subscriptionId);
+      return fail(error.message, "INVALID_SUBSCRIPTION");
+    }
+
+    // The spoke went away or unsubscribed during the replay
+    if (!socket.subscriptions.has(subscriptionId) || socket.readyState !== socket.OPEN) {
+      subscription.unsubscribe();
+      return;
+    }
+
+    socket.subscriptions.set(subscriptionId, subscription);
+    this.orchestrator.touchSpoke(socket.spokeId);
+  }
+
+  handleUnsubscribe(socket, message) {
+    const { subscriptionId } = message;
+
+    if (!socket.subscriptions.has(subscriptionId)) {
+      return this.send(socket, {
+        type: "errorResponse",
+        requestId: subscriptionId || null,
+        error: `Unknown subscription: ${subscriptionId}`,
+        code: "UNKNOWN_SUBSCRIPTION",
+        timestamp: new Date(),
+        status: "error",
+      });
+    }
+
+    const subscription = socket.subscriptions.get(subscriptionId);
+    if (subscription) subscription.unsubscribe();
+    socket.subscriptions.delete(subscriptionId);
+
+    this.send(socket, { type: "unsubscribed", subscriptionId });
+  }
+
+  // Forward an orchestrator response to the spoke that asked for it
+  deliver(type, response) {
+    const socket = this.sockets.get(response.spokeId);
+
+    if (!socket) {
+      logger.warn(`⚠️ Dropping ${type} for disconnected spoke: ${response.spokeId}`);
+      return false;
+    }
+
+    const { spokeId, ...payload } = response;
+    return this.send(socket, { type, ...payload });
+  }
+
+  send(socket, frame) {
+    if (socket.readyState !== socket.OPEN) return false;
+
+    socket.send(JSON.stringify(frame));
+    return true;
+  }
+
+  reject(socket, code, reason) {
+    logger.warn(`🚫 Spoke rejected (${socket.remoteAddress}): ${reason}`);
+    socket.close(code, reason);
+  }
+
+  // Forget a socket; only the spoke's current socket clears its connection
+  release(socket, reason) {
+    for (const subscription of socket.subscriptions.values()) {
+      if (subscription) subscription.unsubscribe();
+    }
+    socket.subscriptions.clear();
+
+    const { spokeId } = socket;
+    if (!spokeId || this.sockets.get(spokeId) !== socket) return;
+
+    this.sockets.delete(spokeId);
+    this.orchestrator.emit("spokeDisconnect", { spokeId, reason });
+    this.emit("spokeDisconnected", { spokeId, reason });
+  }
+
+  // Drop sockets that missed the previous ping, then ping the rest
+  checkHeartbeats() {
+    for (const socket of this.wss.clients) {
+      if (!socket.isAlive) {
+        logger.warn(`💔 Spoke missed heartbeat: ${socket.spokeId || socket.remoteAddress}`);
+        this.release(socket, "heartbeat timeout");
+        socket.terminate();
+        continue;
+      }
+
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }
+
+  getConnectedSpokes() {
+    return [...this.sockets.keys()];
+  }
+
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    this.orchestrator.off("dataResponse", this.onDataResponse);
+    this.orchestrator.off("errorResponse", this.onErrorResponse);
+
+    if (!this.wss) return Promise.resolve();
+
+    for (const socket of this.wss.clients) {
+      this.release(socket, "shutdown");
+      socket.close(CLOSE_CODES.SHUTDOWN, "Hub shutting down");
+    }
+
+    return new Promise((resolve) => this.wss.close(() => resolve()));
+  }
+}
+
+module.exports = { SpokeGateway, signSpokeAuth, CLOSE_CODES };
@@ -0,0 +1,93 @@
+// Shared instances of the scraping and monitoring services, created on first
+// use so an app only loads (and schedules cron jobs for) what it needs.
+let sourceMonitor = null;
+let crawlPolicy = null;
+let proxyManager = null;
+let httpClient = null;
+let schemaDriftDetector = null;
+let scrapeJobQueue = null;
+let scrapingOrchestrator = null;
+
+const getSourceMonitor = () => {
+  if (!sourceMonitor) {
+    const { SourceMonitor } = require("./infrastructure/SourceMonitor");
+    sourceMonitor = new SourceMonitor();
+  }
+
+  return sourceMonitor;
+};
+
+// robots.txt cache and per-host pacing shared by every scraper request
+const getCrawlPolicy = () => {
+  if (!crawlPolicy) {
+    const { CrawlPolicy } = require("./infrastructure/CrawlPolicy");
+    crawlPolicy = new CrawlPolicy();
+  }
+
+  return crawlPolicy;
+};
+
+// Loads the proxy pool and starts its health checks, so only created for
+// requests that ask to go through a proxy
+const getProxyManager = () => {
+  if (!proxyManager) {
+    const { ProxyManager } = require("./infrastructure/ProxyManager");
+    proxyManager = new ProxyManager();
+  }
+
+  return proxyManager;
+};
+
+// Outbound requests for every scraper; reports to the shared SourceMonitor
+const getHttpClient = () => {
+  if (!httpClient) {
+    const { HttpClient } = require("./infrastructure/HttpClient");
+    httpClient = new HttpClient({
+      crawlPolicy: getCrawlPolicy(),
+      monitor: getSourceMonitor(),
+      proxyManager: getProxyManager,
+    });
+  }
+
+  return httpClient;
+};
+
+// Reports drift alerts through the shared SourceMonitor
+const getSchemaDriftDetector = () => {
+  if (!schemaDriftDetector) {
+    const { SchemaDriftDetector } = require("./infrastructure/SchemaDriftDetector");
+    schemaDriftDetector = new SchemaDriftDetector({ monitor: getSourceMonitor() });
+  }
+
+  return schemaDriftDetector;
+};
+
+// The queue alone can be inspected and requeued without running any jobs;
+// jobs only run once the orchestrator is started
+const getScrapeJobQueue = () => {
+  if (!scrapeJobQueue) {
+    const { ScrapeJobQueue } = require("./scraping/ScrapeJobQueue");
+    scrapeJobQueue = new ScrapeJobQueue();
+  }
+
+  return scrapeJobQueue;
+};
+
+const getScrapingOrchestrator = () => {
+  if (!scrapingOrchestrator) {
+    const { ScrapingOrchestrator } = require("./scraping/ScrapingOrchestrator");
+    scrapingOrchestrator = new ScrapingOrchestrator({ jobQueue: getScrapeJobQueue() });
+  }
+
+  return scrapingOrchestrator;
+};
+
+module.exports = {
+  getSourceMonitor,
+  getCrawlPolicy,
+  getProxyManager,
+  getHttpClient,
+  getSchemaDriftDetector,
+  getScrapeJobQueue,
+  getScrapingOrchestrator,
+};
@@ -0,0 +1,111 @@
+// Cookies kept across the requests of one proxy session, so a site sees the
+// same visitor even when the session fails over to another proxy. Handles
+// Domain, Path, Max-Age and Expires; everything else is ignored.
+class CookieJar {
+  constructor() {
+    this.cookies = new Map(); // "<domain>|<path>|<name>" -> cookie
+  }
+
+  // Store the Set-Cookie header(s) of a response to `url`
+  setCookies(url, setCookie, now = Date.now()) {
+    if (!setCookie) return;
+
+    const target = new URL(url);
+    const headers = Array.isArray(setCookie) ? setCookie : [setCookie];
+
+    headers.forEach((header) => {
+      const cookie = parseSetCookie(header, target, now);
+      if (!cookie) return;
+
+      const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+      if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+        this.cookies.delete(key);
+      } else {
+        this.cookies.set(key, cookie);
+      }
+    });
+  }
+
+  // Value for a Cookie request header, or null when nothing applies
+  getCookieHeader(url, now = Date.now()) {
+    const target = new URL(url);
+    const host = target.hostname.toLowerCase();
+
+    const matching = [...this.cookies.values()]
+      .filter((cookie) => cookie.expiresAt === null || cookie.expiresAt > now)
+      .filter((cookie) =>
+        cookie.hostOnly
+          ? host === cookie.domain
+          : host === cookie.domain || host.endsWith(`.${cookie.domain}`)
+      )
+      .filter((cookie) => target.pathname.startsWith(cookie.path))
+      // Longer paths first, as browsers send them
+      .sort((a, b) => b.path.length - a.path.length);
+
+    return matching.length
+      ? matching.map((cookie) => `${cookie.name}=${cookie.value}`).join("; ")
+      : null;
+  }
+
+  get size() {
+    return this.cookies.size;
+  }
+
+  toJSON() {
+    return [...this.cookies.values()].map(({ name, domain, path, expiresAt }) => ({
+      name,
+      domain,
+      path,
+      expiresAt: expiresAt === null ? null : new Date(expiresAt),
+    }));
+  }
+}
+
+const parseSetCookie = (header, target, now) => {
+  const [pair, ...attributes] = String(header).split(";");
+  const separator = pair.indexOf("=");
+  if (separator < 1) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: target.hostname.toLowerCase(),
+    hostOnly: true,
+    // Default path is the request path up to its last "/"
+    path: target.pathname.slice(0, target.pathname.lastIndexOf("/") + 1) || "/",
+    expiresAt: null,
+  };
+
+  let maxAge = null;
+  attributes.forEach((attribute) => {
+    const [rawKey, ...rest] = attribute.split("=");
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join("=").trim();
+
+    if (key === "domain" && value) {
+      cookie.domain = value.replace(/^\./, "").toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === "path" && value.startsWith("/")) {
+      cookie.path = value;
+    } else if (key === "max-age" && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === "expires" && !Number.isNaN(Date.parse(value))) {
+      cookie.expiresAt = Date.parse(value);
+    }
+  });
+
+  // Max-Age wins over Expires
+  if (maxAge !== null) {
+    cookie.expiresAt = now + maxAge * 1000;
+  }
+
+  // A site may only set cookies for itself or a parent domain
+  const host = target.hostname.toLowerCase();
+  if (!cookie.hostOnly && host !== cookie.domain && !host.endsWith(`.${cookie.domain}`)) {
+    return null;
+  }
+
+  return cookie;
+};
+
+module.exports = { CookieJar };
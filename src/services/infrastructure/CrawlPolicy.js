@@ -0,0 +1,343 @@
+const winston = require("winston");
+const { CRAWL_POLICY, loadHostOverrides } = require("../../config/crawlPolicy");
+const { httpFixtures, FixtureMissingError } = require("../../../utils/http-fixtures");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/crawl-policy.log" }),
+  ],
+});
+
+// Refusal to fetch a URL. Retrying will not change the answer, so the job
+// queue lets it die instead of backing off.
+class CrawlPolicyError extends Error {
+  constructor(url, { reason, rule = null }) {
+    const reasons = {
+      disallowed: `robots.txt disallows it (${rule})`,
+      denylisted: "the host is on the crawl denylist",
+      robots_unreachable: "robots.txt could not be fetched",
+    };
+
+    super(`Crawl policy refused ${url}: ${reasons[reason] || reason}`);
+    this.name = "CrawlPolicyError";
+    this.url = url;
+    this.host = new URL(url).hostname;
+    this.reason = reason;
+    this.rule = rule;
+    this.retryable = false;
+  }
+}
+
+// "www.ESPN.com" -> "espn.com"
+const hostKey = (hostname) => hostname.toLowerCase().replace(/^www\./, "");
+
+// robots.txt groups: [{ agents, rules: [{ type, path }], crawlDelay }].
+// Consecutive User-agent lines share one group.
+const parseRobots = (text) => {
+  const groups = [];
+  let group = null;
+  let readingAgents = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      if (!readingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase().split("/")[0]);
+      readingAgents = true;
+      continue;
+    }
+
+    readingAgents = false;
+    if (!group) continue;
+
+    // An empty Disallow allows everything, the same as no rule
+    if ((field === "allow" || field === "disallow") && value) {
+      group.rules.push({ type: field, path: value });
+    } else if (field === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+};
+
+// Rules and crawl delay that apply to a user agent: every group naming it,
+// else every "*" group
+const rulesFor = (groups, userAgent) => {
+  const token = userAgent.toLowerCase();
+  const named = groups.filter((group) => group.agents.includes(token));
+  const applicable = named.length
+    ? named
+    : groups.filter((group) => group.agents.includes("*"));
+
+  const delays = applicable
+    .map((group) => group.crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: applicable.flatMap((group) => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null,
+  };
+};
+
+// Path pattern with * wildcards and an optional trailing $ as a RegExp
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+};
+
+// The longest matching rule wins; Allow wins a tie. Returns the rule or null.
+const matchRule = (rules, path) =>
+  rules
+    .filter((rule) => rule.regExp.test(path))
+    .sort(
+      (a, b) =>
+        b.path.length - a.path.length ||
+        (a.type === "allow" ? -1 : 0) - (b.type === "allow" ? -1 : 0)
+    )[0] || null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Decides whether a URL may be fetched and paces requests to each host.
+// robots.txt is fetched once per origin and cached; Disallow/Allow rules
+// and Crawl-delay for our user agent apply, and per-host overrides from
+// src/config/crawlPolicy.js can allow or deny a host outright.
+//
+// A missing robots.txt (4xx) allows everything. One that cannot be fetched
+// (5xx, network error) disallows everything until it can, unless an older
+// copy is cached, which then stays in use.
+//
+// robots.txt goes out through `transport` (an HttpClient transport, see
+// HttpClient.js); an HttpClient hands its own to a policy that has none, so
+// a TestTransport answers robots.txt requests too.
+class CrawlPolicy {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent || CRAWL_POLICY.userAgent;
+    this.defaultDelayMs = options.defaultDelayMs ?? CRAWL_POLICY.defaultDelayMs;
+    this.robotsTtlMs = options.robotsTtlMs || CRAWL_POLICY.robotsTtlMs;
+    this.robotsRetryMs = options.robotsRetryMs || CRAWL_POLICY.robotsRetryMs;
+    this.robotsTimeoutMs = options.robotsTimeoutMs || 10000;
+    this.transport = options.transport || null;
+    this.fetchRobots = options.fetchRobots || ((url) => this.defaultFetchRobots(url));
+    // Replayed fixtures never touch the network, so there is nothing to pace
+    this.pace = options.pace ?? httpFixtures.mode !== "replay";
+
+    this.overrides = Object.fromEntries(
+      Object.entries(options.hosts || loadHostOverrides()).map(([host, entry]) => [
+        hostKey(host),
+        entry,
+      ])
+    );
+
+    this.robots = new Map(); // origin -> cached robots.txt
+    this.pending = new Map(); // origin -> robots.txt fetch in flight
+    this.turns = new Map(); // host -> promise for the last granted turn
+    this.lastFetchAt = new Map(); // host -> ms
+    this.stats = { checked: 0, refused: 0, refusals: {} };
+  }
+
+  // Override for a host or its nearest parent domain
+  overrideFor(hostname) {
+    const labels = hostKey(hostname).split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const entry = this.overrides[labels.slice(i).join(".")];
+      if (entry) return entry;
+    }
+    return {};
+  }
+
+  async defaultFetchRobots(url) {
+    // Required here: HttpClient requires this module
+    const transport = this.transport || require("./HttpClient").axiosTransport;
+
+    return httpFixtures.request("GET", url, async () => {
+      const response = await transport.send({
+        method: "GET",
+        url,
+        headers: { "User-Agent": this.userAgent },
+        timeout: this.robotsTimeoutMs,
+        responseType: "text",
+      });
+
+      return {
+        status: response.status,
+        headers: { "content-type": (response.headers || {})["content-type"] },
+        data: typeof response.data === "string" ? response.data : String(response.data ?? ""),
+      };
+    });
+  }
+
+  // Cached robots.txt for an origin, fetched when missing or stale
+  async getRobots(origin) {
+    const cached = this.robots.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached;
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(
+        origin,
+        this.loadRobots(origin, cached).finally(() => this.pending.delete(origin))
+      );
+    }
+
+    return this.pending.get(origin);
+  }
+
+  async loadRobots(origin, previous) {
+    const url = `${origin}/robots.txt`;
+    const entry = { origin, host: hostKey(new URL(origin).hostname), fetchedAt: new Date() };
+
+    try {
+      const response = await this.fetchRobots(url);
+
+      if (response.status >= 200 && response.status < 300) {
+        const { rules, crawlDelay } = rulesFor(parseRobots(response.data), this.userAgent);
+        Object.assign(entry, {
+          status: "ok",
+          rules: rules.map((rule) => ({ ...rule, regExp: patternToRegExp(rule.path) })),
+          crawlDelay,
+        });
+      } else if (response.status >= 400 && response.status < 500) {
+        Object.assign(entry, { status: "missing", rules: [], crawlDelay: null });
+      } else {
+        throw new Error(`robots.txt returned ${response.status}`);
+      }
+
+      entry.expiresAt = Date.now() + this.robotsTtlMs;
+    } catch (error) {
+      // Nothing recorded for a replayed run means no robots.txt to honor
+      if (error instanceof FixtureMissingError) {
+        Object.assign(entry, { status: "missing", rules: [], crawlDelay: null });
+        entry.expiresAt = Date.now() + this.robotsTtlMs;
+      } else if (previous && previous.status !== "unreachable") {
+        logger.warn(`⚠️ Could not refresh ${url}, keeping the cached copy: ${error.message}`);
+        Object.assign(entry, previous, { expiresAt: Date.now() + this.robotsRetryMs });
+      } else {
+        logger.warn(`⚠️ Could not fetch ${url}, refusing ${origin} for now: ${error.message}`);
+        Object.assign(entry, {
+          status: "unreachable",
+          rules: [],
+          crawlDelay: null,
+          error: error.message,
+          expiresAt: Date.now() + this.robotsRetryMs,
+        });
+      }
+    }
+
+    this.robots.set(origin, entry);
+    return entry;
+  }
+
+  // { allowed, reason?, rule?, delayMs } for a URL
+  async check(url) {
+    const target = new URL(url);
+    const override = this.overrideFor(target.hostname);
+    const delayFloor = override.minDelayMs ?? this.defaultDelayMs;
+
+    if (override.access === "deny") {
+      return { allowed: false, reason: "denylisted", rule: null, delayMs: delayFloor };
+    }
+    if (override.access === "allow" || target.pathname === "/robots.txt") {
+      return { allowed: true, delayMs: delayFloor };
+    }
+
+    const robots = await this.getRobots(target.origin);
+    const delayMs = Math.max(delayFloor, (robots.crawlDelay || 0) * 1000);
+
+    if (robots.status === "unreachable") {
+      return { allowed: false, reason: "robots_unreachable", rule: null, delayMs };
+    }
+
+    const rule = matchRule(robots.rules, `${target.pathname}${target.search}`);
+    if (rule && rule.type === "disallow") {
+      return { allowed: false, reason: "disallowed", rule: `Disallow: ${rule.path}`, delayMs };
+    }
+
+    return { allowed: true, delayMs };
+  }
+
+  // Throws CrawlPolicyError if the URL may not be fetched, otherwise waits
+  // for the host's crawl delay. Call right before each request.
+  async acquire(url) {
+    this.stats.checked++;
+    const decision = await this.check(url);
+
+    if (!decision.allowed) {
+      this.stats.refused++;
+      this.stats.refusals[decision.reason] = (this.stats.refusals[decision.reason] || 0) + 1;
+      logger.warn(`🚫 Refused ${url}: ${decision.reason}${decision.rule ? ` (${decision.rule})` : ""}`);
+      throw new CrawlPolicyError(url, decision);
+    }
+
+    if (this.pace) {
+      await this.waitForTurn(hostKey(new URL(url).hostname), decision.delayMs);
+    }
+
+    return decision;
+  }
+
+  // Requests to one host go out at most once per delayMs, in call order
+  waitForTurn(host, delayMs) {
+    const previous = this.turns.get(host) || Promise.resolve();
+    const turn = previous.then(async () => {
+      const wait = (this.lastFetchAt.get(host) || 0) + delayMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      this.lastFetchAt.set(host, Date.now());
+    });
+
+    this.turns.set(host, turn);
+    return turn;
+  }
+
+  // Pause between requests to a host (or source name like "espn.com") from
+  // what is known so far, without fetching anything
+  getDelayMs(host) {
+    const key = hostKey(host);
+    const override = this.overrideFor(key);
+    const crawlDelays = [...this.robots.values()]
+      .filter((entry) => entry.host === key && entry.crawlDelay !== null)
+      .map((entry) => entry.crawlDelay * 1000);
+
+    return Math.max(override.minDelayMs ?? this.defaultDelayMs, ...crawlDelays);
+  }
+
+  getStatus() {
+    return {
+      userAgent: this.userAgent,
+      stats: this.stats,
+      overrides: this.overrides,
+      robots: [...this.robots.values()].map((entry) => ({
+        origin: entry.origin,
+        status: entry.status,
+        rules: entry.rules.length,
+        crawlDelay: entry.crawlDelay,
+        fetchedAt: entry.fetchedAt,
+        expiresAt: new Date(entry.expiresAt),
+        ...(entry.error && { error: entry.error }),
+      })),
+    };
+  }
+}
+
+module.exports = { CrawlPolicy, CrawlPolicyError, parseRobots, hostKey };
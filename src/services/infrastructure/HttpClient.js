@@ -0,0 +1,389 @@
+const winston = require("winston");
+const {
+  DEFAULT_HEADERS,
+  RETRY_POLICIES,
+  RETRY_STATUSES,
+  RATE_LIMITS,
+  randomUserAgent,
+} = require("../../config/httpClient");
+const { hostKey } = require("./CrawlPolicy");
+const { httpFixtures, fixtureUrl } = require("../../../utils/http-fixtures");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/http-client.log" }),
+  ],
+});
+
+// A request that failed for good. `response` is set when the server
+// answered, shaped like an axios error's; `responseTime` is the last
+// attempt's.
+class HttpRequestError extends Error {
+  constructor(config, { response = null, cause = null, attempts, responseTime = null }) {
+    const target = `${config.method} ${config.url}`;
+    super(
+      response
+        ? `${target} returned ${response.status} after ${attempts} attempt(s)`
+        : `${target} failed after ${attempts} attempt(s): ${cause && cause.message}`
+    );
+    this.name = "HttpRequestError";
+    this.url = config.url;
+    this.status = response ? response.status : null;
+    this.response = response;
+    this.cause = cause;
+    this.attempts = attempts;
+    this.responseTime = responseTime;
+  }
+}
+
+// Sends requests with axios; loaded on first use so the test transport
+// works without it
+const axiosTransport = {
+  async send(config) {
+    const axios = require("axios");
+    const response = await axios({ ...config, validateStatus: () => true });
+    return { status: response.status, headers: response.headers, data: response.data };
+  },
+};
+
+// Offline transport: answers from registered routes and keeps every request
+// it saw. A responder is a response ({ status, headers, data, delayMs }) or
+// a function of the request config returning one or throwing.
+//
+//   const transport = new TestTransport()
+//     .route("GET", "https://www.espn.com/nba/injuries", { data: "<html>..." })
+//     .route("GET", /robots\.txt$/, { status: 404 });
+class TestTransport {
+  constructor() {
+    this.routes = [];
+    this.requests = [];
+  }
+
+  route(method, url, responder) {
+    this.routes.push({ method: method.toUpperCase(), url, responder });
+    return this;
+  }
+
+  // Routes match the URL with any `params` already in its query string
+  async send(config) {
+    this.requests.push(config);
+
+    const target = fixtureUrl(config.url, config.params);
+    const route = this.routes.find(
+      ({ method, url }) =>
+        method === config.method && (url instanceof RegExp ? url.test(target) : url === target)
+    );
+    if (!route) {
+      const error = new Error(`No test route for ${config.method} ${target}`);
+      error.code = "ENOTFOUND";
+      throw error;
+    }
+
+    const response =
+      typeof route.responder === "function" ? await route.responder(config) : route.responder;
+    if (response.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, response.delayMs));
+    }
+
+    return { status: 200, headers: {}, data: "", ...response };
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Per-host token bucket
+class TokenBucket {
+  constructor({ perSecond, burst }) {
+    this.perSecond = perSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.perSecond);
+    this.updatedAt = now;
+  }
+
+  // Resolves with the ms waited once a token is taken; callers go in order
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      let waited = 0;
+
+      if (this.tokens < 1) {
+        waited = Math.ceil(((1 - this.tokens) / this.perSecond) * 1000);
+        await sleep(waited);
+        this.refill();
+      }
+
+      this.tokens -= 1;
+      return waited;
+    });
+
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// Options that shape the request here and are not sent to the transport
+const CLIENT_OPTIONS = [
+  "retry",
+  "viaProxy",
+  "proxyManager",
+  "sourceId",
+  "crawlPolicy",
+  "rateLimit",
+  "cookieJar",
+];
+
+// Answers that blame the proxy rather than the target: blocked, proxy auth
+// refused, throttled. 5xx and network errors count against it too.
+const PROXY_FAULT_STATUSES = [403, 407, 429];
+
+// The one way scrapers, the proxy manager and the source monitor talk to the
+// outside world. Each request:
+//
+//   1. is checked against the crawl policy (robots.txt, denylist, pacing)
+//   2. is served from HTTP fixtures when HTTP_FIXTURES=replay (or recorded)
+//   3. waits for a token from its host's bucket before every attempt
+//      (unless rateLimit: false)
+//   4. goes out directly or, with viaProxy, through the next ProxyManager
+//      proxy allowed for the host, whose success or failure is reported
+//      back to it; a cookieJar sends and keeps cookies across attempts
+//   5. is retried per its retry policy on network errors and RETRY_STATUSES
+//   6. reports every attempt to SourceMonitor.recordRequest when the host
+//      belongs to a monitored source (unless sourceId: false)
+//
+// Responses look like axios responses; failures throw HttpRequestError
+// (CrawlPolicyError for refusals).
+class HttpClient {
+  constructor(options = {}) {
+    this.transport = options.transport || axiosTransport;
+    this.crawlPolicy = options.crawlPolicy || null;
+    // robots.txt goes through the same transport as the requests it gates
+    if (this.crawlPolicy && !this.crawlPolicy.transport) {
+      this.crawlPolicy.transport = this.transport;
+    }
+    this.monitor = options.monitor || null;
+    // A ProxyManager, or a function returning one when first needed
+    this.proxyManager = options.proxyManager || null;
+    this.fixtures = options.fixtures || httpFixtures;
+    this.retryPolicies = { ...RETRY_POLICIES, ...options.retryPolicies };
+    this.defaultRetry = options.defaultRetry || "standard";
+    this.rateLimits = options.rateLimits || RATE_LIMITS;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.sleep = options.sleep || sleep;
+
+    this.buckets = new Map(); // host -> TokenBucket
+    this.stats = new Map(); // host -> counters
+  }
+
+  getProxyManager() {
+    return typeof this.proxyManager === "function" ? this.proxyManager() : this.proxyManager;
+  }
+
+  async get(url, options = {}) {
+    return this.request({ ...options, url, method: "GET" });
+  }
+
+  async request(options) {
+    const config = {
+      method: "GET",
+      timeout: this.timeoutMs,
+      ...options,
+      headers: { "User-Agent": randomUserAgent(), ...DEFAULT_HEADERS, ...options.headers },
+    };
+    config.method = config.method.toUpperCase();
+
+    const target = fixtureUrl(config.url, config.params);
+    const crawlPolicy = config.crawlPolicy === false ? null : config.crawlPolicy || this.crawlPolicy;
+    if (crawlPolicy) {
+      await crawlPolicy.acquire(target);
+    }
+
+    // Recorded responses stand in for the network when HTTP_FIXTURES is set
+    return this.fixtures.request(config.method, target, () => this.send(config));
+  }
+
+  retryPolicyFor(retry) {
+    const policy = typeof retry === "object" ? retry : this.retryPolicies[retry || this.defaultRetry];
+    if (!policy) {
+      throw new Error(`Unknown retry policy: ${retry}`);
+    }
+
+    return { backoff: "exponential", baseMs: 1000, maxMs: 10000, ...policy };
+  }
+
+  // Wait before the attempt after `attempt`. A server's Retry-After wins
+  // over a shorter backoff, up to MAX_RETRY_AFTER_MS.
+  retryDelay(policy, attempt, response = null) {
+    const backoff = Math.min(
+      policy.backoff === "linear"
+        ? policy.baseMs * attempt
+        : policy.baseMs * Math.pow(2, attempt - 1),
+      policy.maxMs
+    );
+    const retryAfter = response ? parseRetryAfter(response.headers) : null;
+
+    return retryAfter ? Math.max(backoff, Math.min(retryAfter, MAX_RETRY_AFTER_MS)) : backoff;
+  }
+
+  async send(config) {
+    const policy = this.retryPolicyFor(config.retry);
+    const host = hostKey(new URL(config.url).hostname);
+    const sourceId = config.sourceId === false ? null : config.sourceId || this.sourceIdFor(config.url);
+    const proxyManager = config.viaProxy ? config.proxyManager || this.getProxyManager() : null;
+    const stats = this.statsFor(host);
+
+    const request = Object.fromEntries(
+      Object.entries(config).filter(([key]) => !CLIENT_OPTIONS.includes(key))
+    );
+
+    let response = null;
+    let cause = null;
+    let attempt = 0;
+    let responseTime = null;
+
+    while (attempt < policy.attempts) {
+      attempt++;
+      if (config.rateLimit !== false) {
+        stats.throttledMs += await this.bucketFor(host).take();
+      }
+
+      const startTime = Date.now();
+      let proxy = null;
+      response = null;
+      cause = null;
+
+      stats.requests++;
+      if (attempt > 1) stats.retries++;
+
+      // Having no usable proxy fails the attempt like a network error
+      try {
+        proxy = proxyManager ? proxyManager.getNextProxy(new URL(config.url).hostname) : null;
+        response = await this.transport.send({
+          ...this.withCookies(request, config.cookieJar),
+          ...(proxy && proxyManager.proxyConfig(proxy)),
+        });
+      } catch (error) {
+        cause = error;
+      }
+
+      if (response && config.cookieJar) {
+        config.cookieJar.setCookies(config.url, (response.headers || {})["set-cookie"]);
+      }
+
+      responseTime = Date.now() - startTime;
+      const ok = Boolean(response) && response.status < 400;
+      const failure = ok ? null : cause ? cause.message : `HTTP ${response.status}`;
+
+      if (proxy) {
+        const proxyFault =
+          !ok && (cause || response.status >= 500 || PROXY_FAULT_STATUSES.includes(response.status));
+        if (proxyFault) proxyManager.recordProxyFailure(proxy, cause || new Error(failure));
+        else proxyManager.recordProxySuccess(proxy, responseTime);
+      }
+      if (sourceId && this.monitor) {
+        this.monitor.recordRequest(sourceId, ok, responseTime, failure);
+      }
+
+      if (ok) {
+        return {
+          ...response,
+          config: request,
+          attempts: attempt,
+          proxyId: proxy ? proxy.id : null,
+          responseTime,
+        };
+      }
+
+      stats.failures++;
+      const retryable = cause || RETRY_STATUSES.includes(response.status);
+      logger.warn(
+        `❌ ${config.method} ${config.url} ${failure}${proxy ? ` via ${proxy.id}` : ""} (attempt ${attempt}/${policy.attempts})`
+      );
+
+      if (!retryable || attempt === policy.attempts) break;
+      await this.sleep(this.retryDelay(policy, attempt, response));
+    }
+
+    throw new HttpRequestError(config, {
+      response: response && { ...response, config: request },
+      cause,
+      attempts: attempt,
+      responseTime,
+    });
+  }
+
+  // Request with the jar's cookies for its URL added
+  withCookies(request, cookieJar) {
+    const cookie = cookieJar && cookieJar.getCookieHeader(fixtureUrl(request.url, request.params));
+    return cookie ? { ...request, headers: { ...request.headers, Cookie: cookie } } : request;
+  }
+
+  bucketFor(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new TokenBucket(this.rateLimitFor(host)));
+    }
+
+    return this.buckets.get(host);
+  }
+
+  // Limit for a host or its nearest parent domain
+  rateLimitFor(host) {
+    const labels = host.split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const limit = this.rateLimits.hosts[labels.slice(i).join(".")];
+      if (limit) return limit;
+    }
+
+    return this.rateLimits.default;
+  }
+
+  sourceIdFor(url) {
+    return this.monitor && this.monitor.findSourceByUrl ? this.monitor.findSourceByUrl(url) : null;
+  }
+
+  statsFor(host) {
+    if (!this.stats.has(host)) {
+      this.stats.set(host, { requests: 0, retries: 0, failures: 0, throttledMs: 0 });
+    }
+
+    return this.stats.get(host);
+  }
+
+  getStats() {
+    return Object.fromEntries(this.stats);
+  }
+}
+
+// Retry-After in ms, from seconds or an HTTP date
+const parseRetryAfter = (headers = {}) => {
+  const value = headers["retry-after"] || headers["Retry-After"];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+module.exports = {
+  HttpClient,
+  HttpRequestError,
+  TestTransport,
+  axiosTransport,
+};
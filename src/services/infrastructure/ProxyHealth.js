@@ -0,0 +1,142 @@
+// Health of one proxy: exponentially weighted success rate and latency, and
+// a circuit breaker.
+//
+//   closed     requests flow; `failureThreshold` failures in a row open it
+//   open       no requests until the cooldown passes. Each trip doubles the
+//              cooldown, from baseCooldownMs up to maxCooldownMs
+//   half_open  one probe request is let through; success closes the breaker
+//              and resets the cooldown, failure opens it again
+//
+// A proxy's selection weight is its success rate squared (so an unreliable
+// proxy falls away quickly) times a latency factor that halves at
+// targetLatencyMs.
+const DEFAULTS = {
+  alpha: 0.2, // weight of the newest sample in both averages
+  priorSuccessRate: 0.75, // for proxies that have not been used yet
+  targetLatencyMs: 2000,
+  failureThreshold: 3,
+  baseCooldownMs: 30 * 1000,
+  maxCooldownMs: 30 * 60 * 1000,
+  probeTimeoutMs: 60 * 1000, // a probe that never reports back frees the slot
+  minWeight: 0.001,
+};
+
+class ProxyHealth {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.successRate = this.options.priorSuccessRate;
+    this.latencyMs = null;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.trips = 0; // times opened since last closed
+    this.openUntil = null;
+    this.probeStartedAt = null;
+    this.samples = 0;
+  }
+
+  ewma(previous, sample) {
+    return previous === null ? sample : previous + this.options.alpha * (sample - previous);
+  }
+
+  cooldownMs() {
+    const { baseCooldownMs, maxCooldownMs } = this.options;
+    return Math.min(baseCooldownMs * Math.pow(2, Math.max(0, this.trips - 1)), maxCooldownMs);
+  }
+
+  // May a request go out now? Open breakers become eligible for a probe once
+  // cooled down; a half-open breaker allows only the one probe.
+  canAttempt(now = Date.now()) {
+    if (this.state === "closed") return true;
+    if (this.state === "open") return now >= this.openUntil;
+    return now - this.probeStartedAt >= this.options.probeTimeoutMs;
+  }
+
+  // Called when a request is sent through the proxy
+  onSelected(now = Date.now()) {
+    if (this.state !== "closed") {
+      this.state = "half_open";
+      this.probeStartedAt = now;
+    }
+  }
+
+  recordSuccess(latencyMs) {
+    this.samples++;
+    this.successRate = this.ewma(this.successRate, 1);
+    this.latencyMs = this.ewma(this.latencyMs, latencyMs);
+    this.consecutiveFailures = 0;
+
+    if (this.state === "closed") return null;
+
+    this.state = "closed";
+    this.trips = 0;
+    this.openUntil = null;
+    this.probeStartedAt = null;
+    return "closed";
+  }
+
+  // Returns "open" when this failure trips the breaker (recordSuccess returns
+  // "closed" when it closes one)
+  recordFailure(now = Date.now()) {
+    this.samples++;
+    this.successRate = this.ewma(this.successRate, 0);
+    this.consecutiveFailures++;
+
+    const trip =
+      this.state === "half_open" ||
+      (this.state === "closed" && this.consecutiveFailures >= this.options.failureThreshold);
+    if (!trip) return null;
+
+    this.trips++;
+    this.state = "open";
+    this.openUntil = now + this.cooldownMs();
+    this.probeStartedAt = null;
+    return "open";
+  }
+
+  // Close the breaker and forget the failure streak, keeping the averages
+  reset() {
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.trips = 0;
+    this.openUntil = null;
+    this.probeStartedAt = null;
+  }
+
+  // Relative chance of being picked
+  weight() {
+    const { targetLatencyMs, minWeight } = this.options;
+    const latencyFactor =
+      this.latencyMs === null ? 1 : targetLatencyMs / (targetLatencyMs + this.latencyMs);
+
+    return Math.max(minWeight, this.successRate * this.successRate * latencyFactor);
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      successRate: Math.round(this.successRate * 1000) / 1000,
+      latencyMs: this.latencyMs === null ? null : Math.round(this.latencyMs),
+      weight: Math.round(this.weight() * 1000) / 1000,
+      consecutiveFailures: this.consecutiveFailures,
+      trips: this.trips,
+      openUntil: this.openUntil ? new Date(this.openUntil) : null,
+      samples: this.samples,
+    };
+  }
+}
+
+// One item, chosen with probability proportional to its weight
+const weightedPick = (items, weightOf, random = Math.random) => {
+  const weights = items.map(weightOf);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let point = random() * total;
+
+  for (let i = 0; i < items.length; i++) {
+    point -= weights[i];
+    if (point < 0) return items[i];
+  }
+
+  return items[items.length - 1];
+};
+
+module.exports = { ProxyHealth, weightedPick };
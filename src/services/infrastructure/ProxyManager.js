@@ -1,7 +1,13 @@
-const axios = require("axios");
 const winston = require("winston");
 const { HttpsProxyAgent } = require("https-proxy-agent");
 const { HttpProxyAgent } = require("http-proxy-agent");
+const { SocksProxyAgent } = require("socks-proxy-agent");
+const { ProxyHealth, weightedPick } = require("./ProxyHealth");
+const { ProxySession } = require("./ProxySession");
+const { ProxyInventory } = require("./ProxyInventory");
+const { hostKey } = require("./CrawlPolicy");
+const { PROXY_RULES } = require("../../config/proxyRules");
+const { getHttpClient } = require("../container");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -16,24 +22,36 @@ const logger = winston.createLogger({
   ],
 });
 
+// Pool of proxies (plus the direct connection) that scraper requests are
+// spread over. Each proxy carries a ProxyHealth: selection is weighted by
+// its success rate and latency, and its circuit breaker keeps a failing
+// proxy out of rotation for a growing cooldown instead of letting it flap.
+//
+// The pool comes from a ProxyInventory (a local YAML/JSON file and/or
+// PROXY_LIST) and follows the file as it changes. Per-host rules
+// (src/config/proxyRules.js) limit which pools may carry a host's requests,
+// and acquireSession pins one proxy for a run of requests.
+//
+// Options: httpClient, inventory, watchInventory (default true), health
+// (ProxyHealth options), rules, testUrl, schedule (false skips the
+// inventory watcher and the health check timer, for tests), now and random
+// for tests.
 class ProxyManager {
-  constructor() {
+  constructor(options = {}) {
+    this.httpClient = options.httpClient || getHttpClient();
+    this.healthOptions = options.health || {};
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+    this.rules = options.rules || PROXY_RULES;
+    this.inventory = options.inventory || new ProxyInventory();
+    this.watchInventory = options.watchInventory !== false;
+    this.schedule = options.schedule !== false;
+    this.testUrl = options.testUrl || process.env.PROXY_TEST_URL || "https://httpbin.org/ip";
     this.proxies = new Map();
-    this.healthyProxies = new Set();
-    this.bannedProxies = new Set();
-    this.currentProxyIndex = 0;
-    this.rotationInterval = 5 * 60 * 1000; // 5 minutes
+    this.sessions = new Map(); // id -> ProxySession
+    this.sessionTtlMs = 10 * 60 * 1000;
     this.healthCheckInterval = 10 * 60 * 1000; // 10 minutes
-    this.maxFailures = 3;
-    this.proxyFailures = new Map();
-
-    this.userAgents = [
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0",
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15",
-      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    ];
+    this.healthTimer = null;
 
     this.initializeProxyManager();
   }
@@ -46,10 +64,9 @@ class ProxyManager {
       await this.loadProxyConfiguration();
 
       // Start health monitoring
-      this.startHealthMonitoring();
-
-      // Start proxy rotation
-      this.startProxyRotation();
+      if (this.schedule) {
+        this.startHealthMonitoring();
+      }
 
       logger.info(
         `✅ Proxy Manager initialized with ${this.proxies.size} proxies`
@@ -62,354 +79,334 @@ class ProxyManager {
 
   // Load proxy configuration
   async loadProxyConfiguration() {
-    // Free proxy sources (for development/testing)
-    const freeProxySources = [
-      "https://www.proxy-list.download/api/v1/get?type=http",
-      "https://api.proxyscrape.com/v2/?request=get&protocol=http&timeout=10000&country=all&ssl=all&anonymity=all",
-    ];
+    // Direct connection is always there as the fallback
+    this.addDirectConnection();
 
-    // Premium proxy providers (configure based on your choice)
-    const premiumProviders = {
-      oxylabs: {
-        endpoint: "https://residential.oxylabs.io:8001",
-        auth: {
-          username: process.env.OXYLABS_USER,
-          password: process.env.OXYLABS_PASS,
-        },
-      },
-      brightdata: {
-        endpoint: "https://brd-customer-hl_username.zone-residential:22225",
-        auth: {
-          username: process.env.BRIGHTDATA_USER,
-          password: process.env.BRIGHTDATA_PASS,
-        },
-      },
-      smartproxy: {
-        endpoint: "https://gate.smartproxy.com:7000",
-        auth: {
-          username: process.env.SMARTPROXY_USER,
-          password: process.env.SMARTPROXY_PASS,
-        },
-      },
-    };
+    this.inventory.on("change", (entries) => this.applyInventory(entries));
+    // A bad edit is logged by the inventory; the current pool stays
+    this.inventory.on("error", () => {});
 
-    // Load proxies based on configuration
-    if (process.env.PROXY_PROVIDER === "premium") {
-      await this.loadPremiumProxies(premiumProviders);
-    } else {
-      await this.loadFreeProxies(freeProxySources);
+    try {
+      this.applyInventory(this.inventory.load());
+    } catch (error) {
+      logger.error(`❌ Proxy inventory not loaded, using direct connection only: ${error.message}`);
     }
 
-    // Add direct connection as fallback
-    this.addDirectConnection();
-  }
-
-  // Load premium proxy providers
-  async loadPremiumProxies(providers) {
-    logger.info("💎 Loading premium proxy providers...");
-
-    Object.entries(providers).forEach(([provider, config]) => {
-      if (config.auth.username && config.auth.password) {
-        const proxyId = `${provider}_premium`;
-        this.proxies.set(proxyId, {
-          id: proxyId,
-          type: "premium",
-          provider,
-          endpoint: config.endpoint,
-          auth: config.auth,
-          protocol: "https",
-          status: "active",
-          lastUsed: null,
-          successCount: 0,
-          failureCount: 0,
-          responseTime: 0,
-        });
-
-        this.healthyProxies.add(proxyId);
-        logger.info(`✅ Added premium proxy: ${provider}`);
-      }
-    });
+    if (this.watchInventory && this.schedule) {
+      this.inventory.watch();
+    }
   }
 
-  // Load free proxies for development
-  async loadFreeProxies(sources) {
-    logger.info("🆓 Loading free proxy sources...");
-
-    for (const source of sources) {
-      try {
-        const response = await axios.get(source, { timeout: 10000 });
-        const proxies = this.parseFreeProxyList(response.data, source);
-
-        proxies.forEach((proxy) => {
-          const proxyId = `${proxy.host}:${proxy.port}`;
-          this.proxies.set(proxyId, {
-            id: proxyId,
-            type: "free",
-            host: proxy.host,
-            port: proxy.port,
-            protocol: proxy.protocol || "http",
-            status: "untested",
-            lastUsed: null,
-            successCount: 0,
-            failureCount: 0,
-            responseTime: 0,
-            source,
-          });
-        });
-
-        logger.info(`📥 Loaded ${proxies.length} proxies from ${source}`);
-      } catch (error) {
-        logger.warn(
-          `⚠️ Failed to load proxies from ${source}: ${error.message}`
-        );
+  // Bring the pool in line with the inventory. Proxies that stay keep their
+  // health and counters; removed ones drop out of rotation and any session
+  // pinned to one fails over on its next request.
+  applyInventory(entries) {
+    const incoming = new Map(entries.map((entry) => [entry.id, entry]));
+    const changes = { added: 0, updated: 0, removed: 0 };
+
+    for (const [id, proxy] of this.proxies) {
+      if (proxy.type !== "direct" && !incoming.has(id)) {
+        this.proxies.delete(id);
+        changes.removed++;
       }
     }
-  }
-
-  // Parse free proxy list responses
-  parseFreeProxyList(data, source) {
-    const proxies = [];
 
-    try {
-      if (typeof data === "string") {
-        // Parse text format (IP:PORT per line)
-        const lines = data.split("\n").filter((line) => line.trim());
-        lines.forEach((line) => {
-          const [host, port] = line.trim().split(":");
-          if (host && port && this.isValidIP(host)) {
-            proxies.push({ host, port: parseInt(port), protocol: "http" });
-          }
-        });
-      } else if (Array.isArray(data)) {
-        // Parse JSON array format
-        data.forEach((proxy) => {
-          if (proxy.ip && proxy.port) {
-            proxies.push({
-              host: proxy.ip,
-              port: proxy.port,
-              protocol: proxy.protocol || "http",
-            });
-          }
-        });
+    incoming.forEach((entry, id) => {
+      const current = this.proxies.get(id);
+      if (current) {
+        // Drop cached agents; the address or credentials may have changed
+        Object.assign(current, entry, { agents: null });
+        changes.updated++;
+      } else {
+        this.addProxy({ ...entry, status: "untested" });
+        changes.added++;
       }
-    } catch (error) {
-      logger.warn(
-        `⚠️ Error parsing proxy data from ${source}: ${error.message}`
-      );
-    }
+    });
 
-    return proxies.slice(0, 50); // Limit to 50 proxies per source
+    logger.info(
+      `📋 Proxy inventory applied: ${changes.added} added, ${changes.updated} kept, ${changes.removed} removed`
+    );
+    return changes;
   }
 
-  // Add direct connection as fallback
-  addDirectConnection() {
-    this.proxies.set("direct", {
-      id: "direct",
-      type: "direct",
-      status: "active",
+  addProxy(proxy) {
+    // The direct connection is never taken out of rotation, only weighted
+    const health = new ProxyHealth(
+      proxy.type === "direct"
+        ? { ...this.healthOptions, failureThreshold: Infinity }
+        : this.healthOptions
+    );
+
+    this.proxies.set(proxy.id, {
       lastUsed: null,
       successCount: 0,
       failureCount: 0,
       responseTime: 0,
+      ...proxy,
+      health,
     });
+    return this.proxies.get(proxy.id);
+  }
 
-    this.healthyProxies.add("direct");
+  // Add direct connection as fallback
+  addDirectConnection() {
+    this.addProxy({ id: "direct", type: "direct", status: "active" });
     logger.info("✅ Added direct connection fallback");
   }
 
-  // Get next available proxy
-  getNextProxy() {
-    const healthyProxyList = Array.from(this.healthyProxies);
+  // Rule for a host or its nearest parent domain
+  ruleFor(host) {
+    if (!host) return {};
 
-    if (healthyProxyList.length === 0) {
-      logger.warn("⚠️ No healthy proxies available, using direct connection");
-      return this.proxies.get("direct");
+    const labels = hostKey(host).split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      const rule = this.rules[labels.slice(i).join(".")];
+      if (rule) return rule;
     }
+    return {};
+  }
 
-    // Round-robin selection
-    const proxyId =
-      healthyProxyList[this.currentProxyIndex % healthyProxyList.length];
-    this.currentProxyIndex++;
+  // Whether a host's rule lets this proxy carry its requests. A proxy is in
+  // the pool of its type, of each tag value ("eu") and of each "key:value"
+  // tag ("tier:free")
+  allowsProxy(rule, proxy) {
+    const tags = Object.entries(proxy.tags || {});
+    const pools = [
+      proxy.type,
+      ...tags.map(([, value]) => value),
+      ...tags.map(([key, value]) => `${key}:${value}`),
+    ];
+    if (rule.pools && !rule.pools.some((pool) => pools.includes(pool))) return false;
+    if (rule.exclude && rule.exclude.some((pool) => pools.includes(pool))) return false;
+    return true;
+  }
+
+  // Pick a proxy for a request to `host` that the host's rule allows and
+  // whose breaker lets a request through, weighted by health. Proxies in
+  // `exclude` are skipped unless nothing else is left, or always with
+  // `reuseExcluded: false`. Throws when no allowed proxy is usable; the
+  // direct connection is a candidate only where the rule allows it.
+  getNextProxy(host = null, { exclude = [], reuseExcluded = true } = {}) {
+    const now = this.now();
+    const rule = this.ruleFor(host);
+    const usable = [...this.proxies.values()].filter(
+      (proxy) => this.allowsProxy(rule, proxy) && this.isUsable(proxy, now)
+    );
+    let candidates = usable.filter((proxy) => !exclude.includes(proxy.id));
 
-    const proxy = this.proxies.get(proxyId);
-    if (proxy) {
-      proxy.lastUsed = new Date();
-      logger.debug(`🔄 Selected proxy: ${proxyId}`);
+    if (candidates.length === 0 && reuseExcluded && usable.length > 0) {
+      logger.warn(`⚠️ Every usable proxy for ${host || "request"} is excluded, reusing them`);
+      candidates = usable;
     }
+    if (candidates.length === 0) {
+      throw new Error(`No proxy allowed for ${host} is available`);
+    }
+
+    const proxy = weightedPick(candidates, (candidate) => candidate.health.weight(), this.random);
+    proxy.health.onSelected(now);
+    proxy.lastUsed = new Date(now);
+    logger.debug(`🔄 Selected proxy: ${proxy.id} (${proxy.health.state})`);
 
     return proxy;
   }
 
-  // Create HTTP client with proxy
-  createProxyClient(proxy, options = {}) {
-    const config = {
-      timeout: options.timeout || 10000,
-      headers: {
-        "User-Agent": this.getRandomUserAgent(),
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5",
-        "Accept-Encoding": "gzip, deflate",
-        Connection: "keep-alive",
-        "Upgrade-Insecure-Requests": "1",
-        ...options.headers,
-      },
-      maxRedirects: 5,
-      validateStatus: function (status) {
-        return status >= 200 && status < 400;
-      },
-    };
+  // In the pool, not quarantined, and its breaker lets a request through
+  isUsable(proxy, now = this.now()) {
+    return this.proxies.get(proxy.id) === proxy && !proxy.quarantine && proxy.health.canAttempt(now);
+  }
+
+  getProxy(id) {
+    return this.proxies.get(id) || null;
+  }
+
+  // Take a proxy out of rotation until enableProxy, whatever its health.
+  // Survives inventory reloads while the proxy stays in the file.
+  quarantineProxy(id, { reason = null, by = null } = {}) {
+    const proxy = this.proxies.get(id);
+    if (!proxy) return null;
+    if (proxy.type === "direct") {
+      throw new Error("The direct connection cannot be quarantined");
+    }
+
+    proxy.quarantine = { reason, by, since: new Date(this.now()) };
+    logger.warn(`⛔ Proxy ${id} quarantined${reason ? `: ${reason}` : ""}`);
+
+    return proxy;
+  }
+
+  // Back in rotation with a closed breaker
+  enableProxy(id) {
+    const proxy = this.proxies.get(id);
+    if (!proxy) return null;
+
+    proxy.quarantine = null;
+    proxy.health.reset();
+    logger.info(`✅ Proxy ${id} re-enabled`);
+
+    return proxy;
+  }
+
+  // Axios options that route a request through a proxy. Agents are made
+  // once per proxy and reused so connections to the proxy stay pooled.
+  proxyConfig(proxy) {
+    if (!proxy || proxy.type === "direct") return {};
 
-    // Configure proxy
-    if (proxy && proxy.type !== "direct") {
-      if (proxy.type === "premium") {
-        // Premium proxy configuration
-        config.proxy = false;
-        const proxyUrl = `${proxy.protocol}://${proxy.auth.username}:${proxy.auth.password}@${proxy.endpoint}`;
-        config.httpsAgent = new HttpsProxyAgent(proxyUrl);
-        config.httpAgent = new HttpProxyAgent(proxyUrl);
+    if (!proxy.agents) {
+      const proxyUrl = this.proxyUrl(proxy);
+      if (proxy.protocol === "socks5") {
+        const agent = new SocksProxyAgent(proxyUrl);
+        proxy.agents = { httpAgent: agent, httpsAgent: agent };
       } else {
-        // Free proxy configuration
-        config.proxy = {
-          protocol: proxy.protocol,
-          host: proxy.host,
-          port: proxy.port,
-          auth: proxy.auth || undefined,
+        proxy.agents = {
+          httpAgent: new HttpProxyAgent(proxyUrl),
+          httpsAgent: new HttpsProxyAgent(proxyUrl),
         };
       }
     }
 
-    return axios.create(config);
+    return { proxy: false, ...proxy.agents };
+  }
+
+  proxyUrl(proxy) {
+    const auth = proxy.auth
+      ? `${encodeURIComponent(proxy.auth.username)}:${encodeURIComponent(proxy.auth.password)}@`
+      : "";
+    return `${proxy.protocol}://${auth}${proxy.host}:${proxy.port}`;
   }
 
-  // Make request with automatic proxy rotation
+  // Make request with automatic proxy rotation: each attempt goes through
+  // the next healthy proxy. With `session` (from acquireSession) every
+  // attempt uses the session's proxy and cookies instead.
   async makeRequest(url, options = {}) {
-    const maxRetries = 3;
-    let lastError;
-
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      const proxy = this.getNextProxy();
-
-      try {
-        logger.debug(
-          `🌐 Making request to ${url} via ${
-            proxy?.id || "direct"
-          } (attempt ${attempt})`
-        );
-
-        const client = this.createProxyClient(proxy, options);
-        const startTime = Date.now();
-
-        const response = await client.get(url, options);
-
-        const responseTime = Date.now() - startTime;
-
-        // Record success
-        this.recordProxySuccess(proxy, responseTime);
-
-        logger.debug(
-          `✅ Request successful via ${
-            proxy?.id || "direct"
-          } (${responseTime}ms)`
-        );
-        return response;
-      } catch (error) {
-        lastError = error;
-        logger.warn(
-          `❌ Request failed via ${proxy?.id || "direct"}: ${error.message}`
-        );
-
-        // Record failure
-        this.recordProxyFailure(proxy, error);
-
-        // Wait before retry
-        if (attempt < maxRetries) {
-          await this.delay(1000 * attempt);
-        }
-      }
+    const { session, ...requestOptions } = options;
+
+    return this.httpClient.request({
+      retry: "rotate",
+      ...requestOptions,
+      url,
+      viaProxy: true,
+      proxyManager: session || this,
+      ...(session && { cookieJar: session.cookieJar }),
+    });
+  }
+
+  // Lease one proxy for a run of requests to `host` for `ttlMs`
+  acquireSession(host, ttlMs = this.sessionTtlMs) {
+    this.pruneSessions();
+
+    const session = new ProxySession(this, host, ttlMs);
+    this.sessions.set(session.id, session);
+    logger.debug(`📌 Proxy session ${session.id} opened for ${host}`);
+
+    return session;
+  }
+
+  getSession(id) {
+    const session = this.sessions.get(id);
+    return session && !session.isExpired() ? session : null;
+  }
+
+  releaseSession(id) {
+    this.sessions.delete(id);
+  }
+
+  pruneSessions() {
+    const now = this.now();
+    for (const [id, session] of this.sessions) {
+      if (session.isExpired(now)) this.sessions.delete(id);
     }
+  }
 
-    throw new Error(
-      `All proxy attempts failed. Last error: ${lastError?.message}`
+  onSessionFailover(session, previous) {
+    logger.warn(
+      `🔀 Proxy session ${session.id} for ${session.host} moved from ${previous.id} to ${session.proxy.id}`
     );
   }
 
   // Record proxy success
   recordProxySuccess(proxy, responseTime) {
-    if (proxy) {
-      proxy.successCount++;
-      proxy.responseTime = responseTime;
-      proxy.lastUsed = new Date();
+    if (!proxy) return;
 
-      // Reset failure count on success
-      this.proxyFailures.delete(proxy.id);
+    proxy.successCount++;
+    proxy.responseTime = responseTime;
+    proxy.status = "active";
 
-      // Add back to healthy proxies if it was removed
-      this.healthyProxies.add(proxy.id);
+    if (proxy.health.recordSuccess(responseTime) === "closed") {
+      logger.info(`✅ Proxy ${proxy.id} recovered, back in rotation`);
     }
   }
 
   // Record proxy failure
   recordProxyFailure(proxy, error) {
-    if (proxy && proxy.type !== "direct") {
-      proxy.failureCount++;
+    if (!proxy) return;
 
-      const failures = this.proxyFailures.get(proxy.id) || 0;
-      this.proxyFailures.set(proxy.id, failures + 1);
+    proxy.failureCount++;
 
-      // Remove from healthy proxies if too many failures
-      if (failures >= this.maxFailures) {
-        this.healthyProxies.delete(proxy.id);
-        this.bannedProxies.add(proxy.id);
-        logger.warn(`🚫 Proxy ${proxy.id} banned due to ${failures} failures`);
-      }
+    if (proxy.health.recordFailure(this.now()) === "open") {
+      logger.warn(
+        `🚫 Proxy ${proxy.id} out of rotation for ${Math.round(
+          proxy.health.cooldownMs() / 1000
+        )}s (trip ${proxy.health.trips}): ${error && error.message}`
+      );
     }
   }
 
   // Health monitoring
   startHealthMonitoring() {
-    setInterval(async () => {
+    this.healthTimer = setInterval(async () => {
       logger.info("🏥 Running proxy health check...");
       await this.performHealthCheck();
     }, this.healthCheckInterval);
   }
 
-  async performHealthCheck() {
-    const testUrl = "https://httpbin.org/ip";
-    const healthCheckPromises = [];
-
-    for (const [proxyId, proxy] of this.proxies) {
-      if (proxy.type === "direct") continue;
-
-      healthCheckPromises.push(this.testProxy(proxy, testUrl));
-    }
+  stop() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    this.inventory.stop();
+  }
 
-    const results = await Promise.allSettled(healthCheckPromises);
+  // Tests every proxy its breaker lets a request through; for cooled-down
+  // proxies this is the half-open probe
+  async performHealthCheck() {
+    const testUrl = this.testUrl;
+    const now = this.now();
+    const proxies = [...this.proxies.values()].filter(
+      (proxy) => proxy.type !== "direct" && this.isUsable(proxy, now)
+    );
 
-    let healthyCount = 0;
-    let unhealthyCount = 0;
+    const results = await Promise.all(
+      proxies.map((proxy) => {
+        proxy.health.onSelected(now);
+        return this.testProxy(proxy, testUrl);
+      })
+    );
 
-    results.forEach((result, index) => {
-      if (result.status === "fulfilled" && result.value.healthy) {
-        healthyCount++;
-      } else {
-        unhealthyCount++;
-      }
-    });
+    const healthyCount = results.filter((result) => result.healthy).length;
 
     logger.info(
-      `🏥 Health check completed: ${healthyCount} healthy, ${unhealthyCount} unhealthy proxies`
+      `🏥 Health check completed: ${healthyCount} healthy, ${
+        results.length - healthyCount
+      } unhealthy proxies`
     );
+
+    return results;
   }
 
   async testProxy(proxy, testUrl) {
-    try {
-      const client = this.createProxyClient(proxy, { timeout: 5000 });
-      const startTime = Date.now();
+    const startTime = Date.now();
 
-      await client.get(testUrl);
+    try {
+      await this.httpClient.request({
+        url: testUrl,
+        timeout: 5000,
+        retry: "none",
+        crawlPolicy: false,
+        rateLimit: false,
+        ...this.proxyConfig(proxy),
+      });
 
       const responseTime = Date.now() - startTime;
+      this.recordProxySuccess(proxy, responseTime);
 
       return {
         proxyId: proxy.id,
@@ -417,6 +414,8 @@ class ProxyManager {
         responseTime,
       };
     } catch (error) {
+      this.recordProxyFailure(proxy, error);
+
       return {
         proxyId: proxy.id,
         healthy: false,
@@ -425,87 +424,69 @@ class ProxyManager {
     }
   }
 
-  // Proxy rotation
-  startProxyRotation() {
-    setInterval(() => {
-      this.rotateProxies();
-    }, this.rotationInterval);
-  }
-
-  rotateProxies() {
-    logger.info("🔄 Rotating proxy selection...");
-
-    // Reset banned proxies occasionally
-    if (this.bannedProxies.size > this.proxies.size / 2) {
-      logger.info("🔄 Resetting banned proxies for retry...");
-      this.bannedProxies.forEach((proxyId) => {
-        if (this.proxies.has(proxyId)) {
-          this.healthyProxies.add(proxyId);
-          this.proxyFailures.delete(proxyId);
-        }
-      });
-      this.bannedProxies.clear();
-    }
-  }
-
   // Utility methods
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
-  }
-
-  isValidIP(ip) {
-    const ipPattern =
-      /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    return ipPattern.test(ip);
-  }
-
   async delay(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
   // Statistics and monitoring
   getProxyStats() {
+    const proxies = [...this.proxies.values()];
+    const inRotation = proxies.filter((proxy) => !proxy.quarantine);
+    const inState = (state) => inRotation.filter((proxy) => proxy.health.state === state).length;
+
     const stats = {
-      total: this.proxies.size,
-      healthy: this.healthyProxies.size,
-      banned: this.bannedProxies.size,
+      total: proxies.length,
+      healthy: inState("closed"),
+      coolingDown: inState("open"),
+      probing: inState("half_open"),
+      quarantined: proxies.length - inRotation.length,
       types: {},
       performance: {},
     };
 
     // Count by type
-    for (const proxy of this.proxies.values()) {
+    for (const proxy of proxies) {
       stats.types[proxy.type] = (stats.types[proxy.type] || 0) + 1;
     }
 
     // Performance metrics
-    const healthyProxies = Array.from(this.healthyProxies)
-      .map((id) => this.proxies.get(id))
-      .filter((proxy) => proxy);
-
-    if (healthyProxies.length > 0) {
+    const measured = proxies.filter((proxy) => proxy.health.latencyMs !== null);
+    if (measured.length > 0) {
       stats.performance.avgResponseTime =
-        healthyProxies.reduce((sum, proxy) => sum + proxy.responseTime, 0) /
-        healthyProxies.length;
-      stats.performance.totalSuccesses = healthyProxies.reduce(
-        (sum, proxy) => sum + proxy.successCount,
-        0
-      );
-      stats.performance.totalFailures = healthyProxies.reduce(
-        (sum, proxy) => sum + proxy.failureCount,
-        0
-      );
+        measured.reduce((sum, proxy) => sum + proxy.health.latencyMs, 0) / measured.length;
     }
+    stats.performance.totalSuccesses = proxies.reduce((sum, proxy) => sum + proxy.successCount, 0);
+    stats.performance.totalFailures = proxies.reduce((sum, proxy) => sum + proxy.failureCount, 0);
 
     return stats;
   }
 
+  // Health of each proxy, best first
+  getProxyHealth() {
+    return [...this.proxies.values()]
+      .map((proxy) => ({
+        id: proxy.id,
+        type: proxy.type,
+        protocol: proxy.protocol || null,
+        tags: proxy.tags || {},
+        quarantine: proxy.quarantine || null,
+        lastUsed: proxy.lastUsed,
+        successCount: proxy.successCount,
+        failureCount: proxy.failureCount,
+        ...proxy.health.toJSON(),
+      }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
   // Get status
   getStatus() {
+    this.pruneSessions();
+
     return {
       ...this.getProxyStats(),
-      currentProxyIndex: this.currentProxyIndex,
-      rotationInterval: this.rotationInterval,
+      sessions: this.sessions.size,
+      inventory: this.inventory.getStatus(),
       healthCheckInterval: this.healthCheckInterval,
       status: "operational",
     };
@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const { CookieJar } = require("./CookieJar");
+
+// A lease on one proxy for a sequence of requests to one host, e.g. the
+// pages of a paginated scrape, so the site sees a single visitor. Pass it to
+// ProxyManager.makeRequest as `session` (or call session.request).
+//
+// The session stands in for the ProxyManager in HttpClient: it hands out the
+// pinned proxy every time, reports results to the manager, and fails over to
+// a new proxy when the pinned one fails, its breaker opens, or it is
+// quarantined or removed from the inventory. The cookie jar carries over to the new proxy.
+// Once every proxy the host's rule allows has failed, requests throw rather
+// than going back to a failed proxy.
+class ProxySession {
+  constructor(manager, host, ttlMs, now = manager.now()) {
+    this.id = crypto.randomBytes(8).toString("hex");
+    this.manager = manager;
+    this.host = host;
+    this.ttlMs = ttlMs;
+    this.createdAt = now;
+    this.expiresAt = now + ttlMs;
+    this.proxy = null;
+    this.failedProxyIds = new Set();
+    this.failovers = 0;
+    this.requests = 0;
+    this.cookieJar = new CookieJar();
+  }
+
+  isExpired(now = this.manager.now()) {
+    return now >= this.expiresAt;
+  }
+
+  getNextProxy(host = this.host) {
+    if (this.isExpired()) {
+      throw new Error(`Proxy session ${this.id} for ${this.host} has expired`);
+    }
+
+    this.requests++;
+    const pinned = this.proxy;
+    if (pinned && !this.failedProxyIds.has(pinned.id) && this.manager.isUsable(pinned)) {
+      return pinned;
+    }
+
+    try {
+      this.proxy = this.manager.getNextProxy(host, {
+        exclude: [...this.failedProxyIds],
+        reuseExcluded: false,
+      });
+    } catch (error) {
+      throw new Error(
+        `Proxy session ${this.id} for ${this.host} has no proxy to fail over to (${this.failedProxyIds.size} failed): ${error.message}`
+      );
+    }
+
+    if (pinned) {
+      this.failovers++;
+      this.manager.onSessionFailover(this, pinned);
+    }
+    return this.proxy;
+  }
+
+  proxyConfig(proxy) {
+    return this.manager.proxyConfig(proxy);
+  }
+
+  recordProxySuccess(proxy, responseTime) {
+    this.manager.recordProxySuccess(proxy, responseTime);
+  }
+
+  // Any failure of the pinned proxy moves the session on, even before the
+  // proxy's own breaker opens
+  recordProxyFailure(proxy, error) {
+    this.manager.recordProxyFailure(proxy, error);
+
+    if (this.proxy && proxy.id === this.proxy.id) {
+      this.failedProxyIds.add(proxy.id);
+    }
+  }
+
+  async request(url, options = {}) {
+    return this.manager.makeRequest(url, { ...options, session: this });
+  }
+
+  release() {
+    this.manager.releaseSession(this.id);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      host: this.host,
+      proxyId: this.proxy ? this.proxy.id : null,
+      requests: this.requests,
+      failovers: this.failovers,
+      cookies: this.cookieJar.size,
+      createdAt: new Date(this.createdAt),
+      expiresAt: new Date(this.expiresAt),
+    };
+  }
+}
+
+module.exports = { ProxySession };
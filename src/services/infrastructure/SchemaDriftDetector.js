@@ -0,0 +1,252 @@
+const winston = require("winston");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/schema-drift.log" }),
+  ],
+});
+
+// Notices when a scraped site changes its markup. Source adapters report one
+// observation per selector use: whether the root matched, the fill rate of
+// each field and a fingerprint of the matched markup. For each source and
+// selector the latest observations are compared with a rolling baseline of
+// the ones before them, and a `schema_drift` alert goes to SourceMonitor
+// when the hit rate or a field's fill rate drops or the markup structure
+// changes. A drift alerts once, again if it gets worse, and otherwise at
+// most once per cooldown.
+const DEFAULTS = {
+  recentSize: 10, // observations judged against the baseline
+  baselineSize: 100, // older observations forming the baseline
+  minBaseline: 20, // baseline needed before judging at all
+  hitRateDrop: 0.3, // absolute drop that counts as drift
+  fillRateDrop: 0.3,
+  fingerprintShare: 0.8, // baseline must be this consistent ...
+  fingerprintMatch: 0.5, // ... and recent pages match it less than this
+  alertCooldownMs: 60 * 60 * 1000,
+};
+
+const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+const SEVERITY_RANK = { warning: 1, critical: 2 };
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const reasonKey = (reason) => (reason.field ? `${reason.metric}:${reason.field}` : reason.metric);
+
+// Hit rate, fill rate, per-field fill rates and dominant fingerprint of a window
+const summarize = (observations) => {
+  const hits = observations.filter((observation) => observation.matched);
+  const fieldNames = [...new Set(hits.flatMap((observation) => Object.keys(observation.fields)))];
+  const fields = Object.fromEntries(
+    fieldNames.map((name) => [name, round(average(hits.map((hit) => hit.fields[name] || 0)))])
+  );
+
+  const counts = new Map();
+  hits.forEach((hit) => counts.set(hit.fingerprint, (counts.get(hit.fingerprint) || 0) + 1));
+  const [fingerprint, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+  return {
+    samples: observations.length,
+    hitRate: round(observations.length ? hits.length / observations.length : null),
+    fillRate: round(average(Object.values(fields))),
+    fields,
+    fingerprint,
+    fingerprintShare: round(hits.length ? count / hits.length : null),
+  };
+};
+
+class SchemaDriftDetector {
+  constructor({ monitor = null, ...options } = {}) {
+    this.monitor = monitor;
+    this.options = { ...DEFAULTS, ...options };
+    this.selectors = new Map(); // "<source>|<selector>" -> state
+
+    // For SourceAdapter.setObserver
+    this.observer = (observation) => this.record(observation);
+  }
+
+  record({
+    source,
+    baseUrl = null,
+    selector,
+    selectorVersion,
+    matched,
+    fields = {},
+    fingerprint = null,
+  }) {
+    const key = `${source}|${selector}`;
+    let state = this.selectors.get(key);
+
+    // New selectors are judged on their own history
+    if (!state || state.selectorVersion !== selectorVersion) {
+      state = {
+        source,
+        baseUrl,
+        selector,
+        selectorVersion,
+        recent: [],
+        baseline: [],
+        drift: [],
+        lastAlerts: new Map(), // reason key -> { at, severity }
+        lastSeenAt: null,
+      };
+      this.selectors.set(key, state);
+    }
+
+    state.recent.push({ matched, fields, fingerprint });
+    state.lastSeenAt = new Date();
+
+    if (state.recent.length > this.options.recentSize) {
+      state.baseline.push(state.recent.shift());
+      if (state.baseline.length > this.options.baselineSize) state.baseline.shift();
+    }
+
+    this.evaluate(state);
+  }
+
+  // Reasons the recent window has drifted from the baseline
+  findDrift(state) {
+    const { options } = this;
+    if (state.baseline.length < options.minBaseline || state.recent.length < options.recentSize) {
+      return [];
+    }
+
+    const baseline = summarize(state.baseline);
+    const recent = summarize(state.recent);
+    const drift = [];
+
+    if (baseline.hitRate - recent.hitRate >= options.hitRateDrop) {
+      drift.push({
+        metric: "hit_rate",
+        severity: recent.hitRate === 0 ? "critical" : "warning",
+        value: recent.hitRate,
+        baseline: baseline.hitRate,
+      });
+    }
+
+    // Fill rates only mean something for pages where the root matched
+    Object.entries(recent.fields).forEach(([field, value]) => {
+      const before = baseline.fields[field];
+      if (before === undefined || before - value < options.fillRateDrop) return;
+
+      drift.push({
+        metric: "fill_rate",
+        field,
+        severity: value === 0 ? "critical" : "warning",
+        value,
+        baseline: before,
+      });
+    });
+
+    if (baseline.fingerprintShare >= options.fingerprintShare && recent.hitRate > 0) {
+      const matching = state.recent.filter(
+        (observation) => observation.matched && observation.fingerprint === baseline.fingerprint
+      ).length;
+      const share = matching / state.recent.filter((observation) => observation.matched).length;
+
+      if (share < options.fingerprintMatch) {
+        drift.push({
+          metric: "fingerprint",
+          severity: "warning",
+          value: recent.fingerprint,
+          baseline: baseline.fingerprint,
+          share: round(share),
+        });
+      }
+    }
+
+    return drift;
+  }
+
+  evaluate(state) {
+    state.drift = this.findDrift(state);
+    const current = new Set(state.drift.map(reasonKey));
+
+    state.drift.forEach((reason) => {
+      const key = reasonKey(reason);
+      const last = state.lastAlerts.get(key);
+      const due =
+        !last ||
+        SEVERITY_RANK[reason.severity] > SEVERITY_RANK[last.severity] ||
+        Date.now() - last.at >= this.options.alertCooldownMs;
+
+      if (due) {
+        state.lastAlerts.set(key, { at: Date.now(), severity: reason.severity });
+        this.alert(state, reason);
+      }
+    });
+
+    // Recovered drifts alert afresh if they come back
+    [...state.lastAlerts.keys()].forEach((key) => {
+      if (!current.has(key)) {
+        state.lastAlerts.delete(key);
+        logger.info(`✅ ${state.source} "${state.selector}" ${key} back to baseline`);
+      }
+    });
+  }
+
+  alert(state, reason) {
+    const descriptions = {
+      hit_rate: `matched ${Math.round(reason.value * 100)}% of pages (baseline ${Math.round(reason.baseline * 100)}%)`,
+      fill_rate: `filled "${reason.field}" on ${Math.round(reason.value * 100)}% of pages (baseline ${Math.round(reason.baseline * 100)}%)`,
+      fingerprint: `markup changed (${reason.value}, baseline ${reason.baseline})`,
+    };
+
+    const alert = {
+      type: "schema_drift",
+      severity: reason.severity,
+      message: `${state.source} selector "${state.selector}" ${descriptions[reason.metric]}`,
+      sourceId: this.sourceIdFor(state),
+      selector: state.selector,
+      selectorVersion: state.selectorVersion,
+      metric: reason.metric,
+      field: reason.field || null,
+      value: reason.value,
+      threshold: reason.baseline,
+    };
+
+    if (this.monitor) {
+      this.monitor.triggerAlert(alert);
+    } else {
+      logger.warn(`🚨 ${alert.message}`);
+    }
+  }
+
+  // Adapters are named after their host ("espn.com"); SourceMonitor knows
+  // sources by id ("espn")
+  sourceIdFor(state) {
+    if (!this.monitor || !state.baseUrl) return state.source;
+    return this.monitor.findSourceByUrl(state.baseUrl) || state.source;
+  }
+
+  // Health of every selector, optionally for one source
+  getReport({ source = null } = {}) {
+    return [...this.selectors.values()]
+      .filter((state) => !source || state.source === source)
+      .map((state) => {
+        const warmingUp = state.baseline.length < this.options.minBaseline;
+
+        return {
+          source: state.source,
+          selector: state.selector,
+          selectorVersion: state.selectorVersion,
+          status: warmingUp ? "warming_up" : state.drift.length ? "drifting" : "healthy",
+          drift: state.drift,
+          recent: summarize(state.recent),
+          baseline: summarize(state.baseline),
+          lastSeenAt: state.lastSeenAt,
+        };
+      })
+      .sort((a, b) => `${a.source}|${a.selector}`.localeCompare(`${b.source}|${b.selector}`));
+  }
+}
+
+module.exports = { SchemaDriftDetector };
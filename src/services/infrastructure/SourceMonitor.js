@@ -1,5 +1,9 @@
 const winston = require("winston");
 const cron = require("node-cron");
+const { HttpRequestError } = require("./HttpClient");
+const { CrawlPolicyError } = require("./CrawlPolicy");
+const { SOURCE_HEALTH_CHECKS } = require("../../config/sourceHealthChecks");
+const { getHttpClient } = require("../container");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -14,8 +18,20 @@ const logger = winston.createLogger({
   ],
 });
 
+// Health, reliability and alerts for the sites the scrapers depend on.
+// Every scraper request is reported through recordRequest by the shared
+// HttpClient; on top of that each source with a health check
+// (src/config/sourceHealthChecks.js) is probed on a schedule.
+//
+// Options: httpClient (default: the shared one, resolved on first check),
+// checks, checkOrigin (see SOURCE_HEALTH_CHECK_ORIGIN), schedule (false
+// skips the cron jobs, for tests).
 class SourceMonitor {
-  constructor() {
+  constructor(options = {}) {
+    this.httpClient = options.httpClient || null;
+    this.checks = options.checks || SOURCE_HEALTH_CHECKS;
+    this.checkOrigin = options.checkOrigin || process.env.SOURCE_HEALTH_CHECK_ORIGIN || null;
+    this.schedule = options.schedule !== false;
     this.sources = new Map();
     this.healthMetrics = new Map();
     this.performanceHistory = new Map();
@@ -35,11 +51,13 @@ class SourceMonitor {
     // Setup alert thresholds
     this.setupAlertThresholds();
 
-    // Start monitoring services
-    this.startMonitoring();
+    if (this.schedule) {
+      // Start monitoring services
+      this.startMonitoring();
 
-    // Setup automated health checks
-    this.setupHealthChecks();
+      // Setup automated health checks
+      this.setupHealthChecks();
+    }
 
     logger.info("✅ Source Monitor initialized");
   }
@@ -246,6 +264,19 @@ class SourceMonitor {
     logger.info("🏥 Health check schedules configured");
   }
 
+  // Monitored source whose baseUrl host serves a URL (www. and subdomains
+  // count), or null
+  findSourceByUrl(url) {
+    const host = new URL(url).hostname.replace(/^www\./, "");
+
+    for (const [sourceId, source] of this.sources) {
+      const sourceHost = new URL(source.baseUrl).hostname.replace(/^www\./, "");
+      if (host === sourceHost || host.endsWith(`.${sourceHost}`)) return sourceId;
+    }
+
+    return null;
+  }
+
   // Record a data source request
   recordRequest(sourceId, success, responseTime, error = null) {
     const source = this.sources.get(sourceId);
@@ -386,9 +417,12 @@ class SourceMonitor {
 
     let healthyCount = 0;
     let unhealthyCount = 0;
+    let skippedCount = 0;
 
     results.forEach((result, index) => {
-      if (result.status === "fulfilled" && result.value.healthy) {
+      if (result.status === "fulfilled" && result.value.skipped) {
+        skippedCount++;
+      } else if (result.status === "fulfilled" && result.value.healthy) {
         healthyCount++;
       } else {
         unhealthyCount++;
@@ -396,7 +430,16 @@ class SourceMonitor {
     });
 
     logger.info(
-      `🏥 Health check completed: ${healthyCount} healthy, ${unhealthyCount} unhealthy sources`
+      `🏥 Health check completed: ${healthyCount} healthy, ${unhealthyCount} unhealthy, ${skippedCount} not checked`
+    );
+
+    return Object.fromEntries(
+      Array.from(this.sources.keys()).map((sourceId, index) => [
+        sourceId,
+        results[index].status === "fulfilled"
+          ? results[index].value
+          : { healthy: false, error: results[index].reason.message },
+      ])
     );
   }
 
@@ -417,56 +460,129 @@ class SourceMonitor {
     }
   }
 
-  // Check individual source health
+  // Check individual source health. The result is recorded like any other
+  // request, except when the source has no check or the crawl policy
+  // forbids it (`skipped`). A robots.txt that cannot be fetched is the site
+  // failing, so it counts against the source.
   async checkSourceHealth(sourceId, isQuickCheck = false) {
     const source = this.sources.get(sourceId);
     if (!source) return { healthy: false, error: "Source not found" };
 
-    try {
-      const startTime = Date.now();
+    const check = this.healthCheckFor(source);
+    if (!check) {
+      return { healthy: null, skipped: "no_check", isQuickCheck };
+    }
 
-      // Simple HTTP GET to check if source is responsive
-      const response = await this.makeHealthCheckRequest(source);
+    const startTime = Date.now();
 
-      const responseTime = Date.now() - startTime;
-      const healthy = response.status >= 200 && response.status < 400;
+    try {
+      const response = await this.makeHealthCheckRequest(source, check);
+
+      const responseTime = response.responseTime ?? Date.now() - startTime;
+      const failure = this.assertHealthCheck(check, response);
 
       // Record the health check
-      this.recordRequest(sourceId, healthy, responseTime);
+      this.recordRequest(sourceId, !failure, responseTime, failure);
 
       return {
-        healthy,
+        healthy: !failure,
         responseTime,
         status: response.status,
+        ...(failure && { error: failure }),
         isQuickCheck,
       };
     } catch (error) {
-      const responseTime = Date.now() - Date.now();
+      if (error instanceof CrawlPolicyError && error.reason !== "robots_unreachable") {
+        return { healthy: null, skipped: error.reason, error: error.message, isQuickCheck };
+      }
+
+      const responseTime = error.responseTime ?? Date.now() - startTime;
       this.recordRequest(sourceId, false, responseTime, error.message);
 
       return {
         healthy: false,
+        responseTime,
         error: error.message,
         isQuickCheck,
       };
     }
   }
 
-  // Make health check request (simplified for monitoring)
-  async makeHealthCheckRequest(source) {
-    // This would use the ProxyManager for actual requests
-    // Simplified for monitoring purposes
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("Health check timeout"));
-      }, source.timeout);
-
-      // Simulate health check response
-      setTimeout(() => {
-        clearTimeout(timeout);
-        resolve({ status: 200 });
-      }, Math.random() * 1000 + 500);
-    });
+  // The source's check with its URL moved to checkOrigin when set, or null
+  healthCheckFor(source) {
+    const check = this.checks[source.id];
+    if (!check) return null;
+
+    if (!this.checkOrigin) return check;
+
+    const target = new URL(check.url);
+    return { ...check, url: new URL(target.pathname + target.search, this.checkOrigin).toString() };
+  }
+
+  // One attempt through the shared client. The client's own per-attempt
+  // report is turned off so the check is recorded once, with its verdict.
+  async makeHealthCheckRequest(source, check) {
+    if (!this.httpClient) {
+      this.httpClient = getHttpClient();
+    }
+
+    try {
+      return await this.httpClient.request({
+        url: check.url,
+        method: check.method || "GET",
+        timeout: check.timeoutMs || source.timeout,
+        retry: "none",
+        viaProxy: Boolean(check.viaProxy),
+        sourceId: false,
+      });
+    } catch (error) {
+      // Any answer is judged against expectedStatus, not only 2xx/3xx
+      if (error instanceof HttpRequestError && error.response) {
+        return { ...error.response, responseTime: error.responseTime };
+      }
+      throw error;
+    }
+  }
+
+  // Why a response fails its check, or null when it passes
+  assertHealthCheck(check, response) {
+    const expected = [].concat(check.expectedStatus || 200);
+    if (!expected.includes(response.status)) {
+      return `HTTP ${response.status}, expected ${expected.join(" or ")}`;
+    }
+
+    const body = response.data;
+
+    if (check.bodyIncludes) {
+      const text = typeof body === "string" ? body : JSON.stringify(body ?? "");
+      if (!text.includes(check.bodyIncludes)) {
+        return `Body does not contain "${check.bodyIncludes}"`;
+      }
+    }
+
+    if (check.jsonPath) {
+      let json = body;
+      if (typeof json === "string") {
+        try {
+          json = JSON.parse(json);
+        } catch (error) {
+          return "Body is not JSON";
+        }
+      }
+
+      const value = check.jsonPath
+        .split(".")
+        .reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), json);
+
+      if (value === undefined) {
+        return `${check.jsonPath} missing from body`;
+      }
+      if ("jsonEquals" in check && value !== check.jsonEquals) {
+        return `${check.jsonPath} is ${JSON.stringify(value)}, expected ${JSON.stringify(check.jsonEquals)}`;
+      }
+    }
+
+    return null;
   }
 
   // Check for alerts
@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { AdapterRegistry } = require("./adapters/AdapterRegistry");
+const { HttpFixtures } = require("../../../utils/http-fixtures");
+
+// Runs every source adapter's parser over recorded pages and compares the
+// normalized output with golden JSON, so a selector that stops matching
+// fails `npm run test:parsers` instead of shipping.
+//
+// A case is fixtures/scraping/parsers/<source>/<name>.json holding
+// { dataType, params }. The adapter builds its request from the params, the
+// page comes from the HTTP fixtures recorded for that URL, and the result is
+// checked against <name>.golden.json next to the case.
+//
+//   npm run test:parsers                      check every case
+//   npm run test:parsers -- --update          rewrite goldens from current output
+//   npm run test:parsers -- --record          fetch and save pages for every case
+//   npm run test:parsers -- --source=espn.com only one source
+const DEFAULT_CASES_DIR = path.join(__dirname, "..", "..", "..", "fixtures", "scraping", "parsers");
+const GOLDEN_SUFFIX = ".golden.json";
+
+const RECORD_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+  Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+};
+
+// Paths where two JSON values differ, e.g. "homeTeam.injuries[0].status"
+const diffJson = (expected, actual, at = "") => {
+  if (expected === actual) return [];
+
+  const bothObjects =
+    expected && actual && typeof expected === "object" && typeof actual === "object";
+  if (!bothObjects || Array.isArray(expected) !== Array.isArray(actual)) {
+    return [{ path: at || "(root)", expected, actual }];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap((key) =>
+    diffJson(
+      expected[key],
+      actual[key],
+      Array.isArray(expected) ? `${at}[${key}]` : at ? `${at}.${key}` : key
+    )
+  );
+};
+
+const writeJson = (file, value) =>
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+
+class ParserHarness {
+  constructor({
+    registry = new AdapterRegistry().loadAll(),
+    fixtures = new HttpFixtures({ mode: "replay" }),
+    casesDir = DEFAULT_CASES_DIR,
+  } = {}) {
+    this.registry = registry;
+    this.fixtures = fixtures;
+    this.casesDir = casesDir;
+  }
+
+  loadCases({ source = null } = {}) {
+    if (!fs.existsSync(this.casesDir)) return [];
+
+    return fs
+      .readdirSync(this.casesDir)
+      .filter((dir) => !source || dir === source)
+      .filter((dir) => fs.statSync(path.join(this.casesDir, dir)).isDirectory())
+      .sort()
+      .flatMap((dir) =>
+        fs
+          .readdirSync(path.join(this.casesDir, dir))
+          .filter((file) => file.endsWith(".json") && !file.endsWith(GOLDEN_SUFFIX))
+          .sort()
+          .map((file) => {
+            const caseFile = path.join(this.casesDir, dir, file);
+            const name = file.slice(0, -".json".length);
+            return {
+              source: dir,
+              name,
+              file: caseFile,
+              goldenFile: path.join(this.casesDir, dir, `${name}${GOLDEN_SUFFIX}`),
+              ...JSON.parse(fs.readFileSync(caseFile, "utf8")),
+            };
+          })
+      );
+  }
+
+  async runCase(testCase, { update = false, record = false } = {}) {
+    const result = { source: testCase.source, name: testCase.name, dataType: testCase.dataType };
+    const adapter = this.registry.get(testCase.source);
+
+    if (!adapter) return { ...result, status: "error", error: "No adapter for this source" };
+    if (!adapter.supports(testCase.dataType)) {
+      return { ...result, status: "error", error: `Adapter does not support ${testCase.dataType}` };
+    }
+
+    try {
+      const request = adapter.buildRequest(testCase.dataType, testCase.params);
+      result.url = request.url;
+
+      if (record) {
+        await this.recordPage(request);
+      }
+
+      const response = this.fixtures.load(request.method || "GET", request.url);
+      if (!response) {
+        return { ...result, status: "missing-fixture", error: `No recorded page for ${request.url}` };
+      }
+
+      const context = { dataType: testCase.dataType, params: testCase.params, request };
+      // JSON round trip drops undefined, as the golden file does
+      const actual = JSON.parse(
+        JSON.stringify(adapter.normalize(adapter.parse(response.data, context), context)) ?? "null"
+      );
+
+      if (update) {
+        writeJson(testCase.goldenFile, actual);
+        return { ...result, status: "updated" };
+      }
+      if (!fs.existsSync(testCase.goldenFile)) {
+        return { ...result, status: "missing-golden", error: "Run with --update to create it" };
+      }
+
+      const expected = JSON.parse(fs.readFileSync(testCase.goldenFile, "utf8"));
+      const diffs = diffJson(expected, actual);
+      return { ...result, status: diffs.length ? "failed" : "passed", diffs };
+    } catch (error) {
+      return { ...result, status: "error", error: error.message };
+    }
+  }
+
+  async recordPage(request) {
+    const response = await fetch(request.url, {
+      method: request.method || "GET",
+      headers: RECORD_HEADERS,
+    });
+
+    this.fixtures.save(request.method || "GET", request.url, {
+      status: response.status,
+      headers: { "content-type": response.headers.get("content-type") },
+      data: await response.text(),
+    });
+  }
+
+  async run(options = {}) {
+    const cases = this.loadCases(options);
+    const results = [];
+
+    for (const testCase of cases) {
+      results.push(await this.runCase(testCase, options));
+    }
+
+    const covered = new Set(cases.map((testCase) => testCase.source));
+    const uncovered = this.registry
+      .sources()
+      .filter((source) => !covered.has(source) && (!options.source || options.source === source));
+    const ok = results.every((result) => ["passed", "updated"].includes(result.status));
+
+    return { results, uncovered, ok };
+  }
+}
+
+const formatValue = (value) => JSON.stringify(value) ?? "undefined";
+
+const main = async (argv) => {
+  const options = {
+    update: argv.includes("--update"),
+    record: argv.includes("--record"),
+    source: (argv.find((arg) => arg.startsWith("--source=")) || "").split("=")[1] || null,
+  };
+
+  const { results, uncovered, ok } = await new ParserHarness().run(options);
+
+  for (const result of results) {
+    const label = `${result.source} ${result.name} (${result.dataType})`;
+    console.log(`${result.status === "passed" || result.status === "updated" ? "✅" : "❌"} ${result.status.padEnd(15)} ${label}`);
+
+    if (result.error) console.log(`     ${result.error}`);
+    (result.diffs || []).forEach((diff) =>
+      console.log(`     ${diff.path}: expected ${formatValue(diff.expected)}, got ${formatValue(diff.actual)}`)
+    );
+  }
+
+  uncovered.forEach((source) => console.log(`⚠️  no parser cases for ${source}`));
+  console.log(`\n${results.filter((r) => r.status === "passed").length}/${results.length} passed`);
+
+  return ok && results.length > 0;
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { ParserHarness, diffJson };
@@ -0,0 +1,394 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+const os = require("os");
+const winston = require("winston");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/scrape-job-queue.log" }),
+  ],
+});
+
+const PRIORITIES = { high: 3, normal: 2, low: 1 };
+
+// Jobs an operator may put back in the queue
+const REQUEUEABLE_STATUSES = ["failed", "succeeded", "dead"];
+
+// Thrown by a job handler when the source is over its rate limit. The job is
+// put back in the queue for retryAfterMs without using up an attempt.
+class RateLimitedError extends Error {
+  constructor(retryAfterMs, message = "Source rate limited") {
+    super(message);
+    this.name = "RateLimitedError";
+    this.retryAfterMs = Math.max(0, retryAfterMs);
+  }
+}
+
+// A requeue that would clash with the job's current state or with another
+// active job for the same idempotency key
+class ScrapeJobConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScrapeJobConflictError";
+  }
+}
+
+// JSON with sorted keys, so equal parameters give equal idempotency keys
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const defaultIdempotencyKey = (dataType, source, parameters) => {
+  const digest = crypto
+    .createHash("sha1")
+    .update(stableStringify(parameters || {}))
+    .digest("hex");
+  return `${dataType}:${source}:${digest}`;
+};
+
+const toPriority = (priority) => {
+  if (typeof priority === "number") return priority;
+  return PRIORITIES[priority] || PRIORITIES.normal;
+};
+
+const defaultStore = () => {
+  if (process.env.MONGODB_URI) {
+    const { MongoScrapeJobStore } = require("./stores/MongoScrapeJobStore");
+    return new MongoScrapeJobStore();
+  }
+
+  const { MemoryScrapeJobStore } = require("./stores/MemoryScrapeJobStore");
+  return new MemoryScrapeJobStore();
+};
+
+// Durable queue of scrape jobs. Jobs are claimed by priority, then by when
+// they became due, with a global and a per-source concurrency cap. Requests
+// for the same idempotency key while a job is still pending merge into it.
+//
+// Events: jobQueued, jobMerged, jobStarted, jobSucceeded, jobDeferred,
+// jobFailed, jobDead
+class ScrapeJobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || defaultStore();
+    this.concurrency = Number(
+      options.concurrency || process.env.MAX_CONCURRENT_SCRAPES || 10
+    );
+    this.sourceConcurrency = options.sourceConcurrency || (() => Infinity);
+    this.pollIntervalMs = Number(
+      options.pollIntervalMs || process.env.SCRAPE_QUEUE_POLL_MS || 1000
+    );
+    this.jobTimeoutMs = options.jobTimeoutMs || 2 * 60 * 1000;
+    this.maxAttempts = Number(
+      options.maxAttempts || process.env.SCRAPE_JOB_MAX_ATTEMPTS || 3
+    );
+    this.retryBaseMs = options.retryBaseMs || 30 * 1000;
+    this.retryMaxMs = options.retryMaxMs || 15 * 60 * 1000;
+
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto
+      .randomBytes(3)
+      .toString("hex")}`;
+    this.handler = null;
+    this.active = 0;
+    this.timer = null;
+    this.dispatching = false;
+    this.redispatch = false;
+  }
+
+  // Set the function that runs a claimed job and resolves with its result,
+  // optionally with the per-source caps it needs
+  process(handler, { sourceConcurrency } = {}) {
+    this.handler = handler;
+    if (sourceConcurrency) this.sourceConcurrency = sourceConcurrency;
+    return this;
+  }
+
+  async enqueue({
+    dataType,
+    source,
+    parameters = {},
+    priority = "normal",
+    idempotencyKey,
+    requestId,
+    delayMs = 0,
+    maxAttempts = this.maxAttempts,
+  }) {
+    const { job, merged } = await this.store.enqueue({
+      dataType,
+      source,
+      parameters,
+      priority: toPriority(priority),
+      idempotencyKey:
+        idempotencyKey || defaultIdempotencyKey(dataType, source, parameters),
+      requestId,
+      runAt: new Date(Date.now() + delayMs),
+      maxAttempts,
+    });
+
+    if (merged) {
+      logger.info(`🔗 Merged request into scrape job ${job.id} (${job.idempotencyKey})`);
+      this.emit("jobMerged", { job, requestId });
+    } else {
+      logger.info(`📥 Queued scrape job ${job.id}: ${dataType} from ${source}`);
+      this.emit("jobQueued", { job });
+    }
+
+    this.kick();
+    return { job, merged };
+  }
+
+  start() {
+    if (this.timer) return;
+    if (!this.handler) {
+      throw new Error("ScrapeJobQueue needs a handler before it can start");
+    }
+
+    this.timer = setInterval(() => this.kick(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(
+      `🚦 Scrape job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`
+    );
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("🛑 Scrape job queue stopped");
+    }
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+
+  // Look for due jobs now instead of on the next poll
+  kick() {
+    if (!this.running) return;
+
+    this.dispatch().catch((error) =>
+      logger.error(`❌ Scrape job dispatch failed: ${error.message}`)
+    );
+  }
+
+  // Claim and start jobs until every slot is busy or nothing is due
+  async dispatch() {
+    if (this.dispatching) {
+      this.redispatch = true;
+      return;
+    }
+    this.dispatching = true;
+
+    try {
+      do {
+        this.redispatch = false;
+
+        while (this.running && this.active < this.concurrency) {
+          // The store enforces the per-source cap as part of the claim
+          const job = await this.store.claim({
+            now: new Date(),
+            sourceLimit: this.sourceConcurrency,
+            workerId: this.workerId,
+            lockMs: this.jobTimeoutMs,
+          });
+          if (!job) break;
+
+          this.active++;
+          this.run(job)
+            .catch((error) =>
+              logger.error(`❌ Scrape job ${job.id} could not be settled: ${error.message}`)
+            )
+            .finally(() => {
+              this.active--;
+              this.kick();
+            });
+        }
+      } while (this.redispatch && this.running);
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  async run(job) {
+    const startTime = Date.now();
+
+    // Reclaimed from workers that died on every attempt
+    if (job.attempts > job.maxAttempts) {
+      const error = "Worker lost on every attempt";
+      const settled = await this.store.settle(job.id, this.workerId, { status: "dead", error });
+      if (settled) this.emit("jobDead", { job: settled, error });
+      return;
+    }
+
+    logger.info(`🚀 Running scrape job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    this.emit("jobStarted", { job });
+
+    try {
+      const result = await this.withTimeout(this.handler(job), job);
+      const durationMs = Date.now() - startTime;
+      const settled = await this.store.settle(job.id, this.workerId, {
+        status: "succeeded",
+        durationMs,
+      });
+
+      if (settled) this.emit("jobSucceeded", { job: settled, result, durationMs });
+      else logger.warn(`⚠️ Scrape job ${job.id} finished after its lock expired`);
+    } catch (error) {
+      const durationMs = Date.now() - startTime;
+
+      if (error instanceof RateLimitedError) {
+        const runAt = new Date(Date.now() + error.retryAfterMs);
+        const settled = await this.store.settle(job.id, this.workerId, {
+          status: "queued",
+          runAt,
+          error: error.message,
+          durationMs,
+          deferred: true,
+        });
+
+        logger.warn(`⏳ Scrape job ${job.id} rate limited, retrying at ${runAt.toISOString()}`);
+        if (settled) this.emit("jobDeferred", { job: settled, runAt });
+        return;
+      }
+
+      // Errors marked retryable: false (e.g. crawl policy refusals) fail
+      // the same way every time
+      if (error.retryable === false || job.attempts >= job.maxAttempts) {
+        const settled = await this.store.settle(job.id, this.workerId, {
+          status: "dead",
+          error: error.message,
+          durationMs,
+        });
+
+        logger.error(
+          error.retryable === false
+            ? `💀 Scrape job ${job.id} dead, not retryable: ${error.message}`
+            : `💀 Scrape job ${job.id} dead after ${job.attempts} attempts: ${error.message}`
+        );
+        if (settled) this.emit("jobDead", { job: settled, error: error.message });
+        return;
+      }
+
+      const runAt = new Date(Date.now() + this.retryDelay(job.attempts));
+      const settled = await this.store.settle(job.id, this.workerId, {
+        status: "failed",
+        runAt,
+        error: error.message,
+        durationMs,
+      });
+
+      logger.warn(`🔁 Scrape job ${job.id} failed, retrying at ${runAt.toISOString()}: ${error.message}`);
+      if (settled) this.emit("jobFailed", { job: settled, error: error.message, runAt });
+    }
+  }
+
+  // The claim lock lasts jobTimeoutMs, so a job must not outlive it
+  withTimeout(promise, job) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Scrape job ${job.id} timed out after ${this.jobTimeoutMs}ms`)),
+        this.jobTimeoutMs
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Exponential backoff from retryBaseMs, capped at retryMaxMs
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+  }
+
+  async get(id) {
+    return this.store.findById(id);
+  }
+
+  async list({ status, source, dataType, limit = 50 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (source) filter.source = source;
+    if (dataType) filter.dataType = dataType;
+
+    return this.store.find(filter, { limit });
+  }
+
+  async stats() {
+    const now = new Date();
+    const [byStatus, runningBySource] = await Promise.all([
+      this.store.countByStatus(),
+      this.store.runningBySource(now),
+    ]);
+
+    return {
+      workerId: this.workerId,
+      running: this.running,
+      concurrency: this.concurrency,
+      activeOnThisWorker: this.active,
+      byStatus,
+      runningBySource,
+    };
+  }
+
+  // Operator retry of a settled or failing job, returning the updated job
+  async requeue(id, { resetAttempts = true, delayMs = 0 } = {}) {
+    const job = await this.store.findById(id);
+    if (!job) return null;
+
+    if (!REQUEUEABLE_STATUSES.includes(job.status)) {
+      throw new ScrapeJobConflictError(`Job ${id} is already ${job.status}`);
+    }
+
+    let requeued;
+    try {
+      requeued = await this.store.requeue(job, {
+        resetAttempts,
+        runAt: new Date(Date.now() + delayMs),
+      });
+    } catch (error) {
+      if (error.code === "DUPLICATE_ACTIVE_JOB") {
+        throw new ScrapeJobConflictError(
+          `Another job for ${job.idempotencyKey} is already pending`
+        );
+      }
+      throw error;
+    }
+
+    if (!requeued) {
+      throw new ScrapeJobConflictError(`Job ${id} changed while being requeued`);
+    }
+
+    logger.info(`♻️ Requeued scrape job ${id} (was ${job.status})`);
+    this.emit("jobQueued", { job: requeued });
+    this.kick();
+    return requeued;
+  }
+
+  // Public shape of a job
+  toView(job) {
+    const { activeKey, lockedBy, ...view } = job;
+    return { ...view, worker: lockedBy };
+  }
+}
+
+module.exports = {
+  ScrapeJobQueue,
+  RateLimitedError,
+  ScrapeJobConflictError,
+  PRIORITIES,
+};
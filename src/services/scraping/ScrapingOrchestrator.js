@@ -1,6 +1,9 @@
 const { EventEmitter } = require("events");
 const winston = require("winston");
 const cron = require("node-cron");
+const { ScrapeJobQueue, RateLimitedError } = require("./ScrapeJobQueue");
+const { CrawlPolicyError } = require("../infrastructure/CrawlPolicy");
+const { getCrawlPolicy } = require("../container");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -16,18 +19,24 @@ const logger = winston.createLogger({
 });
 
 class ScrapingOrchestrator extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     this.activeScrapers = new Map();
-    this.scrapingQueue = [];
     this.scrapingStats = {
       totalScrapes: 0,
       successfulScrapes: 0,
       failedScrapes: 0,
+      refusedScrapes: 0,
       averageTime: 0,
     };
+    this.policyRefusals = []; // latest crawl policy refusals, newest first
+    this.schedulePause = null; // { reason, by, since } while scheduled runs are paused
     this.rateLimiter = new Map();
-    this.maxConcurrentScrapes = process.env.MAX_CONCURRENT_SCRAPES || 10;
+    this.maxConcurrentScrapes = Number(process.env.MAX_CONCURRENT_SCRAPES || 10);
+    this.jobQueue =
+      options.jobQueue ||
+      new ScrapeJobQueue({ concurrency: this.maxConcurrentScrapes });
+    this.crawlPolicy = options.crawlPolicy || getCrawlPolicy();
 
     this.initializeOrchestrator();
   }
@@ -36,9 +45,16 @@ class ScrapingOrchestrator extends EventEmitter {
     logger.info("🕷️ Scraping Orchestrator initializing...");
 
     // Setup event listeners
-    this.on("scrapeRequest", this.handleScrapeRequest.bind(this));
-    this.on("scrapeComplete", this.handleScrapeComplete.bind(this));
-    this.on("scrapeError", this.handleScrapeError.bind(this));
+    this.on("scrapeRequest", (request) =>
+      this.handleScrapeRequest(request).catch((error) =>
+        logger.error(`❌ Could not queue scrape request: ${error.message}`)
+      )
+    );
+
+    // Claimed jobs run here, whichever instance queued them
+    this.jobQueue.process((job) => this.runJob(job), {
+      sourceConcurrency: (source) => this.getConcurrencyForSource(source),
+    });
 
     // Setup scheduled scraping
     this.setupScheduledScraping();
@@ -63,6 +79,48 @@ class ScrapingOrchestrator extends EventEmitter {
     }
   }
 
+  // Start working the job queue
+  start() {
+    this.jobQueue.start();
+  }
+
+  stop() {
+    this.jobQueue.stop();
+  }
+
+  // Stop claiming jobs and wait up to timeoutMs for running scrapes to
+  // finish. Queued jobs stay queued for start() (or another worker).
+  async drain({ timeoutMs = 30000, pollMs = 250 } = {}) {
+    this.stop();
+    logger.info(`🚰 Draining ${this.activeScrapers.size} active scrapes...`);
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.activeScrapers.size > 0 && Date.now() < deadline) {
+      await this.delay(pollMs);
+    }
+
+    const remaining = this.getActiveScrapes();
+    if (remaining.length > 0) {
+      logger.warn(`⚠️ Drain timed out with ${remaining.length} scrapes still running`);
+    } else {
+      logger.info("✅ Scrapes drained");
+    }
+
+    return { drained: remaining.length === 0, remaining };
+  }
+
+  getActiveScrapes() {
+    const now = Date.now();
+    return [...this.activeScrapers].map(([scrapeId, scrape]) => ({
+      scrapeId,
+      jobId: scrape.jobId,
+      dataType: scrape.dataType,
+      source: scrape.source,
+      startedAt: new Date(scrape.startTime),
+      runningMs: now - scrape.startTime,
+    }));
+  }
+
   // Handle scrape requests
   async handleScrapeRequest(request) {
     const {
@@ -71,43 +129,46 @@ class ScrapingOrchestrator extends EventEmitter {
       source,
       parameters,
       priority = "normal",
+      idempotencyKey,
     } = request;
 
     logger.info(`📥 Scrape request: ${dataType} from ${source}`);
 
-    // Check rate limiting
-    if (this.isRateLimited(source)) {
-      logger.warn(`⚠️ Rate limited: ${source}`);
-      this.emit("scrapeError", { requestId, error: "Rate limited" });
-      return;
-    }
+    const { job, merged } = await this.jobQueue.enqueue({
+      requestId,
+      dataType,
+      source,
+      parameters,
+      priority,
+      idempotencyKey,
+    });
 
-    // Check concurrent scrape limit
-    if (this.activeScrapers.size >= this.maxConcurrentScrapes) {
-      logger.info(`⏳ Queuing scrape request: ${requestId}`);
-      this.scrapingQueue.push({
-        requestId,
-        dataType,
-        source,
-        parameters,
-        priority,
-      });
-      return;
+    this.emit("scrapeQueued", { requestId, jobId: job.id, merged });
+    return job;
+  }
+
+  // Run a job claimed from the queue
+  async runJob(job) {
+    const rateLimit = this.isRateLimited(job.source);
+    if (rateLimit) {
+      logger.warn(`⚠️ Rate limited: ${job.source}`);
+      throw new RateLimitedError(rateLimit.resetTime - Date.now());
     }
 
-    // Execute scrape
-    await this.executeScrape(requestId, dataType, source, parameters);
+    return this.executeScrape(job);
   }
 
   // Execute scraping operation
-  async executeScrape(requestId, dataType, source, parameters) {
+  async executeScrape(job) {
+    const { id: jobId, requestIds, dataType, source, parameters } = job;
     const scrapeId = `scrape_${Date.now()}_${Math.random()
       .toString(36)
       .substr(2, 9)}`;
     const startTime = Date.now();
 
     this.activeScrapers.set(scrapeId, {
-      requestId,
+      jobId,
+      requestIds,
       dataType,
       source,
       parameters,
@@ -144,10 +205,15 @@ class ScrapingOrchestrator extends EventEmitter {
       }
 
       const duration = Date.now() - startTime;
-      this.handleScrapeComplete({ scrapeId, requestId, result, duration });
+      this.handleScrapeComplete({ scrapeId, jobId, requestIds, dataType, result, duration });
+      return result;
     } catch (error) {
-      logger.error(`❌ Scrape failed: ${scrapeId} - ${error.message}`);
-      this.handleScrapeError({ scrapeId, requestId, error: error.message });
+      if (error instanceof CrawlPolicyError) {
+        this.handleScrapeRefused({ scrapeId, jobId, requestIds, dataType, source, error });
+      } else {
+        this.handleScrapeError({ scrapeId, jobId, requestIds, dataType, error: error.message });
+      }
+      throw error;
     }
   }
 
@@ -426,7 +492,7 @@ class ScrapingOrchestrator extends EventEmitter {
 
     const maxRequests = this.getMaxRequestsForSource(source);
     if (sourceLimit.count >= maxRequests) {
-      return true;
+      return sourceLimit;
     }
 
     sourceLimit.count++;
@@ -444,20 +510,27 @@ class ScrapingOrchestrator extends EventEmitter {
     return limits[source] || limits.default;
   }
 
-  getDelayForSource(source) {
-    const delays = {
-      "espn.com": 2000,
-      "weather.com": 1000,
-      "sportsreference.com": 3000,
-      default: 1500,
+  // Scrapes of one source allowed to run at once across all workers
+  getConcurrencyForSource(source) {
+    const limits = {
+      "espn.com": 3,
+      "weather.com": 5,
+      "sportsreference.com": 2,
+      default: 4,
     };
 
-    return delays[source] || delays.default;
+    return limits[source] || limits.default;
+  }
+
+  // Per-host floors live in src/config/crawlPolicy.js; a longer robots.txt
+  // Crawl-delay wins once the host's robots.txt has been read
+  getDelayForSource(source) {
+    return this.crawlPolicy.getDelayMs(source);
   }
 
   // Handle scrape completion
   handleScrapeComplete(result) {
-    const { scrapeId, requestId, result: data, duration } = result;
+    const { scrapeId, jobId, requestIds, dataType, result: data, duration } = result;
 
     this.activeScrapers.delete(scrapeId);
     this.scrapingStats.totalScrapes++;
@@ -467,15 +540,12 @@ class ScrapingOrchestrator extends EventEmitter {
     logger.info(`✅ Scrape completed: ${scrapeId} (${duration}ms)`);
 
     // Emit completion event
-    this.emit("scrapeComplete", { scrapeId, requestId, data, duration });
-
-    // Process next in queue
-    this.processQueue();
+    this.emit("scrapeComplete", { scrapeId, jobId, requestIds, dataType, data, duration });
   }
 
   // Handle scrape errors
   handleScrapeError(error) {
-    const { scrapeId, requestId, error: errorMessage } = error;
+    const { scrapeId, jobId, requestIds, dataType, error: errorMessage } = error;
 
     this.activeScrapers.delete(scrapeId);
     this.scrapingStats.totalScrapes++;
@@ -484,42 +554,43 @@ class ScrapingOrchestrator extends EventEmitter {
     logger.error(`❌ Scrape failed: ${scrapeId} - ${errorMessage}`);
 
     // Emit error event
-    this.emit("scrapeError", { scrapeId, requestId, error: errorMessage });
-
-    // Process next in queue
-    this.processQueue();
+    this.emit("scrapeError", { scrapeId, jobId, requestIds, dataType, error: errorMessage });
   }
 
-  // Process scraping queue
-  processQueue() {
-    if (
-      this.scrapingQueue.length === 0 ||
-      this.activeScrapers.size >= this.maxConcurrentScrapes
-    ) {
-      return;
-    }
+  // A scrape the crawl policy would not allow. Not a failure of the source,
+  // so it is counted apart and kept for inspection.
+  handleScrapeRefused({ scrapeId, jobId, requestIds, dataType, source, error }) {
+    this.activeScrapers.delete(scrapeId);
+    this.scrapingStats.totalScrapes++;
+    this.scrapingStats.refusedScrapes++;
 
-    // Sort by priority
-    this.scrapingQueue.sort((a, b) => {
-      const priorities = { high: 3, normal: 2, low: 1 };
-      return priorities[b.priority] - priorities[a.priority];
-    });
+    const refusal = {
+      scrapeId,
+      jobId,
+      dataType,
+      source,
+      url: error.url,
+      reason: error.reason,
+      rule: error.rule,
+      refusedAt: new Date(),
+    };
+    this.policyRefusals.unshift(refusal);
+    this.policyRefusals.length = Math.min(this.policyRefusals.length, 50);
 
-    const nextScrape = this.scrapingQueue.shift();
-    if (nextScrape) {
-      this.executeScrape(
-        nextScrape.requestId,
-        nextScrape.dataType,
-        nextScrape.source,
-        nextScrape.parameters
-      );
-    }
+    logger.warn(`🚫 Scrape refused by crawl policy: ${scrapeId} - ${error.message}`);
+
+    this.emit("scrapeRefused", { ...refusal, requestIds, error: error.message });
   }
 
   // Setup scheduled scraping
   setupScheduledScraping() {
     // Schedule regular data updates
     cron.schedule("*/15 * * * *", () => {
+      if (this.schedulePause) {
+        logger.info("⏸️ Scheduled scraping paused, skipping this run");
+        return;
+      }
+
       logger.info("⏰ Running scheduled scraping...");
       this.runScheduledScrapes();
     });
@@ -527,6 +598,23 @@ class ScrapingOrchestrator extends EventEmitter {
     logger.info("📅 Scheduled scraping setup complete");
   }
 
+  // Skip the cron runs until resumed; requested scrapes and the queue are
+  // unaffected
+  pauseScheduledScraping({ reason = null, by = null } = {}) {
+    if (!this.schedulePause) {
+      this.schedulePause = { reason, by, since: new Date() };
+      logger.warn(`⏸️ Scheduled scraping paused${reason ? `: ${reason}` : ""}`);
+    }
+    return this.schedulePause;
+  }
+
+  resumeScheduledScraping() {
+    if (this.schedulePause) {
+      this.schedulePause = null;
+      logger.info("▶️ Scheduled scraping resumed");
+    }
+  }
+
   async runScheduledScrapes() {
     // Regular scheduled scrapes for fresh data
     const scheduledScrapes = [
@@ -539,11 +627,13 @@ class ScrapingOrchestrator extends EventEmitter {
       },
     ];
 
+    // A scheduled scrape still pending from the last run absorbs this one
     for (const scrape of scheduledScrapes) {
       this.emit("scrapeRequest", {
         requestId: `scheduled_${Date.now()}`,
         ...scrape,
         parameters: { scheduled: true },
+        idempotencyKey: `scheduled:${scrape.dataType}:${scrape.source}`,
       });
     }
   }
@@ -571,12 +661,26 @@ class ScrapingOrchestrator extends EventEmitter {
   getStatus() {
     return {
       activeScrapers: this.activeScrapers.size,
-      queueLength: this.scrapingQueue.length,
+      scheduled: {
+        paused: Boolean(this.schedulePause),
+        ...this.schedulePause,
+      },
+      queue: {
+        running: this.jobQueue.running,
+        concurrency: this.jobQueue.concurrency,
+        workerId: this.jobQueue.workerId,
+      },
       stats: this.scrapingStats,
       rateLimits: Object.fromEntries(this.rateLimiter),
+      policyRefusals: this.policyRefusals,
       status: "operational",
     };
   }
+
+  // Job counts from the shared queue
+  async getQueueStats() {
+    return this.jobQueue.stats();
+  }
 }
 
 module.exports = { ScrapingOrchestrator };
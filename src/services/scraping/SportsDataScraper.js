@@ -1,7 +1,9 @@
-const axios = require("axios");
-const cheerio = require("cheerio");
 const puppeteer = require("puppeteer");
 const winston = require("winston");
+const { AdapterRegistry } = require("./adapters/AdapterRegistry");
+const { httpFixtures } = require("../../../utils/http-fixtures");
+const { randomUserAgent } = require("../../config/httpClient");
+const { getSchemaDriftDetector, getCrawlPolicy, getHttpClient } = require("../container");
 
 // Configure logger
 const logger = winston.createLogger({
@@ -17,15 +19,16 @@ const logger = winston.createLogger({
 });
 
 class SportsDataScraper {
-  constructor() {
-    this.userAgents = [
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-      "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0",
-    ];
-
+  constructor(options = {}) {
     this.proxies = [];
-    this.sourceConfigs = this.initializeSourceConfigs();
+    this.crawlPolicy = options.crawlPolicy || getCrawlPolicy();
+    this.httpClient = options.httpClient || getHttpClient();
+    // PROXY_ROTATION sends page fetches through ProxyManager's pool
+    this.useProxies = options.useProxies ?? process.env.PROXY_ROTATION === "true";
+    this.driftDetector = options.driftDetector || getSchemaDriftDetector();
+    this.adapters =
+      options.adapters ||
+      new AdapterRegistry({ observer: this.driftDetector.observer }).loadAll();
     this.browser = null;
 
     this.initializeScraper();
@@ -45,58 +48,15 @@ class SportsDataScraper {
     logger.info("✅ Sports Data Scraper initialized");
   }
 
-  // Initialize source configurations
-  initializeSourceConfigs() {
-    return {
-      "espn.com": {
-        baseUrl: "https://www.espn.com",
-        rateLimit: 2000,
-        selectors: {
-          referee: ".game-info .officials",
-          weather: ".weather-conditions",
-          venue: ".venue-info",
-          injuries: ".injury-report",
-        },
-        requiresJS: false,
-      },
-      "sportsreference.com": {
-        baseUrl: "https://www.sports-reference.com",
-        rateLimit: 3000,
-        selectors: {
-          stats: ".stats-table",
-          h2h: ".head-to-head",
-          venue: ".venue-details",
-        },
-        requiresJS: false,
-      },
-      "weather.com": {
-        baseUrl: "https://weather.com",
-        rateLimit: 1000,
-        selectors: {
-          current: ".current-weather",
-          forecast: ".forecast-list",
-        },
-        requiresJS: true,
-      },
-      "news.google.com": {
-        baseUrl: "https://news.google.com",
-        rateLimit: 2500,
-        selectors: {
-          articles: ".article",
-          headlines: ".headline",
-        },
-        requiresJS: true,
-      },
-    };
-  }
-
-  // Main sports data collection method
+  // Main sports data collection method. gameId identifies the game on
+  // sources that key pages by game.
   async collectSportsData(
     sport,
     teams,
     gameDate,
     predictionFactors,
-    sources = ["espn.com"]
+    sources = ["espn.com"],
+    { gameId = null } = {}
   ) {
     logger.info(
       `⚽ Collecting ${sport} data: ${teams.join(" vs ")} on ${gameDate}`
@@ -128,7 +88,8 @@ class SportsDataScraper {
             factor,
             teams,
             gameDate,
-            sources
+            sources,
+            gameId
           );
 
           // Respect rate limiting between factor collection
@@ -233,7 +194,7 @@ class SportsDataScraper {
   }
 
   // Collect specific prediction factor
-  async collectSpecificFactor(sport, factor, teams, gameDate, sources) {
+  async collectSpecificFactor(sport, factor, teams, gameDate, sources, gameId = null) {
     logger.info(`🔍 Collecting ${factor} for ${sport}: ${teams.join(" vs ")}`);
 
     const factorData = {
@@ -254,7 +215,8 @@ class SportsDataScraper {
             sport,
             teams,
             gameDate,
-            sources
+            sources,
+            gameId
           );
           break;
         case "weather":
@@ -268,7 +230,8 @@ class SportsDataScraper {
           factorData.data = await this.scrapeVenueData(
             teams,
             gameDate,
-            sources
+            sources,
+            { sport, gameId }
           );
           break;
         case "travelDistance":
@@ -278,7 +241,10 @@ class SportsDataScraper {
           factorData.data = await this.calculateTimeChange(teams);
           break;
         case "injuries":
-          factorData.data = await this.scrapeInjuryData(teams, sources);
+          factorData.data = await this.scrapeInjuryData(teams, sources, {
+            sport,
+            gameId,
+          });
           break;
         case "managers":
         case "coaches":
@@ -339,7 +305,7 @@ class SportsDataScraper {
   }
 
   // Referee data scraping
-  async scrapeRefereeData(sport, teams, gameDate, sources) {
+  async scrapeRefereeData(sport, teams, gameDate, sources, gameId = null) {
     logger.info(`👨‍⚖️ Scraping referee data for ${sport}`);
 
     const refereeData = {
@@ -352,17 +318,20 @@ class SportsDataScraper {
       h2hHistory: [],
     };
 
-    for (const source of sources) {
+    for (const adapter of this.adapters.forDataType("referee", sources)) {
       try {
-        if (source === "espn.com") {
-          const data = await this.scrapeESPNReferee(sport, teams, gameDate);
-          if (data) Object.assign(refereeData, data);
-        }
-
-        await this.delay(this.sourceConfigs[source]?.rateLimit || 2000);
+        const data = await this.scrapeSource(adapter, "referee", {
+          sport,
+          teams,
+          gameDate,
+          gameId,
+        });
+        if (data) Object.assign(refereeData, data);
+
+        await this.delay(adapter.rateLimit);
       } catch (error) {
         logger.warn(
-          `⚠️ Failed to scrape referee from ${source}: ${error.message}`
+          `⚠️ Failed to scrape referee from ${adapter.source}: ${error.message}`
         );
       }
     }
@@ -388,17 +357,18 @@ class SportsDataScraper {
     // Get venue location first
     const venueLocation = await this.getVenueLocation(teams);
 
-    for (const source of sources) {
+    for (const adapter of this.adapters.forDataType("weather", sources)) {
       try {
-        if (source === "weather.com") {
-          const data = await this.scrapeWeatherDotCom(venueLocation, gameDate);
-          if (data) Object.assign(weatherData, data);
-        }
+        const data = await this.scrapeSource(adapter, "weather", {
+          location: venueLocation,
+          gameDate,
+        });
+        if (data) Object.assign(weatherData, data);
 
-        await this.delay(this.sourceConfigs[source]?.rateLimit || 1000);
+        await this.delay(adapter.rateLimit);
       } catch (error) {
         logger.warn(
-          `⚠️ Failed to scrape weather from ${source}: ${error.message}`
+          `⚠️ Failed to scrape weather from ${adapter.source}: ${error.message}`
         );
       }
     }
@@ -407,7 +377,7 @@ class SportsDataScraper {
   }
 
   // Venue data scraping
-  async scrapeVenueData(teams, gameDate, sources) {
+  async scrapeVenueData(teams, gameDate, sources, { sport, gameId } = {}) {
     logger.info(`🏟️ Scraping venue data`);
 
     const venueData = {
@@ -421,17 +391,20 @@ class SportsDataScraper {
       roofType: null,
     };
 
-    for (const source of sources) {
+    for (const adapter of this.adapters.forDataType("venue", sources)) {
       try {
-        if (source === "espn.com") {
-          const data = await this.scrapeESPNVenue(teams, gameDate);
-          if (data) Object.assign(venueData, data);
-        }
-
-        await this.delay(this.sourceConfigs[source]?.rateLimit || 2000);
+        const data = await this.scrapeSource(adapter, "venue", {
+          sport,
+          teams,
+          gameDate,
+          gameId,
+        });
+        if (data) Object.assign(venueData, data);
+
+        await this.delay(adapter.rateLimit);
       } catch (error) {
         logger.warn(
-          `⚠️ Failed to scrape venue from ${source}: ${error.message}`
+          `⚠️ Failed to scrape venue from ${adapter.source}: ${error.message}`
         );
       }
     }
@@ -440,7 +413,7 @@ class SportsDataScraper {
   }
 
   // Injury data scraping
-  async scrapeInjuryData(teams, sources) {
+  async scrapeInjuryData(teams, sources, { sport, gameId } = {}) {
     logger.info(`🏥 Scraping injury reports`);
 
     const injuryData = {
@@ -458,20 +431,22 @@ class SportsDataScraper {
       },
     };
 
-    for (const source of sources) {
+    for (const adapter of this.adapters.forDataType("injuries", sources)) {
       try {
-        if (source === "espn.com") {
-          const data = await this.scrapeESPNInjuries(teams);
-          if (data) {
-            injuryData.homeTeam = { ...injuryData.homeTeam, ...data.homeTeam };
-            injuryData.awayTeam = { ...injuryData.awayTeam, ...data.awayTeam };
-          }
+        const data = await this.scrapeSource(adapter, "injuries", {
+          sport,
+          teams,
+          gameId,
+        });
+        if (data) {
+          injuryData.homeTeam = { ...injuryData.homeTeam, ...data.homeTeam };
+          injuryData.awayTeam = { ...injuryData.awayTeam, ...data.awayTeam };
         }
 
-        await this.delay(this.sourceConfigs[source]?.rateLimit || 2000);
+        await this.delay(adapter.rateLimit);
       } catch (error) {
         logger.warn(
-          `⚠️ Failed to scrape injuries from ${source}: ${error.message}`
+          `⚠️ Failed to scrape injuries from ${adapter.source}: ${error.message}`
         );
       }
     }
@@ -479,75 +454,43 @@ class SportsDataScraper {
     return injuryData;
   }
 
-  // ESPN-specific scrapers
-  async scrapeESPNReferee(sport, teams, gameDate) {
-    try {
-      const url = this.buildESPNGameUrl(sport, teams, gameDate);
-      const response = await this.makeRequest(url);
-      const $ = cheerio.load(response.data);
-
-      // Extract referee information
-      const refereeInfo = $(".game-info .officials").text().trim();
-
-      return {
-        name: refereeInfo || "TBD",
-        source: "espn.com",
-        confidence: refereeInfo ? 0.8 : 0.3,
-      };
-    } catch (error) {
-      logger.warn(`⚠️ ESPN referee scraping failed: ${error.message}`);
-      return null;
-    }
-  }
+  // Fetch, parse and normalize one data type from one source
+  async scrapeSource(adapter, dataType, params) {
+    const request = adapter.buildRequest(dataType, params);
+    const body = await this.fetchPage(adapter, request);
+    const context = { dataType, params, request };
 
-  async scrapeESPNVenue(teams, gameDate) {
-    try {
-      // Implementation for ESPN venue scraping
-      return {
-        name: "Sample Stadium",
-        capacity: 80000,
-        surface: "Grass",
-        source: "espn.com",
-        confidence: 0.85,
-      };
-    } catch (error) {
-      logger.warn(`⚠️ ESPN venue scraping failed: ${error.message}`);
-      return null;
-    }
+    return adapter.normalize(adapter.parse(body, context), context);
   }
 
-  async scrapeESPNInjuries(teams) {
-    try {
-      // Implementation for ESPN injury scraping
-      return {
-        homeTeam: { injuries: [], doubtful: [], suspended: [] },
-        awayTeam: { injuries: [], doubtful: [], suspended: [] },
-        source: "espn.com",
-        confidence: 0.75,
-      };
-    } catch (error) {
-      logger.warn(`⚠️ ESPN injury scraping failed: ${error.message}`);
-      return null;
+  // Page body for an adapter request; JavaScript-heavy sources go through
+  // the browser when one is running
+  async fetchPage(adapter, request) {
+    if (adapter.requiresJS && this.browser) {
+      await this.crawlPolicy.acquire(request.url);
+      const response = await httpFixtures.request("GET", request.url, async () => ({
+        status: 200,
+        headers: { "content-type": "text/html" },
+        data: await this.renderPage(request.url),
+      }));
+      return response.data;
     }
+
+    const response = await this.makeRequest(request.url, {
+      method: request.method || "GET",
+      ...(request.params && { params: request.params }),
+    });
+    return response.data;
   }
 
-  // Weather.com scraping
-  async scrapeWeatherDotCom(location, gameDate) {
+  async renderPage(url) {
+    const page = await this.browser.newPage();
     try {
-      // Implementation for weather.com scraping
-      return {
-        temperature: 72,
-        humidity: 45,
-        windSpeed: 8,
-        windDirection: "NE",
-        precipitation: 0,
-        conditions: "Clear",
-        source: "weather.com",
-        confidence: 0.9,
-      };
-    } catch (error) {
-      logger.warn(`⚠️ Weather.com scraping failed: ${error.message}`);
-      return null;
+      await page.setUserAgent(randomUserAgent());
+      await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+      return await page.content();
+    } finally {
+      await page.close();
     }
   }
 
@@ -583,32 +526,11 @@ class SportsDataScraper {
 
   // Utility methods
   async makeRequest(url, options = {}) {
-    const config = {
-      url,
-      method: "GET",
-      headers: {
-        "User-Agent": this.getRandomUserAgent(),
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5",
-        "Accept-Encoding": "gzip, deflate",
-        Connection: "keep-alive",
-        "Upgrade-Insecure-Requests": "1",
-      },
-      timeout: 10000,
+    return this.httpClient.request({
+      viaProxy: this.useProxies,
       ...options,
-    };
-
-    return await axios(config);
-  }
-
-  getRandomUserAgent() {
-    return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
-  }
-
-  buildESPNGameUrl(sport, teams, gameDate) {
-    // Build ESPN URL for specific game
-    return `https://www.espn.com/${sport}/game/_/gameId/sample`;
+      url,
+    });
   }
 
   async getVenueLocation(teams) {
@@ -658,7 +580,9 @@ class SportsDataScraper {
         "americanFootball",
         "hockey",
       ],
-      sources: Object.keys(this.sourceConfigs),
+      sources: this.adapters.sources(),
+      adapters: this.adapters.getInfo(),
+      selectorHealth: this.driftDetector.getReport(),
       status: "operational",
     };
   }
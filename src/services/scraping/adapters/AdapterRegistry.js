@@ -0,0 +1,92 @@
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+const { SourceAdapter } = require("./SourceAdapter");
+
+// Configure logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: "logs/sports-scraper.log" }),
+  ],
+});
+
+// Source adapters by source host. loadAll() picks up every *Adapter.js in
+// this directory, so adding a source means dropping in a module that
+// exports a SourceAdapter subclass (plus its selector config). Adapters
+// that fail to load are skipped and listed in `skipped`. An observer, if
+// given, is set on every adapter (see SourceAdapter.setObserver).
+class AdapterRegistry {
+  constructor({ dir = __dirname, observer = null } = {}) {
+    this.dir = dir;
+    this.observer = observer;
+    this.adapters = new Map();
+    this.skipped = [];
+  }
+
+  loadAll() {
+    const files = fs
+      .readdirSync(this.dir)
+      .filter((file) => file.endsWith("Adapter.js") && file !== "SourceAdapter.js")
+      .sort();
+
+    for (const file of files) {
+      try {
+        const exported = Object.values(require(path.join(this.dir, file)));
+        const classes = exported.filter(
+          (value) => typeof value === "function" && value.prototype instanceof SourceAdapter
+        );
+        if (classes.length === 0) {
+          throw new Error("Module does not export a SourceAdapter");
+        }
+
+        classes.forEach((AdapterClass) => this.register(new AdapterClass()));
+      } catch (error) {
+        this.skipped.push({ file, reason: error.message });
+        logger.warn(`⚠️ Skipping source adapter ${file}: ${error.message}`);
+      }
+    }
+
+    logger.info(`🔌 Source adapters loaded: ${this.sources().join(", ") || "none"}`);
+    return this;
+  }
+
+  register(adapter) {
+    if (this.adapters.has(adapter.source)) {
+      throw new Error(`Duplicate adapter for ${adapter.source}`);
+    }
+
+    if (this.observer) adapter.setObserver(this.observer);
+    this.adapters.set(adapter.source, adapter);
+    return this;
+  }
+
+  get(source) {
+    return this.adapters.get(source) || null;
+  }
+
+  // Adapters among `sources` (or all) that can provide dataType
+  forDataType(dataType, sources = this.sources()) {
+    return sources
+      .map((source) => this.get(source))
+      .filter((adapter) => adapter && adapter.supports(dataType));
+  }
+
+  sources() {
+    return [...this.adapters.keys()];
+  }
+
+  getInfo() {
+    return {
+      adapters: [...this.adapters.values()].map((adapter) => adapter.getInfo()),
+      skipped: this.skipped,
+    };
+  }
+}
+
+module.exports = { AdapterRegistry };
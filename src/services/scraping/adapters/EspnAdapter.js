@@ -0,0 +1,118 @@
+const { SourceAdapter } = require("./SourceAdapter");
+
+// ESPN game pages: officials, venue and injury report
+const LEAGUE_PATHS = {
+  soccer: "soccer",
+  basketball: "nba",
+  baseball: "mlb",
+  americanFootball: "nfl",
+  hockey: "nhl",
+};
+
+const INJURY_BUCKETS = {
+  out: "injuries",
+  "injured reserve": "injuries",
+  "day-to-day": "injuries",
+  doubtful: "doubtful",
+  questionable: "doubtful",
+  suspended: "suspended",
+  suspension: "suspended",
+};
+
+class EspnAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      source: "espn.com",
+      baseUrl: "https://www.espn.com",
+      rateLimit: 2000,
+      requiresJS: false,
+      dataTypes: ["referee", "venue", "injuries"],
+      ...options,
+    });
+  }
+
+  buildRequest(dataType, { sport, gameId } = {}) {
+    if (!gameId) {
+      throw new Error("ESPN game pages need a gameId");
+    }
+
+    const league = LEAGUE_PATHS[sport] || sport;
+    return { url: `${this.baseUrl}/${league}/game/_/gameId/${gameId}`, method: "GET" };
+  }
+
+  parse(body, { dataType }) {
+    return this.extract(body, dataType);
+  }
+
+  normalize(raw, { dataType, params = {} }) {
+    switch (dataType) {
+      case "referee":
+        return this.normalizeReferee(raw);
+      case "venue":
+        return this.normalizeVenue(raw);
+      case "injuries":
+        return this.normalizeInjuries(raw, params.teams || []);
+      default:
+        return raw;
+    }
+  }
+
+  normalizeReferee(raw) {
+    const name = raw ? raw.crew[0] || raw.text : null;
+
+    return {
+      name: name || "TBD",
+      crew: raw ? raw.crew : [],
+      source: this.source,
+      confidence: name ? 0.8 : 0.3,
+    };
+  }
+
+  normalizeVenue(raw) {
+    if (!raw || !raw.name) return null;
+
+    return {
+      name: raw.name,
+      location: raw.location,
+      capacity: raw.capacity,
+      attendance: raw.attendance,
+      surface: raw.surface,
+      source: this.source,
+      confidence: 0.85,
+    };
+  }
+
+  // Rows are assigned to teams by name; teams is [home, away]
+  normalizeInjuries(rows, teams) {
+    if (!rows) return null;
+
+    const empty = () => ({ injuries: [], doubtful: [], suspended: [] });
+    const result = {
+      homeTeam: empty(),
+      awayTeam: empty(),
+      source: this.source,
+      confidence: 0.75,
+    };
+    const [home, away] = teams.map((team) => String(team).toLowerCase());
+
+    for (const row of rows) {
+      if (!row.player) continue;
+
+      const team = (row.team || "").toLowerCase();
+      const side = team === home ? "homeTeam" : team === away ? "awayTeam" : null;
+      if (!side) continue;
+
+      const bucket = INJURY_BUCKETS[(row.status || "").toLowerCase()] || "injuries";
+      result[side][bucket].push({
+        player: row.player,
+        position: row.position,
+        status: row.status,
+        detail: row.detail,
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = { EspnAdapter };
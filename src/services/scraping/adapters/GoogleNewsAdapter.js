@@ -0,0 +1,49 @@
+const { SourceAdapter } = require("./SourceAdapter");
+
+// Google News search results for teams and topics
+class GoogleNewsAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      source: "news.google.com",
+      baseUrl: "https://news.google.com",
+      rateLimit: 2500,
+      requiresJS: true,
+      dataTypes: ["news"],
+      ...options,
+    });
+  }
+
+  buildRequest(dataType, { topics = [], teams = [] } = {}) {
+    const query = [...teams, ...topics].join(" ").trim();
+    if (!query) {
+      throw new Error("Google News requests need teams or topics");
+    }
+
+    return {
+      url: `${this.baseUrl}/search?q=${encodeURIComponent(query)}&hl=en-US`,
+      method: "GET",
+    };
+  }
+
+  parse(body) {
+    return this.extract(body, "articles");
+  }
+
+  normalize(articles) {
+    if (!articles) return null;
+
+    return {
+      articles: articles
+        .filter((article) => article.headline)
+        .map((article) => ({
+          ...article,
+          // Result links are relative to the news host
+          url: article.url ? new URL(article.url, this.baseUrl).toString() : null,
+        })),
+      source: this.source,
+      confidence: 0.7,
+    };
+  }
+}
+
+module.exports = { GoogleNewsAdapter };
@@ -0,0 +1,208 @@
+const crypto = require("crypto");
+const cheerio = require("cheerio");
+const { loadSelectors } = require("../../../config/selectors");
+
+// Base class for one scraped source. Subclasses describe the source (host,
+// pacing, data types) and implement:
+//
+//   buildRequest(dataType, params) -> { url, method, params? }
+//   parse(body, context)           -> raw fields pulled from the page or JSON
+//   normalize(raw, context)        -> the shape SportsDataScraper merges
+//
+// context is { dataType, params, request }. Selectors come from
+// src/config/selectors/<source>.json; `extract` applies one named spec:
+//
+//   { root, items?, fields: { name: "css" | { selector?, attr?, type? } } }
+//
+// A field without a selector reads the root (or item) element itself; type
+// is text (default), number or list. Without `items` the result is an object
+// of fields, with it an array of them; a root that does not match gives null.
+//
+// With an observer set, every extract also reports whether the root matched,
+// how many fields came back filled and a fingerprint of the matched markup,
+// which SchemaDriftDetector compares against earlier pages.
+class SourceAdapter {
+  constructor({
+    source,
+    baseUrl,
+    rateLimit = 2000,
+    requiresJS = false,
+    dataTypes = [],
+    selectors = null,
+    selectorVersion = null,
+  }) {
+    this.source = source;
+    this.baseUrl = baseUrl;
+    this.rateLimit = rateLimit;
+    this.requiresJS = requiresJS;
+    this.dataTypes = dataTypes;
+
+    const config = selectors
+      ? { version: selectorVersion || "custom", selectors }
+      : loadSelectors(source, selectorVersion);
+    this.selectorVersion = config.version;
+    this.selectors = config.selectors;
+    this.observer = null;
+  }
+
+  // Called with one observation per extract
+  setObserver(observer) {
+    this.observer = observer;
+    return this;
+  }
+
+  supports(dataType) {
+    return this.dataTypes.includes(dataType);
+  }
+
+  buildRequest(dataType, params) {
+    throw new Error(`${this.constructor.name} does not implement buildRequest`);
+  }
+
+  parse(body, context) {
+    throw new Error(`${this.constructor.name} does not implement parse`);
+  }
+
+  normalize(raw, context) {
+    return raw;
+  }
+
+  // Cheerio document for an HTML body (or one already loaded)
+  load(body) {
+    return typeof body === "function" ? body : cheerio.load(body);
+  }
+
+  extract(body, specName) {
+    const spec = this.selectors[specName];
+    if (!spec) {
+      throw new Error(`${this.source} selectors v${this.selectorVersion} have no "${specName}"`);
+    }
+
+    const $ = this.load(body);
+    const root = $(spec.root).first();
+    if (root.length === 0) {
+      this.observe(specName, { matched: false });
+      return null;
+    }
+
+    const result = spec.items
+      ? root
+          .find(spec.items)
+          .toArray()
+          .map((item) => this.extractFields($, $(item), spec.fields))
+      : this.extractFields($, root, spec.fields);
+
+    if (this.observer) {
+      this.observe(specName, {
+        matched: true,
+        fields: fieldFillRates(Object.keys(spec.fields || {}), spec.items ? result : [result]),
+        fingerprint: fingerprint($, root),
+      });
+    }
+
+    return result;
+  }
+
+  observe(specName, observation) {
+    if (!this.observer) return;
+
+    try {
+      this.observer({
+        source: this.source,
+        baseUrl: this.baseUrl,
+        selector: specName,
+        selectorVersion: this.selectorVersion,
+        ...observation,
+      });
+    } catch (error) {
+      // Monitoring must never break a scrape
+    }
+  }
+
+  extractFields($, element, fields = {}) {
+    const values = {};
+
+    for (const [name, field] of Object.entries(fields)) {
+      const { selector, attr, type = "text" } =
+        typeof field === "string" ? { selector: field } : field;
+      const matched = selector ? element.find(selector) : element;
+
+      if (type === "list") {
+        values[name] = matched
+          .toArray()
+          .map((node) => this.readValue($(node), attr))
+          .filter(Boolean);
+        continue;
+      }
+
+      const value = matched.length ? this.readValue(matched.first(), attr) : null;
+      values[name] = type === "number" ? toNumber(value) : value;
+    }
+
+    return values;
+  }
+
+  readValue(node, attr) {
+    const value = attr ? node.attr(attr) : node.text();
+    return value ? value.replace(/\s+/g, " ").trim() || null : null;
+  }
+
+  getInfo() {
+    return {
+      source: this.source,
+      baseUrl: this.baseUrl,
+      rateLimit: this.rateLimit,
+      requiresJS: this.requiresJS,
+      dataTypes: this.dataTypes,
+      selectorVersion: this.selectorVersion,
+    };
+  }
+}
+
+const isFilled = (value) =>
+  Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== "";
+
+// Share of records with each field filled; no records means nothing filled
+const fieldFillRates = (names, records) =>
+  Object.fromEntries(
+    names.map((name) => [
+      name,
+      records.length
+        ? records.filter((record) => isFilled(record[name])).length / records.length
+        : 0,
+    ])
+  );
+
+// Hash of the tag/class tree under an element, three levels deep. Runs of
+// identical siblings count once, so row counts do not change it.
+const FINGERPRINT_DEPTH = 3;
+
+const fingerprint = ($, element) => {
+  const shape = (node, depth) => {
+    const classes = ($(node).attr("class") || "").split(/\s+/).filter(Boolean).sort();
+    const signature = [node.tagName, ...classes].join(".");
+    if (depth === 0) return signature;
+
+    const children = $(node)
+      .children()
+      .toArray()
+      .map((child) => shape(child, depth - 1))
+      .filter((child, index, all) => child !== all[index - 1]);
+    return children.length ? `${signature}(${children.join(",")})` : signature;
+  };
+
+  return crypto
+    .createHash("sha1")
+    .update(shape(element[0], FINGERPRINT_DEPTH))
+    .digest("hex")
+    .slice(0, 12);
+};
+
+// "80,000" -> 80000, "72°F" -> 72, ".500" -> 0.5; null when there is no number
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const match = String(value).replace(/,/g, "").match(/-?(\d+(\.\d+)?|\.\d+)/);
+  return match ? Number(match[0]) : null;
+};
+
+module.exports = { SourceAdapter, toNumber };
@@ -0,0 +1,77 @@
+const { SourceAdapter, toNumber } = require("./SourceAdapter");
+
+// Sports Reference team pages: season stats, head-to-head results and venue
+const SITE_PATHS = {
+  basketball: "/basketball",
+  baseball: "/baseball",
+  americanFootball: "/football",
+  hockey: "/hockey",
+  soccer: "/soccer",
+};
+
+const slugify = (team) =>
+  String(team)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+class SportsReferenceAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      source: "sportsreference.com",
+      baseUrl: "https://www.sports-reference.com",
+      rateLimit: 3000,
+      requiresJS: false,
+      dataTypes: ["stats", "h2h", "venue"],
+      ...options,
+    });
+  }
+
+  buildRequest(dataType, { sport, teams = [] } = {}) {
+    const [home, away] = teams;
+    if (!home) {
+      throw new Error("Sports Reference pages need a team");
+    }
+
+    const site = `${this.baseUrl}${SITE_PATHS[sport] || ""}`;
+    const url =
+      dataType === "h2h" && away
+        ? `${site}/teams/${slugify(home)}/head-to-head/${slugify(away)}.html`
+        : `${site}/teams/${slugify(home)}/`;
+
+    return { url, method: "GET" };
+  }
+
+  parse(body, { dataType }) {
+    return this.extract(body, dataType);
+  }
+
+  normalize(raw, { dataType }) {
+    if (!raw) return null;
+
+    switch (dataType) {
+      case "stats":
+        return {
+          stats: Object.fromEntries(
+            raw
+              .filter((row) => row.stat)
+              .map((row) => [row.stat, row.values.map((value) => toNumber(value) ?? value)])
+          ),
+          source: this.source,
+          confidence: 0.9,
+        };
+      case "h2h":
+        return {
+          games: raw.filter((row) => row.date),
+          source: this.source,
+          confidence: 0.9,
+        };
+      case "venue":
+        return raw.name ? { ...raw, source: this.source, confidence: 0.9 } : null;
+      default:
+        return raw;
+    }
+  }
+}
+
+module.exports = { SportsReferenceAdapter };
@@ -0,0 +1,48 @@
+const { SourceAdapter } = require("./SourceAdapter");
+
+// weather.com conditions and hourly forecast for a venue location
+class WeatherDotComAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super({
+      source: "weather.com",
+      baseUrl: "https://weather.com",
+      rateLimit: 1000,
+      requiresJS: true,
+      dataTypes: ["weather"],
+      ...options,
+    });
+  }
+
+  buildRequest(dataType, { location } = {}) {
+    if (!location) {
+      throw new Error("weather.com requests need a location");
+    }
+
+    return {
+      url: `${this.baseUrl}/weather/today/l/${encodeURIComponent(location)}`,
+      method: "GET",
+    };
+  }
+
+  parse(body) {
+    const $ = this.load(body);
+
+    return {
+      current: this.extract($, "current"),
+      forecast: this.extract($, "forecast") || [],
+    };
+  }
+
+  normalize({ current, forecast }) {
+    if (!current) return null;
+
+    return {
+      ...current,
+      forecast,
+      source: this.source,
+      confidence: 0.9,
+    };
+  }
+}
+
+module.exports = { WeatherDotComAdapter };
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+
+// In-process ScrapeJobQueue backend for development and single-instance
+// deployments without MongoDB. Jobs do not survive a restart. Implements the
+// interface documented in MongoScrapeJobStore.
+const TERMINAL_STATUSES = ["succeeded", "dead"];
+
+// Settled jobs kept for inspection before the oldest are dropped
+const DEFAULT_MAX_SETTLED = 1000;
+
+const duplicateActiveJob = (key) => {
+  const error = new Error(`An active job already exists for ${key}`);
+  error.code = "DUPLICATE_ACTIVE_JOB";
+  return error;
+};
+
+class MemoryScrapeJobStore {
+  constructor({ maxSettled = DEFAULT_MAX_SETTLED } = {}) {
+    this.jobs = new Map();
+    this.activeKeys = new Map(); // idempotencyKey -> job id
+    this.maxSettled = maxSettled;
+  }
+
+  async enqueue({ requestId, ...fields }) {
+    const activeId = this.activeKeys.get(fields.idempotencyKey);
+    if (activeId) {
+      const job = this.jobs.get(activeId);
+      if (requestId && !job.requestIds.includes(requestId)) {
+        job.requestIds.push(requestId);
+      }
+      job.priority = Math.max(job.priority, fields.priority);
+      job.updatedAt = new Date();
+      return { job: { ...job }, merged: true };
+    }
+
+    const now = new Date();
+    const job = {
+      id: crypto.randomBytes(12).toString("hex"),
+      parameters: {},
+      priority: 2,
+      maxAttempts: 3,
+      runAt: now,
+      ...fields,
+      activeKey: fields.idempotencyKey,
+      requestIds: requestId ? [requestId] : [],
+      status: "queued",
+      attempts: 0,
+      rateLimitedCount: 0,
+      lockedBy: null,
+      lockedUntil: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+    this.activeKeys.set(job.idempotencyKey, job.id);
+    return { job: { ...job }, merged: false };
+  }
+
+  // Counting and claiming happen in one synchronous pass, so callers sharing
+  // this store cannot both take a source's last slot
+  async claim({ now, sourceLimit = () => Infinity, workerId, lockMs }) {
+    const running = this.countRunning(now);
+    let next = null;
+
+    for (const job of this.jobs.values()) {
+      if ((running[job.source] || 0) >= sourceLimit(job.source)) continue;
+
+      const due =
+        (["queued", "failed"].includes(job.status) && job.runAt <= now) ||
+        (job.status === "running" && job.lockedUntil <= now);
+      if (!due) continue;
+
+      if (
+        !next ||
+        job.priority > next.priority ||
+        (job.priority === next.priority && job.runAt < next.runAt)
+      ) {
+        next = job;
+      }
+    }
+
+    if (!next) return null;
+
+    Object.assign(next, {
+      status: "running",
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + lockMs),
+      startedAt: now,
+      attempts: next.attempts + 1,
+      updatedAt: now,
+    });
+
+    return { ...next };
+  }
+
+  async settle(id, workerId, { status, runAt, error = null, durationMs = null, deferred = false }) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== "running" || job.lockedBy !== workerId) return null;
+
+    const now = new Date();
+    Object.assign(job, {
+      status,
+      lockedBy: null,
+      lockedUntil: null,
+      lastError: error,
+      durationMs,
+      updatedAt: now,
+    });
+
+    if (TERMINAL_STATUSES.includes(status)) {
+      job.finishedAt = now;
+      this.activeKeys.delete(job.activeKey);
+      job.activeKey = undefined;
+      this.pruneSettled();
+    } else {
+      job.runAt = runAt;
+    }
+
+    // A rate-limited job did not really attempt anything
+    if (deferred) {
+      job.attempts -= 1;
+      job.rateLimitedCount += 1;
+    }
+
+    return { ...job };
+  }
+
+  async runningBySource(now) {
+    return this.countRunning(now);
+  }
+
+  countRunning(now) {
+    const counts = {};
+
+    for (const job of this.jobs.values()) {
+      if (job.status === "running" && job.lockedUntil > now) {
+        counts[job.source] = (counts[job.source] || 0) + 1;
+      }
+    }
+
+    return counts;
+  }
+
+  async findById(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async find(filter = {}, { limit = 50 } = {}) {
+    return [...this.jobs.values()]
+      .filter((job) => Object.entries(filter).every(([field, value]) => job[field] === value))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, limit)
+      .map((job) => ({ ...job }));
+  }
+
+  async countByStatus() {
+    const counts = {};
+
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  async requeue({ id, status }, { resetAttempts = true, runAt = new Date() } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== status) return null;
+
+    const activeId = this.activeKeys.get(job.idempotencyKey);
+    if (activeId && activeId !== job.id) {
+      throw duplicateActiveJob(job.idempotencyKey);
+    }
+
+    Object.assign(job, {
+      status: "queued",
+      activeKey: job.idempotencyKey,
+      runAt,
+      lockedBy: null,
+      lockedUntil: null,
+      finishedAt: null,
+      lastError: null,
+      updatedAt: new Date(),
+    });
+    if (resetAttempts) job.attempts = 0;
+
+    this.activeKeys.set(job.idempotencyKey, job.id);
+    return { ...job };
+  }
+
+  // Drop the oldest settled jobs beyond maxSettled
+  pruneSettled() {
+    const settled = [...this.jobs.values()].filter((job) =>
+      TERMINAL_STATUSES.includes(job.status)
+    );
+    if (settled.length <= this.maxSettled) return;
+
+    settled
+      .sort((a, b) => a.finishedAt - b.finishedAt)
+      .slice(0, settled.length - this.maxSettled)
+      .forEach((job) => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = { MemoryScrapeJobStore };
@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const ScrapeJob = require("../../../models/ScrapeJob");
+const ScrapeSourceSlot = require("../../../models/ScrapeSourceSlot");
+
+// Durable ScrapeJobQueue backend. Claims are findOneAndUpdate calls, so any
+// number of workers (in this process or others) can share the queue. A job
+// from a capped source is only claimed after leasing one of the source's
+// slots (see ScrapeSourceSlot), which keeps racing workers under the cap.
+//
+// Store interface (shared with MemoryScrapeJobStore):
+//   enqueue(fields)                        -> { job, merged }
+//   claim({ now, sourceLimit, workerId, lockMs }) -> job | null
+//   settle(id, workerId, outcome)          -> job | null  (null: lock lost)
+//   runningBySource(now)                   -> { [source]: count }
+//   findById(id) / find(filter, { limit }) / countByStatus()
+//   requeue(job, { resetAttempts, runAt }) -> job | null  (null: status changed;
+//                                            throws code DUPLICATE_ACTIVE_JOB)
+const DUPLICATE_KEY = 11000;
+
+// Due now: waiting jobs past runAt, or running ones whose worker died
+const dueFilter = (now) => ({
+  $or: [
+    { status: { $in: ["queued", "failed"] }, runAt: { $lte: now } },
+    { status: "running", lockedUntil: { $lte: now } },
+  ],
+});
+
+const toJob = (doc) => {
+  if (!doc) return null;
+  const { _id, __v, ...job } = doc;
+  return { id: _id.toString(), ...job };
+};
+
+// Fields written when a job leaves the running state
+const settleUpdate = ({ status, runAt, error = null, durationMs = null, deferred = false }, now) => {
+  const update = {
+    $set: { status, lockedBy: null, lockedUntil: null, lastError: error, durationMs },
+  };
+
+  if (status === "succeeded" || status === "dead") {
+    update.$set.finishedAt = now;
+    update.$unset = { activeKey: 1 };
+  } else {
+    update.$set.runAt = runAt;
+  }
+
+  // A rate-limited job did not really attempt anything
+  if (deferred) {
+    update.$inc = { attempts: -1, rateLimitedCount: 1 };
+  }
+
+  return update;
+};
+
+class MongoScrapeJobStore {
+  constructor(model = ScrapeJob, slotModel = ScrapeSourceSlot) {
+    this.model = model;
+    this.slotModel = slotModel;
+  }
+
+  async enqueue({ requestId, ...fields }) {
+    const addRequest = requestId ? { $addToSet: { requestIds: requestId } } : {};
+
+    // A concurrent insert of the same key loses to the unique index; the
+    // second pass then merges into the winner
+    for (let pass = 0; pass < 2; pass++) {
+      const existing = await this.model.findOneAndUpdate(
+        { activeKey: fields.idempotencyKey },
+        { ...addRequest, $max: { priority: fields.priority } },
+        { new: true, lean: true }
+      );
+      if (existing) return { job: toJob(existing), merged: true };
+
+      try {
+        const created = await this.model.create({
+          ...fields,
+          activeKey: fields.idempotencyKey,
+          requestIds: requestId ? [requestId] : [],
+        });
+        return { job: toJob(created.toObject()), merged: false };
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+    }
+
+    throw new Error(`Could not enqueue or merge job ${fields.idempotencyKey}`);
+  }
+
+  async claim({ now, sourceLimit = () => Infinity, workerId, lockMs }) {
+    const lockedUntil = new Date(now.getTime() + lockMs);
+    const fullSources = [];
+
+    for (;;) {
+      const candidate = await this.model
+        .findOne({ source: { $nin: fullSources }, ...dueFilter(now) })
+        .sort({ priority: -1, runAt: 1 })
+        .select("_id source")
+        .lean();
+      if (!candidate) return null;
+
+      const limit = sourceLimit(candidate.source);
+      const slot = Number.isFinite(limit)
+        ? await this.leaseSlot(candidate, limit, { now, workerId, lockedUntil })
+        : null;
+      if (Number.isFinite(limit) && !slot) {
+        fullSources.push(candidate.source);
+        continue;
+      }
+
+      const job = await this.model.findOneAndUpdate(
+        { _id: candidate._id, ...dueFilter(now) },
+        {
+          $set: { status: "running", lockedBy: workerId, lockedUntil, startedAt: now },
+          $inc: { attempts: 1 },
+        },
+        { new: true, lean: true }
+      );
+      if (job) return toJob(job);
+
+      // Another worker claimed it first
+      if (slot) await this.releaseSlot(candidate._id);
+    }
+  }
+
+  // Take the first of the source's slots that is free or whose lease ran
+  // out. A slot held by someone else fails the upsert on its _id.
+  async leaseSlot({ _id: jobId, source }, limit, { now, workerId, lockedUntil }) {
+    for (let n = 0; n < limit; n++) {
+      try {
+        return await this.slotModel.findOneAndUpdate(
+          {
+            _id: `${source}:${n}`,
+            $or: [{ jobId: null }, { lockedUntil: { $lte: now } }],
+          },
+          { $set: { source, jobId, lockedBy: workerId, lockedUntil } },
+          { upsert: true, new: true, lean: true }
+        );
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  async releaseSlot(jobId) {
+    await this.slotModel.updateOne(
+      { jobId },
+      { $set: { jobId: null, lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  async settle(id, workerId, outcome) {
+    const job = await this.model.findOneAndUpdate(
+      { _id: id, status: "running", lockedBy: workerId },
+      settleUpdate(outcome, new Date()),
+      { new: true, lean: true }
+    );
+
+    if (job) await this.releaseSlot(job._id);
+    return toJob(job);
+  }
+
+  async runningBySource(now) {
+    const rows = await this.model.aggregate([
+      { $match: { status: "running", lockedUntil: { $gt: now } } },
+      { $group: { _id: "$source", count: { $sum: 1 } } },
+    ]);
+
+    return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return toJob(await this.model.findById(id).lean());
+  }
+
+  async find(filter = {}, { limit = 50 } = {}) {
+    const jobs = await this.model
+      .find(filter)
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return jobs.map(toJob);
+  }
+
+  async countByStatus() {
+    const rows = await this.model.aggregate([
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  }
+
+  // Put a settled job back in the queue, unless it changed meanwhile
+  async requeue(job, { resetAttempts = true, runAt = new Date() } = {}) {
+    const set = {
+      status: "queued",
+      activeKey: job.idempotencyKey,
+      runAt,
+      lockedBy: null,
+      lockedUntil: null,
+      finishedAt: null,
+      lastError: null,
+    };
+    if (resetAttempts) set.attempts = 0;
+
+    try {
+      const updated = await this.model.findOneAndUpdate(
+        { _id: job.id, status: job.status },
+        { $set: set },
+        { new: true, lean: true }
+      );
+      return toJob(updated);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        error.code = "DUPLICATE_ACTIVE_JOB";
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { MongoScrapeJobStore };
@@ -0,0 +1,193 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  HttpClient,
+  HttpRequestError,
+  TestTransport,
+} = require("../src/services/infrastructure/HttpClient");
+const { CrawlPolicy, CrawlPolicyError } = require("../src/services/infrastructure/CrawlPolicy");
+
+// Offline HttpClient: canned routes, no waiting between retries or for
+// rate-limit tokens, and a crawl policy that does not pace
+const createClient = (transport, options = {}) =>
+  new HttpClient({
+    transport,
+    crawlPolicy: new CrawlPolicy({ pace: false, hosts: {} }),
+    sleep: async () => {},
+    rateLimits: { default: { perSecond: 1000, burst: 1000 }, hosts: {} },
+    ...options,
+  });
+
+const robotsAllowAll = (transport) =>
+  transport.route("GET", /\/robots\.txt$/, { status: 404 });
+
+test("retries retryable statuses and returns the first success", async () => {
+  let calls = 0;
+  const transport = robotsAllowAll(new TestTransport()).route(
+    "GET",
+    "https://example.com/scores",
+    () => (++calls < 3 ? { status: 503 } : { data: "ok" })
+  );
+
+  const response = await createClient(transport).get("https://example.com/scores");
+
+  assert.equal(response.status, 200);
+  assert.equal(response.data, "ok");
+  assert.equal(response.attempts, 3);
+});
+
+test("does not retry other 4xx and throws HttpRequestError with the response", async () => {
+  const transport = robotsAllowAll(new TestTransport()).route(
+    "GET",
+    "https://example.com/missing",
+    { status: 404, data: "not here" }
+  );
+
+  await assert.rejects(createClient(transport).get("https://example.com/missing"), (error) => {
+    assert.ok(error instanceof HttpRequestError);
+    assert.equal(error.status, 404);
+    assert.equal(error.attempts, 1);
+    assert.equal(error.response.data, "not here");
+    return true;
+  });
+});
+
+test("gives up after the policy's attempts on network errors", async () => {
+  const transport = robotsAllowAll(new TestTransport()).route("GET", "https://example.com/down", () => {
+    throw new Error("ECONNRESET");
+  });
+
+  await assert.rejects(
+    createClient(transport).get("https://example.com/down", { retry: "standard" }),
+    (error) => error instanceof HttpRequestError && error.attempts === 3 && error.status === null
+  );
+});
+
+test("fetches robots.txt through the client's transport and honors Disallow", async () => {
+  const transport = new TestTransport()
+    .route("GET", "https://example.com/robots.txt", {
+      data: "User-agent: *\nDisallow: /private\n",
+    })
+    .route("GET", "https://example.com/public", { data: "public" });
+  const client = createClient(transport);
+
+  const response = await client.get("https://example.com/public");
+  assert.equal(response.data, "public");
+
+  await assert.rejects(client.get("https://example.com/private/page"), (error) => {
+    assert.ok(error instanceof CrawlPolicyError);
+    assert.equal(error.reason, "disallowed");
+    return true;
+  });
+
+  const robotsRequests = transport.requests.filter((request) => request.url.endsWith("/robots.txt"));
+  assert.equal(robotsRequests.length, 1);
+  assert.equal(
+    transport.requests.some((request) => request.url === "https://example.com/private/page"),
+    false
+  );
+});
+
+test("refuses a host whose robots.txt cannot be fetched", async () => {
+  const transport = new TestTransport()
+    .route("GET", "https://example.com/robots.txt", { status: 503 })
+    .route("GET", "https://example.com/page", { data: "page" });
+
+  await assert.rejects(
+    createClient(transport).get("https://example.com/page"),
+    (error) => error instanceof CrawlPolicyError && error.reason === "robots_unreachable"
+  );
+});
+
+test("reports every attempt to the source monitor", async () => {
+  const reports = [];
+  const monitor = {
+    findSourceByUrl: () => "espn",
+    recordRequest: (sourceId, success, responseTime, error) =>
+      reports.push({ sourceId, success, error }),
+  };
+  let calls = 0;
+  const transport = robotsAllowAll(new TestTransport()).route(
+    "GET",
+    "https://www.espn.com/nba/",
+    () => (++calls === 1 ? { status: 502 } : { data: "ESPN" })
+  );
+
+  await createClient(transport, { monitor }).get("https://www.espn.com/nba/");
+
+  assert.deepEqual(reports, [
+    { sourceId: "espn", success: false, error: "HTTP 502" },
+    { sourceId: "espn", success: true, error: null },
+  ]);
+});
+
+test("routes viaProxy requests through the proxy manager and reports the outcome", async () => {
+  const outcomes = [];
+  const proxies = [{ id: "http://p1:8080" }, { id: "http://p2:8080" }];
+  let next = 0;
+  const proxyManager = {
+    getNextProxy: () => proxies[next++ % proxies.length],
+    proxyConfig: (proxy) => ({ proxy: false, httpsAgent: proxy.id }),
+    recordProxyFailure: (proxy) => outcomes.push(`fail ${proxy.id}`),
+    recordProxySuccess: (proxy) => outcomes.push(`ok ${proxy.id}`),
+  };
+  const transport = robotsAllowAll(new TestTransport()).route(
+    "GET",
+    "https://example.com/page",
+    (config) => (config.httpsAgent === "http://p1:8080" ? { status: 502 } : { data: "page" })
+  );
+
+  const response = await createClient(transport, { proxyManager }).get("https://example.com/page", {
+    viaProxy: true,
+    retry: "rotate",
+  });
+
+  assert.equal(response.proxyId, "http://p2:8080");
+  assert.deepEqual(outcomes, ["fail http://p1:8080", "ok http://p2:8080"]);
+});
+
+test("a request with no usable proxy fails with HttpRequestError and is reported", async () => {
+  const reports = [];
+  const monitor = {
+    findSourceByUrl: () => "espn",
+    recordRequest: (sourceId, success, responseTime, error) =>
+      reports.push({ sourceId, success, error }),
+  };
+  const proxyManager = {
+    getNextProxy: (host) => {
+      throw new Error(`No proxy allowed for ${host} is available`);
+    },
+  };
+  const transport = robotsAllowAll(new TestTransport());
+
+  await assert.rejects(
+    createClient(transport, { monitor, proxyManager }).get("https://www.espn.com/nba/", {
+      viaProxy: true,
+      retry: { attempts: 2 },
+    }),
+    (error) =>
+      error instanceof HttpRequestError &&
+      error.attempts === 2 &&
+      error.response === null &&
+      /No proxy allowed for www\.espn\.com/.test(error.cause.message)
+  );
+  assert.equal(transport.requests.filter(({ url }) => url.endsWith("/nba/")).length, 0);
+  assert.deepEqual(reports, [
+    { sourceId: "espn", success: false, error: "No proxy allowed for www.espn.com is available" },
+    { sourceId: "espn", success: false, error: "No proxy allowed for www.espn.com is available" },
+  ]);
+});
+
+test("waits for a token from the host's bucket before each attempt", async () => {
+  const transport = robotsAllowAll(new TestTransport()).route("GET", /example\.com\/page/, {
+    data: "page",
+  });
+  const client = createClient(transport, {
+    rateLimits: { default: { perSecond: 50, burst: 1 }, hosts: {} },
+  });
+
+  await client.get("https://example.com/page?n=1");
+  await client.get("https://example.com/page?n=2");
+
+  assert.ok(client.getStats()["example.com"].throttledMs > 0);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ProxyHealth, weightedPick } = require("../src/services/infrastructure/ProxyHealth");
+
+test("weights the newest sample by alpha in both averages", () => {
+  const health = new ProxyHealth({ alpha: 0.5, priorSuccessRate: 1 });
+
+  health.recordSuccess(1000);
+  assert.equal(health.latencyMs, 1000);
+
+  health.recordSuccess(3000);
+  assert.equal(health.latencyMs, 2000);
+
+  health.recordFailure();
+  assert.equal(health.successRate, 0.5);
+  health.recordFailure();
+  assert.equal(health.successRate, 0.25);
+});
+
+test("weight is the success rate squared times a latency factor halving at the target", () => {
+  const health = new ProxyHealth({ alpha: 1, targetLatencyMs: 2000 });
+  assert.equal(health.weight(), 0.75 * 0.75);
+
+  health.recordSuccess(2000);
+  assert.equal(health.weight(), 0.5);
+
+  const slow = new ProxyHealth({ alpha: 1, targetLatencyMs: 2000 });
+  slow.recordSuccess(6000);
+  assert.equal(slow.weight(), 0.25);
+
+  const failing = new ProxyHealth({ alpha: 1, minWeight: 0.001, failureThreshold: Infinity });
+  failing.recordFailure();
+  assert.equal(failing.weight(), 0.001);
+});
+
+test("opens after failureThreshold failures in a row, not on scattered ones", () => {
+  const health = new ProxyHealth({ failureThreshold: 3, baseCooldownMs: 1000 });
+
+  assert.equal(health.recordFailure(0), null);
+  assert.equal(health.recordFailure(0), null);
+  health.recordSuccess(100);
+  assert.equal(health.recordFailure(0), null);
+  assert.equal(health.recordFailure(0), null);
+  assert.equal(health.state, "closed");
+
+  assert.equal(health.recordFailure(0), "open");
+  assert.equal(health.state, "open");
+  assert.equal(health.openUntil, 1000);
+});
+
+test("an open breaker allows one probe after the cooldown and closes on its success", () => {
+  const health = new ProxyHealth({ failureThreshold: 1, baseCooldownMs: 1000, probeTimeoutMs: 5000 });
+  health.recordFailure(0);
+
+  assert.equal(health.canAttempt(999), false);
+  assert.equal(health.canAttempt(1000), true);
+
+  health.onSelected(1000);
+  assert.equal(health.state, "half_open");
+  assert.equal(health.canAttempt(1001), false);
+  assert.equal(health.canAttempt(6000), true, "a probe that never reports back frees the slot");
+
+  assert.equal(health.recordSuccess(100), "closed");
+  assert.equal(health.state, "closed");
+  assert.equal(health.trips, 0);
+  assert.equal(health.canAttempt(1001), true);
+});
+
+test("a failed probe reopens the breaker with a doubled cooldown, up to the maximum", () => {
+  const health = new ProxyHealth({ failureThreshold: 1, baseCooldownMs: 1000, maxCooldownMs: 3000 });
+  health.recordFailure(0);
+  assert.equal(health.openUntil, 1000);
+
+  health.onSelected(1000);
+  assert.equal(health.recordFailure(1000), "open");
+  assert.equal(health.openUntil, 3000);
+
+  health.onSelected(3000);
+  health.recordFailure(3000);
+  assert.equal(health.openUntil, 6000);
+  assert.equal(health.trips, 3);
+});
+
+test("reset closes the breaker and keeps the averages", () => {
+  const health = new ProxyHealth({ alpha: 1, failureThreshold: 1 });
+  health.recordFailure(0);
+
+  health.reset();
+
+  assert.equal(health.state, "closed");
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(health.successRate, 0);
+  assert.equal(health.canAttempt(0), true);
+});
+
+test("weightedPick chooses in proportion to weight", () => {
+  const items = ["a", "b", "c"];
+  const weights = { a: 1, b: 3, c: 0 };
+
+  assert.equal(weightedPick(items, (item) => weights[item], () => 0), "a");
+  assert.equal(weightedPick(items, (item) => weights[item], () => 0.3), "b");
+  assert.equal(weightedPick(items, (item) => weights[item], () => 0.99), "b");
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HttpClient, TestTransport } = require("../src/services/infrastructure/HttpClient");
+const { ProxyInventory } = require("../src/services/infrastructure/ProxyInventory");
+const { ProxyManager } = require("../src/services/infrastructure/ProxyManager");
+
+// A manager over two inventory proxies, a client with canned routes, and a
+// clock the test moves. schedule: false leaves no watcher or timer running.
+const createManager = ({ transport = new TestTransport(), rules = {}, random = () => 0 } = {}) => {
+  const clock = { now: 0 };
+  const manager = new ProxyManager({
+    httpClient: new HttpClient({ transport, sleep: async () => {} }),
+    inventory: new ProxyInventory({
+      file: "/nonexistent/proxies.yaml",
+      env: { PROXY_LIST: "http://10.0.0.1:3128?tier=free http://10.0.0.2:3128" },
+    }),
+    health: { failureThreshold: 2, baseCooldownMs: 1000 },
+    rules,
+    testUrl: "https://probe.test/ip",
+    schedule: false,
+    now: () => clock.now,
+    random,
+  });
+
+  return { manager, clock, transport };
+};
+
+const FREE = "http://10.0.0.1:3128";
+const STANDARD = "http://10.0.0.2:3128";
+
+test("schedule: false starts no health timer and no inventory watcher", () => {
+  const { manager } = createManager();
+
+  assert.equal(manager.healthTimer, null);
+  assert.equal(manager.inventory.watching, false);
+  assert.deepEqual([...manager.proxies.keys()], ["direct", FREE, STANDARD]);
+});
+
+test("selection follows the health weights", () => {
+  const { manager } = createManager({ random: () => 0.6 });
+  // Equal weights: the middle of the range falls on the second proxy
+  assert.equal(manager.getNextProxy().id, FREE);
+
+  // Failures on the others shift the weight onto STANDARD
+  for (const id of ["direct", FREE]) {
+    manager.recordProxyFailure(manager.getProxy(id), new Error("blocked"));
+    manager.recordProxySuccess(manager.getProxy(id), 100);
+    manager.recordProxyFailure(manager.getProxy(id), new Error("blocked"));
+  }
+  assert.equal(manager.getNextProxy().id, STANDARD);
+});
+
+test("a failing proxy leaves rotation and is probed back in after its cooldown", async () => {
+  const transport = new TestTransport().route("GET", "https://probe.test/ip", (config) =>
+    config.httpsAgent.proxy.host === "10.0.0.2:3128" ? { data: "ok" } : { status: 502 }
+  );
+  const { manager, clock } = createManager({ transport });
+  const standard = manager.getProxy(STANDARD);
+
+  manager.recordProxyFailure(standard, new Error("reset"));
+  manager.recordProxyFailure(standard, new Error("reset"));
+  assert.equal(standard.health.state, "open");
+  assert.equal(manager.isUsable(standard), false);
+
+  // Still cooling down: the health check leaves it alone
+  let results = await manager.performHealthCheck();
+  assert.deepEqual(results.map((result) => result.proxyId), [FREE]);
+
+  clock.now = 1000;
+  results = await manager.performHealthCheck();
+  assert.deepEqual(
+    results.map(({ proxyId, healthy }) => ({ proxyId, healthy })),
+    [
+      { proxyId: FREE, healthy: false },
+      { proxyId: STANDARD, healthy: true },
+    ]
+  );
+  assert.equal(standard.health.state, "closed");
+  assert.equal(manager.getProxyStats().healthy, 2);
+  assert.equal(manager.getProxyStats().coolingDown, 1);
+});
+
+test("host rules limit the pools a request may use", () => {
+  const { manager } = createManager({
+    rules: { "espn.com": { exclude: ["tier:free", "direct"] }, "weather.com": { pools: ["direct"] } },
+  });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(manager.getNextProxy("www.espn.com").id, STANDARD);
+  }
+  assert.equal(manager.getNextProxy("weather.com").id, "direct");
+});
+
+test("quarantined proxies stay out of rotation until re-enabled", () => {
+  const { manager } = createManager({ rules: { "espn.com": { exclude: ["direct", "tier:free"] } } });
+
+  manager.quarantineProxy(STANDARD, { reason: "abuse report" });
+  assert.throws(() => manager.getNextProxy("espn.com"), /No proxy allowed for espn.com/);
+
+  manager.enableProxy(STANDARD);
+  assert.equal(manager.getNextProxy("espn.com").id, STANDARD);
+});
+
+test("excluded proxies are reused only when nothing else is left", () => {
+  const { manager } = createManager({ rules: { "espn.com": { exclude: ["direct"] } } });
+
+  assert.equal(manager.getNextProxy("espn.com", { exclude: [FREE] }).id, STANDARD);
+  assert.equal(manager.getNextProxy("espn.com", { exclude: [FREE, STANDARD] }).id, FREE);
+  assert.throws(
+    () => manager.getNextProxy("espn.com", { exclude: [FREE, STANDARD], reuseExcluded: false }),
+    /No proxy allowed for espn.com/
+  );
+});
+
+test("a session that has failed over through every allowed proxy throws", async () => {
+  const transport = new TestTransport().route("GET", "https://www.espn.com/nba/", { status: 502 });
+  const { manager } = createManager({ transport, rules: { "espn.com": { exclude: ["direct"] } } });
+  const session = manager.acquireSession("www.espn.com");
+
+  await assert.rejects(session.request("https://www.espn.com/nba/", { retry: { attempts: 5 } }), (error) => {
+    assert.match(error.message, /has no proxy to fail over to \(2 failed\)/);
+    return true;
+  });
+  assert.equal(transport.requests.length, 2);
+  assert.ok(transport.requests.every((request) => request.httpsAgent), "never went direct");
+});
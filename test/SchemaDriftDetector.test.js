@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SchemaDriftDetector } = require("../src/services/infrastructure/SchemaDriftDetector");
+const { SourceMonitor } = require("../src/services/infrastructure/SourceMonitor");
+const { EspnAdapter } = require("../src/services/scraping/adapters/EspnAdapter");
+
+const OPTIONS = { recentSize: 5, baselineSize: 20, minBaseline: 10, alertCooldownMs: 1000 };
+
+const page = { matched: true, fields: { home: 1, away: 1 }, fingerprint: "table>tr" };
+const missed = { matched: false };
+
+// A detector whose alerts are collected, for a selector of one source
+const createDetector = (options = {}) => {
+  const alerts = [];
+  const monitor = {
+    findSourceByUrl: () => null,
+    triggerAlert: (alert) => alerts.push(alert),
+  };
+  const detector = new SchemaDriftDetector({ monitor, ...OPTIONS, ...options });
+  const record = (observation, times = 1) => {
+    for (let i = 0; i < times; i++) {
+      detector.record({
+        source: "espn.com",
+        selector: "scoreboard",
+        selectorVersion: "v1",
+        ...observation,
+      });
+    }
+  };
+  const state = () => detector.selectors.get("espn.com|scoreboard");
+
+  return { detector, alerts, record, state };
+};
+
+test("findDrift waits for a full baseline and recent window", () => {
+  const { detector, record, state } = createDetector();
+
+  record(page, 9);
+  record(missed, 5);
+  assert.deepEqual(detector.findDrift(state()), []);
+
+  record(missed);
+  assert.deepEqual(
+    detector.findDrift(state()).map(({ metric, severity }) => ({ metric, severity })),
+    [{ metric: "hit_rate", severity: "critical" }]
+  );
+});
+
+test("findDrift reports hit rate, fill rate and markup changes", () => {
+  const { detector, record, state } = createDetector();
+
+  record(page, 15);
+  record({ ...page, fields: { home: 1, away: 0 }, fingerprint: "div>ul" }, 3);
+  record(missed, 2);
+  const drift = detector.findDrift(state());
+
+  assert.deepEqual(
+    drift.map(({ metric, field, severity }) => ({ metric, field, severity })),
+    [
+      { metric: "hit_rate", field: undefined, severity: "warning" },
+      { metric: "fill_rate", field: "away", severity: "critical" },
+      { metric: "fingerprint", field: undefined, severity: "warning" },
+    ]
+  );
+  assert.equal(drift[0].value, 0.6);
+  assert.equal(drift[0].baseline, 1);
+  assert.equal(drift[2].value, "div>ul");
+});
+
+test("a drift alerts once, again when it worsens or the cooldown ends, and afresh after recovering", (t) => {
+  let now = Date.parse("2024-01-01T00:00:00Z");
+  t.mock.method(Date, "now", () => now);
+  const { alerts, record } = createDetector();
+  const hitRateAlerts = () =>
+    alerts.filter((alert) => alert.metric === "hit_rate").map((alert) => alert.severity);
+
+  record(page, 15);
+  record(missed, 3);
+  record(missed);
+  assert.deepEqual(hitRateAlerts(), ["warning"]);
+
+  // Every page missing is worse than the warning already sent
+  record(missed);
+  assert.deepEqual(hitRateAlerts(), ["warning", "critical"]);
+
+  record(missed);
+  assert.deepEqual(hitRateAlerts(), ["warning", "critical"]);
+
+  now += OPTIONS.alertCooldownMs;
+  record(missed);
+  assert.deepEqual(hitRateAlerts(), ["warning", "critical", "critical"]);
+
+  // Once the pages match again, a new drift starts over at its first warning
+  record(page, 15);
+  record(missed, 5);
+  assert.deepEqual(hitRateAlerts(), ["warning", "critical", "critical", "warning", "critical"]);
+});
+
+test("alerts name the monitored source serving the adapter's base URL", () => {
+  const alerts = [];
+  const monitor = new SourceMonitor({ schedule: false });
+  monitor.registerAlertCallback((alert) => alerts.push(alert));
+  const detector = new SchemaDriftDetector({ monitor, ...OPTIONS });
+  const adapter = new EspnAdapter().setObserver(detector.observer);
+
+  for (let i = 0; i < 15; i++) adapter.observe("scoreboard", page);
+  for (let i = 0; i < 5; i++) adapter.observe("scoreboard", missed);
+
+  assert.deepEqual(
+    alerts.map(({ type, sourceId }) => ({ type, sourceId })),
+    [
+      { type: "schema_drift", sourceId: "espn" },
+      { type: "schema_drift", sourceId: "espn" },
+    ]
+  );
+  assert.match(alerts[0].message, /^espn\.com selector "scoreboard"/);
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const {
+  ScrapeJobQueue,
+  RateLimitedError,
+  ScrapeJobConflictError,
+} = require("../src/services/scraping/ScrapeJobQueue");
+const { MemoryScrapeJobStore } = require("../src/services/scraping/stores/MemoryScrapeJobStore");
+
+const createQueue = (t, options = {}) => {
+  const queue = new ScrapeJobQueue({
+    store: new MemoryScrapeJobStore(),
+    pollIntervalMs: 5,
+    ...options,
+  });
+  t.after(() => queue.stop());
+  return queue;
+};
+
+// The queue's poll timer is unref'd, so hold the event loop open while a
+// test waits for one of its events
+const waitFor = async (queue, event) => {
+  const keepAlive = setInterval(() => {}, 1000);
+  try {
+    return await once(queue, event);
+  } finally {
+    clearInterval(keepAlive);
+  }
+};
+
+const request = { dataType: "scores", source: "espn.com", parameters: { date: "2024-01-01" } };
+
+test("requests for the same data while a job is pending merge into it", async (t) => {
+  const queue = createQueue(t);
+
+  const first = await queue.enqueue({ ...request, priority: "low", requestId: "a" });
+  const second = await queue.enqueue({
+    ...request,
+    parameters: { date: "2024-01-01" },
+    priority: "high",
+    requestId: "b",
+  });
+
+  assert.equal(first.merged, false);
+  assert.equal(second.merged, true);
+  assert.equal(second.job.id, first.job.id);
+  assert.deepEqual(second.job.requestIds, ["a", "b"]);
+  assert.equal(second.job.priority, 3);
+  assert.equal((await queue.list()).length, 1);
+});
+
+test("a rate limited job is deferred without using up an attempt", async (t) => {
+  const queue = createQueue(t).process(async () => {
+    throw new RateLimitedError(60 * 1000);
+  });
+  await queue.enqueue(request);
+
+  queue.start();
+  const [{ job, runAt }] = await waitFor(queue, "jobDeferred");
+
+  assert.equal(job.status, "queued");
+  assert.equal(job.attempts, 0);
+  assert.equal(job.rateLimitedCount, 1);
+  assert.ok(runAt - Date.now() > 50 * 1000);
+});
+
+test("a job that keeps failing is retried until it runs out of attempts", async (t) => {
+  const failures = [];
+  const queue = createQueue(t, { maxAttempts: 3, retryBaseMs: 1, retryMaxMs: 1 }).process(
+    async () => {
+      throw new Error("upstream 500");
+    }
+  );
+  queue.on("jobFailed", ({ job }) => failures.push(job.attempts));
+  await queue.enqueue(request);
+
+  queue.start();
+  const [{ job, error }] = await waitFor(queue, "jobDead");
+
+  assert.deepEqual(failures, [1, 2]);
+  assert.equal(job.status, "dead");
+  assert.equal(job.attempts, 3);
+  assert.equal(error, "upstream 500");
+});
+
+test("requeue refuses jobs that are still active or whose key has a newer job", async (t) => {
+  const queue = createQueue(t);
+  const { job } = await queue.enqueue(request);
+
+  await assert.rejects(queue.requeue(job.id), ScrapeJobConflictError);
+
+  await queue.store.claim({ now: new Date(), workerId: "w", lockMs: 1000 });
+  await queue.store.settle(job.id, "w", { status: "dead", error: "gone" });
+  const { job: newer } = await queue.enqueue(request);
+  assert.notEqual(newer.id, job.id);
+
+  await assert.rejects(queue.requeue(job.id), /already pending/);
+
+  await queue.store.claim({ now: new Date(), workerId: "w", lockMs: 1000 });
+  await queue.store.settle(newer.id, "w", { status: "succeeded" });
+  const requeued = await queue.requeue(job.id);
+  assert.equal(requeued.status, "queued");
+  assert.equal(requeued.attempts, 0);
+  assert.equal(await queue.requeue("missing"), null);
+});
+
+test("workers sharing a store never run more jobs for a source than its cap", async (t) => {
+  const store = new MemoryScrapeJobStore();
+  let running = 0;
+  let mostRunning = 0;
+  const releases = [];
+  t.after(() => releases.forEach((release) => release()));
+  const handler = () => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    return new Promise((resolve) => releases.push(() => resolve(running--)));
+  };
+  const workers = [1, 2, 3].map(() =>
+    createQueue(t, { store, jobTimeoutMs: 1000 }).process(handler, {
+      sourceConcurrency: () => 2,
+    })
+  );
+
+  for (const date of ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-04"]) {
+    await workers[0].enqueue({ ...request, parameters: { date } });
+  }
+  workers.forEach((worker) => worker.start());
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  assert.equal(mostRunning, 2);
+  releases.splice(0).forEach((release) => release());
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  releases.splice(0).forEach((release) => release());
+  assert.equal(mostRunning, 2);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HttpClient, TestTransport } = require("../src/services/infrastructure/HttpClient");
+const { CrawlPolicy } = require("../src/services/infrastructure/CrawlPolicy");
+const { SourceMonitor } = require("../src/services/infrastructure/SourceMonitor");
+
+const ORIGIN = "http://stub.test";
+
+// The configured checks, sent to a stub origin answered by `transport`
+const createMonitor = (transport) =>
+  new SourceMonitor({
+    httpClient: new HttpClient({
+      transport,
+      crawlPolicy: new CrawlPolicy({ pace: false, hosts: {} }),
+      sleep: async () => {},
+    }),
+    checkOrigin: ORIGIN,
+    schedule: false,
+  });
+
+test("a check whose response passes its assertions is recorded as healthy", async () => {
+  const transport = new TestTransport()
+    .route("GET", `${ORIGIN}/robots.txt`, { status: 404 })
+    .route("GET", `${ORIGIN}/nba/`, { data: "<title>ESPN NBA</title>" });
+  const monitor = createMonitor(transport);
+
+  const result = await monitor.checkSourceHealth("espn");
+
+  assert.equal(result.healthy, true);
+  assert.equal(result.status, 200);
+  const source = monitor.sources.get("espn");
+  assert.equal(source.successfulRequests, 1);
+  assert.equal(source.status, "healthy");
+});
+
+test("an unexpected status is recorded as a failure with the reason", async () => {
+  const transport = new TestTransport()
+    .route("GET", `${ORIGIN}/robots.txt`, { status: 404 })
+    .route("GET", `${ORIGIN}/nba/`, { status: 503, data: "maintenance" });
+  const monitor = createMonitor(transport);
+
+  const result = await monitor.checkSourceHealth("espn");
+
+  assert.equal(result.healthy, false);
+  assert.equal(result.error, "HTTP 503, expected 200");
+  const source = monitor.sources.get("espn");
+  assert.equal(source.failedRequests, 1);
+  assert.equal(source.status, "unhealthy");
+  assert.equal(
+    transport.requests.filter((request) => request.url === `${ORIGIN}/nba/`).length,
+    1,
+    "a check is a single attempt"
+  );
+});
+
+test("a source without a check is skipped and not recorded", async () => {
+  const transport = new TestTransport();
+  const monitor = createMonitor(transport);
+
+  const result = await monitor.checkSourceHealth("venue_data");
+
+  assert.deepEqual(result, { healthy: null, skipped: "no_check", isQuickCheck: false });
+  assert.equal(transport.requests.length, 0);
+  assert.equal(monitor.sources.get("venue_data").totalRequests, 0);
+});
+
+test("an unreachable robots.txt is recorded as a failure", async () => {
+  const transport = new TestTransport().route("GET", `${ORIGIN}/robots.txt`, { status: 503 });
+  const monitor = createMonitor(transport);
+
+  const result = await monitor.checkSourceHealth("espn");
+
+  assert.equal(result.healthy, false);
+  assert.match(result.error, /robots\.txt could not be fetched/);
+  assert.equal(monitor.sources.get("espn").failedRequests, 1);
+});
+
+test("a check the crawl policy disallows is skipped and not recorded", async () => {
+  const transport = new TestTransport().route("GET", `${ORIGIN}/robots.txt`, {
+    data: "User-agent: *\nDisallow: /nba/\n",
+  });
+  const monitor = createMonitor(transport);
+
+  const result = await monitor.checkSourceHealth("espn");
+
+  assert.equal(result.healthy, null);
+  assert.equal(result.skipped, "disallowed");
+  assert.equal(monitor.sources.get("espn").totalRequests, 0);
+});
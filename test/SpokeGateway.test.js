@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const { SpokeGateway, signSpokeAuth, CLOSE_CODES } = require("../src/services/central/SpokeGateway");
+
+const SECRET = "fireodds-test-secret";
+process.env.FIREODDS_SPOKE_SECRET = SECRET;
+
+// Stands in for the CentralDataOrchestrator: records what the gateway emits
+const fakeOrchestrator = () => {
+  const orchestrator = new EventEmitter();
+  orchestrator.touched = [];
+  orchestrator.touchSpoke = (spokeId) => orchestrator.touched.push(spokeId);
+  return orchestrator;
+};
+
+const startGateway = async (t, options = {}) => {
+  const orchestrator = fakeOrchestrator();
+  const server = http.createServer();
+  const gateway = new SpokeGateway(orchestrator, { heartbeatMs: 60 * 60 * 1000, ...options }).attach(server);
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    gateway.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  return { orchestrator, gateway, url: `ws://127.0.0.1:${server.address().port}/spokes` };
+};
+
+// A spoke socket that queues incoming frames; resolves once the challenge arrives
+const connect = async (url, options = {}) => {
+  const socket = new WebSocket(url, options);
+  const frames = [];
+  const waiting = [];
+  socket.on("message", (raw) => {
+    const frame = JSON.parse(raw.toString());
+    const waiter = waiting.shift();
+    if (waiter) waiter(frame);
+    else frames.push(frame);
+  });
+  socket.next = () =>
+    frames.length > 0 ? Promise.resolve(frames.shift()) : new Promise((resolve) => waiting.push(resolve));
+  socket.closed = new Promise((resolve) => socket.on("close", (code) => resolve(code)));
+  socket.challenge = await socket.next();
+  return socket;
+};
+
+const authFrame = (nonce, { spokeId = "fireodds", secret = SECRET, timestamp = Date.now() } = {}) => ({
+  type: "auth",
+  spokeId,
+  timestamp,
+  signature: signSpokeAuth(secret, spokeId, timestamp, nonce),
+  capabilities: ["odds"],
+});
+
+test("a spoke signing the challenge nonce with its secret is authenticated", async (t) => {
+  const { orchestrator, gateway, url } = await startGateway(t);
+  const connected = new Promise((resolve) => orchestrator.once("spokeConnect", resolve));
+  const socket = await connect(url);
+  t.after(() => socket.close());
+
+  assert.equal(socket.challenge.type, "challenge");
+  socket.send(JSON.stringify(authFrame(socket.challenge.nonce, { spokeId: "FireOdds" })));
+
+  assert.deepEqual(await socket.next(), { type: "authenticated", spokeId: "fireodds", heartbeatMs: 60 * 60 * 1000 });
+  assert.deepEqual(await connected, { spokeId: "fireodds", spokeType: "FireOdds", capabilities: ["odds"] });
+  assert.deepEqual(gateway.getConnectedSpokes(), ["fireodds"]);
+});
+
+test("a wrong secret, an unknown spoke or a stale timestamp is refused", async (t) => {
+  const { url } = await startGateway(t);
+  const attempts = [
+    { secret: "not-the-secret" },
+    { spokeId: "firenope" },
+    { timestamp: Date.now() - 10 * 60 * 1000 },
+  ];
+
+  for (const attempt of attempts) {
+    const socket = await connect(url);
+    socket.send(JSON.stringify(authFrame(socket.challenge.nonce, attempt)));
+    assert.equal(await socket.closed, CLOSE_CODES.AUTH_FAILED);
+  }
+});
+
+test("a nonce only signs in on the socket it was sent on", async (t) => {
+  const { url } = await startGateway(t);
+  const first = await connect(url);
+  const second = await connect(url);
+  t.after(() => first.close());
+
+  const captured = authFrame(first.challenge.nonce);
+  second.send(JSON.stringify(captured));
+  assert.equal(await second.closed, CLOSE_CODES.AUTH_FAILED);
+
+  first.send(JSON.stringify(captured));
+  assert.equal((await first.next()).type, "authenticated");
+});
+
+test("the first auth attempt spends the nonce, valid or not", () => {
+  const gateway = new SpokeGateway(fakeOrchestrator());
+  const closes = [];
+  const socket = { nonce: "abc123", remoteAddress: "127.0.0.1", close: (code, reason) => closes.push(reason) };
+
+  gateway.authenticate(socket, { ...authFrame("abc123"), signature: "0".repeat(64) });
+  gateway.authenticate(socket, authFrame("abc123"));
+
+  assert.deepEqual(closes, ["Invalid signature", "Challenge already used"]);
+  assert.equal(socket.spokeId, undefined);
+});
+
+test("a spoke that misses a heartbeat is dropped", async (t) => {
+  const { orchestrator, gateway, url } = await startGateway(t);
+  const socket = await connect(url, { autoPong: false });
+  socket.send(JSON.stringify(authFrame(socket.challenge.nonce)));
+  await socket.next();
+
+  const disconnected = new Promise((resolve) => orchestrator.once("spokeDisconnect", resolve));
+  const pinged = new Promise((resolve) => socket.once("ping", resolve));
+  gateway.checkHeartbeats();
+  await pinged;
+  gateway.checkHeartbeats();
+
+  assert.deepEqual(await disconnected, { spokeId: "fireodds", reason: "heartbeat timeout" });
+  await socket.closed;
+  assert.deepEqual(gateway.getConnectedSpokes(), []);
+});
+
+test("a spoke answering pings stays connected", async (t) => {
+  const { orchestrator, gateway, url } = await startGateway(t);
+  const socket = await connect(url);
+  t.after(() => socket.close());
+  socket.send(JSON.stringify(authFrame(socket.challenge.nonce)));
+  await socket.next();
+
+  for (let i = 0; i < 3; i++) {
+    gateway.checkHeartbeats();
+    while (orchestrator.touched.length <= i) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  assert.deepEqual(gateway.getConnectedSpokes(), ["fireodds"]);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// The gateway reads its users when first required; sessions stay in memory
+process.env.AUTH_LOCAL_USERS = JSON.stringify([
+  { id: "u1", email: "Ana@Example.com", password: "s3cret-pass", tier: "standard", scopes: ["nba:*"] },
+]);
+delete process.env.REDIS_URL;
+delete process.env.MONGODB_URI;
+
+const authRoutes = require("../services/auth-gateway/auth.routes");
+
+const startGateway = async (t) => {
+  const app = express();
+  app.use(express.json());
+  app.use("/auth", authRoutes);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}/auth`;
+  return async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+};
+
+const login = (post) => post("/login", { email: "ana@example.com", password: "s3cret-pass" });
+
+test("login issues an access token carrying the user's claims", async (t) => {
+  const post = await startGateway(t);
+
+  const { status, body } = await login(post);
+  assert.equal(status, 200);
+  assert.equal(body.data.tokenType, "Bearer");
+  assert.match(body.data.refreshToken, /^frt_/);
+  assert.equal(body.data.user.passwordHash, undefined);
+
+  const validated = await post("/validate", { token: body.data.accessToken });
+  assert.equal(validated.status, 200);
+  assert.equal(validated.body.data.claims.sub, "u1");
+  assert.equal(validated.body.data.claims.tier, "standard");
+  assert.deepEqual(validated.body.data.claims.scopes, ["nba:*"]);
+});
+
+test("login refuses a wrong password and an unknown email alike", async (t) => {
+  const post = await startGateway(t);
+
+  const wrongPassword = await post("/login", { email: "ana@example.com", password: "nope" });
+  const unknownEmail = await post("/login", { email: "bob@example.com", password: "s3cret-pass" });
+
+  assert.equal(wrongPassword.status, 401);
+  assert.equal(wrongPassword.body.error.code, "INVALID_CREDENTIALS");
+  assert.deepEqual(unknownEmail.body.error.code, wrongPassword.body.error.code);
+
+  const missing = await post("/login", { email: "ana@example.com" });
+  assert.equal(missing.status, 400);
+});
+
+test("refresh rotates the token; reusing a spent one revokes the whole family", async (t) => {
+  const post = await startGateway(t);
+  const first = (await login(post)).body.data.refreshToken;
+
+  const rotated = await post("/refresh", { refreshToken: first });
+  assert.equal(rotated.status, 200);
+  const second = rotated.body.data.refreshToken;
+  assert.notEqual(second, first);
+
+  const reused = await post("/refresh", { refreshToken: first });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error.code, "REFRESH_TOKEN_REUSED");
+
+  // The successor was issued to whoever holds the leaked token too
+  const successor = await post("/refresh", { refreshToken: second });
+  assert.equal(successor.status, 401);
+  assert.equal(successor.body.error.code, "REFRESH_TOKEN_REVOKED");
+});
+
+test("logout ends one session, or every session of the user", async (t) => {
+  const post = await startGateway(t);
+  const laptop = (await login(post)).body.data.refreshToken;
+  const phone = (await login(post)).body.data.refreshToken;
+  const tablet = (await login(post)).body.data.refreshToken;
+
+  const single = await post("/logout", { refreshToken: laptop });
+  assert.equal(single.body.data.revokedSessions, 1);
+  assert.equal((await post("/refresh", { refreshToken: laptop })).status, 401);
+  assert.equal((await post("/refresh", { refreshToken: phone })).status, 200);
+
+  const everywhere = await post("/logout", { refreshToken: tablet, allSessions: true });
+  assert.equal(everywhere.status, 200);
+  assert.equal(
+    (await post("/refresh", { refreshToken: tablet })).body.error.code,
+    "REFRESH_TOKEN_REVOKED"
+  );
+});
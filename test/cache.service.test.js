@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CacheService } = require("../services/cache.service");
+const { MemoryCacheStore } = require("../services/stores/memory-cache.store");
+
+// A fetcher that counts its calls and resolves only when released
+const gatedFetcher = (value) => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const fetcher = async () => {
+    fetcher.calls++;
+    await gate;
+    return value;
+  };
+  fetcher.calls = 0;
+  fetcher.release = release;
+  return fetcher;
+};
+
+test("concurrent misses on a key share one fetch", async () => {
+  const cache = new CacheService({ store: new MemoryCacheStore(), namespace: "teams" });
+  const fetcher = gatedFetcher({ teams: ["LAL", "BOS"] });
+
+  const waiting = Array.from({ length: 5 }, () => cache.wrap("teams:all", fetcher, 60));
+  fetcher.release();
+  const results = await Promise.all(waiting);
+
+  assert.equal(fetcher.calls, 1);
+  for (const result of results) {
+    assert.deepEqual(result, { teams: ["LAL", "BOS"] });
+  }
+  assert.deepEqual(await cache.get("teams:all"), { teams: ["LAL", "BOS"] });
+});
+
+test("a stale value is served while one background refresh runs", async () => {
+  const cache = new CacheService({ store: new MemoryCacheStore(), namespace: "games" });
+  await cache.set("score:1", { home: 98 }, 0, { staleTtl: 60 });
+  assert.equal(await cache.get("score:1"), null);
+
+  const fetcher = gatedFetcher({ home: 101 });
+  assert.deepEqual(await cache.wrap("score:1", fetcher, 60), { home: 98 });
+  assert.deepEqual(await cache.wrap("score:1", fetcher, 60), { home: 98 });
+  assert.equal(fetcher.calls, 1);
+
+  fetcher.release();
+  await cache.inflight.get("games:score:1");
+  assert.deepEqual(await cache.wrap("score:1", fetcher, 60), { home: 101 });
+  assert.equal(fetcher.calls, 1);
+});
+
+test("null results and failed fetches are not cached", async () => {
+  const cache = new CacheService({ store: new MemoryCacheStore() });
+
+  assert.equal(await cache.wrap("team:none", async () => null, 60), null);
+  await assert.rejects(cache.wrap("team:err", async () => {
+    throw new Error("upstream down");
+  }, 60), /upstream down/);
+
+  assert.equal(await cache.wrap("team:err", async () => "recovered", 60), "recovered");
+  assert.equal(cache.inflight.size, 0);
+});
+
+test("the TTL may depend on the fetched value", async () => {
+  const store = new MemoryCacheStore();
+  const cache = new CacheService({ store });
+  const ttl = (score) => (score.status === "live" ? 5 : 300);
+
+  await cache.wrap("score:live", async () => ({ status: "live" }), { ttl });
+  await cache.wrap("score:final", async () => ({ status: "final" }), { ttl });
+
+  const live = await store.get("score:live");
+  const final = await store.get("score:final");
+  assert.equal(live.freshUntil - live.storedAt, 5 * 1000);
+  assert.equal(final.freshUntil - final.storedAt, 300 * 1000);
+});
+
+test("a purge during a fetch keeps its outdated result out of the cache", async () => {
+  const cache = new CacheService({ store: new MemoryCacheStore(), tagResolver: () => ["team:lal"] });
+  const fetcher = gatedFetcher({ wins: 10 });
+
+  const pending = cache.wrap("team:lal:stats", fetcher, 60);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await cache.invalidateTags(["team:lal"]);
+  fetcher.release();
+
+  assert.deepEqual(await pending, { wins: 10 });
+  assert.equal(await cache.get("team:lal:stats"), null);
+});
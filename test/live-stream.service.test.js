@@ -0,0 +1,155 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { LiveStreamService, gameChannel } = require("../services/live-stream.service");
+
+// Polls only run against a connected database
+const connect = (t) => {
+  Object.defineProperty(mongoose.connection, "readyState", { value: 1, configurable: true });
+  t.after(() => delete mongoose.connection.readyState);
+};
+
+// A Game model over one mutable game; `hold()` stalls the next find until released
+const fakeModel = () => {
+  const game = {
+    gameId: "0022400001",
+    homeTeam: { teamId: "1610612747", abbreviation: "LAL" },
+    awayTeam: { teamId: "1610612738", abbreviation: "BOS" },
+    liveScore: { quarter: 1, homeScore: 0, awayScore: 0, gameStatus: "live", recentPlays: [] },
+  };
+  let gate = null;
+
+  const model = {
+    game,
+    find: () => ({
+      select: () => ({
+        lean: async () => {
+          if (gate) await gate.promise;
+          return [structuredClone(game)];
+        },
+      }),
+    }),
+    hold() {
+      gate = {};
+      gate.promise = new Promise((resolve) => {
+        gate.release = () => {
+          gate = null;
+          resolve();
+        };
+      });
+      return gate.release;
+    },
+  };
+  return model;
+};
+
+const setup = (t) => {
+  connect(t);
+  const model = fakeModel();
+  const service = new LiveStreamService(model, { pollIntervalMs: 60 * 60 * 1000 });
+  t.after(() => service.stop());
+  return { model, service };
+};
+
+const collect = () => {
+  const received = [];
+  const listener = (message) => received.push(message);
+  listener.received = received;
+  listener.events = () => received.map((message) => message.event);
+  return listener;
+};
+
+const channel = gameChannel("0022400001");
+const ticks = async (count = 5) => {
+  for (let i = 0; i < count; i++) await new Promise((resolve) => setImmediate(resolve));
+};
+
+test("a client leaving while another waits for its snapshot keeps the channel polled", async (t) => {
+  const { model, service } = setup(t);
+  const first = collect();
+  const unsubscribeFirst = await service.subscribe(channel, first);
+
+  const release = model.hold();
+  const second = collect();
+  const subscribing = service.subscribe(channel, second);
+  await ticks();
+
+  // Scored while the second client's snapshot poll is in flight
+  model.game.liveScore.homeScore = 2;
+  unsubscribeFirst();
+  release();
+  const unsubscribeSecond = await subscribing;
+
+  assert.ok(service.pollTimer);
+  assert.deepEqual(second.events(), ["snapshot"]);
+  assert.equal(second.received[0].data.games[0].homeScore, 2);
+
+  model.game.liveScore.awayScore = 3;
+  await service.poll();
+  assert.deepEqual(second.events(), ["snapshot", "score"]);
+  assert.equal(second.received[1].data.awayScore, 3);
+
+  unsubscribeSecond();
+  assert.equal(service.pollTimer, null);
+});
+
+test("events published during the snapshot poll are not delivered twice", async (t) => {
+  const { model, service } = setup(t);
+  const watcher = collect();
+  await service.subscribe(channel, watcher);
+
+  const release = model.hold();
+  const polling = service.poll();
+  const joiner = collect();
+  const subscribing = service.subscribe(channel, joiner);
+  model.game.liveScore.homeScore = 2;
+  release();
+  await polling;
+  await subscribing;
+
+  assert.deepEqual(watcher.events(), ["snapshot", "score"]);
+  assert.deepEqual(joiner.events(), ["snapshot"]);
+  assert.ok(joiner.received[0].id >= watcher.received[1].id);
+});
+
+test("a reconnecting client resumes after its Last-Event-ID", async (t) => {
+  const { model, service } = setup(t);
+  const watcher = collect();
+  await service.subscribe(channel, watcher);
+
+  model.game.liveScore.homeScore = 2;
+  await service.poll();
+  model.game.liveScore.quarter = 2;
+  model.game.liveScore.recentPlays.push({ sequence: 1, quarter: 2, type: "shot", description: "Layup" });
+  await service.poll();
+  assert.deepEqual(watcher.events(), ["snapshot", "score", "period", "play"]);
+
+  const lastEventId = watcher.received[1].id;
+  const resumed = collect();
+  await service.subscribe(channel, resumed, { lastEventId });
+  assert.deepEqual(resumed.received, watcher.received.slice(2));
+
+  // An id from before this polling session cannot be resumed
+  const stale = collect();
+  await service.subscribe(channel, stale, { lastEventId: 0 });
+  assert.deepEqual(stale.events(), ["snapshot"]);
+});
+
+test("an id the ring buffer no longer holds gets a snapshot", async (t) => {
+  connect(t);
+  const model = fakeModel();
+  const service = new LiveStreamService(model, { pollIntervalMs: 60 * 60 * 1000, bufferSize: 1 });
+  t.after(() => service.stop());
+  const watcher = collect();
+  await service.subscribe(channel, watcher);
+
+  for (const score of [2, 4]) {
+    model.game.liveScore.homeScore = score;
+    await service.poll();
+  }
+
+  const resumed = collect();
+  await service.subscribe(channel, resumed, { lastEventId: watcher.received[1].id - 1 });
+  assert.deepEqual(resumed.events(), ["snapshot"]);
+  assert.equal(resumed.received[0].data.games[0].homeScore, 4);
+});
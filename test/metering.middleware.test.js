@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { meterUsage, resolveEndpoint } = require("../middleware/metering.middleware");
+const { meteringService, MeteringService } = require("../services/metering.service");
+
+// Metered app: `X-User` authenticates, `X-Reject` plays a rejecting limiter
+const startApp = async (t) => {
+  const app = express();
+  app.use(meterUsage);
+  app.use((req, res, next) => {
+    if (req.get("X-User")) {
+      req.principal = { type: "jwt", id: req.get("X-User"), tier: "free" };
+    }
+    req.rateLimit = { tier: "free", rejected: Boolean(req.get("X-Reject")) };
+    if (req.rateLimit.rejected) {
+      return res.status(429).json({ code: "QUOTA_EXCEEDED" });
+    }
+    next();
+  });
+  app.get("/games/:gameId", (req, res) => res.json({ gameId: req.params.gameId }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return async (path, headers = {}) => {
+    const response = await fetch(`${base}${path}`, { headers });
+    return { status: response.status, text: await response.text() };
+  };
+};
+
+const pendingFor = (subject) =>
+  [...meteringService.pending.values()].filter((entry) => entry.filter.subject === subject);
+
+test("records authenticated calls by route template, status and bytes", async (t) => {
+  meteringService.pending.clear();
+  const request = await startApp(t);
+
+  const { text } = await request("/games/42", { "X-User": "ana" });
+  await request("/games/43", { "X-User": "ana" });
+
+  const entries = pendingFor("user:ana");
+  assert.deepEqual(entries.map((entry) => entry.filter.granularity).sort(), ["day", "hour"]);
+  for (const entry of entries) {
+    assert.equal(entry.filter.endpoint, "GET /games/:gameId");
+    assert.equal(entry.inc.requests, 2);
+    assert.equal(entry.inc["status.2xx"], 2);
+    assert.equal(entry.inc.bytes, 2 * Buffer.byteLength(text));
+  }
+});
+
+test("skips anonymous calls and calls the rate limiter rejected", async (t) => {
+  meteringService.pending.clear();
+  const request = await startApp(t);
+
+  await request("/games/42");
+  const rejected = await request("/games/42", { "X-User": "bob", "X-Reject": "1" });
+
+  assert.equal(rejected.status, 429);
+  assert.equal(meteringService.pending.size, 0);
+});
+
+test("buckets by hour and day and counts statuses by class", (t) => {
+  const service = new MeteringService(null, { flushIntervalMs: 60 * 1000 });
+  t.after(() => clearInterval(service.flushTimer));
+  const at = new Date("2026-03-01T10:15:00Z");
+
+  service.record({ subject: "key:1", endpoint: "GET /x", statusCode: 200, latencyMs: 20, bytes: 10, at });
+  service.record({ subject: "key:1", endpoint: "GET /x", statusCode: 404, latencyMs: 50, bytes: 5, at });
+  service.record({ subject: "key:1", endpoint: "GET /x", statusCode: 503, latencyMs: 5, at: new Date("2026-03-01T11:00:00Z") });
+
+  const hours = [...service.pending.values()].filter((entry) => entry.filter.granularity === "hour");
+  const days = [...service.pending.values()].filter((entry) => entry.filter.granularity === "day");
+
+  assert.equal(hours.length, 2);
+  assert.equal(hours[0].filter.bucket.toISOString(), "2026-03-01T10:00:00.000Z");
+  assert.deepEqual(
+    { requests: hours[0].inc.requests, ok: hours[0].inc["status.2xx"], notFound: hours[0].inc["status.4xx"] },
+    { requests: 2, ok: 1, notFound: 1 }
+  );
+  assert.equal(hours[0].inc.latencyMsTotal, 70);
+  assert.equal(hours[0].latencyMsMax, 50);
+
+  assert.equal(days.length, 1);
+  assert.equal(days[0].inc.requests, 3);
+  assert.equal(days[0].inc["status.5xx"], 1);
+});
+
+test("resolveEndpoint names unmatched requests", () => {
+  assert.equal(resolveEndpoint({ method: "GET" }), "unmatched");
+});
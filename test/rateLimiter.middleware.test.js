@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createRateLimiter } = require("../middleware/rateLimiter.middleware");
+const { MemoryRateLimitStore } = require("../services/stores/memory-rate-limit.store");
+const { TIERS } = require("../config/tiers");
+
+const quotaKey = (callerKey) => `quota:${new Date().toISOString().slice(0, 7)}:${callerKey}`;
+
+// An app whose callers are `X-User` on tier `X-Tier` (anonymous without),
+// limited by a fresh limiter over a memory store
+const startApp = async (t, handler = (req, res) => res.json({ ok: true }), { mounts = 1 } = {}) => {
+  const store = new MemoryRateLimitStore();
+  const limiter = createRateLimiter({ store });
+  const app = express();
+  app.use((req, res, next) => {
+    if (req.get("X-User")) {
+      req.principal = { type: "jwt", id: req.get("X-User"), tier: req.get("X-Tier") || "free" };
+    }
+    next();
+  });
+  app.get("/", ...Array(mounts).fill(limiter), handler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => {
+    store.close();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  const request = (headers = {}, init = {}) => fetch(url, { headers, ...init });
+  return { store, request };
+};
+
+test("anonymous callers get the free tier's hourly limit", async (t) => {
+  const { request } = await startApp(t);
+  const limit = TIERS.free.requestsPerHour;
+
+  for (let i = 0; i < limit; i++) {
+    const response = await request();
+    assert.equal(response.status, 200);
+    await response.arrayBuffer();
+  }
+
+  const over = await request();
+  assert.equal(over.status, 429);
+  assert.equal((await over.json()).code, "RATE_LIMIT_EXCEEDED");
+  assert.ok(Number(over.headers.get("Retry-After")) > 0);
+  assert.equal(over.headers.get("X-Quota-Remaining"), null);
+});
+
+test("each admitted call reserves one unit of the monthly quota", async (t) => {
+  const { store, request } = await startApp(t);
+
+  const response = await request({ "X-User": "ana", "X-Tier": "standard" });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("X-RateLimit-Tier"), "standard");
+  assert.equal(Number(response.headers.get("X-Quota-Remaining")), TIERS.standard.requestsPerMonth - 1);
+  assert.equal((await store.get(quotaKey("user:ana"))).count, 1);
+});
+
+test("concurrent calls at the quota edge cannot overshoot it", async (t) => {
+  const { store, request } = await startApp(t);
+  const quota = TIERS.free.requestsPerMonth;
+  await store.increment(quotaKey("user:ana"), 60 * 60 * 1000);
+  store.counters.get(quotaKey("user:ana")).count = quota - 1;
+
+  const responses = await Promise.all(
+    Array.from({ length: 5 }, () => request({ "X-User": "ana" }))
+  );
+  const statuses = responses.map((response) => response.status).sort();
+
+  assert.deepEqual(statuses, [200, 429, 429, 429, 429]);
+  const rejected = responses.find((response) => response.status === 429);
+  assert.equal((await rejected.json()).code, "QUOTA_EXCEEDED");
+  assert.equal((await store.get(quotaKey("user:ana"))).count, quota);
+});
+
+test("a call the client abandons is refunded", async (t) => {
+  let closed;
+  const abandoned = new Promise((resolve) => {
+    closed = resolve;
+  });
+  const { store, request } = await startApp(t, (req, res) => res.on("close", closed));
+
+  const controller = new AbortController();
+  const pending = request({ "X-User": "ana" }, { signal: controller.signal }).catch((error) => error);
+  while (!(await store.get(quotaKey("user:ana")))) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  controller.abort();
+  await pending;
+  await abandoned;
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal((await store.get(quotaKey("user:ana"))).count, 0);
+});
+
+test("the limiter runs once per request however often it is mounted", async (t) => {
+  const { store, request } = await startApp(t, undefined, { mounts: 2 });
+  const response = await request({ "X-User": "ana" });
+  await response.arrayBuffer();
+
+  assert.equal((await store.get("user:ana")).count, 1);
+  assert.equal((await store.get(quotaKey("user:ana"))).count, 1);
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { tierGate, requireTier, applyTierMap } = require("../middleware/tier.middleware");
+const { createRouteTable } = require("../utils/route-matcher");
+const { tokenService } = require("../services/auth-gateway/token.service");
+
+// A games router declared like the NBA ones: static paths before /:gameId
+const gamesRouter = () => {
+  const router = express.Router();
+  router.get("/today", (req, res) => res.json({ route: "today" }));
+  router.get("/historical", (req, res) => res.json({ route: "historical" }));
+  router.get("/:gameId", (req, res) => res.json({ route: "game", gameId: req.params.gameId }));
+  router.post("/:gameId/notes", (req, res) => res.json({ route: "notes" }));
+
+  return applyTierMap(router, {
+    "GET /today": "free",
+    "GET /historical": "premium",
+    "GET /:gameId": "standard",
+    "POST /:gameId/notes": "standard",
+  });
+};
+
+// Serve `app` on a free port until the test ends; resolves to its base URL
+const listen = async (t, app) => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+// A fetch against `app` that signs a token for the given tier and scopes
+const serve = async (t, app) => {
+  const base = await listen(t, app);
+  return async (method, path, { tier, scopes } = {}) => {
+    const headers = {};
+    if (tier) {
+      const token = tokenService.signAccessToken({ id: `user-${tier}`, tier, scopes });
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${base}${path}`, { method, headers });
+    return { status: response.status, body: await response.json() };
+  };
+};
+
+const gamesApp = () => {
+  const router = gamesRouter();
+  const app = express();
+  app.use("/games", tierGate(router.tierMap, { scope: "nba:games" }), router);
+  return app;
+};
+
+test("route table matches entries in declaration order", () => {
+  const table = createRouteTable(gamesRouter().tierMap);
+
+  assert.equal(table.match("GET", "/historical").value, "premium");
+  assert.equal(table.match("GET", "/12345").value, "standard");
+  assert.equal(table.match("HEAD", "/today").value, "free");
+  assert.equal(table.match("DELETE", "/12345"), null);
+});
+
+test("a static route declared before /:gameId keeps its own tier", async (t) => {
+  const request = await serve(t, gamesApp());
+
+  const standard = await request("GET", "/games/historical", { tier: "standard" });
+  assert.equal(standard.status, 403);
+  assert.equal(standard.body.code, "TIER_UPGRADE_REQUIRED");
+  assert.equal(standard.body.requiredTier, "premium");
+
+  const premium = await request("GET", "/games/historical", { tier: "premium" });
+  assert.equal(premium.status, 200);
+  assert.equal(premium.body.route, "historical");
+
+  const game = await request("GET", "/games/0022300001", { tier: "standard" });
+  assert.equal(game.status, 200);
+  assert.equal(game.body.gameId, "0022300001");
+});
+
+test("paid endpoints need credentials; free ones do not", async (t) => {
+  const request = await serve(t, gamesApp());
+
+  const anonymous = await request("GET", "/games/0022300001");
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, "NO_AUTHENTICATION");
+
+  const today = await request("GET", "/games/today");
+  assert.equal(today.status, 200);
+  assert.equal(today.body.route, "today");
+
+  const free = await request("GET", "/games/0022300001", { tier: "free" });
+  assert.equal(free.status, 403);
+  assert.equal(free.body.currentTier, "free");
+});
+
+test("authenticated callers need the router's read or write scope", async (t) => {
+  const request = await serve(t, gamesApp());
+
+  const otherDomain = await request("GET", "/games/today", { tier: "premium", scopes: ["nba:teams:read"] });
+  assert.equal(otherDomain.status, 403);
+  assert.equal(otherDomain.body.requiredScope, "nba:games:read");
+
+  const readOnly = await request("POST", "/games/0022300001/notes", {
+    tier: "premium",
+    scopes: ["nba:games:read"],
+  });
+  assert.equal(readOnly.status, 403);
+  assert.equal(readOnly.body.requiredScope, "nba:games:write");
+
+  const wildcard = await request("POST", "/games/0022300001/notes", { tier: "premium", scopes: ["nba:*"] });
+  assert.equal(wildcard.status, 200);
+
+  const unrestricted = await request("GET", "/games/0022300001", { tier: "standard", scopes: [] });
+  assert.equal(unrestricted.status, 200);
+});
+
+test("requireTier compares tier levels and rejects unknown tiers", async (t) => {
+  assert.throws(() => requireTier("gold"), /Unknown tier: gold/);
+  assert.throws(() => applyTierMap(express.Router(), { "GET /": "gold" }), /Unknown tier 'gold'/);
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.principal = { id: "caller", tier: req.get("X-Tier"), scopes: [] };
+    next();
+  });
+  app.get("/", requireTier("standard"), (req, res) => res.json({ ok: true }));
+
+  const url = `${await listen(t, app)}/`;
+
+  const statusFor = async (tier) => (await fetch(url, { headers: { "X-Tier": tier } })).status;
+  assert.equal(await statusFor("free"), 403);
+  assert.equal(await statusFor("standard"), 200);
+  assert.equal(await statusFor("premium"), 200);
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TopicBroker, matchTopic, compileFilter } = require("../services/data-router/topic-broker");
+const { topicsForCollected } = require("../services/data-router/topics");
+const { MemoryTopicStore } = require("../services/stores/memory-topic.store");
+const { CentralDataOrchestrator } = require("../src/services/central/CentralDataOrchestrator");
+
+// A memory store whose history reads wait until `release()`
+class GatedTopicStore extends MemoryTopicStore {
+  hold() {
+    this.gate = new Promise((resolve) => {
+      this.release = resolve;
+    });
+  }
+
+  async history(topic, limit) {
+    if (this.gate) await this.gate;
+    return super.history(topic, limit);
+  }
+}
+
+const setup = (t, store = new MemoryTopicStore()) => {
+  const broker = new TopicBroker({ store, historySize: 10 });
+  t.after(() => broker.close());
+  return broker;
+};
+
+const collect = () => {
+  const received = [];
+  const listener = (message, { replayed }) => received.push({ score: message.data.home, replayed });
+  listener.received = received;
+  return listener;
+};
+
+// Store deliveries run on setImmediate
+const delivered = () => new Promise((resolve) => setImmediate(resolve));
+
+test("* matches one segment and a trailing # any remaining ones", () => {
+  assert.equal(matchTopic("nba.game.*.score", "nba.game.0022400001.score"), true);
+  assert.equal(matchTopic("nba.game.*.score", "nba.game.0022400001"), false);
+  assert.equal(matchTopic("nba.game.*", "nba.game.0022400001.score"), false);
+  assert.equal(matchTopic("nba.#", "nba.injuries.lal"), true);
+  assert.equal(matchTopic("nba.#", "nba"), true);
+  assert.equal(matchTopic("nba.injuries.lal", "nba.injuries.bos"), false);
+});
+
+test("compileFilter checks every field against a value or a list, along dot paths", () => {
+  const accepts = compileFilter({ homeTeam: ["LAL", "BOS"], "venue.city": "Los Angeles" });
+
+  assert.equal(accepts({ data: { homeTeam: "LAL", venue: { city: "Los Angeles" } } }), true);
+  assert.equal(accepts({ data: { homeTeam: "MIA", venue: { city: "Los Angeles" } } }), false);
+  assert.equal(accepts({ data: { homeTeam: "BOS" } }), false);
+  assert.equal(compileFilter({ teams: "lal" })({ data: { teams: ["bos", "lal"] } }), true);
+  assert.equal(compileFilter({ period: 4 })({ data: { period: "4" } }), true);
+  assert.equal(compileFilter(null)({ data: {} }), true);
+  assert.throws(() => compileFilter(["LAL"]), /Filter must be an object/);
+});
+
+test("a replayed subscription gets history first and each message once", async (t) => {
+  const store = new GatedTopicStore();
+  const broker = setup(t, store);
+  await broker.publish("nba.game.1.score", { home: 2 });
+  await broker.publish("nba.game.2.score", { home: 4 });
+  await broker.publish("nba.injuries.lal", { home: -1 });
+
+  store.hold();
+  const listener = collect();
+  const subscribing = broker.subscribe("nba.game.*.score", listener, { replay: 5 });
+  await delivered();
+
+  // Published while the replay is read: in the history and in the live queue
+  await broker.publish("nba.game.1.score", { home: 6 });
+  await delivered();
+  store.release();
+  await subscribing;
+
+  await broker.publish("nba.game.2.score", { home: 8 });
+  await delivered();
+
+  assert.deepEqual(listener.received, [
+    { score: 2, replayed: true },
+    { score: 4, replayed: true },
+    { score: 6, replayed: true },
+    { score: 8, replayed: false },
+  ]);
+});
+
+test("filters apply to replayed and live messages alike", async (t) => {
+  const broker = setup(t);
+  // Still in flight in the store when they are replayed; not delivered twice
+  await broker.publish("nba.game.1.score", { home: 2, homeTeam: "LAL" });
+  await broker.publish("nba.game.2.score", { home: 4, homeTeam: "MIA" });
+
+  const listener = collect();
+  const subscription = await broker.subscribe("nba.#", listener, { replay: 1, filter: { homeTeam: "LAL" } });
+  await broker.publish("nba.game.3.score", { home: 6, homeTeam: "MIA" });
+  await broker.publish("nba.game.1.score", { home: 8, homeTeam: "LAL" });
+  await delivered();
+
+  subscription.unsubscribe();
+  await broker.publish("nba.game.1.score", { home: 10, homeTeam: "LAL" });
+  await delivered();
+
+  assert.deepEqual(listener.received, [
+    { score: 2, replayed: true },
+    { score: 8, replayed: false },
+  ]);
+});
+
+test("collected sports data is routed to its game and team topics", async () => {
+  const orchestrator = new CentralDataOrchestrator();
+  const collect = (parameters) =>
+    orchestrator.collectSportsData({ sport: "basketball", teams: ["LAL", "BOS"], predictionFactors: [], ...parameters });
+
+  const forGame = await collect({ league: "nba", gameId: "0022400001", predictionFactors: ["injuries", "referee"] });
+  assert.deepEqual(topicsForCollected({ dataType: "sports_data", result: forGame }), [
+    "nba.game.0022400001",
+    "nba.injuries.lal",
+    "nba.injuries.bos",
+  ]);
+
+  const injuries = await collect({ teams: "LAL, BOS", predictionFactors: ["injuries"] });
+  assert.deepEqual(topicsForCollected({ dataType: "sports_data", result: injuries }), [
+    "basketball.injuries.lal",
+    "basketball.injuries.bos",
+  ]);
+
+  const other = await collect({ league: "nba", predictionFactors: ["venue"] });
+  assert.deepEqual(topicsForCollected({ dataType: "sports_data", result: other }), ["nba.data"]);
+
+  const scored = { sport: "basketball", league: "nba", gameId: "0022400001", homeScore: 98 };
+  assert.deepEqual(topicsForCollected({ dataType: "sports_data", result: scored }), [
+    "nba.game.0022400001",
+    "nba.game.0022400001.score",
+  ]);
+});
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { updateTouches } = require("../models/plugins/updatePaths");
+
+test("updates that set the field, a parent or a child touch it", () => {
+  const path = "liveScore.gameStatus";
+
+  assert.equal(updateTouches({ $set: { "liveScore.gameStatus": "final" } }, path), true);
+  assert.equal(updateTouches({ "liveScore.gameStatus": "final" }, path), true);
+  assert.equal(updateTouches({ $set: { liveScore: { gameStatus: "final" } } }, path), true);
+  assert.equal(updateTouches({ $unset: { liveScore: 1 } }, path), true);
+  assert.equal(updateTouches({ $set: { "roster.$.status": "injured" } }, "roster"), true);
+  assert.equal(updateTouches({ $push: { roster: { playerId: "2544" } } }, "roster"), true);
+  assert.equal(updateTouches([{ $set: { "liveScore.homeScore": 2 } }], path), true);
+});
+
+test("updates elsewhere, including sibling fields, do not", () => {
+  const path = "liveScore.gameStatus";
+
+  assert.equal(updateTouches({ $set: { "liveScore.homeScore": 102, "dataQuality.freshness": new Date() } }, path), false);
+  assert.equal(updateTouches({ $inc: { "liveScore.awayScore": 3 } }, path), false);
+  assert.equal(updateTouches({ $set: { "liveScore.gameStatusNote": "delay" } }, path), false);
+  assert.equal(updateTouches({ $set: { rosterSize: 15 } }, "roster"), false);
+  assert.equal(updateTouches(null, path), false);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { LocalUserStore, hashPassword } = require("../services/auth-gateway/user.store");
+
+test("fromEnv starts empty on invalid JSON or a non-array", () => {
+  assert.equal(LocalUserStore.fromEnv("[{").users.size, 0);
+  assert.equal(LocalUserStore.fromEnv('{"id":"a"}').users.size, 0);
+  assert.equal(LocalUserStore.fromEnv("").users.size, 0);
+});
+
+test("fromEnv skips invalid entries, including placeholder hashes, and keeps the rest", () => {
+  const store = LocalUserStore.fromEnv(
+    JSON.stringify([
+      null,
+      { id: "no-password", email: "a@example.com" },
+      { id: "placeholder", email: "b@example.com", passwordHash: "scrypt$<salt>$<hash>" },
+      { id: "hashed", email: "c@example.com", passwordHash: hashPassword("pw") },
+    ])
+  );
+
+  assert.deepEqual([...store.users.keys()], ["hashed"]);
+});
+
+test("verifyCredentials matches the email case-insensitively and hides the hash", async () => {
+  const store = new LocalUserStore([{ id: 7, email: "Ana@Example.com", password: "pw", roles: ["analyst"] }]);
+
+  const user = await store.verifyCredentials("ANA@example.com", "pw");
+  assert.deepEqual(user, {
+    id: "7",
+    email: "ana@example.com",
+    roles: ["analyst"],
+    tier: "free",
+    scopes: [],
+  });
+  assert.equal(await store.verifyCredentials("ana@example.com", "wrong"), null);
+  assert.equal(await store.verifyCredentials("nobody@example.com", "pw"), null);
+});
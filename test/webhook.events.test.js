@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { rosterStatusEvents, WEBHOOK_EVENT_TYPES } = require("../services/webhooks/webhook.events");
+
+const team = { teamId: "1610612747" };
+const player = (status, injury) => ({ playerId: "2544", firstName: "LeBron", lastName: "James", status, injury });
+
+test("injury and suspension events can be subscribed to", () => {
+  assert.ok(WEBHOOK_EVENT_TYPES.includes("injury.status_changed"));
+  assert.ok(WEBHOOK_EVENT_TYPES.includes("suspension.issued"));
+});
+
+test("a player ruled out or back from injury changes their injury status", () => {
+  const returnDate = new Date("2026-11-01T00:00:00Z");
+  const [[type, payload]] = rosterStatusEvents(
+    team,
+    player("injured", { type: "ankle", description: "Left ankle sprain", expectedReturn: returnDate }),
+    "active"
+  );
+
+  assert.equal(type, "injury.status_changed");
+  assert.deepEqual(payload, {
+    playerId: "2544",
+    playerName: "LeBron James",
+    teamId: "1610612747",
+    previousStatus: "active",
+    status: "injured",
+    injury: "Left ankle sprain",
+    expectedReturn: returnDate,
+  });
+
+  const [[, recovered]] = rosterStatusEvents(team, player("active"), "injured");
+  assert.deepEqual([recovered.previousStatus, recovered.status, recovered.injury], ["injured", "active", null]);
+});
+
+test("a suspension is issued when a player becomes suspended", () => {
+  assert.deepEqual(rosterStatusEvents(team, player("suspended"), "active"), [
+    [
+      "suspension.issued",
+      {
+        personId: "2544",
+        personName: "LeBron James",
+        role: "player",
+        teamId: "1610612747",
+        games: null,
+        reason: null,
+        effectiveFrom: null,
+      },
+    ],
+  ]);
+
+  const types = rosterStatusEvents(team, player("suspended"), "injured").map(([type]) => type);
+  assert.deepEqual(types, ["injury.status_changed", "suspension.issued"]);
+});
+
+test("other roster changes publish nothing", () => {
+  assert.deepEqual(rosterStatusEvents(team, player("inactive"), "active"), []);
+});
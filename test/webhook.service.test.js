@@ -0,0 +1,206 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const mongoose = require("mongoose");
+const { WebhookService, signPayload, isPrivateAddress, SIGNATURE_HEADER } = require("../services/webhooks/webhook.service");
+
+const PUBLIC_ADDRESS = "93.184.216.34";
+
+// In-memory stand-ins for the subscription and delivery models
+const fakeModels = (subscription) => {
+  const deliveryUpdates = [];
+
+  const subscriptionModel = {
+    findById: () => ({ select: async () => subscription }),
+    findOneAndUpdate: async (filter, update) => {
+      subscription.consecutiveFailures += update.$inc.consecutiveFailures;
+      return { ...subscription };
+    },
+    updateOne: async (filter, update) => {
+      if (filter.active !== undefined && subscription.active !== filter.active) {
+        return { modifiedCount: 0 };
+      }
+      Object.assign(subscription, update.$set);
+      return { modifiedCount: 1 };
+    },
+  };
+  const deliveryModel = {
+    updateOne: async (filter, update) => {
+      deliveryUpdates.push(update);
+      return { modifiedCount: 1 };
+    },
+  };
+
+  return { subscriptionModel, deliveryModel, deliveryUpdates };
+};
+
+const setup = ({ respond = () => ({ status: 204 }), addresses = [{ address: PUBLIC_ADDRESS, family: 4 }], ...options } = {}) => {
+  const subscription = {
+    _id: new mongoose.Types.ObjectId(),
+    owner: "partner-1",
+    url: "https://hooks.example.com/fire",
+    secret: "whsec_test",
+    active: true,
+    consecutiveFailures: 0,
+  };
+  const { subscriptionModel, deliveryModel, deliveryUpdates } = fakeModels(subscription);
+  const requests = [];
+
+  const service = new WebhookService({
+    subscriptionModel,
+    deliveryModel,
+    allowPrivateUrls: false,
+    lookup: async () => addresses,
+    transport: async (url, init) => {
+      requests.push({ url, init });
+      return respond(requests.length);
+    },
+    ...options,
+  });
+
+  const delivery = (attempts = 0) => ({
+    _id: new mongoose.Types.ObjectId(),
+    subscription: subscription._id,
+    eventId: "evt_1",
+    eventType: "game.final",
+    payload: { gameId: "0022400001" },
+    attempts,
+    createdAt: new Date("2026-10-19T12:00:00Z"),
+  });
+
+  return { service, subscription, delivery, requests, deliveryUpdates };
+};
+
+const lastUpdate = (deliveryUpdates) => deliveryUpdates[deliveryUpdates.length - 1];
+
+test("signPayload signs the timestamp and the exact body", () => {
+  const body = JSON.stringify({ id: "evt_1" });
+  const expected = crypto.createHmac("sha256", "whsec_test").update(`1760875200.${body}`).digest("hex");
+
+  assert.equal(signPayload("whsec_test", body, 1760875200), `t=1760875200,v1=${expected}`);
+  assert.notEqual(signPayload("whsec_test", body, 1760875201), signPayload("whsec_test", body, 1760875200));
+});
+
+test("isPrivateAddress covers loopback, private, link-local and mapped addresses", () => {
+  for (const host of ["localhost", "api.localhost", "10.1.2.3", "127.0.0.1", "172.16.0.1", "192.168.1.1",
+    "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "[::1]", "fd00::1", "fe80::1",
+    "::ffff:10.0.0.1", "::ffff:a00:1", "metadata.internal"]) {
+    assert.equal(isPrivateAddress(host), true, host);
+  }
+  for (const host of [PUBLIC_ADDRESS, "172.32.0.1", "hooks.example.com", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(host), false, host);
+  }
+});
+
+test("a delivery is signed and connects to the address that was checked", async () => {
+  const { service, subscription, delivery, requests, deliveryUpdates } = setup();
+
+  await service.attempt(delivery());
+
+  const [{ url, init }] = requests;
+  assert.equal(url, subscription.url);
+  const [, timestamp] = init.headers[SIGNATURE_HEADER].match(/^t=(\d+),/);
+  assert.equal(init.headers[SIGNATURE_HEADER], signPayload("whsec_test", init.body, Number(timestamp)));
+  assert.equal(JSON.parse(init.body).type, "game.final");
+
+  const resolved = await new Promise((resolve) => init.lookup("hooks.example.com", { all: true }, (error, list) => resolve(list)));
+  assert.deepEqual(resolved, [{ address: PUBLIC_ADDRESS, family: 4 }]);
+
+  assert.equal(lastUpdate(deliveryUpdates).$set.status, "succeeded");
+  assert.equal(subscription.consecutiveFailures, 0);
+});
+
+test("a host now resolving to a private address is not contacted", async () => {
+  const { service, delivery, requests, deliveryUpdates } = setup({ addresses: [{ address: "10.0.0.5", family: 4 }] });
+
+  await service.attempt(delivery());
+
+  assert.equal(requests.length, 0);
+  const update = lastUpdate(deliveryUpdates);
+  assert.equal(update.$set.status, "pending");
+  assert.match(update.$push.attemptLog.$each[0].error, /Delivery refused: host hooks\.example\.com resolves to a private address/);
+});
+
+test("failures back off exponentially and dead-letter after maxAttempts", async () => {
+  const { service, delivery, deliveryUpdates } = setup({ respond: () => ({ status: 500 }), maxAttempts: 3 });
+
+  const before = Date.now();
+  await service.attempt(delivery(0));
+  const retry = lastUpdate(deliveryUpdates);
+  assert.equal(retry.$set.status, "pending");
+  assert.equal(retry.$push.attemptLog.$each[0].error, "HTTP 500");
+  const delay = retry.$set.nextAttemptAt.getTime() - before;
+  assert.ok(delay >= 24 * 1000 && delay <= 36 * 1000 + 100, `delay ${delay}`);
+
+  await service.attempt(delivery(2));
+  const dead = lastUpdate(deliveryUpdates);
+  assert.equal(dead.$set.status, "dead");
+  assert.ok(dead.$set.deadAt instanceof Date);
+  assert.equal(dead.$set.nextAttemptAt, undefined);
+});
+
+test("backoff doubles per attempt up to the cap, with ±20% jitter", () => {
+  const { service } = setup({ baseBackoffMs: 1000, maxBackoffMs: 5000 });
+  const within = (value, base) => value >= base * 0.8 && value <= base * 1.2;
+
+  for (let i = 0; i < 20; i++) {
+    assert.ok(within(service.backoff(1), 1000));
+    assert.ok(within(service.backoff(3), 4000));
+    assert.ok(within(service.backoff(10), 5000));
+  }
+});
+
+test("a subscription failing too often in a row is disabled once", async () => {
+  const { service, subscription, delivery } = setup({ respond: () => ({ status: 503 }), maxConsecutiveFailures: 2 });
+  const disabled = [];
+  service.on("subscriptionDisabled", (event) => disabled.push(event));
+
+  await service.attempt(delivery());
+  assert.equal(subscription.active, true);
+
+  await service.attempt(delivery());
+  assert.equal(subscription.active, false);
+  assert.match(subscription.disabledReason, /Disabled after 2 consecutive failed deliveries \(last: HTTP 503\)/);
+  assert.deepEqual(disabled.map((event) => event.subscriptionId), [subscription._id.toString()]);
+
+  // Queued deliveries of a disabled subscription are dead-lettered unsent
+  await service.attempt(delivery());
+  assert.equal(disabled.length, 1);
+});
+
+test("a success resets the consecutive failure count", async () => {
+  const { service, subscription, delivery } = setup({ respond: (n) => ({ status: n === 1 ? 500 : 200 }) });
+
+  await service.attempt(delivery());
+  assert.equal(subscription.consecutiveFailures, 1);
+  await service.attempt(delivery());
+  assert.equal(subscription.consecutiveFailures, 0);
+});
+
+test("the default transport connects through the lookup it is given", async (t) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ host: req.headers.host, body });
+      res.writeHead(202).end("ignored");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+
+  const { transport } = new WebhookService();
+  const port = server.address().port;
+  const response = await transport(`http://hooks.example.test:${port}/fire`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{\"id\":\"evt_1\"}",
+    signal: AbortSignal.timeout(5000),
+    lookup: (hostname, options, callback) => callback(null, [{ address: "127.0.0.1", family: 4 }]),
+  });
+
+  assert.equal(response.status, 202);
+  assert.deepEqual(received, [{ host: `hooks.example.test:${port}`, body: "{\"id\":\"evt_1\"}" }]);
+});
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// =============================================================================
+// HTTP FIXTURES
+// =============================================================================
+// Record/replay for scraper requests, keyed by method and full URL.
+//
+//   HTTP_FIXTURES=record   fetch as usual and save each response
+//   HTTP_FIXTURES=replay   serve saved responses; never touch the network
+//   (unset)                pass straight through
+//
+// Responses are saved as fixtures/scraping/http/<host>/<method>-<hash>.json
+// (or under HTTP_FIXTURES_DIR) with the body as text, and come back shaped
+// like an axios response. JSON bodies are parsed on replay, as axios does.
+// =============================================================================
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, '..', 'fixtures', 'scraping', 'http');
+
+class FixtureMissingError extends Error {
+    constructor(method, url) {
+        super(`No recorded fixture for ${method} ${url}`);
+        this.name = 'FixtureMissingError';
+        this.method = method;
+        this.url = url;
+    }
+}
+
+// URL with axios-style `params` folded into the query string
+const fixtureUrl = (url, params = null) => {
+    if (!params || Object.keys(params).length === 0) {
+        return url;
+    }
+
+    const target = new URL(url);
+    Object.entries(params).forEach(([key, value]) => target.searchParams.append(key, value));
+    return target.toString();
+};
+
+class HttpFixtures {
+    constructor(options = {}) {
+        this.mode = options.mode || process.env.HTTP_FIXTURES || 'off';
+        this.dir = options.dir || process.env.HTTP_FIXTURES_DIR || DEFAULT_DIR;
+
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`HTTP_FIXTURES must be one of: ${MODES.join(', ')}`);
+        }
+    }
+
+    fileFor(method, url) {
+        const verb = method.toUpperCase();
+        const hash = crypto.createHash('sha1').update(`${verb} ${url}`).digest('hex').slice(0, 16);
+        const host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+
+        return path.join(this.dir, host, `${verb.toLowerCase()}-${hash}.json`);
+    }
+
+    has(method, url) {
+        return fs.existsSync(this.fileFor(method, url));
+    }
+
+    load(method, url) {
+        const file = this.fileFor(method, url);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const contentType = response.headers['content-type'] || '';
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            data: contentType.includes('json') ? JSON.parse(response.body) : response.body,
+            config: { method, url },
+            fromFixture: true
+        };
+    }
+
+    save(method, url, response) {
+        const file = this.fileFor(method, url);
+        const contentType = (response.headers || {})['content-type'];
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            request: { method: method.toUpperCase(), url },
+            response: {
+                status: response.status,
+                headers: { 'content-type': contentType || 'text/html' },
+                body: typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+            },
+            recordedAt: new Date().toISOString()
+        }, null, 2) + '\n');
+
+        return file;
+    }
+
+    // Run `fetcher` (resolving to an axios-style response) according to the mode
+    async request(method, url, fetcher) {
+        if (this.mode === 'replay') {
+            const response = this.load(method, url);
+            if (!response) {
+                throw new FixtureMissingError(method.toUpperCase(), url);
+            }
+            return response;
+        }
+
+        const response = await fetcher();
+
+        if (this.mode === 'record') {
+            this.save(method, url, response);
+        }
+
+        return response;
+    }
+}
+
+module.exports = {
+    HttpFixtures,
+    FixtureMissingError,
+    fixtureUrl,
+    httpFixtures: new HttpFixtures()
+};
@@ -0,0 +1,57 @@
+// =============================================================================
+// ROUTE MATCHER
+// =============================================================================
+// Matches "METHOD /path" against declarative per-router maps such as
+// { 'GET /:gameId/boxscore': 'standard' }. Supports Express-style `:param`
+// segments. Entries match in declaration order, as Express dispatches, so a
+// map lists `/historical` before `/:gameId` just as the router declares it.
+// =============================================================================
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compile "GET /:gameId/boxscore" into a matcher entry
+const compileRoute = (signature, value) => {
+    const [method, routePath] = signature.trim().split(/\s+/);
+    const segments = routePath.split('/').filter(Boolean);
+
+    const pattern = segments
+        .map(segment => (segment.startsWith(':') ? '[^/]+' : escapeRegExp(segment)))
+        .join('/');
+
+    return {
+        signature: `${method.toUpperCase()} ${routePath}`,
+        method: method.toUpperCase(),
+        path: routePath,
+        regex: new RegExp(`^/${pattern}/?$`, 'i'),
+        params: segments.filter(segment => segment.startsWith(':')).length,
+        value
+    };
+};
+
+// Build a lookup table from a { signature: value } map
+const createRouteTable = (map = {}) => {
+    const entries = Object.entries(map)
+        .map(([signature, value]) => compileRoute(signature, value));
+
+    const bySignature = new Map(entries.map(entry => [entry.signature, entry]));
+
+    return {
+        entries,
+
+        // Entry for an incoming request path (relative to the router mount)
+        match(method, requestPath) {
+            const upperMethod = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+            return entries.find(entry => entry.method === upperMethod && entry.regex.test(requestPath)) || null;
+        },
+
+        // Entry for a declared route, e.g. lookup('GET', '/:gameId/boxscore')
+        lookup(method, routePath) {
+            return bySignature.get(`${method.toUpperCase()} ${routePath}`) || null;
+        }
+    };
+};
+
+module.exports = {
+    compileRoute,
+    createRouteTable
+};
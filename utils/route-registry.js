@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const { createRouteTable } = require('./route-matcher');
+const { conditionalGet } = require('../middleware/conditional.middleware');
+const { tierGate, scopeFor } = require('../middleware/tier.middleware');
+
+// =============================================================================
+// ROUTE REGISTRY
+// =============================================================================
+// Discovers every `*.routes.js` under services/sports/<league>/<domain>/ and
+// mounts it at /api/<league>/<domain>, behind conditional GET handling that
+// takes max-ages from the router's `cachePolicy` and a tier gate built from
+// its `tierMap` that also requires the `<league>:<domain>` scope (e.g.
+// nba:games:read) of authenticated callers. Modules that fail to load
+// (missing controllers, services or packages) are skipped and recorded with
+// a reason so /api and the 404 handler only advertise what is mounted.
+// =============================================================================
+
+class RouteRegistry {
+    constructor(options = {}) {
+        this.sportsDir = options.sportsDir || path.join(__dirname, '..', 'services', 'sports');
+        this.apiPrefix = options.apiPrefix || '/api';
+        this.mounted = [];
+        this.skipped = [];
+    }
+
+    // Find route modules on disk without loading them
+    discover() {
+        const modules = [];
+
+        if (!fs.existsSync(this.sportsDir)) {
+            return modules;
+        }
+
+        for (const league of this.listDirectories(this.sportsDir)) {
+            const leagueDir = path.join(this.sportsDir, league);
+
+            for (const domain of this.listDirectories(leagueDir)) {
+                const domainDir = path.join(leagueDir, domain);
+
+                fs.readdirSync(domainDir)
+                    .filter(file => file.endsWith('.routes.js'))
+                    .sort()
+                    .forEach(file => {
+                        modules.push({
+                            league: league.toLowerCase(),
+                            domain,
+                            file: path.join(domainDir, file),
+                            mountPath: `${this.apiPrefix}/${league.toLowerCase()}/${domain}`
+                        });
+                    });
+            }
+        }
+
+        return modules;
+    }
+
+    // Load and mount every discovered module on the app
+    mountAll(app) {
+        for (const routeModule of this.discover()) {
+            this.mount(app, routeModule);
+        }
+
+        console.log(`🧭 Route registry: ${this.mounted.length} mounted, ${this.skipped.length} skipped`);
+
+        return this;
+    }
+
+    mount(app, routeModule) {
+        let router;
+
+        try {
+            router = require(routeModule.file);
+        } catch (error) {
+            return this.skip(routeModule, this.describeLoadError(error));
+        }
+
+        if (typeof router !== 'function' || !Array.isArray(router.stack)) {
+            return this.skip(routeModule, 'Module does not export an Express router');
+        }
+
+        const scope = `${routeModule.league}:${routeModule.domain}`;
+
+        app.use(
+            routeModule.mountPath,
+            conditionalGet(router.cachePolicy),
+            tierGate(router.tierMap, { scope }),
+            router
+        );
+
+        this.mounted.push({
+            ...routeModule,
+            scope,
+            endpoints: this.listEndpoints(router, routeModule.mountPath, scope)
+        });
+
+        console.log(`✅ Mounted ${routeModule.mountPath}`);
+    }
+
+    skip(routeModule, reason) {
+        this.skipped.push({ ...routeModule, reason });
+        console.warn(`⚠️ Skipped ${routeModule.mountPath}: ${reason}`);
+    }
+
+    // Turn a require() failure into a short, readable reason
+    describeLoadError(error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            const match = error.message.match(/Cannot find module '([^']+)'/);
+            return `Missing dependency: ${match ? match[1] : error.message}`;
+        }
+
+        return `Failed to load: ${error.message}`;
+    }
+
+    // Read the route table of an Express router, with the minimum tier of
+    // each endpoint when the router declares a tier map and the scope it
+    // requires
+    listEndpoints(router, mountPath, scope = null) {
+        const endpoints = [];
+        const tierTable = router.tierMap ? createRouteTable(router.tierMap) : null;
+
+        router.stack.forEach(layer => {
+            if (!layer.route) return;
+
+            const routePath = layer.route.path === '/' ? '' : layer.route.path;
+
+            Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .forEach(method => {
+                    const tierEntry = tierTable && tierTable.lookup(method, layer.route.path);
+
+                    endpoints.push({
+                        method: method.toUpperCase(),
+                        path: `${mountPath}${routePath}`,
+                        routePath: layer.route.path,
+                        tier: tierTable ? (tierEntry ? tierEntry.value : 'free') : null,
+                        scope: scope ? scopeFor(scope, method) : null
+                    });
+                });
+        });
+
+        return endpoints;
+    }
+
+    listDirectories(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    getMountedRoutes() {
+        return this.mounted;
+    }
+
+    getSkippedRoutes() {
+        return this.skipped;
+    }
+
+    // Flat list of mount points and their GET endpoints for 404 responses
+    getAvailableRoutes() {
+        const routes = [];
+
+        this.mounted.forEach(route => {
+            routes.push(route.mountPath);
+            route.endpoints
+                .filter(endpoint => endpoint.method === 'GET' && endpoint.path !== route.mountPath)
+                .forEach(endpoint => routes.push(endpoint.path));
+        });
+
+        return routes;
+    }
+}
+
+module.exports = { RouteRegistry };
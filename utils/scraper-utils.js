@@ -1,7 +1,8 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const puppeteer = require('puppeteer');
 const winston = require('winston');
+const { getCrawlPolicy, getHttpClient } = require('../src/services/container');
+const { randomUserAgent } = require('../src/config/httpClient');
 
 // Configure logger for scraping operations
 const scraperLogger = winston.createLogger({
@@ -19,30 +20,7 @@ const scraperLogger = winston.createLogger({
 class ScraperUtils {
     constructor() {
         this.requestCount = 0;
-        this.lastRequestTime = 0;
-        this.minRequestInterval = 1000; // 1 second between requests
-        this.maxRetries = 3;
         this.timeout = 30000; // 30 seconds timeout
-        this.userAgents = [
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15'
-        ];
-    }
-
-    // Rate limiting function
-    async rateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            const delay = this.minRequestInterval - timeSinceLastRequest;
-            scraperLogger.info(`Rate limiting: waiting ${delay}ms`);
-            await this.sleep(delay);
-        }
-        
-        this.lastRequestTime = Date.now();
-        this.requestCount++;
     }
 
     // Sleep utility
@@ -50,57 +28,12 @@ class ScraperUtils {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Get random user agent
-    getRandomUserAgent() {
-        return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
-    }
-
-    // HTTP request with retry logic
+    // GET through the shared HTTP client: crawl policy, per-host rate limit,
+    // retries with exponential backoff and HTTP fixtures all apply there.
+    // Throws CrawlPolicyError when robots.txt or the crawl denylist forbids the URL
     async makeRequest(url, options = {}) {
-        await this.rateLimit();
-        
-        const defaultOptions = {
-            timeout: this.timeout,
-            headers: {
-                'User-Agent': this.getRandomUserAgent(),
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Accept-Encoding': 'gzip, deflate',
-                'Connection': 'keep-alive',
-                'Upgrade-Insecure-Requests': '1'
-            },
-            ...options
-        };
-
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                scraperLogger.info(`Making request to ${url} (attempt ${attempt}/${this.maxRetries})`);
-                
-                const response = await axios.get(url, defaultOptions);
-                
-                scraperLogger.info(`Request successful: ${url}`, {
-                    statusCode: response.status,
-                    dataLength: response.data.length,
-                    attempt
-                });
-                
-                return response;
-            } catch (error) {
-                scraperLogger.error(`Request failed for ${url} (attempt ${attempt}/${this.maxRetries})`, {
-                    error: error.message,
-                    statusCode: error.response?.status,
-                    attempt
-                });
-
-                if (attempt === this.maxRetries) {
-                    throw new Error(`Failed to fetch ${url} after ${this.maxRetries} attempts: ${error.message}`);
-                }
-
-                // Exponential backoff
-                const delay = Math.pow(2, attempt) * 1000;
-                await this.sleep(delay);
-            }
-        }
+        this.requestCount++;
+        return getHttpClient().get(url, { timeout: this.timeout, retry: 'standard', ...options });
     }
 
     // Scrape HTML content
@@ -124,6 +57,8 @@ class ScraperUtils {
     async scrapeBrowser(url, options = {}) {
         let browser;
         try {
+            await getCrawlPolicy().acquire(url);
+
             const defaultOptions = {
                 waitForSelector: 'body',
                 timeout: this.timeout,
@@ -136,7 +71,7 @@ class ScraperUtils {
             });
             
             const page = await browser.newPage();
-            await page.setUserAgent(this.getRandomUserAgent());
+            await page.setUserAgent(randomUserAgent());
             
             scraperLogger.info(`Browser scraping: ${url}`);
             
@@ -303,7 +238,7 @@ class ScraperUtils {
     getStats() {
         return {
             totalRequests: this.requestCount,
-            averageRequestInterval: this.minRequestInterval,
+            hosts: getHttpClient().getStats(),
             uptime: process.uptime(),
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,73 @@
+// =============================================================================
+// SERVER-SENT EVENTS
+// =============================================================================
+// Minimal text/event-stream writer. Opens the stream, frames events, sends
+// comment heartbeats so proxies keep idle connections open, and stops the
+// heartbeat when the client goes away.
+// =============================================================================
+
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+
+// Last-Event-ID from the reconnect header, or ?lastEventId= for clients that
+// cannot set headers (e.g. the first EventSource connection)
+const readLastEventId = (req) => {
+    const value = req.get('Last-Event-ID') || req.query.lastEventId;
+    const id = Number.parseInt(value, 10);
+    return Number.isFinite(id) && id >= 0 ? id : null;
+};
+
+const openEventStream = (req, res, options = {}) => {
+    const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Client reconnect delay
+    res.write(`retry: ${options.retryMs || 3000}\n\n`);
+
+    const stream = {
+        closed: false,
+
+        send({ id, event, data }) {
+            if (stream.closed) return;
+
+            let frame = '';
+            if (id !== undefined && id !== null) frame += `id: ${id}\n`;
+            if (event) frame += `event: ${event}\n`;
+            frame += `data: ${JSON.stringify(data)}\n\n`;
+
+            res.write(frame);
+        },
+
+        comment(text) {
+            if (!stream.closed) res.write(`: ${text}\n\n`);
+        },
+
+        close() {
+            if (stream.closed) return;
+            stream.closed = true;
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+
+    const heartbeat = setInterval(() => stream.comment(`heartbeat ${new Date().toISOString()}`), heartbeatMs);
+
+    req.on('close', () => {
+        stream.closed = true;
+        clearInterval(heartbeat);
+        if (options.onClose) options.onClose();
+    });
+
+    return stream;
+};
+
+module.exports = {
+    openEventStream,
+    readLastEventId
+};